@@ -121,6 +121,57 @@ const uploadConfigs = {
     }
   }),
 
+  // Visitor photos taken at the gate
+  visitorPhotos: multer({
+    storage: createCloudinaryStorage('visitors/photos'),
+    limits: {
+      fileSize: 5 * 1024 * 1024, // 5MB
+      files: 1
+    },
+    fileFilter: (req, file, cb) => {
+      const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+      if (allowedTypes.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new Error('Only JPEG, PNG, and WebP images are allowed'), false);
+      }
+    }
+  }),
+
+  // Parcel photos taken when a delivery is logged
+  parcelPhotos: multer({
+    storage: createCloudinaryStorage('parcels/photos'),
+    limits: {
+      fileSize: 5 * 1024 * 1024, // 5MB
+      files: 1
+    },
+    fileFilter: (req, file, cb) => {
+      const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+      if (allowedTypes.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new Error('Only JPEG, PNG, and WebP images are allowed'), false);
+      }
+    }
+  }),
+
+  // Security incident photos
+  incidentImages: multer({
+    storage: createCloudinaryStorage('security/incidents'),
+    limits: {
+      fileSize: 10 * 1024 * 1024, // 10MB
+      files: 5
+    },
+    fileFilter: (req, file, cb) => {
+      const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+      if (allowedTypes.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new Error('Only JPEG, PNG, and WebP images are allowed'), false);
+      }
+    }
+  }),
+
   // Staff documents
   staffDocuments: multer({
     storage: createCloudinaryStorage('staff/documents', ['pdf', 'jpg', 'jpeg', 'png']),
@@ -206,10 +257,10 @@ const cloudinaryUtils = {
     });
   },
 
-  // Delete file from Cloudinary
-  deleteFile: async (publicId) => {
+  // Delete file from Cloudinary (options.resource_type for video/raw files)
+  deleteFile: async (publicId, options = {}) => {
     try {
-      const result = await cloudinary.uploader.destroy(publicId);
+      const result = await cloudinary.uploader.destroy(publicId, options);
       return {
         success: result.result === 'ok',
         data: result
@@ -224,10 +275,10 @@ const cloudinaryUtils = {
     }
   },
 
-  // Delete multiple files
-  deleteFiles: async (publicIds) => {
+  // Delete multiple files (options.resource_type for video/raw files)
+  deleteFiles: async (publicIds, options = {}) => {
     try {
-      const result = await cloudinary.api.delete_resources(publicIds);
+      const result = await cloudinary.api.delete_resources(publicIds, options);
       return {
         success: true,
         data: result
@@ -4,7 +4,45 @@ const Complaint = require("../models/Complaint");
 const Staff = require("../models/Staff");
 const Notice = require("../models/Notice");
 const Apartment = require("../models/Apartment");
+const Invoice = require("../models/Invoice");
 const { emitToUser, emitToRoom } = require("../services/socketService");
+const { sendUserNotification } = require("../services/notificationService");
+const {
+  sendInvoiceReminder,
+  getResidentDuesMap,
+  getFlatDuesMap,
+  getResidentIdsWithDues,
+  OPEN_INVOICE_STATUSES,
+} = require("../services/billingService");
+const { buildAudienceQuery } = require("../services/noticeService");
+const { getJobStatuses } = require("../jobs");
+const {
+  getEscalationChain,
+  getHoursOverdue,
+  getSlaHours,
+  SLA_STOPPED_STATUSES,
+} = require("../services/slaService");
+const {
+  assignComplaint,
+  rankStaffForComplaint,
+  autoAssignComplaint,
+} = require("../services/assignmentService");
+const {
+  COMPLAINT_CATEGORIES,
+  COMPLAINT_PRIORITIES,
+} = require("../utils/constants");
+const {
+  findPossibleDuplicates,
+  mergeComplaints,
+  MERGEABLE_STATUSES,
+} = require("../services/complaintDuplicateService");
+const {
+  DEFAULT_COMPLAINT_WORKFLOW,
+  resolveWorkflow,
+  getWorkflowStatuses,
+  activeStatusQuery,
+  FINISHED_STATUSES,
+} = require("../utils/complaintWorkflow");
 
 // @desc    Get all buildings for admin
 // @route   GET /api/admin/buildings
@@ -295,8 +333,10 @@ const getAdminDashboard = async (req, res) => {
     }, {});
 
     const totalComplaints = Object.values(stats).reduce((a, b) => a + b, 0);
-    const activeComplaints =
-      (stats.Open || 0) + (stats.Assigned || 0) + (stats["In Progress"] || 0);
+    // Every status the work is not finished in, custom ones included
+    const activeComplaints = Object.entries(stats)
+      .filter(([status]) => !FINISHED_STATUSES.includes(status))
+      .reduce((sum, [, count]) => sum + count, 0);
     const resolvedComplaints = (stats.Resolved || 0) + (stats.Closed || 0);
 
     res.status(200).json({
@@ -631,6 +671,13 @@ const assignComplaintToStaff = async (req, res) => {
       });
     }
 
+    if (complaint.status === "Cancelled" || complaint.status === "Closed") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot assign a cancelled or closed complaint",
+      });
+    }
+
     // Get staff
     const staff = await Staff.findById(staffId).populate("user");
     if (!staff || !staff.isActive) {
@@ -640,6 +687,13 @@ const assignComplaintToStaff = async (req, res) => {
       });
     }
 
+    if (complaint.assignedTo?.staff?.toString() === staff._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "Complaint is already assigned to this staff member",
+      });
+    }
+
     // Check if staff is available
     if (!staff.isAvailable()) {
       return res.status(400).json({
@@ -648,23 +702,20 @@ const assignComplaintToStaff = async (req, res) => {
       });
     }
 
-    // Assign complaint
-    complaint.assignedTo = {
-      staff: staffId,
-      assignedAt: new Date(),
-      assignedBy: adminId,
-    };
-
-    // Update status and timeline
-    await complaint.updateStatus(
-      "Assigned",
-      `Complaint assigned to ${staff.user.fullName}`,
-      adminId
-    );
-
-    // Update staff workload
-    staff.currentWorkload.activeComplaints += 1;
-    await staff.save();
+    // Assign complaint - moves workload off any previous assignee
+    const assigned = await assignComplaint(complaint, staff, {
+      performedBy: adminId,
+      performedByRole: "admin",
+      reason: `Complaint assigned to ${staff.user.fullName}`,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+    if (!assigned) {
+      return res.status(400).json({
+        success: false,
+        message: "Staff is currently at full capacity",
+      });
+    }
 
     // Populate for response
     await complaint.populate("assignedTo.staff", "user");
@@ -1077,7 +1128,7 @@ const createBuilding = async (req, res) => {
   }
 };
 
-// @desc    Create user (resident or staff) - Admin only
+// @desc    Create user (resident, staff or security guard) - Admin only
 // @route   POST /api/admin/users
 // @access  Private (Admin)
 const createUser = async (req, res) => {
@@ -1152,10 +1203,10 @@ const createUser = async (req, res) => {
     }
 
     // Validate role
-    if (!["resident", "staff"].includes(role)) {
+    if (!["resident", "staff", "security"].includes(role)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid role. Must be resident or staff",
+        message: "Invalid role. Must be resident, staff or security",
       });
     }
 
@@ -1563,6 +1614,30 @@ const getResidentsAdvanced = async (req, res) => {
       ];
     }
 
+    // Payment status filter (paid / pending / overdue)
+    if (paymentStatus) {
+      const buildingCodes =
+        typeof filter.apartmentCode === "string"
+          ? [filter.apartmentCode]
+          : filter.apartmentCode.$in;
+      const residentsWithDues = await getResidentIdsWithDues(buildingCodes);
+
+      if (paymentStatus === "overdue") {
+        filter._id = { $in: residentsWithDues.overdue };
+      } else if (paymentStatus === "pending") {
+        filter._id = { $in: residentsWithDues.pending };
+      } else if (paymentStatus === "paid") {
+        filter._id = {
+          $nin: [...residentsWithDues.pending, ...residentsWithDues.overdue],
+        };
+      } else {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid payment status. Valid values: paid, pending, overdue",
+        });
+      }
+    }
+
     // Get residents
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const residents = await User.find(filter)
@@ -1576,9 +1651,12 @@ const getResidentsAdvanced = async (req, res) => {
     const residentIds = residents.map((r) => r._id);
     const activeComplaints = await Complaint.find({
       createdBy: { $in: residentIds },
-      status: { $in: ["Open", "Assigned", "In Progress", "Reopened"] },
+      status: activeStatusQuery(),
     }).populate("createdBy", "fullName");
 
+    // Get outstanding dues for payment status and risk detection
+    const duesMap = await getResidentDuesMap(residentIds);
+
     // Build complaints map
     const complaintsMap = {};
     activeComplaints.forEach((c) => {
@@ -1602,6 +1680,7 @@ const getResidentsAdvanced = async (req, res) => {
       const hasHighPriorityComplaints = complaints.some(
         (c) => c.priority === "High" || c.priority === "Emergency"
       );
+      const dues = duesMap[resident._id.toString()];
 
       // Calculate risk level
       let riskLevel = "low";
@@ -1611,8 +1690,7 @@ const getResidentsAdvanced = async (req, res) => {
       if (resident.status === "suspended") riskFactors.push("suspended");
       if (hasActiveComplaints) riskFactors.push("active_complaints");
       if (hasHighPriorityComplaints) riskFactors.push("high_priority_complaints");
-      // TODO: Add payment overdue detection when Payment model is implemented
-      // if (hasOverduePayments) riskFactors.push("overdue_payments");
+      if (dues.paymentStatus === "overdue") riskFactors.push("overdue_payments");
 
       if (riskFactors.length >= 3) riskLevel = "high";
       else if (riskFactors.length >= 1) riskLevel = "medium";
@@ -1624,8 +1702,11 @@ const getResidentsAdvanced = async (req, res) => {
         hasActiveComplaints: hasActiveComplaints,
         riskLevel: riskLevel,
         riskFactors: riskFactors,
-        paymentStatus: "paid", // TODO: Implement payment status
-        hasPendingDues: false, // TODO: Implement payment tracking
+        paymentStatus: dues.paymentStatus,
+        hasPendingDues: dues.hasPendingDues,
+        outstandingAmount: dues.outstandingAmount,
+        overdueDays: dues.overdueDays,
+        lastPaymentDate: dues.lastPaymentDate,
       };
     });
 
@@ -1673,7 +1754,7 @@ const getResidentsAdvanced = async (req, res) => {
     const allResidentIds = allResidentsForStats.map((r) => r._id);
     const allComplaints = await Complaint.find({
       createdBy: { $in: allResidentIds },
-      status: { $in: ["Open", "Assigned", "In Progress"] },
+      status: activeStatusQuery(),
     });
     const highRiskCount = allResidentsForStats.filter((r) => {
       const residentComplaints = allComplaints.filter(
@@ -1787,7 +1868,7 @@ const getBuildingDetails = async (req, res) => {
 
     // Get active complaints for flats
     const activeComplaints = await Complaint.find({
-      status: { $in: ["Open", "Assigned", "In Progress", "Reopened"] },
+      status: activeStatusQuery(),
     })
       .populate("createdBy", "floorNumber flatNumber apartmentCode")
       .select("status priority category location createdBy");
@@ -1809,6 +1890,9 @@ const getBuildingDetails = async (req, res) => {
       }
     });
 
+    // Get outstanding dues by flat
+    const flatDuesMap = await getFlatDuesMap(apartmentCode);
+
     // Enhance floors with occupancy info, complaints, and status
     const floorsWithDetails = building.configuration.floors.map((floor) => ({
       floorNumber: floor.floorNumber,
@@ -1817,8 +1901,9 @@ const getBuildingDetails = async (req, res) => {
         const isOccupied = flat.isOccupied || occupiedMap[key] != null;
         const flatComplaints = complaintsMap[key] || [];
         const hasActiveComplaints = flatComplaints.length > 0;
-        const hasPendingDues = false; // TODO: Implement payment tracking
-        
+        const dues = flatDuesMap[key] || null;
+        const hasPendingDues = dues != null;
+
         // Determine flat status
         let status = isOccupied ? "occupied" : "vacant";
         if (hasActiveComplaints) {
@@ -1838,6 +1923,7 @@ const getBuildingDetails = async (req, res) => {
           status: status,
           complaints: flatComplaints,
           hasPendingDues: hasPendingDues,
+          dues: dues,
           complaintsCount: flatComplaints.length,
         };
       }),
@@ -2072,7 +2158,7 @@ const getBuildingView = async (req, res) => {
 
     // Get active complaints
     const activeComplaints = await Complaint.find({
-      status: { $in: ["Open", "Assigned", "In Progress", "Reopened"] },
+      status: activeStatusQuery(),
     })
       .populate("createdBy", "floorNumber flatNumber apartmentCode")
       .select("status priority category location createdBy");
@@ -2108,7 +2194,7 @@ const getBuildingView = async (req, res) => {
       if (staff) {
         const assignedComplaints = await Complaint.find({
           "assignedTo.staff": staff._id,
-          status: { $in: ["Assigned", "In Progress"] },
+          status: activeStatusQuery(),
         })
           .populate("createdBy", "floorNumber flatNumber apartmentCode")
           .select("createdBy");
@@ -2130,6 +2216,10 @@ const getBuildingView = async (req, res) => {
       }
     }
 
+    // Dues are visible to admins and to residents for their own flat
+    const flatDuesMap =
+      user.role === "staff" ? {} : await getFlatDuesMap(apartmentCode);
+
     // Enhance floors with status
     const floorsWithDetails = filteredFloors.map((floor) => ({
       floorNumber: floor.floorNumber,
@@ -2138,7 +2228,8 @@ const getBuildingView = async (req, res) => {
         const isOccupied = flat.isOccupied || occupiedMap[key] != null;
         const flatComplaints = complaintsMap[key] || [];
         const hasActiveComplaints = flatComplaints.length > 0;
-        const hasPendingDues = false; // TODO: Implement payment tracking
+        const dues = flatDuesMap[key] || null;
+        const hasPendingDues = dues != null;
 
         let status = isOccupied ? "occupied" : "vacant";
         if (hasActiveComplaints) status = "has_complaints";
@@ -2154,6 +2245,7 @@ const getBuildingView = async (req, res) => {
           status: status,
           complaints: flatComplaints,
           hasPendingDues: hasPendingDues,
+          dues: dues,
           complaintsCount: flatComplaints.length,
         };
       }),
@@ -2204,7 +2296,7 @@ const getBuildingView = async (req, res) => {
 const bulkResidentAction = async (req, res) => {
   try {
     const adminId = req.user.id;
-    const { action, residentIds, reason } = req.body;
+    const { action, residentIds, reason, noticeId } = req.body;
 
     const admin = await User.findById(adminId);
     if (!admin || admin.role !== "admin") {
@@ -2268,6 +2360,53 @@ const bulkResidentAction = async (req, res) => {
       });
     }
 
+    // Notice assignment adds the residents to the notice audience up front
+    let notice = null;
+    if (action === "assign_notice") {
+      if (!noticeId || !mongoose.Types.ObjectId.isValid(noticeId)) {
+        return res.status(400).json({
+          success: false,
+          message: "A valid noticeId is required for assign_notice",
+        });
+      }
+
+      notice = await Notice.findOne({ _id: noticeId, createdBy: adminId });
+      if (!notice) {
+        return res.status(404).json({
+          success: false,
+          message: "Notice not found",
+        });
+      }
+
+      if (["Expired", "Archived"].includes(notice.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot assign a notice that is ${notice.status.toLowerCase()}`,
+        });
+      }
+
+      const existingResidents = new Set(
+        (notice.targetAudience.residents || []).map((id) => id.toString())
+      );
+      const newResidents = residents.filter(
+        (r) =>
+          !existingResidents.has(r._id.toString()) &&
+          (!notice.apartmentCode || r.apartmentCode === notice.apartmentCode)
+      );
+
+      newResidents.forEach((r) => notice.targetAudience.residents.push(r._id));
+      if (
+        notice.status === "Published" &&
+        notice.targetAudience.type === "Specific"
+      ) {
+        // Recount from the audience so residents already matched by wing/floor aren't counted twice
+        notice.engagement.totalSent = notice.apartmentCode
+          ? await User.countDocuments(buildAudienceQuery(notice))
+          : notice.engagement.totalSent + newResidents.length;
+      }
+      await notice.save();
+    }
+
     const results = {
       success: [],
       failed: [],
@@ -2296,13 +2435,49 @@ const bulkResidentAction = async (req, res) => {
             updateData = { status: "active" };
             description = `Bulk activated by ${admin.fullName}`;
             break;
-          case "send_reminder":
-            // TODO: Implement payment reminder sending
-            description = `Payment reminder sent by ${admin.fullName}`;
+          case "send_reminder": {
+            const openInvoices = await Invoice.find({
+              resident: resident._id,
+              status: { $in: OPEN_INVOICE_STATUSES },
+            }).sort({ dueDate: 1 });
+
+            if (openInvoices.length === 0) {
+              throw new Error("No outstanding invoices");
+            }
+
+            const sentChannels = new Set();
+            for (const invoice of openInvoices) {
+              const channels = await sendInvoiceReminder(resident, invoice, adminId);
+              channels.forEach((c) => sentChannels.add(c));
+            }
+
+            if (sentChannels.size === 0) {
+              throw new Error("Reminder could not be delivered on any channel");
+            }
+
+            description = `Payment reminder for ${openInvoices.length} invoice(s) sent via ${[
+              ...sentChannels,
+            ].join(", ")} by ${admin.fullName}`;
             break;
+          }
           case "assign_notice":
-            // TODO: Implement notice assignment
-            description = `Notice assigned by ${admin.fullName}`;
+            if (
+              notice.apartmentCode &&
+              resident.apartmentCode !== notice.apartmentCode
+            ) {
+              throw new Error("Resident is not in the notice's building");
+            }
+            // Push only once the notice is live; drafts notify on publish
+            if (notice.status === "Published") {
+              await sendUserNotification(resident._id.toString(), "new_notice", {
+                title: notice.title,
+                message: `New notice: ${notice.title}`,
+                noticeId: notice._id.toString(),
+                category: notice.category,
+                priority: notice.priority,
+              });
+            }
+            description = `Notice "${notice.title}" assigned by ${admin.fullName}`;
             break;
         }
 
@@ -2329,17 +2504,20 @@ const bulkResidentAction = async (req, res) => {
           metadata: {
             action: action,
             reason: reason || null,
+            noticeId: notice ? notice._id.toString() : null,
             bulkOperation: true,
             totalAffected: residentIds.length,
           },
         });
 
-        // Emit real-time event
-        emitToUser(resident._id.toString(), "resident_status_updated", {
-          message: `Your account has been ${action}ed`,
-          action: action,
-          updatedBy: admin.fullName,
-        });
+        // Emit real-time event for account status changes
+        if (Object.keys(updateData).length > 0) {
+          emitToUser(resident._id.toString(), "resident_status_updated", {
+            message: `Your account has been ${action}ed`,
+            action: action,
+            updatedBy: admin.fullName,
+          });
+        }
 
         results.success.push({
           id: resident._id,
@@ -2384,6 +2562,873 @@ const bulkResidentAction = async (req, res) => {
   }
 };
 
+// @desc    Get scheduled job status (last run, duration, failures)
+// @route   GET /api/admin/jobs
+// @access  Private (Admin)
+const getScheduledJobs = async (req, res) => {
+  try {
+    const jobs = await getJobStatuses();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs,
+        summary: {
+          total: jobs.length,
+          failing: jobs.filter((job) => job.lastStatus === "failed").length,
+          running: jobs.filter((job) => job.isRunning).length,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("❌ [ADMIN] Get scheduled jobs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching scheduled jobs",
+    });
+  }
+};
+
+// @desc    Get a building's complaint SLA policy
+// @route   GET /api/admin/buildings/:code/sla-policy
+// @access  Private (Admin)
+const getSlaPolicy = async (req, res) => {
+  try {
+    const building = await Apartment.findOne({
+      code: req.params.code.toUpperCase(),
+      createdBy: req.user.id,
+      isActive: true,
+    }).select("name code slaPolicy");
+
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    // Effective hours for every category x priority, so the matrix can be shown as a grid
+    const matrix = COMPLAINT_CATEGORIES.map((category) => ({
+      category,
+      hours: Object.values(COMPLAINT_PRIORITIES).reduce((acc, priority) => {
+        acc[priority] = getSlaHours(building.slaPolicy, category, priority);
+        return acc;
+      }, {}),
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        buildingCode: building.code,
+        buildingName: building.name,
+        slaPolicy: building.slaPolicy,
+        matrix,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [ADMIN] Get SLA policy error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching SLA policy",
+    });
+  }
+};
+
+// @desc    Update a building's complaint SLA policy (applies to complaints raised afterwards)
+// @route   PUT /api/admin/buildings/:code/sla-policy
+// @access  Private (Admin)
+const updateSlaPolicy = async (req, res) => {
+  try {
+    const { defaultHours, rules, businessHours } = req.body;
+
+    const building = await Apartment.findOne({
+      code: req.params.code.toUpperCase(),
+      createdBy: req.user.id,
+      isActive: true,
+    });
+
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    if (businessHours) {
+      const merged = {
+        ...(building.toObject().slaPolicy?.businessHours || {}),
+        ...businessHours,
+      };
+
+      if (merged.timezone) {
+        try {
+          new Intl.DateTimeFormat("en-US", { timeZone: merged.timezone });
+        } catch (err) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid timezone: ${merged.timezone}`,
+          });
+        }
+      }
+
+      if (merged.startTime && merged.endTime && merged.endTime <= merged.startTime) {
+        return res.status(400).json({
+          success: false,
+          message: "Business hours end time must be after start time",
+        });
+      }
+
+      if (merged.enabled && (merged.weeklyOffs || []).length >= 7) {
+        return res.status(400).json({
+          success: false,
+          message: "At least one working day is required",
+        });
+      }
+
+      building.set("slaPolicy.businessHours", merged);
+    }
+
+    if (defaultHours) {
+      Object.keys(defaultHours).forEach((priority) => {
+        building.set(`slaPolicy.defaultHours.${priority}`, defaultHours[priority]);
+      });
+    }
+    if (rules) building.set("slaPolicy.rules", rules);
+
+    building.set("slaPolicy.updatedBy", req.user.id);
+    building.set("slaPolicy.updatedAt", new Date());
+    await building.save();
+
+    res.status(200).json({
+      success: true,
+      message: "SLA policy updated successfully",
+      data: {
+        buildingCode: building.code,
+        slaPolicy: building.slaPolicy,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [ADMIN] Update SLA policy error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Error updating SLA policy",
+    });
+  }
+};
+
+// Load a complaint along with its building, if the building belongs to the admin
+const findAdminComplaint = async (complaintId, adminId) => {
+  const complaint = await Complaint.findById(complaintId);
+  if (!complaint) return { complaint: null, building: null };
+
+  const creator = await User.findById(complaint.createdBy).select("apartmentCode");
+  const building = creator?.apartmentCode
+    ? await Apartment.findOne({
+        code: creator.apartmentCode,
+        createdBy: adminId,
+        isActive: true,
+      })
+    : null;
+
+  return { complaint, building };
+};
+
+// @desc    Enable or disable automatic staff assignment for a building
+// @route   PUT /api/admin/buildings/:code/auto-assignment
+// @access  Private (Admin)
+const updateAutoAssignment = async (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "enabled must be true or false",
+      });
+    }
+
+    const building = await Apartment.findOneAndUpdate(
+      { code: req.params.code.toUpperCase(), createdBy: req.user.id, isActive: true },
+      {
+        autoAssignment: {
+          enabled,
+          updatedBy: req.user.id,
+          updatedAt: new Date(),
+        },
+      },
+      { new: true }
+    ).select("code autoAssignment");
+
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Auto-assignment ${enabled ? "enabled" : "disabled"} for ${building.code}`,
+      data: { buildingCode: building.code, autoAssignment: building.autoAssignment },
+    });
+  } catch (error) {
+    console.error("❌ [ADMIN] Update auto-assignment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating auto-assignment",
+    });
+  }
+};
+
+// @desc    Set the complaint categories that need the resident's handover code to resolve
+// @route   PUT /api/admin/buildings/:code/handover-otp
+// @access  Private (Admin)
+const updateHandoverOtpPolicy = async (req, res) => {
+  try {
+    const { categories } = req.body;
+
+    if (!Array.isArray(categories) || categories.some((c) => !COMPLAINT_CATEGORIES.includes(c))) {
+      return res.status(400).json({
+        success: false,
+        message: `categories must be a list of: ${COMPLAINT_CATEGORIES.join(", ")}`,
+      });
+    }
+
+    const building = await Apartment.findOneAndUpdate(
+      { code: req.params.code.toUpperCase(), createdBy: req.user.id, isActive: true },
+      {
+        handoverOtp: {
+          categories: [...new Set(categories)],
+          updatedBy: req.user.id,
+          updatedAt: new Date(),
+        },
+      },
+      { new: true }
+    ).select("code handoverOtp");
+
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Handover code requirement updated",
+      data: { buildingCode: building.code, handoverOtp: building.handoverOtp },
+    });
+  } catch (error) {
+    console.error("❌ [ADMIN] Update handover OTP policy error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating handover code requirement",
+    });
+  }
+};
+
+// Custom statuses a building's complaints are currently sitting in, among the given statuses
+const findStatusesInUse = async (buildingCode, statuses) => {
+  if (statuses.length === 0) return [];
+
+  const residents = await User.find({ apartmentCode: buildingCode }).select("_id");
+  return Complaint.distinct("status", {
+    createdBy: { $in: residents.map((r) => r._id) },
+    status: { $in: statuses },
+  });
+};
+
+// @desc    Get a building's complaint workflow (default workflow when not customised)
+// @route   GET /api/admin/buildings/:code/workflow
+// @access  Private (Admin)
+const getComplaintWorkflow = async (req, res) => {
+  try {
+    const building = await Apartment.findOne({
+      code: req.params.code.toUpperCase(),
+      createdBy: req.user.id,
+      isActive: true,
+    }).select("name code complaintWorkflow");
+
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    const isCustom = building.complaintWorkflow?.transitions?.length > 0;
+    const workflow = resolveWorkflow(building.complaintWorkflow);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        buildingCode: building.code,
+        buildingName: building.name,
+        isCustom,
+        statuses: getWorkflowStatuses(workflow),
+        workflow: isCustom ? building.complaintWorkflow : DEFAULT_COMPLAINT_WORKFLOW,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [ADMIN] Get complaint workflow error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching complaint workflow",
+    });
+  }
+};
+
+// @desc    Replace a building's complaint workflow
+// @route   PUT /api/admin/buildings/:code/workflow
+// @access  Private (Admin)
+const updateComplaintWorkflow = async (req, res) => {
+  try {
+    const { customStatuses = [], transitions } = req.body;
+
+    const building = await Apartment.findOne({
+      code: req.params.code.toUpperCase(),
+      createdBy: req.user.id,
+      isActive: true,
+    });
+
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    // Complaints must not be left in a status the new workflow no longer has
+    const keptStatuses = customStatuses.map((status) => status.name.trim());
+    const removedStatuses = (building.complaintWorkflow?.customStatuses || [])
+      .map((status) => status.name)
+      .filter((name) => !keptStatuses.includes(name));
+    const inUse = await findStatusesInUse(building.code, removedStatuses);
+    if (inUse.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Complaints are still in status: ${inUse.join(", ")}. Move them before removing the status.`,
+      });
+    }
+
+    building.set("complaintWorkflow", {
+      customStatuses,
+      transitions,
+      updatedBy: req.user.id,
+      updatedAt: new Date(),
+    });
+    await building.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Complaint workflow updated successfully",
+      data: {
+        buildingCode: building.code,
+        statuses: getWorkflowStatuses(building.complaintWorkflow),
+        workflow: building.complaintWorkflow,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [ADMIN] Update complaint workflow error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Error updating complaint workflow",
+    });
+  }
+};
+
+// @desc    Reset a building to the default complaint workflow
+// @route   DELETE /api/admin/buildings/:code/workflow
+// @access  Private (Admin)
+const resetComplaintWorkflow = async (req, res) => {
+  try {
+    const building = await Apartment.findOne({
+      code: req.params.code.toUpperCase(),
+      createdBy: req.user.id,
+      isActive: true,
+    });
+
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    const customStatuses = (building.complaintWorkflow?.customStatuses || []).map((status) => status.name);
+    const inUse = await findStatusesInUse(building.code, customStatuses);
+    if (inUse.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Complaints are still in status: ${inUse.join(", ")}. Move them before resetting the workflow.`,
+      });
+    }
+
+    building.set("complaintWorkflow", {
+      customStatuses: [],
+      transitions: [],
+      updatedBy: req.user.id,
+      updatedAt: new Date(),
+    });
+    await building.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Complaint workflow reset to default",
+      data: {
+        buildingCode: building.code,
+        statuses: getWorkflowStatuses(DEFAULT_COMPLAINT_WORKFLOW),
+        workflow: DEFAULT_COMPLAINT_WORKFLOW,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [ADMIN] Reset complaint workflow error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error resetting complaint workflow",
+    });
+  }
+};
+
+// @desc    Get a building's complaint taxonomy (category -> sub-categories)
+// @route   GET /api/admin/buildings/:code/taxonomy
+// @access  Private (Admin)
+const getComplaintTaxonomy = async (req, res) => {
+  try {
+    const building = await Apartment.findOne({
+      code: req.params.code.toUpperCase(),
+      createdBy: req.user.id,
+      isActive: true,
+    }).select("name code complaintTaxonomy");
+
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        buildingCode: building.code,
+        buildingName: building.name,
+        complaintTaxonomy: building.complaintTaxonomy,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [ADMIN] Get complaint taxonomy error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching complaint taxonomy",
+    });
+  }
+};
+
+// @desc    Replace a building's complaint taxonomy (applies to complaints raised afterwards)
+// @route   PUT /api/admin/buildings/:code/taxonomy
+// @access  Private (Admin)
+const updateComplaintTaxonomy = async (req, res) => {
+  try {
+    const { categories } = req.body;
+
+    const building = await Apartment.findOne({
+      code: req.params.code.toUpperCase(),
+      createdBy: req.user.id,
+      isActive: true,
+    });
+
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    building.set("complaintTaxonomy", {
+      categories,
+      updatedBy: req.user.id,
+      updatedAt: new Date(),
+    });
+    await building.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Complaint taxonomy updated successfully",
+      data: {
+        buildingCode: building.code,
+        complaintTaxonomy: building.complaintTaxonomy,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [ADMIN] Update complaint taxonomy error:", error);
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Error updating complaint taxonomy",
+    });
+  }
+};
+
+// @desc    Likely duplicates of a complaint (candidates to merge into it)
+// @route   GET /api/admin/complaints/:complaintId/duplicates
+// @access  Private (Admin)
+const getComplaintDuplicates = async (req, res) => {
+  try {
+    const { complaint, building } = await findAdminComplaint(req.params.complaintId, req.user.id);
+
+    if (!complaint || !building) {
+      return res.status(404).json({
+        success: false,
+        message: "Complaint not found or access denied",
+      });
+    }
+
+    const creator = await User.findById(complaint.createdBy).select("wing flatNumber");
+    const duplicates = await findPossibleDuplicates(
+      {
+        apartmentCode: building.code,
+        category: complaint.category,
+        title: complaint.title,
+        description: complaint.description,
+        location: {
+          specificLocation: complaint.location?.specificLocation,
+          wing: complaint.location?.wing || creator?.wing,
+          flatNumber: complaint.location?.flatNumber || creator?.flatNumber,
+        },
+      },
+      { excludeIds: [complaint._id] }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        complaintId: complaint._id,
+        ticketNumber: complaint.ticketNumber,
+        duplicates: duplicates.map(({ complaint: duplicate, score, reasons }) => ({
+          complaint: duplicate,
+          score,
+          reasons,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("❌ [ADMIN] Get complaint duplicates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error finding duplicate complaints",
+    });
+  }
+};
+
+// @desc    Merge duplicate complaints into a parent ticket
+// @route   POST /api/admin/complaints/:complaintId/merge
+// @access  Private (Admin)
+const mergeDuplicateComplaints = async (req, res) => {
+  try {
+    const { childIds, reason } = req.body;
+
+    if (!Array.isArray(childIds) || childIds.length === 0 || childIds.length > 20) {
+      return res.status(400).json({
+        success: false,
+        message: "childIds must list between 1 and 20 complaints to merge",
+      });
+    }
+
+    const uniqueIds = [...new Set(childIds.map(String))];
+    if (uniqueIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: "childIds contains an invalid complaint id",
+      });
+    }
+    if (uniqueIds.includes(req.params.complaintId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A complaint cannot be merged into itself",
+      });
+    }
+
+    const { complaint: parent, building } = await findAdminComplaint(req.params.complaintId, req.user.id);
+    if (!parent || !building) {
+      return res.status(404).json({
+        success: false,
+        message: "Complaint not found or access denied",
+      });
+    }
+
+    if (!MERGEABLE_STATUSES.includes(parent.status) || parent.parentComplaint) {
+      return res.status(400).json({
+        success: false,
+        message: `Ticket ${parent.ticketNumber} is ${parent.status} and cannot take merged tickets`,
+      });
+    }
+
+    const children = [];
+    for (const childId of uniqueIds) {
+      const { complaint: child, building: childBuilding } = await findAdminComplaint(childId, req.user.id);
+
+      if (!child || !childBuilding || childBuilding.code !== building.code) {
+        return res.status(400).json({
+          success: false,
+          message: `Complaint ${childId} was not found in building ${building.code}`,
+        });
+      }
+      if (!MERGEABLE_STATUSES.includes(child.status) || child.parentComplaint) {
+        return res.status(400).json({
+          success: false,
+          message: `Ticket ${child.ticketNumber} is ${child.status} and cannot be merged`,
+        });
+      }
+      children.push(child);
+    }
+
+    const { merged } = await mergeComplaints(parent, children, {
+      mergedBy: req.user.id,
+      reason,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get("user-agent"),
+    });
+
+    emitToRoom("admin", "tickets_merged", {
+      parentTicketId: parent._id.toString(),
+      parentTicketNumber: parent.ticketNumber,
+      merged,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Merged ${merged.length} ticket(s) into ${parent.ticketNumber}`,
+      data: {
+        complaint: parent,
+        merged,
+        followerCount: parent.followers.length,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [ADMIN] Merge complaints error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error merging complaints",
+    });
+  }
+};
+
+// @desc    Dry run - ranked staff candidates for a complaint with the reasons behind each score
+// @route   GET /api/admin/complaints/:complaintId/assignment-candidates
+// @access  Private (Admin)
+const getAssignmentCandidates = async (req, res) => {
+  try {
+    const { complaint, building } = await findAdminComplaint(req.params.complaintId, req.user.id);
+
+    if (!complaint || !building) {
+      return res.status(404).json({
+        success: false,
+        message: "Complaint not found or access denied",
+      });
+    }
+
+    const ranked = await rankStaffForComplaint(complaint, { building });
+
+    const candidates = ranked.map((candidate, index) => ({
+      rank: index + 1,
+      staffId: candidate.staff._id,
+      employeeId: candidate.staff.employeeId,
+      name: candidate.staff.user.fullName,
+      phoneNumber: candidate.staff.user.phoneNumber,
+      eligible: candidate.eligible,
+      score: candidate.score,
+      breakdown: candidate.breakdown,
+      reasons: candidate.reasons,
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        complaint: {
+          _id: complaint._id,
+          ticketNumber: complaint.ticketNumber,
+          category: complaint.category,
+          priority: complaint.priority,
+          status: complaint.status,
+          location: complaint.location,
+        },
+        autoAssignmentEnabled: Boolean(building.autoAssignment?.enabled),
+        wouldAssign: candidates.find((c) => c.eligible) || null,
+        candidates,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [ADMIN] Get assignment candidates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error ranking assignment candidates",
+    });
+  }
+};
+
+// @desc    Assign a complaint to the top-ranked eligible staff member
+// @route   POST /api/admin/complaints/:complaintId/auto-assign
+// @access  Private (Admin)
+const autoAssignComplaintToStaff = async (req, res) => {
+  try {
+    const { complaint, building } = await findAdminComplaint(req.params.complaintId, req.user.id);
+
+    if (!complaint || !building) {
+      return res.status(404).json({
+        success: false,
+        message: "Complaint not found or access denied",
+      });
+    }
+
+    if (!["Open", "Reopened"].includes(complaint.status) || complaint.assignedTo?.staff) {
+      return res.status(400).json({
+        success: false,
+        message: "Only unassigned Open or Reopened complaints can be auto-assigned",
+      });
+    }
+
+    const result = await autoAssignComplaint(complaint, { building });
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: "No eligible staff available for this complaint",
+      });
+    }
+
+    await complaint.populate({
+      path: "assignedTo.staff",
+      populate: { path: "user", select: "fullName phoneNumber profilePicture" },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Complaint assigned to ${result.staff.user.fullName}`,
+      data: { complaint, score: result.score, reasons: result.reasons },
+    });
+  } catch (error) {
+    console.error("❌ [ADMIN] Auto-assign complaint error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error auto-assigning complaint",
+    });
+  }
+};
+
+// @desc    Get open complaints that have breached their SLA, most overdue first
+// @route   GET /api/admin/complaints/sla-breaches
+// @access  Private (Admin)
+const getSlaBreaches = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { page = 1, limit = 20, buildingCode, priority, category } = req.query;
+
+    const buildingFilter = { createdBy: adminId, isActive: true };
+    if (buildingCode) buildingFilter.code = buildingCode.toUpperCase();
+
+    const buildings = await Apartment.find(buildingFilter).select("code");
+    if (buildingCode && buildings.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    const buildingCodes = buildings.map((b) => b.code);
+    const residents = await User.find({
+      apartmentCode: { $in: buildingCodes },
+    }).select("_id");
+
+    const filter = {
+      createdBy: { $in: residents.map((r) => r._id) },
+      status: { $nin: SLA_STOPPED_STATUSES },
+      "sla.isBreached": true,
+    };
+    if (priority) filter.priority = priority;
+    if (category) filter.category = category;
+
+    const skip = (page - 1) * limit;
+
+    const [complaints, total] = await Promise.all([
+      Complaint.find(filter)
+        .select("ticketNumber title category priority status location createdBy assignedTo sla createdAt")
+        .populate("createdBy", "fullName phoneNumber apartmentCode wing floorNumber flatNumber")
+        .populate({
+          path: "assignedTo.staff",
+          select: "user employeeId",
+          populate: { path: "user", select: "fullName phoneNumber" },
+        })
+        .sort({ "sla.expectedResolution": 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Complaint.countDocuments(filter),
+    ]);
+
+    const chain = getEscalationChain();
+    const now = new Date();
+
+    const breaches = complaints.map((complaint) => {
+      const level = complaint.sla.escalationLevel || 0;
+      return {
+        _id: complaint._id,
+        ticketNumber: complaint.ticketNumber,
+        title: complaint.title,
+        category: complaint.category,
+        priority: complaint.priority,
+        status: complaint.status,
+        location: complaint.location,
+        createdBy: complaint.createdBy,
+        buildingCode: complaint.createdBy?.apartmentCode,
+        assignedStaff: complaint.assignedTo?.staff || null,
+        expectedResolution: complaint.sla.expectedResolution,
+        breachedAt: complaint.sla.breachedAt,
+        hoursOverdue: getHoursOverdue(complaint, now),
+        escalationLevel: level,
+        lastEscalationTarget: level > 0 ? chain[Math.min(level, chain.length) - 1].target : null,
+        nextEscalationTarget: level < chain.length ? chain[level].target : null,
+        lastEscalatedAt: complaint.sla.lastEscalatedAt,
+        createdAt: complaint.createdAt,
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        breaches,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("❌ [ADMIN] Get SLA breaches error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching SLA breaches",
+    });
+  }
+};
+
 module.exports = {
   getAdminDashboard,
   getAllBuildings,
@@ -2401,4 +3446,19 @@ module.exports = {
   getBuildingView,
   getResidentsAdvanced,
   bulkResidentAction,
+  getScheduledJobs,
+  getSlaBreaches,
+  getSlaPolicy,
+  updateSlaPolicy,
+  updateAutoAssignment,
+  updateHandoverOtpPolicy,
+  getComplaintWorkflow,
+  updateComplaintWorkflow,
+  resetComplaintWorkflow,
+  getComplaintTaxonomy,
+  updateComplaintTaxonomy,
+  getComplaintDuplicates,
+  mergeDuplicateComplaints,
+  getAssignmentCandidates,
+  autoAssignComplaintToStaff,
 };
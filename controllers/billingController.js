@@ -0,0 +1,946 @@
+const Invoice = require("../models/Invoice");
+const Payment = require("../models/Payment");
+const Apartment = require("../models/Apartment");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const { emitToUser } = require("../services/socketService");
+const { renderPaymentReceipt } = require("../services/emailService");
+const {
+  generateInvoicesForBuilding,
+  applyLateFees,
+} = require("../services/billingService");
+const {
+  recordLedgerPayment,
+  sendPaymentReceipt,
+  generateReceiptPdf,
+  getBuildingReconciliation,
+} = require("../services/ledgerService");
+const {
+  createInvoiceOrder,
+  verifyCheckoutPayment,
+  handleWebhook,
+  refundOnlinePayment,
+} = require("../services/paymentGatewayService");
+const { roundAmount } = require("../utils/helpers");
+const { OPEN_INVOICE_STATUSES } = require("../utils/constants");
+
+// Helper to load a building owned by the requesting admin
+const findAdminBuilding = (adminId, buildingCode) => {
+  return Apartment.findOne({
+    code: buildingCode?.toUpperCase(),
+    createdBy: adminId,
+    isActive: true,
+  });
+};
+
+// Helper to list building codes owned by the requesting admin
+const getAdminBuildingCodes = async (adminId) => {
+  const buildings = await Apartment.find({
+    createdBy: adminId,
+    isActive: true,
+  }).select("code");
+  return buildings.map((b) => b.code);
+};
+
+// @desc    Generate monthly invoices for every occupied flat in a building
+// @route   POST /api/billing/invoices/generate
+// @access  Private (Admin)
+const generateInvoices = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { buildingCode, month, year, dueDate } = req.body;
+
+    const building = await findAdminBuilding(adminId, buildingCode);
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    const { created, skipped } = await generateInvoicesForBuilding(
+      building,
+      month,
+      year,
+      {
+        dueDate: dueDate ? new Date(dueDate) : undefined,
+        generatedBy: adminId,
+      }
+    );
+
+    await AuditLog.create({
+      action: "INVOICES_GENERATED",
+      description: `Generated ${created.length} invoices for ${building.code} (${month}/${year})`,
+      performedBy: adminId,
+      targetEntity: "Apartment",
+      targetId: building._id,
+      metadata: {
+        month,
+        year,
+        created: created.length,
+        skipped: skipped.length,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Generated ${created.length} invoices, skipped ${skipped.length} flats`,
+      data: {
+        invoices: created,
+        skipped,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [BILLING] Generate invoices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating invoices",
+    });
+  }
+};
+
+// @desc    Apply late fees to invoices past the grace period
+// @route   POST /api/billing/invoices/apply-late-fees
+// @access  Private (Admin)
+const applyLateFeesToInvoices = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { buildingCode } = req.body;
+
+    const building = await findAdminBuilding(adminId, buildingCode);
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    const updated = await applyLateFees(building);
+
+    if (updated.length > 0) {
+      await AuditLog.create({
+        action: "LATE_FEES_APPLIED",
+        description: `Applied late fees to ${updated.length} invoices for ${building.code}`,
+        performedBy: adminId,
+        targetEntity: "Apartment",
+        targetId: building._id,
+        metadata: {
+          invoiceIds: updated.map((inv) => inv._id.toString()),
+        },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Late fees applied to ${updated.length} invoices`,
+      data: { invoices: updated },
+    });
+  } catch (error) {
+    console.error("❌ [BILLING] Apply late fees error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error applying late fees",
+    });
+  }
+};
+
+// @desc    List invoices for admin's buildings
+// @route   GET /api/billing/invoices
+// @access  Private (Admin)
+const getInvoices = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const {
+      buildingCode,
+      status,
+      month,
+      year,
+      flatNumber,
+      page = 1,
+      limit = 50,
+    } = req.query;
+
+    const buildingCodes = await getAdminBuildingCodes(adminId);
+    if (buildingCode && !buildingCodes.includes(buildingCode.toUpperCase())) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    const filter = {
+      apartmentCode: buildingCode
+        ? buildingCode.toUpperCase()
+        : { $in: buildingCodes },
+    };
+    if (status) filter.status = status;
+    if (month) filter["billingPeriod.month"] = parseInt(month);
+    if (year) filter["billingPeriod.year"] = parseInt(year);
+    if (flatNumber) filter["flat.flatNumber"] = flatNumber.toUpperCase();
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const invoices = await Invoice.find(filter)
+      .populate("resident", "fullName phoneNumber flatNumber floorNumber")
+      .sort({ "billingPeriod.year": -1, "billingPeriod.month": -1, "flat.flatCode": 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Invoice.countDocuments(filter);
+
+    // Totals across the whole filter, not just the current page
+    const summary = await Invoice.aggregate([
+      { $match: { ...filter, status: { $ne: "Void" } } },
+      {
+        $group: {
+          _id: null,
+          totalBilled: { $sum: "$totalAmount" },
+          totalCollected: { $sum: "$amountPaid" },
+        },
+      },
+    ]);
+
+    const totalBilled = roundAmount(summary[0]?.totalBilled || 0);
+    const totalCollected = roundAmount(summary[0]?.totalCollected || 0);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+        summary: {
+          totalBilled,
+          totalCollected,
+          totalOutstanding: roundAmount(totalBilled - totalCollected),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("❌ [BILLING] Get invoices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching invoices",
+    });
+  }
+};
+
+// @desc    Get resident's own invoices
+// @route   GET /api/billing/my-invoices
+// @access  Private (Resident)
+const getMyInvoices = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { status, page = 1, limit = 12 } = req.query;
+
+    const filter = { resident: userId, status: { $ne: "Void" } };
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const invoices = await Invoice.find(filter)
+      .sort({ "billingPeriod.year": -1, "billingPeriod.month": -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Invoice.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("❌ [BILLING] Get my invoices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching invoices",
+    });
+  }
+};
+
+// @desc    Get invoice by ID with its payments
+// @route   GET /api/billing/invoices/:id
+// @access  Private (Admin, Resident - own invoices)
+const getInvoice = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    const invoice = await Invoice.findById(req.params.id).populate(
+      "resident",
+      "fullName phoneNumber email flatNumber floorNumber"
+    );
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    if (userRole === "resident") {
+      if (!invoice.resident || invoice.resident._id.toString() !== userId.toString()) {
+        return res.status(404).json({
+          success: false,
+          message: "Invoice not found",
+        });
+      }
+    } else {
+      const buildingCodes = await getAdminBuildingCodes(userId);
+      if (!buildingCodes.includes(invoice.apartmentCode)) {
+        return res.status(404).json({
+          success: false,
+          message: "Invoice not found",
+        });
+      }
+    }
+
+    const payments = await Payment.find({
+      $or: [{ invoice: invoice._id }, { "allocations.invoice": invoice._id }],
+    })
+      .populate("recordedBy", "fullName")
+      .sort({ paidAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { invoice, payments },
+    });
+  } catch (error) {
+    console.error("❌ [BILLING] Get invoice error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching invoice",
+    });
+  }
+};
+
+// @desc    Void an invoice
+// @route   PUT /api/billing/invoices/:id/void
+// @access  Private (Admin)
+const voidInvoice = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Reason is required to void an invoice",
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+    const buildingCodes = await getAdminBuildingCodes(adminId);
+    if (!invoice || !buildingCodes.includes(invoice.apartmentCode)) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    if (invoice.status === "Void") {
+      return res.status(400).json({
+        success: false,
+        message: "Invoice is already void",
+      });
+    }
+
+    if (invoice.amountPaid > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot void an invoice that has payments recorded against it",
+      });
+    }
+
+    invoice.markVoid(reason.trim(), adminId);
+    await invoice.save();
+
+    await AuditLog.create({
+      action: "INVOICE_VOIDED",
+      description: `Invoice ${invoice.invoiceNumber} voided: ${reason.trim()}`,
+      performedBy: adminId,
+      targetEntity: "Invoice",
+      targetId: invoice._id,
+      metadata: { reason: reason.trim() },
+    });
+
+    emitToUser(invoice.resident.toString(), "invoice_voided", {
+      message: `Invoice ${invoice.invoiceNumber} has been cancelled`,
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Invoice voided successfully",
+      data: { invoice },
+    });
+  } catch (error) {
+    console.error("❌ [BILLING] Void invoice error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error voiding invoice",
+    });
+  }
+};
+
+// Helper to record a ledger payment, audit it and email the receipt
+const recordAndNotify = async (adminId, data) => {
+  const { payment, invoices } = await recordLedgerPayment({
+    ...data,
+    recordedBy: adminId,
+  });
+
+  await AuditLog.create({
+    action: "PAYMENT_RECORDED",
+    description: `Payment ${payment.receiptNumber} of ₹${payment.amount} (${payment.method}) recorded`,
+    performedBy: adminId,
+    targetEntity: "Payment",
+    targetId: payment._id,
+    metadata: {
+      invoiceIds: invoices.map((inv) => inv._id.toString()),
+      method: payment.method,
+      referenceNumber: payment.referenceNumber || null,
+      unallocatedAmount: payment.unallocatedAmount,
+    },
+  });
+
+  // Receipt delivery should never fail the payment itself
+  const receipt = await sendPaymentReceipt(payment).catch((error) => {
+    console.error("❌ [BILLING] Receipt email error:", error);
+    return { success: false, message: error.message };
+  });
+
+  return { payment, invoices, receiptEmailed: receipt.success };
+};
+
+// @desc    Record a payment against an invoice
+// @route   POST /api/billing/invoices/:id/payments
+// @access  Private (Admin)
+const recordPayment = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { amount, method, referenceNumber, paidAt, notes } = req.body;
+
+    const invoice = await Invoice.findById(req.params.id);
+    const buildingCodes = await getAdminBuildingCodes(adminId);
+    if (!invoice || !buildingCodes.includes(invoice.apartmentCode)) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    if (invoice.status === "Void") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot record payment on a void invoice",
+      });
+    }
+
+    // This invoice is settled first; any excess goes oldest-first, then to credit
+    const result = await recordAndNotify(adminId, {
+      resident: invoice.resident,
+      apartmentCode: invoice.apartmentCode,
+      invoiceId: invoice._id,
+      amount,
+      method,
+      referenceNumber,
+      paidAt,
+      notes,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Payment recorded successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("❌ [BILLING] Record payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error recording payment",
+    });
+  }
+};
+
+// @desc    Record a ledger payment for a resident (allocated oldest-first)
+// @route   POST /api/billing/payments
+// @access  Private (Admin)
+const recordResidentPayment = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { residentId, amount, method, referenceNumber, paidAt, notes } =
+      req.body;
+
+    if (!residentId) {
+      return res.status(400).json({
+        success: false,
+        message: "Resident ID is required",
+      });
+    }
+
+    const resident = await User.findOne({ _id: residentId, role: "resident" });
+    const buildingCodes = await getAdminBuildingCodes(adminId);
+    if (!resident || !buildingCodes.includes(resident.apartmentCode)) {
+      return res.status(404).json({
+        success: false,
+        message: "Resident not found",
+      });
+    }
+
+    const result = await recordAndNotify(adminId, {
+      resident: resident._id,
+      apartmentCode: resident.apartmentCode,
+      amount,
+      method,
+      referenceNumber,
+      paidAt,
+      notes,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Payment recorded successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("❌ [BILLING] Record resident payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error recording payment",
+    });
+  }
+};
+
+// @desc    Download a payment receipt as HTML or PDF
+// @route   GET /api/billing/payments/:id/receipt?format=pdf|html
+// @access  Private (Admin, Resident - own payments)
+const getPaymentReceipt = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { format = "pdf" } = req.query;
+
+    const payment = await Payment.findById(req.params.id).populate(
+      "allocations.invoice",
+      "billingPeriod"
+    );
+
+    let hasAccess = false;
+    if (payment && req.user.role === "resident") {
+      hasAccess = payment.resident.toString() === userId.toString();
+    } else if (payment) {
+      const buildingCodes = await getAdminBuildingCodes(userId);
+      hasAccess = buildingCodes.includes(payment.apartmentCode);
+    }
+
+    if (!hasAccess || !payment.receiptNumber) {
+      return res.status(404).json({
+        success: false,
+        message: "Receipt not found",
+      });
+    }
+
+    const resident = await User.findById(payment.resident);
+
+    if (format === "html") {
+      const html = await renderPaymentReceipt(resident, payment);
+      return res.status(200).type("html").send(html);
+    }
+
+    const pdfBuffer = await generateReceiptPdf(payment, resident);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${payment.receiptNumber}.pdf"`,
+    });
+    res.status(200).end(pdfBuffer);
+  } catch (error) {
+    console.error("❌ [BILLING] Get receipt error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating receipt",
+    });
+  }
+};
+
+// @desc    Email a payment receipt to the resident again
+// @route   POST /api/billing/payments/:id/receipt/send
+// @access  Private (Admin)
+const resendPaymentReceipt = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+
+    const payment = await Payment.findById(req.params.id);
+    const buildingCodes = await getAdminBuildingCodes(adminId);
+    if (!payment || !buildingCodes.includes(payment.apartmentCode)) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found",
+      });
+    }
+
+    const result = await sendPaymentReceipt(payment);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message || "Receipt could not be emailed",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Receipt emailed successfully",
+      data: { receiptSentAt: payment.receiptSentAt },
+    });
+  } catch (error) {
+    console.error("❌ [BILLING] Resend receipt error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error sending receipt",
+    });
+  }
+};
+
+// @desc    Month-end reconciliation per building
+// @route   GET /api/billing/reconciliation?buildingCode=&month=&year=
+// @access  Private (Admin)
+const getReconciliation = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const now = new Date();
+    const { buildingCode } = req.query;
+    const month = parseInt(req.query.month) || now.getMonth() + 1;
+    const year = parseInt(req.query.year) || now.getFullYear();
+
+    if (month < 1 || month > 12) {
+      return res.status(400).json({
+        success: false,
+        message: "Month must be between 1 and 12",
+      });
+    }
+
+    let buildings;
+    if (buildingCode) {
+      const building = await findAdminBuilding(adminId, buildingCode);
+      if (!building) {
+        return res.status(404).json({
+          success: false,
+          message: "Building not found or access denied",
+        });
+      }
+      buildings = [building];
+    } else {
+      buildings = await Apartment.find({ createdBy: adminId, isActive: true });
+    }
+
+    const reconciliation = await Promise.all(
+      buildings.map((building) =>
+        getBuildingReconciliation(building, month, year)
+      )
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: { month, year },
+        buildings: reconciliation,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [BILLING] Reconciliation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error building reconciliation",
+    });
+  }
+};
+
+// @desc    Start an online payment for an invoice
+// @route   POST /api/billing/invoices/:id/pay
+// @access  Private (Resident - own invoices)
+const createPaymentOrder = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      resident: userId,
+    });
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: "Invoice not found",
+      });
+    }
+
+    if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invoice is ${invoice.status.toLowerCase()} and cannot be paid online`,
+      });
+    }
+
+    const { order, checkout } = await createInvoiceOrder(
+      invoice,
+      req.body.provider
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Payment order created",
+      data: {
+        provider: order.provider,
+        orderId: order.orderId,
+        amount: order.amount,
+        currency: order.currency,
+        invoiceNumber: invoice.invoiceNumber,
+        checkout,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [BILLING] Create payment order error:", error);
+    const statusCode =
+      error.message === "Online payments are not configured" ? 503 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message:
+        statusCode === 503 ? error.message : "Error creating payment order",
+    });
+  }
+};
+
+// @desc    Verify the checkout callback and settle the payment
+// @route   POST /api/billing/payments/verify
+// @access  Private (Resident)
+const verifyOnlinePayment = async (req, res) => {
+  try {
+    const { provider, orderId, paymentId, signature } = req.body;
+
+    const result = await verifyCheckoutPayment({
+      provider,
+      orderId,
+      paymentId,
+      signature,
+      residentId: req.user.id,
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment order not found",
+      });
+    }
+
+    const invoice = await Invoice.findById(result.order.invoice);
+
+    res.status(200).json({
+      success: true,
+      message: result.duplicate
+        ? "Payment already processed"
+        : "Payment verified successfully",
+      data: {
+        orderId: result.order.orderId,
+        status: result.order.status,
+        payment: result.payment,
+        invoice,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [BILLING] Verify payment error:", error);
+    const clientErrors = ["Invalid payment signature", "Unknown payment provider"];
+    res.status(clientErrors.includes(error.message) ? 400 : 500).json({
+      success: false,
+      message: clientErrors.includes(error.message)
+        ? error.message
+        : "Error verifying payment",
+    });
+  }
+};
+
+// @desc    Payment gateway webhook (signed by the provider)
+// @route   POST /api/billing/webhooks/:provider
+// @access  Public (signature verified)
+const handlePaymentWebhook = async (req, res) => {
+  try {
+    const result = await handleWebhook(
+      req.params.provider,
+      req.rawBody,
+      req.body,
+      req.headers
+    );
+
+    if (result.status === "invalid_signature") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid webhook signature",
+      });
+    }
+
+    // Acknowledge duplicates and unrelated events so the provider stops retrying
+    res.status(200).json({
+      success: true,
+      status: result.status,
+    });
+  } catch (error) {
+    console.error("❌ [BILLING] Payment webhook error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error processing webhook",
+    });
+  }
+};
+
+// @desc    Refund an online payment through its gateway
+// @route   POST /api/billing/payments/:id/refund
+// @access  Private (Admin)
+const refundPayment = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { reason } = req.body;
+
+    const payment = await Payment.findById(req.params.id);
+    const buildingCodes = await getAdminBuildingCodes(adminId);
+    if (!payment || !buildingCodes.includes(payment.apartmentCode)) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found",
+      });
+    }
+
+    if (payment.method !== "Online" || payment.refundedAt) {
+      return res.status(400).json({
+        success: false,
+        message: payment.refundedAt
+          ? "Payment has already been refunded"
+          : "Only online payments can be refunded through the gateway",
+      });
+    }
+
+    const order = await refundOnlinePayment(payment, adminId);
+    if (!order) {
+      return res.status(409).json({
+        success: false,
+        message: "Payment has already been refunded or a refund is in progress",
+      });
+    }
+
+    await AuditLog.create({
+      action: "PAYMENT_REFUNDED",
+      description: `Online payment ${payment.receiptNumber} of ₹${payment.amount} refunded`,
+      performedBy: adminId,
+      targetEntity: "Payment",
+      targetId: payment._id,
+      metadata: {
+        provider: order.provider,
+        orderId: order.orderId,
+        refundId: order.refund.refundId,
+        reason: reason || null,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Payment refunded successfully",
+      data: { payment, refund: order.refund },
+    });
+  } catch (error) {
+    console.error("❌ [BILLING] Refund payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error refunding payment",
+    });
+  }
+};
+
+// @desc    List payments for admin's buildings
+// @route   GET /api/billing/payments
+// @access  Private (Admin)
+const getPayments = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { buildingCode, method, dateFrom, dateTo, page = 1, limit = 50 } =
+      req.query;
+
+    const buildingCodes = await getAdminBuildingCodes(adminId);
+    if (buildingCode && !buildingCodes.includes(buildingCode.toUpperCase())) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    const filter = {
+      apartmentCode: buildingCode
+        ? buildingCode.toUpperCase()
+        : { $in: buildingCodes },
+    };
+    if (method) filter.method = method;
+    if (dateFrom || dateTo) {
+      filter.paidAt = {};
+      if (dateFrom) filter.paidAt.$gte = new Date(dateFrom);
+      if (dateTo) filter.paidAt.$lte = new Date(dateTo);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const payments = await Payment.find(filter)
+      .populate("invoice", "invoiceNumber billingPeriod flat totalAmount status")
+      .populate("resident", "fullName phoneNumber flatNumber")
+      .populate("recordedBy", "fullName")
+      .sort({ paidAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Payment.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payments,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("❌ [BILLING] Get payments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching payments",
+    });
+  }
+};
+
+module.exports = {
+  generateInvoices,
+  applyLateFeesToInvoices,
+  getInvoices,
+  getMyInvoices,
+  getInvoice,
+  voidInvoice,
+  recordPayment,
+  recordResidentPayment,
+  getPaymentReceipt,
+  resendPaymentReceipt,
+  getReconciliation,
+  createPaymentOrder,
+  verifyOnlinePayment,
+  handlePaymentWebhook,
+  refundPayment,
+  getPayments,
+};
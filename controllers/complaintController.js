@@ -1,6 +1,7 @@
 const Complaint = require("../models/Complaint");
 const User = require("../models/User");
 const Staff = require("../models/Staff");
+const Apartment = require("../models/Apartment");
 const { emitToUser, emitToRoom } = require("../services/socketService");
 const {
   notifyTicketCreated,
@@ -13,6 +14,49 @@ const {
   notifyTicketReopened,
   notifyTicketCancelled,
 } = require("../services/ticketNotificationService");
+const {
+  calculateExpectedResolution,
+  recalculateComplaintSla,
+} = require("../services/slaService");
+const {
+  assignComplaint,
+  autoAssignComplaint,
+} = require("../services/assignmentService");
+const {
+  isHandoverOtpRequired,
+  sendHandoverOtp,
+  verifyHandoverOtp,
+} = require("../services/handoverService");
+const {
+  findSubCategory,
+  validateSubCategory,
+  getRequiredSpecialization,
+  getCategoryPicker,
+} = require("../services/complaintTaxonomyService");
+const {
+  findPossibleDuplicates,
+  MERGEABLE_STATUSES,
+} = require("../services/complaintDuplicateService");
+const {
+  isFollowing,
+  addFollower,
+  removeFollower,
+  checkCanFollow,
+  UNFOLLOWABLE_STATUSES,
+} = require("../services/complaintFollowerService");
+const {
+  validateResumeAt,
+  startHold,
+  endHold,
+} = require("../services/complaintHoldService");
+const {
+  validateStatusTransition,
+  getComplaintWorkflow,
+  ROLE_PERMISSIONS,
+} = require("../services/statusTransitionService");
+const { cloudinaryUtils } = require("../config/cloudinary");
+const { DEFAULT_SLA_HOURS, COMMON_AREA_CATEGORIES } = require("../utils/constants");
+const { activeStatusQuery, FINISHED_STATUSES } = require("../utils/complaintWorkflow");
 
 // @desc    Create new complaint
 // @route   POST /api/complaints
@@ -21,7 +65,7 @@ const createComplaint = async (req, res) => {
   try {
     const userId = req.user.id;
     const userRole = req.user.role;
-    const complaintData = req.body;
+    const { ignoreDuplicates, followComplaintId, ...complaintData } = req.body;
 
     // STRICT: Only residents can create complaints
     if (userRole !== "resident") {
@@ -51,10 +95,107 @@ const createComplaint = async (req, res) => {
       });
     }
 
+    // Follow an existing ticket for the same issue instead of raising a new one
+    if (followComplaintId) {
+      const existing = await Complaint.findOne({
+        _id: followComplaintId,
+        status: { $in: MERGEABLE_STATUSES },
+      });
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: "Ticket to follow not found or no longer open",
+          errorCode: 'COMPLAINT_NOT_FOUND',
+        });
+      }
+
+      // Same rules as following directly - only common-area tickets of the resident's building
+      const check = await checkCanFollow(existing, user);
+      if (!check.allowed && check.errorCode !== 'OWN_COMPLAINT') {
+        return res.status(check.errorCode === 'COMPLAINT_NOT_FOUND' ? 404 : 400).json({
+          success: false,
+          message: check.message,
+          errorCode: check.errorCode,
+        });
+      }
+
+      const added = check.allowed && addFollower(existing, userId, "duplicate");
+      if (added) await existing.save();
+
+      return res.status(200).json({
+        success: true,
+        message: added
+          ? `You are now following ticket ${existing.ticketNumber}`
+          : `You already get updates for ticket ${existing.ticketNumber}`,
+        data: {
+          followed: true,
+          complaint: {
+            _id: existing._id,
+            ticketNumber: existing.ticketNumber,
+            title: existing.title,
+            status: existing.status,
+            followerCount: existing.followers.length,
+          },
+        },
+      });
+    }
+
+    const building = user.apartmentCode
+      ? await Apartment.findOne({ code: user.apartmentCode })
+      : null;
+
+    // Sub-category must come from the building's taxonomy when it has one for the category
+    const subCategoryError = validateSubCategory(building, complaintData);
+    if (subCategoryError) {
+      return res.status(400).json({
+        success: false,
+        message: subCategoryError,
+        errorCode: 'INVALID_SUB_CATEGORY',
+      });
+    }
+
+    // Offer likely duplicates before raising a new ticket (resubmit with ignoreDuplicates to skip)
+    if (!ignoreDuplicates) {
+      const duplicates = await findPossibleDuplicates({
+        apartmentCode: user.apartmentCode,
+        category: complaintData.category,
+        title: complaintData.title,
+        description: complaintData.description,
+        location: {
+          ...complaintData.location,
+          wing: user.wing,
+          flatNumber: user.flatNumber,
+        },
+      });
+
+      if (duplicates.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: "This issue may already be reported. Follow an existing ticket or submit again to raise a new one.",
+          errorCode: 'POSSIBLE_DUPLICATE',
+          data: {
+            duplicates: duplicates.map(({ complaint, score, reasons }) => ({
+              _id: complaint._id,
+              ticketNumber: complaint.ticketNumber,
+              title: complaint.title,
+              status: complaint.status,
+              priority: complaint.priority,
+              specificLocation: complaint.location?.specificLocation,
+              createdAt: complaint.createdAt,
+              followerCount: complaint.followers?.length || 0,
+              isOwnComplaint: complaint.createdBy.toString() === userId,
+              score,
+              reasons,
+            })),
+          },
+        });
+      }
+    }
+
     // Check if user has too many active complaints
     const activeComplaintsCount = await Complaint.countDocuments({
       createdBy: userId,
-      status: { $in: ["Open", "Assigned", "In Progress"] },
+      status: activeStatusQuery(),
     });
 
     if (activeComplaintsCount >= 5) {
@@ -64,12 +205,30 @@ const createComplaint = async (req, res) => {
       });
     }
 
+    // Sub-category defaults from the building's taxonomy (validated above)
+    const subCategoryRule = findSubCategory(building, complaintData.category, complaintData.subCategory);
+    const priority = complaintData.priority || subCategoryRule?.defaultPriority || "Medium";
+
+    // SLA target from the building's policy (category x priority, business hours)
+    const sla = calculateExpectedResolution(
+      building,
+      complaintData.category,
+      priority,
+      new Date(),
+      subCategoryRule?.name
+    );
+
     // Create complaint with user location
     // Status is always "Open" for new complaints (enforced)
     const complaint = await Complaint.create({
       ...complaintData,
+      subCategory: subCategoryRule?.name || complaintData.subCategory,
+      priority,
+      specialization: getRequiredSpecialization(complaintData.category, subCategoryRule),
       status: "Open", // Always "Open" - enforced regardless of input
       createdBy: userId,
+      apartmentCode: user.apartmentCode,
+      sla,
       location: {
         ...complaintData.location,
         wing: user.wing || complaintData.location?.wing,
@@ -87,6 +246,15 @@ const createComplaint = async (req, res) => {
     // Send comprehensive notifications (Push + Email + Socket)
     await notifyTicketCreated(complaint);
 
+    // Hand the ticket straight to the best-ranked staff member if the building opted in
+    if (building?.autoAssignment?.enabled) {
+      try {
+        await autoAssignComplaint(complaint, { building });
+      } catch (assignError) {
+        console.error("Auto-assignment error:", assignError);
+      }
+    }
+
     res.status(201).json({
       success: true,
       message: "Complaint submitted successfully",
@@ -102,6 +270,32 @@ const createComplaint = async (req, res) => {
   }
 };
 
+// @desc    Get the complaint categories and sub-categories for the user's building (category picker)
+// @route   GET /api/complaints/taxonomy
+// @access  Private
+const getComplaintTaxonomy = async (req, res) => {
+  try {
+    const building = req.user.apartmentCode
+      ? await Apartment.findOne({ code: req.user.apartmentCode }).select("code complaintTaxonomy")
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        buildingCode: building?.code || null,
+        categories: getCategoryPicker(building),
+        updatedAt: building?.complaintTaxonomy?.updatedAt || null,
+      },
+    });
+  } catch (error) {
+    console.error("Get complaint taxonomy error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching complaint categories",
+    });
+  }
+};
+
 // @desc    Get user's complaints
 // @route   GET /api/complaints/my-complaints
 // @access  Private (Resident)
@@ -167,11 +361,12 @@ const getComplaint = async (req, res) => {
     let complaint;
 
     if (userRole === "resident") {
-      // Residents can only see their own complaints
-      complaint = await Complaint.findOne({
-        _id: complaintId,
-        createdBy: userId,
-      });
+      // Residents see their own complaints, tickets they follow and their building's common-area tickets
+      const visibleTo = [{ createdBy: userId }, { "followers.user": userId }];
+      if (req.user.apartmentCode) {
+        visibleTo.push({ apartmentCode: req.user.apartmentCode, category: { $in: COMMON_AREA_CATEGORIES } });
+      }
+      complaint = await Complaint.findOne({ _id: complaintId, $or: visibleTo });
     } else if (userRole === "staff") {
       // Staff can see assigned complaints
       const staff = await Staff.findOne({ user: userId });
@@ -182,6 +377,13 @@ const getComplaint = async (req, res) => {
     } else if (userRole === "admin") {
       // Admins can see all complaints
       complaint = await Complaint.findById(complaintId);
+    } else if (userRole === "security" && req.user.apartmentCode) {
+      // Guards see their building's complaints in the categories they follow
+      complaint = await Complaint.findOne({
+        _id: complaintId,
+        apartmentCode: req.user.apartmentCode,
+        category: { $in: ROLE_PERMISSIONS.security.viewableCategories },
+      });
     }
 
     if (!complaint) {
@@ -209,10 +411,48 @@ const getComplaint = async (req, res) => {
     await complaint.populate("cancelledBy", "fullName role");
     await complaint.populate("internalNotes.addedBy", "fullName role");
     await complaint.populate("adminMedia.uploadedBy", "fullName role");
+    await complaint.populate({
+      path: "assignmentHistory.staff",
+      select: "user employeeId",
+      populate: { path: "user", select: "fullName" },
+    });
+    await complaint.populate("assignmentHistory.performedBy", "fullName role");
+    await complaint.populate("parentComplaint", "ticketNumber title status");
+    await complaint.populate("childComplaints", "ticketNumber title createdAt");
+
+    const followerCount = complaint.followers.length;
+    const isOwnComplaint = complaint.createdBy?._id?.toString() === userId;
+
+    // Other residents and guards get the public view - no reporter contact details, internal notes or follower list
+    if ((userRole === "resident" && !isOwnComplaint) || userRole === "security") {
+      const publicView = complaint.toObject();
+      delete publicView.internalNotes;
+      delete publicView.followers;
+      publicView.createdBy = complaint.createdBy && {
+        _id: complaint.createdBy._id,
+        fullName: complaint.createdBy.fullName,
+        wing: complaint.createdBy.wing,
+      };
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          complaint: publicView,
+          followerCount,
+          isFollowing: isFollowing(complaint, userId),
+          isOwnComplaint: false,
+        },
+      });
+    }
 
     res.status(200).json({
       success: true,
-      data: { complaint },
+      data: {
+        complaint,
+        followerCount,
+        isFollowing: isFollowing(complaint, userId),
+        isOwnComplaint,
+      },
     });
   } catch (error) {
     console.error("Get complaint error:", error);
@@ -223,6 +463,170 @@ const getComplaint = async (req, res) => {
   }
 };
 
+// @desc    Open common-area tickets in the resident's building (to follow instead of re-reporting)
+// @route   GET /api/complaints/common-area
+// @access  Private (Resident)
+const getCommonAreaComplaints = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { page = 1, limit = 10, category } = req.query;
+
+    if (!req.user.apartmentCode) {
+      return res.status(400).json({
+        success: false,
+        message: "You are not linked to a building",
+      });
+    }
+
+    if (category && !COMMON_AREA_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Category must be one of: ${COMMON_AREA_CATEGORIES.join(", ")}`,
+      });
+    }
+
+    const filter = {
+      apartmentCode: req.user.apartmentCode,
+      category: category || { $in: COMMON_AREA_CATEGORIES },
+      status: { $nin: UNFOLLOWABLE_STATUSES },
+      parentComplaint: { $exists: false },
+    };
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const complaints = await Complaint.find(filter)
+      .select("ticketNumber title category subCategory status priority location createdBy followers createdAt")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Complaint.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        complaints: complaints.map((complaint) => ({
+          _id: complaint._id,
+          ticketNumber: complaint.ticketNumber,
+          title: complaint.title,
+          category: complaint.category,
+          subCategory: complaint.subCategory,
+          status: complaint.status,
+          priority: complaint.priority,
+          specificLocation: complaint.location?.specificLocation,
+          wing: complaint.location?.wing,
+          createdAt: complaint.createdAt,
+          followerCount: complaint.followers.length,
+          isFollowing: isFollowing(complaint, userId),
+          isOwnComplaint: complaint.createdBy.toString() === userId,
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get common-area complaints error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching common-area complaints",
+    });
+  }
+};
+
+// @desc    Follow a common-area complaint to get its status, work-update and resolution notifications
+// @route   POST /api/complaints/:id/follow
+// @access  Private (Resident)
+const followComplaint = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const complaint = await Complaint.findById(req.params.id);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: "Complaint not found",
+        errorCode: 'COMPLAINT_NOT_FOUND',
+      });
+    }
+
+    const check = await checkCanFollow(complaint, req.user);
+    if (!check.allowed) {
+      return res.status(check.errorCode === 'COMPLAINT_NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: check.message,
+        errorCode: check.errorCode,
+      });
+    }
+
+    const added = addFollower(complaint, userId, "follow");
+    if (added) await complaint.save();
+
+    res.status(200).json({
+      success: true,
+      message: added
+        ? `You are now following ticket ${complaint.ticketNumber}`
+        : `You already follow ticket ${complaint.ticketNumber}`,
+      data: {
+        complaintId: complaint._id,
+        ticketNumber: complaint.ticketNumber,
+        followerCount: complaint.followers.length,
+        isFollowing: true,
+      },
+    });
+  } catch (error) {
+    console.error("Follow complaint error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error following complaint",
+    });
+  }
+};
+
+// @desc    Stop following a complaint
+// @route   DELETE /api/complaints/:id/follow
+// @access  Private (Resident)
+const unfollowComplaint = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const complaint = await Complaint.findOne({
+      _id: req.params.id,
+      "followers.user": userId,
+    });
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: "You are not following this complaint",
+      });
+    }
+
+    removeFollower(complaint, userId);
+    await complaint.save();
+
+    res.status(200).json({
+      success: true,
+      message: `You no longer follow ticket ${complaint.ticketNumber}`,
+      data: {
+        complaintId: complaint._id,
+        ticketNumber: complaint.ticketNumber,
+        followerCount: complaint.followers.length,
+        isFollowing: false,
+      },
+    });
+  } catch (error) {
+    console.error("Unfollow complaint error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error unfollowing complaint",
+    });
+  }
+};
+
 // @desc    Add work update to complaint (Staff)
 // @route   POST /api/complaints/:id/work-updates
 // @access  Private (Staff)
@@ -297,7 +701,7 @@ const updateComplaintStatus = async (req, res) => {
     const complaintId = req.params.id;
     const userId = req.user.id;
     const userRole = req.user.role;
-    const { status, description, reason } = req.body;
+    const { status, description, reason, holdReasonCategory, resumeAt, handoverOverrideReason } = req.body;
 
     // Get client IP and user agent for audit
     const ipAddress = req.ip || req.connection.remoteAddress;
@@ -318,6 +722,7 @@ const updateComplaintStatus = async (req, res) => {
     // Import validation service
     const {
       validateStatusTransition,
+      getComplaintWorkflow,
     } = require('../services/statusTransitionService');
 
     // Validate status transition with role-based rules
@@ -328,8 +733,10 @@ const updateComplaintStatus = async (req, res) => {
       {
         complaint,
         userId,
+        workflow: await getComplaintWorkflow(complaint),
         isOwnComplaint,
         hasComment: !!(description || reason),
+        holdReasonCategory,
       }
     );
 
@@ -341,6 +748,15 @@ const updateComplaintStatus = async (req, res) => {
       });
     }
 
+    const resumeAtError = status === "On Hold" ? validateResumeAt(resumeAt) : null;
+    if (resumeAtError) {
+      return res.status(400).json({
+        success: false,
+        message: resumeAtError,
+        errorCode: 'INVALID_RESUME_DATE',
+      });
+    }
+
     // Only admin can update status - route is already protected by authorize("admin")
     if (userRole !== "admin") {
       return res.status(403).json({
@@ -350,10 +766,29 @@ const updateComplaintStatus = async (req, res) => {
       });
     }
 
+    // Resolving without the resident's handover code needs a recorded reason
+    const handoverOverridden = status === "Resolved" && await isHandoverOtpRequired(complaint);
+    const overrideReason = (handoverOverrideReason || "").trim();
+    if (handoverOverridden && overrideReason.length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: "This ticket needs the resident's handover code - give a reason (at least 10 characters) to resolve it without one",
+        errorCode: 'HANDOVER_OVERRIDE_REASON_REQUIRED',
+      });
+    }
+
     // Get old status before update
     const oldStatus = complaint.status;
     const commentText = description || reason || `Status changed from ${oldStatus} to ${status}`;
 
+    // Pause or restart the SLA clock around holds
+    if (oldStatus === "On Hold") {
+      await endHold(complaint, { resumedBy: userId });
+    }
+    if (status === "On Hold") {
+      startHold(complaint, { reasonCategory: holdReasonCategory, reason: description || reason, resumeAt, heldBy: userId });
+    }
+
     // Update status with timeline and audit history
     await complaint.updateStatus(status, commentText, userId, {
       updatedByRole: userRole,
@@ -361,6 +796,11 @@ const updateComplaintStatus = async (req, res) => {
       userAgent,
       metadata: {
         previousStatus: oldStatus,
+        holdReasonCategory: status === "On Hold" ? holdReasonCategory : undefined,
+        resumeAt: status === "On Hold" ? complaint.hold.resumeAt : undefined,
+        handoverOtpRequired: handoverOverridden || undefined,
+        handoverOtpConfirmed: handoverOverridden ? false : undefined,
+        handoverOverrideReason: handoverOverridden ? overrideReason : undefined,
       },
     });
 
@@ -404,6 +844,277 @@ const updateComplaintStatus = async (req, res) => {
   }
 };
 
+// @desc    Update status of a ticket assigned to the requesting staff member
+// @route   PUT /api/complaints/:id/staff-status
+// @access  Private (Staff - assigned tickets only)
+const updateStaffStatus = async (req, res) => {
+  const files = req.files || [];
+
+  // Photos are already on Cloudinary - remove them if we reject the request
+  const discardUploads = async () => {
+    if (files.length > 0) {
+      await cloudinaryUtils.deleteFiles(files.map((file) => file.filename));
+    }
+  };
+
+  try {
+    const complaintId = req.params.id;
+    const userId = req.user.id;
+    const { status, description, resolutionNotes, holdReasonCategory, resumeAt } = req.body;
+
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('user-agent');
+
+    const staff = await Staff.findOne({ user: userId }).populate("user", "fullName");
+    if (!staff) {
+      await discardUploads();
+      return res.status(404).json({
+        success: false,
+        message: "Staff profile not found",
+      });
+    }
+
+    const complaint = await Complaint.findById(complaintId);
+    if (!complaint) {
+      await discardUploads();
+      return res.status(404).json({
+        success: false,
+        message: "Complaint not found",
+        errorCode: 'COMPLAINT_NOT_FOUND',
+      });
+    }
+
+    const requiresHandoverOtp = status === "Resolved" && await isHandoverOtpRequired(complaint);
+
+    // Staff permissions are checked against the Staff id, not the User id
+    const validation = validateStatusTransition(complaint.status, status, "staff", {
+      complaint,
+      userId: staff._id,
+      workflow: await getComplaintWorkflow(complaint),
+      hasComment: !!(description || resolutionNotes),
+      requiresHandoverOtp,
+      hasHandoverOtp: !!req.body.handoverOtp,
+      holdReasonCategory,
+    });
+
+    if (!validation.valid) {
+      await discardUploads();
+      return res.status(400).json({
+        success: false,
+        message: validation.error,
+        errorCode: validation.errorCode,
+      });
+    }
+
+    const resumeAtError = status === "On Hold" ? validateResumeAt(resumeAt) : null;
+    if (resumeAtError) {
+      await discardUploads();
+      return res.status(400).json({
+        success: false,
+        message: resumeAtError,
+        errorCode: 'INVALID_RESUME_DATE',
+      });
+    }
+
+    // Photos: uploaded with this request and/or already on this ticket ({ url, publicId })
+    let existingImages = req.body.images || [];
+    if (typeof existingImages === "string") {
+      try {
+        existingImages = JSON.parse(existingImages);
+      } catch (err) {
+        existingImages = [];
+      }
+    }
+
+    // Previously uploaded photos only count when they belong to this ticket's work updates or media
+    const ticketImages = [
+      ...complaint.workUpdates.flatMap((update) => update.images || []),
+      ...complaint.media.filter((item) => item.type === "image"),
+    ];
+    const findTicketImage = (image) => ticketImages.find((ticketImage) =>
+      (image.publicId && ticketImage.publicId === image.publicId) ||
+      (!image.publicId && ticketImage.url === image.url)
+    );
+
+    const images = [
+      ...(Array.isArray(existingImages) ? existingImages : [])
+        .filter((image) => image && image.url)
+        .map(findTicketImage)
+        .filter(Boolean)
+        .map((image) => ({ url: image.url, publicId: image.publicId })),
+      ...files.map((file) => ({ url: file.path, publicId: file.filename })),
+    ];
+
+    const notes = (resolutionNotes || description || "").trim();
+
+    if (status === "Resolved") {
+      if (notes.length < 10) {
+        await discardUploads();
+        return res.status(400).json({
+          success: false,
+          message: "Resolution notes (at least 10 characters) are required to resolve a ticket",
+          errorCode: 'RESOLUTION_NOTES_REQUIRED',
+        });
+      }
+
+      if (images.length === 0) {
+        await discardUploads();
+        return res.status(400).json({
+          success: false,
+          message: "At least one photo of the completed work is required to resolve a ticket",
+          errorCode: 'RESOLUTION_PHOTO_REQUIRED',
+        });
+      }
+    }
+
+    // Handover code - required per category by the building, recorded whenever it is entered
+    let handover = null;
+    if (status === "Resolved") {
+      if (req.body.handoverOtp) {
+        const verification = await verifyHandoverOtp(complaint, req.body.handoverOtp);
+        if (!verification.isValid) {
+          await discardUploads();
+          return res.status(400).json({
+            success: false,
+            message: `Handover code: ${verification.message}`,
+            errorCode: 'INVALID_HANDOVER_OTP',
+          });
+        }
+      }
+
+      handover = { required: requiresHandoverOtp, confirmed: Boolean(req.body.handoverOtp) };
+      complaint.resolution.description = notes;
+      complaint.resolution.images = images;
+    }
+
+    // Starting work counts as accepting the assignment
+    if (status === "In Progress" && complaint.assignedTo.acceptanceStatus === "Pending") {
+      complaint.assignedTo.acceptanceStatus = "Accepted";
+      complaint.assignedTo.acceptedAt = new Date();
+      complaint.assignedTo.acceptBy = undefined;
+      complaint.assignmentHistory.push({
+        staff: staff._id,
+        action: "Accepted",
+        performedBy: userId,
+        performedByRole: "staff",
+      });
+    }
+
+    const oldStatus = complaint.status;
+    const commentText = notes || `Status changed from ${oldStatus} to ${status}`;
+
+    // Pause or restart the SLA clock around holds
+    if (oldStatus === "On Hold") {
+      await endHold(complaint, { resumedBy: userId });
+    }
+    if (status === "On Hold") {
+      startHold(complaint, { reasonCategory: holdReasonCategory, reason: notes, resumeAt, heldBy: userId });
+    }
+
+    await complaint.updateStatus(status, commentText, userId, {
+      updatedByRole: "staff",
+      ipAddress,
+      userAgent,
+      metadata: {
+        previousStatus: oldStatus,
+        staffId: staff._id,
+        holdReasonCategory: status === "On Hold" ? holdReasonCategory : undefined,
+        resumeAt: status === "On Hold" ? complaint.hold.resumeAt : undefined,
+        photoCount: status === "Resolved" ? images.length : undefined,
+        handoverOtpRequired: handover?.required,
+        handoverOtpConfirmed: handover?.confirmed,
+      },
+    });
+
+    await updateSLATimers(complaint, oldStatus, status);
+
+    // Populate for response and notifications
+    await complaint.populate("createdBy", "fullName phoneNumber email apartmentCode wing flatNumber floorNumber notificationPreferences fcmToken");
+    await complaint.populate({
+      path: "assignedTo.staff",
+      populate: { path: "user", select: "fullName phoneNumber email notificationPreferences fcmToken" },
+    });
+
+    await notifyStatusUpdate(complaint, oldStatus, status, userId, {
+      updatedByName: staff.user?.fullName || 'Staff',
+      updatedAt: new Date().toISOString(),
+    });
+
+    if (status === "Resolved") {
+      await notifyTicketResolved(complaint, userId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Complaint status updated successfully",
+      data: { complaint },
+    });
+  } catch (error) {
+    console.error("Staff status update error:", error);
+    await discardUploads().catch(() => {});
+    res.status(500).json({
+      success: false,
+      message: "Error updating complaint status",
+      errorCode: 'INTERNAL_ERROR',
+    });
+  }
+};
+
+// @desc    Send the resident a handover code to confirm the work is done
+// @route   POST /api/complaints/:id/handover-otp
+// @access  Private (Staff - assigned tickets only)
+const requestHandoverOtp = async (req, res) => {
+  try {
+    const staff = await Staff.findOne({ user: req.user.id });
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: "Staff profile not found",
+      });
+    }
+
+    const complaint = await Complaint.findOne({
+      _id: req.params.id,
+      "assignedTo.staff": staff._id,
+    });
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: "Complaint not found or not assigned to you",
+      });
+    }
+
+    if (complaint.status !== "In Progress") {
+      return res.status(400).json({
+        success: false,
+        message: "A handover code can only be requested while the ticket is In Progress",
+      });
+    }
+
+    const { sent, message, channels, expiresAt } = await sendHandoverOtp(complaint);
+    if (!sent) {
+      return res.status(429).json({
+        success: false,
+        message,
+        errorCode: 'HANDOVER_OTP_LIMITED',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Handover code sent to the resident",
+      data: { channels, expiresAt },
+    });
+  } catch (error) {
+    console.error("Request handover OTP error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error sending handover code",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 // Helper function to update SLA timers
 const updateSLATimers = async (complaint, oldStatus, newStatus) => {
   try {
@@ -414,14 +1125,8 @@ const updateSLATimers = async (complaint, oldStatus, newStatus) => {
         complaint.sla.inProgressAt = new Date();
         // Update expected resolution if not set
         if (!complaint.sla.expectedResolution) {
-          const slaHours = {
-            Emergency: 2,
-            High: 24,
-            Medium: 72,
-            Low: 168,
-          };
           complaint.sla.expectedResolution = new Date(
-            Date.now() + (slaHours[complaint.priority] || 72) * 60 * 60 * 1000
+            Date.now() + (DEFAULT_SLA_HOURS[complaint.priority] || 72) * 60 * 60 * 1000
           );
         }
       }
@@ -434,9 +1139,10 @@ const updateSLATimers = async (complaint, oldStatus, newStatus) => {
       complaint.sla.isBreached =
         complaint.sla.actualResolution > (complaint.sla.expectedResolution || new Date());
       
-      // Calculate resolution time
+      // Calculate resolution time, leaving out time spent on hold
       const createdAt = complaint.createdAt || new Date();
-      const resolutionTime = complaint.sla.actualResolution - createdAt;
+      const heldMs = (complaint.sla.heldHours || 0) * 60 * 60 * 1000;
+      const resolutionTime = complaint.sla.actualResolution - createdAt - heldMs;
       complaint.sla.resolutionTimeHours = Math.round((resolutionTime / (1000 * 60 * 60)) * 10) / 10;
     }
 
@@ -533,11 +1239,17 @@ const updateStaffPerformance = async (staffId) => {
         _id: null,
         totalComplaints: { $sum: 1 },
         averageRating: { $avg: "$rating.score" },
+        // Time on hold is not counted against staff
         averageResolutionTime: {
           $avg: {
-            $divide: [
-              { $subtract: ["$resolution.resolvedAt", "$createdAt"] },
-              1000 * 60 * 60, // Convert to hours
+            $subtract: [
+              {
+                $divide: [
+                  { $subtract: ["$resolution.resolvedAt", "$createdAt"] },
+                  1000 * 60 * 60, // Convert to hours
+                ],
+              },
+              { $ifNull: ["$sla.heldHours", 0] },
             ],
           },
         },
@@ -596,14 +1308,21 @@ const assignTicket = async (req, res) => {
     }
 
     // Get staff record
-    const staff = await Staff.findById(staffId);
-    if (!staff) {
+    const staff = await Staff.findById(staffId).populate("user", "fullName");
+    if (!staff || !staff.isActive) {
       return res.status(404).json({
         success: false,
         message: "Staff not found",
       });
     }
 
+    if (complaint.assignedTo?.staff?.toString() === staff._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "Ticket is already assigned to this staff member",
+      });
+    }
+
     // Check if staff is available
     if (!staff.isAvailable()) {
       return res.status(400).json({
@@ -612,28 +1331,21 @@ const assignTicket = async (req, res) => {
       });
     }
 
-    // Assign ticket
-    complaint.assignedTo = {
-      staff: staffId,
-      assignedAt: new Date(),
-      assignedBy: userId,
-    };
-
-    // Update status to Assigned if it was Open
-    if (complaint.status === "Open" || complaint.status === "Reopened") {
-      await complaint.updateStatus(
-        "Assigned",
-        note || `Ticket assigned to ${staff.user.fullName || "staff"}`,
-        userId
-      );
-    } else {
-      await complaint.save();
+    // Assign ticket - moves workload off any previous assignee
+    const assigned = await assignComplaint(complaint, staff, {
+      performedBy: userId,
+      performedByRole: req.user.role,
+      reason: note,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+    if (!assigned) {
+      return res.status(400).json({
+        success: false,
+        message: "Staff member is not available",
+      });
     }
 
-    // Update staff workload
-    staff.currentWorkload.activeComplaints += 1;
-    await staff.save();
-
     // Populate for response
     await complaint.populate("assignedTo.staff", "user specialization");
     await complaint.populate({
@@ -661,6 +1373,107 @@ const assignTicket = async (req, res) => {
   }
 };
 
+// @desc    Reassign ticket to a different staff member
+// @route   POST /api/complaints/:id/reassign
+// @access  Private (Admin)
+const reassignTicket = async (req, res) => {
+  try {
+    const complaintId = req.params.id;
+    const userId = req.user.id;
+    const { staffId, reason } = req.body;
+
+    if (!staffId || !reason || reason.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "staffId and reason are required to reassign a ticket",
+      });
+    }
+
+    const complaint = await Complaint.findById(complaintId);
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: "Complaint not found",
+      });
+    }
+
+    if (!complaint.assignedTo?.staff) {
+      return res.status(400).json({
+        success: false,
+        message: "Ticket is not assigned yet - use assign instead",
+      });
+    }
+
+    if (FINISHED_STATUSES.includes(complaint.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reassign a ticket with status ${complaint.status}`,
+      });
+    }
+
+    if (complaint.assignedTo.staff.toString() === staffId) {
+      return res.status(400).json({
+        success: false,
+        message: "Ticket is already assigned to this staff member",
+      });
+    }
+
+    const staff = await Staff.findById(staffId).populate("user", "fullName");
+    if (!staff || !staff.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Staff not found",
+      });
+    }
+
+    if (!staff.isAvailable()) {
+      return res.status(400).json({
+        success: false,
+        message: "Staff member is not available",
+      });
+    }
+
+    const previousStaffId = complaint.assignedTo.staff;
+    const assigned = await assignComplaint(complaint, staff, {
+      performedBy: userId,
+      performedByRole: req.user.role,
+      reason: reason.trim(),
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+    if (!assigned) {
+      return res.status(400).json({
+        success: false,
+        message: "Staff member is not available",
+      });
+    }
+
+    // Populate for response
+    await complaint.populate("assignedTo.staff", "user specialization");
+    await complaint.populate({
+      path: "assignedTo.staff",
+      populate: { path: "user", select: "fullName phoneNumber profilePicture email notificationPreferences fcmToken" },
+    });
+    await complaint.populate("createdBy", "fullName email notificationPreferences fcmToken");
+
+    // Send comprehensive notifications (Push + Email + Socket)
+    await notifyTicketAssigned(complaint, staffId, userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Ticket reassigned successfully",
+      data: { complaint, previousStaffId },
+    });
+  } catch (error) {
+    console.error("Reassign ticket error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error reassigning ticket",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 // @desc    Add comment to ticket
 // @route   POST /api/complaints/:id/comments
 // @access  Private
@@ -760,6 +1573,7 @@ const reopenTicket = async (req, res) => {
     // Import validation service
     const {
       validateStatusTransition,
+      getComplaintWorkflow,
     } = require('../services/statusTransitionService');
 
     // Validate status transition
@@ -770,6 +1584,7 @@ const reopenTicket = async (req, res) => {
       {
         complaint,
         userId,
+        workflow: await getComplaintWorkflow(complaint),
         isOwnComplaint,
         hasComment: !!(reason && reason.trim().length > 0),
       }
@@ -864,6 +1679,7 @@ const closeTicket = async (req, res) => {
     // Import validation service
     const {
       validateStatusTransition,
+      getComplaintWorkflow,
     } = require('../services/statusTransitionService');
 
     // Validate status transition
@@ -874,6 +1690,7 @@ const closeTicket = async (req, res) => {
       {
         complaint,
         userId,
+        workflow: await getComplaintWorkflow(complaint),
         isOwnComplaint,
         hasComment: !!(reason || userRole === "resident"), // Residents don't need reason, admins do
       }
@@ -976,6 +1793,7 @@ const cancelTicket = async (req, res) => {
     // Import validation service
     const {
       validateStatusTransition,
+      getComplaintWorkflow,
     } = require('../services/statusTransitionService');
 
     // Validate status transition
@@ -986,6 +1804,7 @@ const cancelTicket = async (req, res) => {
       {
         complaint,
         userId,
+        workflow: await getComplaintWorkflow(complaint),
         isOwnComplaint,
         hasComment: !!(reason && reason.trim().length > 0),
       }
@@ -999,6 +1818,11 @@ const cancelTicket = async (req, res) => {
       });
     }
 
+    // Close out any hold so its time is recorded
+    if (complaint.status === "On Hold") {
+      await endHold(complaint, { resumedBy: userId });
+    }
+
     // Cancel ticket with audit trail
     complaint.cancellationReason = reason;
     await complaint.updateStatus(
@@ -1361,8 +2185,12 @@ const updatePriority = async (req, res) => {
     }
 
     const oldPriority = complaint.priority;
+    const oldExpectedResolution = complaint.sla.expectedResolution;
     complaint.priority = priority;
 
+    // Re-target the SLA under the building policy for the new priority
+    await recalculateComplaintSla(complaint);
+
     // Add timeline entry
     complaint.timeline.push({
       status: complaint.status,
@@ -1370,6 +2198,23 @@ const updatePriority = async (req, res) => {
       updatedBy: userId,
     });
 
+    complaint.statusHistory.push({
+      fromStatus: complaint.status,
+      toStatus: complaint.status,
+      reason: reason || `Priority changed from ${oldPriority} to ${priority}`,
+      updatedBy: userId,
+      updatedByRole: userRole,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+      metadata: {
+        type: "priority_change",
+        fromPriority: oldPriority,
+        toPriority: priority,
+        previousExpectedResolution: oldExpectedResolution,
+        expectedResolution: complaint.sla.expectedResolution,
+      },
+    });
+
     await complaint.save();
 
     // Populate for response
@@ -1411,13 +2256,20 @@ const updatePriority = async (req, res) => {
 
 module.exports = {
   createComplaint,
+  getComplaintTaxonomy,
   getMyComplaints,
+  getCommonAreaComplaints,
+  followComplaint,
+  unfollowComplaint,
   getComplaint,
   getAllTickets,
   addWorkUpdate,
   updateComplaintStatus,
+  updateStaffStatus,
+  requestHandoverOtp,
   rateComplaint,
   assignTicket,
+  reassignTicket,
   addComment,
   reopenTicket,
   closeTicket,
@@ -1,6 +1,36 @@
 const Notice = require('../models/Notice');
 const User = require('../models/User');
+const Apartment = require('../models/Apartment');
 const { emitToUser, emitToRoom, broadcastToApartment } = require('../services/socketService');
+const {
+  sendNoticeNotifications,
+  buildFeedFilter,
+  isUserTargeted,
+  buildAcknowledgementReport,
+  deleteNoticeAttachments
+} = require('../services/noticeService');
+const { cloudinaryUtils } = require('../config/cloudinary');
+
+// Maximum attachments kept on one notice
+const MAX_NOTICE_ATTACHMENTS = 5;
+
+// Fields an admin may change on an existing notice - building, attachments and
+// engagement data are never taken from the request body
+const UPDATABLE_NOTICE_FIELDS = [
+  'title',
+  'content',
+  'category',
+  'priority',
+  'status',
+  'requiresAcknowledgement'
+];
+
+// Nested fields are merged key by key, so a partial update keeps the keys it leaves out
+const MERGED_NOTICE_FIELDS = {
+  targetAudience: ['type', 'wings', 'floors', 'flatNumbers', 'residents'],
+  schedule: ['publishAt', 'expireAt'],
+  acknowledgementReminders: ['pushAfterHours', 'smsAfterHours']
+};
 
 // @desc    Create new notice
 // @route   POST /api/notices
@@ -8,7 +38,7 @@ const { emitToUser, emitToRoom, broadcastToApartment } = require('../services/so
 const createNotice = async (req, res) => {
   try {
     const adminId = req.user.id;
-    const noticeData = req.body;
+    const { buildingCode, ...noticeData } = req.body;
 
     // Get admin's apartment code
     const admin = await User.findById(adminId);
@@ -19,16 +49,34 @@ const createNotice = async (req, res) => {
       });
     }
 
+    // Notices belong to one of the admin's buildings
+    const building = await Apartment.findOne({
+      code: (buildingCode || admin.apartmentCode || '').toUpperCase(),
+      createdBy: adminId,
+      isActive: true
+    });
+    if (!building) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid building code is required'
+      });
+    }
+
+    // Future notices are saved as drafts and published by the scheduler
+    const isScheduled = new Date(noticeData.schedule?.publishAt) > new Date();
+
     // Create notice
     const notice = await Notice.create({
       ...noticeData,
+      apartmentCode: building.code,
+      schedule: { ...noticeData.schedule, autoPublish: isScheduled },
       createdBy: adminId,
-      status: noticeData.schedule?.publishAt > new Date() ? 'Draft' : 'Published'
+      status: isScheduled ? 'Draft' : 'Published'
     });
 
     // If notice is published immediately, send notifications
     if (notice.status === 'Published') {
-      await sendNoticeNotifications(notice, admin.apartmentCode);
+      await sendNoticeNotifications(notice);
     }
 
     await notice.populate('createdBy', 'fullName');
@@ -76,6 +124,20 @@ const getNotices = async (req, res) => {
       ]
     };
 
+    // Only notices for the user's buildings and audience
+    if (user.role === 'admin') {
+      const buildings = await Apartment.find({ createdBy: user._id, isActive: true }).select('code');
+      filter.$and = [{
+        $or: [
+          { apartmentCode: { $in: buildings.map((b) => b.code) } },
+          { apartmentCode: { $exists: false }, createdBy: user._id }
+        ]
+      }];
+    } else {
+      const building = await Apartment.findOne({ code: user.apartmentCode }).select('createdBy');
+      filter.$and = buildFeedFilter(user, building?.createdBy).$and;
+    }
+
     if (category) filter.category = category;
     if (priority) filter.priority = priority;
 
@@ -112,6 +174,35 @@ const getNotices = async (req, res) => {
   }
 };
 
+// Helper to check whether a user may see a notice
+const canViewNotice = async (notice, user) => {
+  if (user.role === 'admin') {
+    if (!notice.apartmentCode) {
+      return notice.createdBy._id.toString() === user._id.toString();
+    }
+    const building = await Apartment.exists({ code: notice.apartmentCode, createdBy: user._id });
+    return !!building;
+  }
+
+  if (notice.status !== 'Published') return false;
+
+  // Legacy notices without a building fall back to the creator's building
+  if (!notice.apartmentCode) {
+    const building = await Apartment.findOne({ code: user.apartmentCode }).select('createdBy');
+    if (building?.createdBy?.toString() !== notice.createdBy._id.toString()) return false;
+    return isUserTargeted({ ...notice.toObject(), apartmentCode: user.apartmentCode }, user);
+  }
+
+  return isUserTargeted(notice, user);
+};
+
+// Helper to load a notice an admin manages
+const findAdminNotice = async (noticeId, admin) => {
+  const notice = await Notice.findById(noticeId);
+  if (!notice || !(await canViewNotice(notice, admin))) return null;
+  return notice;
+};
+
 // @desc    Get notice by ID
 // @route   GET /api/notices/:id
 // @access  Private
@@ -124,7 +215,7 @@ const getNotice = async (req, res) => {
       .populate('createdBy', 'fullName')
       .populate('readBy.user', 'fullName');
 
-    if (!notice) {
+    if (!notice || !(await canViewNotice(notice, req.user))) {
       return res.status(404).json({
         success: false,
         message: 'Notice not found'
@@ -153,10 +244,17 @@ const getNotice = async (req, res) => {
 // @access  Private (Admin)
 const updateNotice = async (req, res) => {
   try {
-    const noticeId = req.params.id;
     const updateData = req.body;
 
-    const notice = await Notice.findById(noticeId);
+    // A notice stays in the building it was created for
+    if (updateData.apartmentCode !== undefined || updateData.buildingCode !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'The building of a notice cannot be changed'
+      });
+    }
+
+    const notice = await findAdminNotice(req.params.id, req.user);
     if (!notice) {
       return res.status(404).json({
         success: false,
@@ -165,13 +263,34 @@ const updateNotice = async (req, res) => {
     }
 
     // Update notice
-    Object.keys(updateData).forEach(key => {
+    UPDATABLE_NOTICE_FIELDS.forEach(key => {
       if (updateData[key] !== undefined) {
         notice[key] = updateData[key];
       }
     });
 
+    Object.entries(MERGED_NOTICE_FIELDS).forEach(([key, subKeys]) => {
+      if (!updateData[key]) return;
+      subKeys.forEach(subKey => {
+        if (updateData[key][subKey] !== undefined) {
+          notice.set(`${key}.${subKey}`, updateData[key][subKey]);
+        }
+      });
+    });
+
+    // Rescheduling a draft re-arms (or cancels) its automatic publish
+    if (notice.status === 'Draft' && updateData.schedule?.publishAt !== undefined) {
+      notice.schedule.autoPublish = new Date(updateData.schedule.publishAt) > new Date();
+    }
+
+    const isArchiving = notice.isModified('status') && notice.status === 'Archived';
+
     await notice.save();
+
+    // Archived notices no longer need their files
+    if (isArchiving) {
+      await deleteNoticeAttachments(notice);
+    }
     await notice.populate('createdBy', 'fullName');
 
     res.status(200).json({
@@ -194,9 +313,7 @@ const updateNotice = async (req, res) => {
 // @access  Private (Admin)
 const publishNotice = async (req, res) => {
   try {
-    const noticeId = req.params.id;
-
-    const notice = await Notice.findById(noticeId);
+    const notice = await findAdminNotice(req.params.id, req.user);
     if (!notice) {
       return res.status(404).json({
         success: false,
@@ -213,13 +330,21 @@ const publishNotice = async (req, res) => {
       });
     }
 
+    if (notice.status === 'Published') {
+      return res.status(400).json({
+        success: false,
+        message: 'Notice is already published'
+      });
+    }
+
     // Publish notice
     notice.status = 'Published';
     notice.schedule.publishAt = new Date();
+    notice.schedule.autoPublish = false;
     await notice.save();
 
     // Send notifications
-    await sendNoticeNotifications(notice, admin.apartmentCode);
+    await sendNoticeNotifications(notice, notice.apartmentCode || admin.apartmentCode);
 
     res.status(200).json({
       success: true,
@@ -236,28 +361,210 @@ const publishNotice = async (req, res) => {
   }
 };
 
-// Helper function to send notice notifications
-const sendNoticeNotifications = async (notice, apartmentCode) => {
-  // Broadcast to all users in the apartment
-  broadcastToApartment(apartmentCode, 'new_notice', {
-    message: 'New notice published',
-    notice: {
-      id: notice._id,
-      title: notice.title,
-      category: notice.category,
-      priority: notice.priority,
-      publishAt: notice.schedule.publishAt
+// @desc    Acknowledge a notice
+// @route   POST /api/notices/:id/acknowledge
+// @access  Private (Resident)
+const acknowledgeNotice = async (req, res) => {
+  try {
+    const notice = await Notice.findById(req.params.id);
+
+    if (!notice || !(await canViewNotice(notice, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notice not found'
+      });
+    }
+
+    if (!notice.requiresAcknowledgement) {
+      return res.status(400).json({
+        success: false,
+        message: 'This notice does not require acknowledgement'
+      });
+    }
+
+    const isNew = await notice.acknowledge(req.user, req.ip);
+
+    if (isNew) {
+      emitToUser(notice.createdBy.toString(), 'notice_acknowledged', {
+        message: `${req.user.fullName} (${req.user.flatNumber}) acknowledged "${notice.title}"`,
+        noticeId: notice._id,
+        userId: req.user._id,
+        flatCode: req.user.flatCode,
+        acknowledgedCount: notice.acknowledgements.length
+      });
+    }
+
+    const acknowledgement = notice.acknowledgements.find(
+      ack => ack.user.toString() === req.user._id.toString()
+    );
+
+    res.status(200).json({
+      success: true,
+      message: isNew ? 'Notice acknowledged successfully' : 'Notice already acknowledged',
+      data: { acknowledgedAt: acknowledgement.acknowledgedAt }
+    });
+
+  } catch (error) {
+    console.error('Acknowledge notice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error acknowledging notice'
+    });
+  }
+};
+
+// @desc    Get per-flat acknowledgement report for a notice
+// @route   GET /api/notices/:id/acknowledgements
+// @access  Private (Admin)
+const getAcknowledgementReport = async (req, res) => {
+  try {
+    const notice = await Notice.findById(req.params.id);
+
+    if (!notice || !(await canViewNotice(notice, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notice not found'
+      });
+    }
+
+    const report = await buildAcknowledgementReport(notice);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notice: {
+          id: notice._id,
+          title: notice.title,
+          status: notice.status,
+          requiresAcknowledgement: notice.requiresAcknowledgement,
+          publishAt: notice.schedule.publishAt
+        },
+        ...report
+      }
+    });
+
+  } catch (error) {
+    console.error('Get acknowledgement report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching acknowledgement report'
+    });
+  }
+};
+
+// @desc    Upload attachments (PDF/images) to a notice
+// @route   POST /api/notices/:id/attachments
+// @access  Private (Admin)
+const uploadNoticeAttachments = async (req, res) => {
+  const files = req.files || [];
+
+  // Uploaded files are already on Cloudinary - remove them if we reject the request
+  const discardUploads = () => Promise.all(
+    files.map(file => cloudinaryUtils.deleteFile(file.filename, { resource_type: getResourceType(file) }))
+  );
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded'
+      });
+    }
+
+    const notice = await findAdminNotice(req.params.id, req.user);
+    if (!notice) {
+      await discardUploads();
+      return res.status(404).json({
+        success: false,
+        message: 'Notice not found'
+      });
+    }
+
+    if (notice.status === 'Archived') {
+      await discardUploads();
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot add attachments to an archived notice'
+      });
+    }
+
+    if (notice.attachments.length + files.length > MAX_NOTICE_ATTACHMENTS) {
+      await discardUploads();
+      return res.status(400).json({
+        success: false,
+        message: `A notice can have at most ${MAX_NOTICE_ATTACHMENTS} attachments`
+      });
+    }
+
+    files.forEach(file => {
+      notice.attachments.push({
+        name: file.originalname,
+        url: file.path, // secure_url from Cloudinary
+        publicId: file.filename, // public_id from Cloudinary
+        type: file.mimetype,
+        resourceType: getResourceType(file),
+        size: file.size,
+        uploadedBy: req.user._id
+      });
+    });
+    await notice.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${files.length} attachment(s) uploaded successfully`,
+      data: { attachments: notice.attachments }
+    });
+
+  } catch (error) {
+    console.error('Upload notice attachments error:', error);
+    await discardUploads().catch(() => {});
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading attachments'
+    });
+  }
+};
+
+// @desc    Remove an attachment from a notice
+// @route   DELETE /api/notices/:id/attachments/:attachmentId
+// @access  Private (Admin)
+const deleteNoticeAttachment = async (req, res) => {
+  try {
+    const notice = await findAdminNotice(req.params.id, req.user);
+    if (!notice || !notice.attachments.id(req.params.attachmentId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const { failed } = await deleteNoticeAttachments(notice, [req.params.attachmentId]);
+    if (failed.length > 0) {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not delete the file from storage, please try again'
+      });
     }
-  });
-
-  // Update engagement metrics
-  const totalUsers = await User.countDocuments({
-    apartmentCode,
-    status: 'active'
-  });
-  
-  notice.engagement.totalSent = totalUsers;
-  await notice.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Attachment removed successfully',
+      data: { attachments: notice.attachments }
+    });
+
+  } catch (error) {
+    console.error('Delete notice attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing attachment'
+    });
+  }
+};
+
+// Cloudinary resource type of an uploaded file, read from its delivery URL
+const getResourceType = (file) => {
+  const match = (file.path || '').match(/\/(image|video|raw)\/upload\//);
+  return match ? match[1] : 'image';
 };
 
 module.exports = {
@@ -265,5 +572,9 @@ module.exports = {
   getNotices,
   getNotice,
   updateNotice,
-  publishNotice
+  publishNotice,
+  acknowledgeNotice,
+  getAcknowledgementReport,
+  uploadNoticeAttachments,
+  deleteNoticeAttachment
 };
\ No newline at end of file
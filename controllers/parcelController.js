@@ -0,0 +1,380 @@
+const Parcel = require("../models/Parcel");
+const {
+  generatePickupCode,
+  notifyParcelArrived,
+  notifyParcelClosed,
+  buildParcelRegisterCsv,
+} = require("../services/parcelService");
+const { findFlatResidents } = require("../services/visitorService");
+const { findGateBuilding } = require("../services/securityService");
+const { cloudinaryUtils } = require("../config/cloudinary");
+const { PARCEL_STATUS } = require("../utils/constants");
+
+// Helper to load a parcel held at the gate of the user's building
+const findAccessibleParcel = async (parcelId, user) => {
+  const parcel = await Parcel.findById(parcelId);
+  if (!parcel) return null;
+
+  const building = await findGateBuilding(user, parcel.apartmentCode);
+  return building && building.code === parcel.apartmentCode ? parcel : null;
+};
+
+// @desc    Log a delivery at the security room and notify the flat
+// @route   POST /api/parcels
+// @access  Private (Security, Admin)
+const logParcel = async (req, res) => {
+  try {
+    const { buildingCode, wing, flatNumber, ...parcelData } = req.body;
+
+    // Drop the parcel photo when the delivery cannot be logged
+    const discardPhoto = async () => {
+      if (req.file) await cloudinaryUtils.deleteFile(req.file.filename);
+    };
+
+    const building = await findGateBuilding(req.user, buildingCode);
+    if (!building) {
+      await discardPhoto();
+      return res.status(400).json({
+        success: false,
+        message: "A valid building code is required",
+      });
+    }
+
+    const flat = { wing: wing.toUpperCase(), flatNumber: flatNumber.toUpperCase() };
+    const residents = await findFlatResidents(building.code, flat);
+    if (residents.length === 0) {
+      await discardPhoto();
+      return res.status(404).json({
+        success: false,
+        message: `No active residents found for flat ${flat.wing}-${flat.flatNumber}`,
+      });
+    }
+
+    const parcel = await Parcel.create({
+      ...parcelData,
+      apartmentCode: building.code,
+      flat: { ...flat, flatCode: residents[0].flatCode },
+      photo: req.file ? { url: req.file.path, publicId: req.file.filename } : undefined,
+      receivedBy: req.user._id,
+      pickupCode: await generatePickupCode(building.code),
+    });
+
+    const residentsNotified = await notifyParcelArrived(parcel);
+
+    // The pickup code goes to the flat only
+    const parcelView = parcel.toObject();
+    delete parcelView.pickupCode;
+
+    res.status(201).json({
+      success: true,
+      message: `Parcel logged for flat ${flat.wing}-${flat.flatNumber}`,
+      data: {
+        parcel: parcelView,
+        residentsNotified,
+      },
+    });
+  } catch (error) {
+    console.error("❌ [PARCELS] Log parcel error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error logging parcel",
+    });
+  }
+};
+
+// @desc    Parcels of the resident's flat (with pickup codes for those waiting)
+// @route   GET /api/parcels/my
+// @access  Private (Resident)
+const getMyParcels = async (req, res) => {
+  try {
+    const user = req.user;
+    const { page = 1, limit = 10, status } = req.query;
+
+    const filter = {
+      apartmentCode: user.apartmentCode,
+      "flat.wing": user.wing,
+      "flat.flatNumber": user.flatNumber,
+    };
+    if (status) filter.status = status;
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const parcels = await Parcel.find(filter)
+      .select("+pickupCode")
+      .sort({ receivedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Parcel.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        parcels: parcels.map((parcel) => {
+          const view = parcel.toObject();
+          if (parcel.status !== PARCEL_STATUS.RECEIVED) delete view.pickupCode;
+          return view;
+        }),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("❌ [PARCELS] Get my parcels error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching parcels",
+    });
+  }
+};
+
+// @desc    Parcels at the security room of the guard's building (or one of the admin's)
+// @route   GET /api/parcels?buildingCode=&status=&wing=&flatNumber=
+// @access  Private (Security, Admin)
+const getParcels = async (req, res) => {
+  try {
+    const { buildingCode, status = PARCEL_STATUS.RECEIVED, wing, flatNumber, page = 1, limit = 20 } = req.query;
+
+    const building = await findGateBuilding(req.user, buildingCode);
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    const filter = { apartmentCode: building.code, status };
+    if (wing) filter["flat.wing"] = wing.toUpperCase();
+    if (flatNumber) filter["flat.flatNumber"] = flatNumber.toUpperCase();
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const parcels = await Parcel.find(filter)
+      .populate("receivedBy", "fullName")
+      .sort({ receivedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Parcel.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        buildingCode: building.code,
+        parcels,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("❌ [PARCELS] Get parcels error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching parcels",
+    });
+  }
+};
+
+// @desc    Hand a parcel over against the flat's pickup code
+// @route   POST /api/parcels/:id/collect
+// @access  Private (Security, Admin)
+const collectParcel = async (req, res) => {
+  try {
+    const { pickupCode, collectedByName } = req.body;
+
+    const parcel = await findAccessibleParcel(req.params.id, req.user);
+    if (!parcel) {
+      return res.status(404).json({
+        success: false,
+        message: "Parcel not found",
+      });
+    }
+
+    if (parcel.status !== PARCEL_STATUS.RECEIVED) {
+      return res.status(400).json({
+        success: false,
+        message: `Parcel is already ${parcel.status.toLowerCase()}`,
+      });
+    }
+
+    // Hand over only while the parcel is still waiting and the code matches - a second guard gets nothing
+    const collected = await Parcel.findOneAndUpdate(
+      { _id: parcel._id, status: PARCEL_STATUS.RECEIVED, pickupCode: String(pickupCode).trim() },
+      {
+        $set: {
+          status: PARCEL_STATUS.COLLECTED,
+          pickup: {
+            collectedAt: new Date(),
+            collectedByName: collectedByName || parcel.recipientName || "Resident",
+            handedOverBy: req.user._id,
+          },
+        },
+        $unset: { pickupCode: "" },
+      },
+      { new: true }
+    );
+
+    if (!collected) {
+      const current = await Parcel.findById(parcel._id).select("status");
+      if (current && current.status !== PARCEL_STATUS.RECEIVED) {
+        return res.status(409).json({
+          success: false,
+          message: `Parcel is already ${current.status.toLowerCase()}`,
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pickup code",
+        errorCode: "INVALID_PICKUP_CODE",
+      });
+    }
+
+    await notifyParcelClosed(collected);
+
+    res.status(200).json({
+      success: true,
+      message: `Parcel ${collected.parcelNumber} collected`,
+      data: { parcel: collected },
+    });
+  } catch (error) {
+    console.error("❌ [PARCELS] Collect parcel error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error collecting parcel",
+    });
+  }
+};
+
+// @desc    Return an unclaimed parcel to the courier
+// @route   POST /api/parcels/:id/return
+// @access  Private (Security, Admin)
+const returnParcel = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const parcel = await findAccessibleParcel(req.params.id, req.user);
+    if (!parcel) {
+      return res.status(404).json({
+        success: false,
+        message: "Parcel not found",
+      });
+    }
+
+    if (parcel.status !== PARCEL_STATUS.RECEIVED) {
+      return res.status(400).json({
+        success: false,
+        message: `Parcel is already ${parcel.status.toLowerCase()}`,
+      });
+    }
+
+    // Only a parcel still waiting can go back - it may have been collected meanwhile
+    const returned = await Parcel.findOneAndUpdate(
+      { _id: parcel._id, status: PARCEL_STATUS.RECEIVED },
+      {
+        $set: {
+          status: PARCEL_STATUS.RETURNED,
+          returned: {
+            returnedAt: new Date(),
+            reason,
+            returnedBy: req.user._id,
+          },
+        },
+        $unset: { pickupCode: "" },
+      },
+      { new: true }
+    );
+    if (!returned) {
+      return res.status(409).json({
+        success: false,
+        message: "Parcel is no longer waiting at the security room",
+      });
+    }
+
+    await notifyParcelClosed(returned);
+
+    res.status(200).json({
+      success: true,
+      message: `Parcel ${returned.parcelNumber} returned to the courier`,
+      data: { parcel: returned },
+    });
+  } catch (error) {
+    console.error("❌ [PARCELS] Return parcel error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error returning parcel",
+    });
+  }
+};
+
+// @desc    Parcel register of a building as CSV or JSON
+// @route   GET /api/parcels/register?buildingCode=&from=&to=&status=&format=csv|json
+// @access  Private (Admin)
+const exportParcelRegister = async (req, res) => {
+  try {
+    const { buildingCode, from, to, status, format = "csv" } = req.query;
+
+    const building = await findGateBuilding(req.user, buildingCode);
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: "Building not found or access denied",
+      });
+    }
+
+    const filter = { apartmentCode: building.code };
+    if (status) filter.status = status;
+    if (from || to) {
+      filter.receivedAt = {};
+      if (from) filter.receivedAt.$gte = new Date(from);
+      if (to) filter.receivedAt.$lte = new Date(to);
+    }
+
+    const parcels = await Parcel.find(filter)
+      .populate("receivedBy", "fullName")
+      .populate("pickup.handedOverBy", "fullName")
+      .sort({ receivedAt: 1 });
+
+    if (format === "json") {
+      return res.status(200).json({
+        success: true,
+        data: {
+          buildingCode: building.code,
+          total: parcels.length,
+          parcels,
+        },
+      });
+    }
+
+    const fileName = `parcel-register-${building.code}-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+    });
+    res.status(200).send(buildParcelRegisterCsv(parcels));
+  } catch (error) {
+    console.error("❌ [PARCELS] Export parcel register error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error exporting parcel register",
+    });
+  }
+};
+
+module.exports = {
+  logParcel,
+  getMyParcels,
+  getParcels,
+  collectParcel,
+  returnParcel,
+  exportParcelRegister,
+};
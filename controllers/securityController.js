@@ -0,0 +1,465 @@
+const GuardShift = require('../models/GuardShift');
+const SecurityIncident = require('../models/SecurityIncident');
+const User = require('../models/User');
+const {
+  findGateBuilding,
+  getOpenShift,
+  notifyIncidentReported,
+  getGuardDashboard: buildGuardDashboard
+} = require('../services/securityService');
+const { emitToUser } = require('../services/socketService');
+const { cloudinaryUtils } = require('../config/cloudinary');
+const { INCIDENT_STATUS } = require('../utils/constants');
+
+// @desc    Guard dashboard - expected visitors, deliveries, open Security complaints and incidents
+// @route   GET /api/security/dashboard
+// @access  Private (Security)
+const getGuardDashboard = async (req, res) => {
+  try {
+    const building = await findGateBuilding(req.user);
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: 'Your account is not linked to an active building'
+      });
+    }
+
+    const dashboard = await buildGuardDashboard(req.user, building);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        building: { code: building.code, name: building.name },
+        ...dashboard
+      }
+    });
+  } catch (error) {
+    console.error('❌ [SECURITY] Get guard dashboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching guard dashboard'
+    });
+  }
+};
+
+// @desc    Get the guard's current shift
+// @route   GET /api/security/shifts/current
+// @access  Private (Security)
+const getCurrentShift = async (req, res) => {
+  try {
+    const shift = await getOpenShift(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        onDuty: !!shift,
+        shift
+      }
+    });
+  } catch (error) {
+    console.error('❌ [SECURITY] Get current shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shift'
+    });
+  }
+};
+
+// @desc    Start a shift
+// @route   POST /api/security/shifts/check-in
+// @access  Private (Security)
+const checkInShift = async (req, res) => {
+  try {
+    const { post, note } = req.body;
+
+    const building = await findGateBuilding(req.user);
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: 'Your account is not linked to an active building'
+      });
+    }
+
+    const openShift = await getOpenShift(req.user._id);
+    if (openShift) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already checked in - check out of your current shift first',
+        data: { shift: openShift }
+      });
+    }
+
+    const shift = await GuardShift.create({
+      guard: req.user._id,
+      apartmentCode: building.code,
+      post,
+      checkInNote: note
+    });
+
+    emitToUser(building.createdBy.toString(), 'guard_shift_started', {
+      message: `${req.user.fullName} is on duty${post ? ` at ${post}` : ''}`,
+      shiftId: shift._id,
+      guardId: req.user._id,
+      guardName: req.user.fullName,
+      buildingCode: building.code,
+      checkInAt: shift.checkInAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift started',
+      data: { shift }
+    });
+  } catch (error) {
+    console.error('❌ [SECURITY] Shift check-in error:', error);
+
+    // Parallel check-ins hit the one-open-shift index
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already checked in'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error starting shift'
+    });
+  }
+};
+
+// @desc    End the current shift with handover notes
+// @route   POST /api/security/shifts/check-out
+// @access  Private (Security)
+const checkOutShift = async (req, res) => {
+  try {
+    const shift = await getOpenShift(req.user._id);
+    if (!shift) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not checked in'
+      });
+    }
+
+    await shift.checkOut(req.body.note);
+
+    res.status(200).json({
+      success: true,
+      message: `Shift ended after ${shift.durationMinutes} minutes`,
+      data: { shift }
+    });
+  } catch (error) {
+    console.error('❌ [SECURITY] Shift check-out error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error ending shift'
+    });
+  }
+};
+
+// @desc    Shift history - guards see their own, admins a building's
+// @route   GET /api/security/shifts?buildingCode=&guardId=&from=&to=
+// @access  Private (Security, Admin)
+const getShifts = async (req, res) => {
+  try {
+    const { buildingCode, guardId, from, to, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (req.user.role === 'security') {
+      filter.guard = req.user._id;
+    } else {
+      const building = await findGateBuilding(req.user, buildingCode);
+      if (!building) {
+        return res.status(404).json({
+          success: false,
+          message: 'Building not found or access denied'
+        });
+      }
+      filter.apartmentCode = building.code;
+      if (guardId) filter.guard = guardId;
+    }
+
+    if (from || to) {
+      filter.checkInAt = {};
+      if (from) filter.checkInAt.$gte = new Date(from);
+      if (to) filter.checkInAt.$lte = new Date(to);
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const shifts = await GuardShift.find(filter)
+      .populate('guard', 'fullName phoneNumber')
+      .sort({ checkInAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await GuardShift.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        shifts,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ [SECURITY] Get shifts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shifts'
+    });
+  }
+};
+
+// @desc    Guards of a building and who is on duty
+// @route   GET /api/security/guards?buildingCode=
+// @access  Private (Admin)
+const getGuards = async (req, res) => {
+  try {
+    const building = await findGateBuilding(req.user, req.query.buildingCode);
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: 'Building not found or access denied'
+      });
+    }
+
+    const guards = await User.find({ apartmentCode: building.code, role: 'security' })
+      .select('fullName phoneNumber status lastLogin');
+    const openShifts = await GuardShift.find({
+      guard: { $in: guards.map((guard) => guard._id) },
+      status: 'On Duty'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        buildingCode: building.code,
+        guards: guards.map((guard) => {
+          const shift = openShifts.find((s) => s.guard.toString() === guard._id.toString());
+          return {
+            ...guard.toObject(),
+            onDuty: !!shift,
+            post: shift?.post,
+            onDutySince: shift?.checkInAt
+          };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('❌ [SECURITY] Get guards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching guards'
+    });
+  }
+};
+
+// @desc    Raise a security incident (photos optional)
+// @route   POST /api/security/incidents
+// @access  Private (Security)
+const reportIncident = async (req, res) => {
+  try {
+    const files = req.files || [];
+
+    const building = await findGateBuilding(req.user);
+    if (!building) {
+      await cloudinaryUtils.deleteFiles(files.map((file) => file.filename));
+      return res.status(404).json({
+        success: false,
+        message: 'Your account is not linked to an active building'
+      });
+    }
+
+    const shift = await getOpenShift(req.user._id);
+
+    const incident = await SecurityIncident.create({
+      ...req.body,
+      apartmentCode: building.code,
+      media: files.map((file) => ({ url: file.path, publicId: file.filename })),
+      reportedBy: req.user._id,
+      shift: shift?._id
+    });
+
+    await notifyIncidentReported(incident, building, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Incident ${incident.incidentNumber} reported`,
+      data: { incident }
+    });
+  } catch (error) {
+    console.error('❌ [SECURITY] Report incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reporting incident'
+    });
+  }
+};
+
+// @desc    Incidents of the guard's building, or of one of the admin's buildings
+// @route   GET /api/security/incidents?buildingCode=&status=&severity=&type=
+// @access  Private (Security, Admin)
+const getIncidents = async (req, res) => {
+  try {
+    const { buildingCode, status, severity, type, page = 1, limit = 20 } = req.query;
+
+    const building = await findGateBuilding(req.user, buildingCode);
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: 'Building not found or access denied'
+      });
+    }
+
+    const filter = { apartmentCode: building.code };
+    if (status) filter.status = status;
+    if (severity) filter.severity = severity;
+    if (type) filter.type = type;
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const incidents = await SecurityIncident.find(filter)
+      .populate('reportedBy', 'fullName')
+      .sort({ occurredAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await SecurityIncident.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        buildingCode: building.code,
+        incidents,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ [SECURITY] Get incidents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching incidents'
+    });
+  }
+};
+
+// Helper to load an incident the user may see
+const findAccessibleIncident = async (incidentId, user) => {
+  const incident = await SecurityIncident.findById(incidentId);
+  if (!incident) return null;
+
+  const building = await findGateBuilding(user, incident.apartmentCode);
+  return building && building.code === incident.apartmentCode ? incident : null;
+};
+
+// @desc    Get incident by ID
+// @route   GET /api/security/incidents/:id
+// @access  Private (Security, Admin)
+const getIncident = async (req, res) => {
+  try {
+    const incident = await findAccessibleIncident(req.params.id, req.user);
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    await incident.populate('reportedBy', 'fullName phoneNumber');
+    await incident.populate('acknowledgedBy', 'fullName');
+    await incident.populate('closedBy', 'fullName');
+
+    res.status(200).json({
+      success: true,
+      data: { incident }
+    });
+  } catch (error) {
+    console.error('❌ [SECURITY] Get incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching incident'
+    });
+  }
+};
+
+// @desc    Acknowledge or close an incident
+// @route   PUT /api/security/incidents/:id/status
+// @access  Private (Admin)
+const updateIncidentStatus = async (req, res) => {
+  try {
+    const { status, resolutionNotes } = req.body;
+
+    const incident = await findAccessibleIncident(req.params.id, req.user);
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    if (incident.status === INCIDENT_STATUS.CLOSED) {
+      return res.status(400).json({
+        success: false,
+        message: 'Incident is already closed'
+      });
+    }
+
+    const now = new Date();
+    if (status === INCIDENT_STATUS.ACKNOWLEDGED || !incident.acknowledgedAt) {
+      incident.acknowledgedBy = req.user._id;
+      incident.acknowledgedAt = now;
+    }
+    if (status === INCIDENT_STATUS.CLOSED) {
+      incident.closedBy = req.user._id;
+      incident.closedAt = now;
+      incident.resolutionNotes = resolutionNotes;
+    }
+    incident.status = status;
+    await incident.save();
+
+    emitToUser(incident.reportedBy.toString(), 'security_incident_updated', {
+      message: `Incident ${incident.incidentNumber} is now ${incident.status}`,
+      incidentId: incident._id,
+      incidentNumber: incident.incidentNumber,
+      status: incident.status
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Incident ${incident.status.toLowerCase()}`,
+      data: { incident }
+    });
+  } catch (error) {
+    console.error('❌ [SECURITY] Update incident status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating incident'
+    });
+  }
+};
+
+module.exports = {
+  getGuardDashboard,
+  getCurrentShift,
+  checkInShift,
+  checkOutShift,
+  getShifts,
+  getGuards,
+  reportIncident,
+  getIncidents,
+  getIncident,
+  updateIncidentStatus
+};
@@ -2,6 +2,21 @@ const Staff = require('../models/Staff');
 const Complaint = require('../models/Complaint');
 const User = require('../models/User');
 const { emitToUser, emitToRoom } = require('../services/socketService');
+const { acceptAssignment, returnToQueue } = require('../services/assignmentService');
+const { validateStatusTransition, getComplaintWorkflow } = require('../services/statusTransitionService');
+const { activeStatusQuery } = require('../utils/complaintWorkflow');
+
+// Load a complaint assigned to the requesting staff member
+const findOwnAssignment = async (complaintId, userId) => {
+  const staff = await Staff.findOne({ user: userId });
+  if (!staff) return { staff: null, complaint: null };
+
+  const complaint = await Complaint.findOne({
+    _id: complaintId,
+    'assignedTo.staff': staff._id
+  });
+  return { staff, complaint };
+};
 
 // @desc    Get staff dashboard
 // @route   GET /api/staff/dashboard
@@ -24,7 +39,7 @@ const getStaffDashboard = async (req, res) => {
     // Get assigned complaints
     const assignedComplaints = await Complaint.find({
       'assignedTo.staff': staff._id,
-      status: { $in: ['Assigned', 'In Progress'] }
+      status: activeStatusQuery()
     })
     .populate('createdBy', 'fullName phoneNumber wing flatNumber profilePicture')
     .sort({ priority: -1, createdAt: 1 })
@@ -52,11 +67,17 @@ const getStaffDashboard = async (req, res) => {
           _id: null,
           totalCompleted: { $sum: 1 },
           averageRating: { $avg: '$rating.score' },
+          // Time on hold is not counted against staff
           averageResolutionTime: {
             $avg: {
-              $divide: [
-                { $subtract: ['$resolution.resolvedAt', '$createdAt'] },
-                1000 * 60 * 60 // Convert to hours
+              $subtract: [
+                {
+                  $divide: [
+                    { $subtract: ['$resolution.resolvedAt', '$createdAt'] },
+                    1000 * 60 * 60 // Convert to hours
+                  ]
+                },
+                { $ifNull: ['$sla.heldHours', 0] }
               ]
             }
           }
@@ -228,9 +249,145 @@ const updateSpecialization = async (req, res) => {
   }
 };
 
+// @desc    Accept an assigned complaint
+// @route   POST /api/staff/complaints/:id/accept
+// @access  Private (Staff)
+const acceptComplaintAssignment = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { staff, complaint } = await findOwnAssignment(req.params.id, userId);
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff profile not found'
+      });
+    }
+
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found or not assigned to you'
+      });
+    }
+
+    if (complaint.status !== 'Assigned') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot accept a complaint with status ${complaint.status}`
+      });
+    }
+
+    if (complaint.assignedTo.acceptanceStatus === 'Accepted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignment already accepted'
+      });
+    }
+
+    const accepted = await acceptAssignment(complaint, staff, userId);
+    if (!accepted) {
+      return res.status(409).json({
+        success: false,
+        message: 'Assignment is no longer pending - it may have expired or been reassigned'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignment accepted',
+      data: { complaint: accepted }
+    });
+
+  } catch (error) {
+    console.error('Accept assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error accepting assignment'
+    });
+  }
+};
+
+// @desc    Decline an assigned complaint (returns it to the admin queue)
+// @route   POST /api/staff/complaints/:id/decline
+// @access  Private (Staff)
+const declineComplaintAssignment = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { reason } = req.body;
+
+    if (!reason || reason.trim().length < 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for declining (at least 5 characters)'
+      });
+    }
+
+    const { staff, complaint } = await findOwnAssignment(req.params.id, userId);
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff profile not found'
+      });
+    }
+
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found or not assigned to you'
+      });
+    }
+
+    // Once work has started the ticket has to be reassigned by an admin
+    if (complaint.status !== 'Assigned') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot decline a complaint with status ${complaint.status}`
+      });
+    }
+
+    // Declining hands the ticket back to Open - the building's workflow must let staff do that
+    const validation = validateStatusTransition(complaint.status, 'Open', 'staff', {
+      complaint,
+      userId: staff._id,
+      workflow: await getComplaintWorkflow(complaint),
+      hasComment: true
+    });
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.error,
+        errorCode: validation.errorCode
+      });
+    }
+
+    await returnToQueue(complaint, {
+      action: 'Declined',
+      reason: reason.trim(),
+      performedBy: userId,
+      performedByRole: 'staff'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignment declined and returned to the admin queue'
+    });
+
+  } catch (error) {
+    console.error('Decline assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error declining assignment'
+    });
+  }
+};
+
 module.exports = {
   getStaffDashboard,
   getAssignedComplaints,
   updateAvailability,
-  updateSpecialization
+  updateSpecialization,
+  acceptComplaintAssignment,
+  declineComplaintAssignment
 };
\ No newline at end of file
@@ -3,6 +3,7 @@ const Complaint = require('../models/Complaint');
 const Apartment = require('../models/Apartment');
 const Notice = require('../models/Notice');
 const { emitToUser } = require('../services/socketService');
+const { activeStatusQuery } = require('../utils/complaintWorkflow');
 
 // @desc    Get user dashboard data
 // @route   GET /api/users/dashboard
@@ -14,7 +15,7 @@ const getUserDashboard = async (req, res) => {
     // Get user's active complaints
     const activeComplaints = await Complaint.find({
       createdBy: userId,
-      status: { $in: ['Open', 'Assigned', 'In Progress'] }
+      status: activeStatusQuery()
     })
     .select('ticketNumber title category priority status createdAt')
     .sort({ createdAt: -1 })
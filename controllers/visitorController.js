@@ -0,0 +1,628 @@
+const Visitor = require('../models/Visitor');
+const Apartment = require('../models/Apartment');
+const {
+  resolvePassWindow,
+  generatePassCode,
+  buildGatePass,
+  parseGatePass,
+  checkEntryAllowed,
+  findFlatResidents,
+  requestWalkInApproval,
+  notifyApprovalResponse,
+  notifyVisitorMovement,
+  getGateBoard: buildGateBoard,
+  WALK_IN_APPROVAL_MINUTES
+} = require('../services/visitorService');
+const { findGateBuilding } = require('../services/securityService');
+const { cloudinaryUtils } = require('../config/cloudinary');
+const { VISITOR_STATUS } = require('../utils/constants');
+
+const MINUTE_MS = 60 * 1000;
+
+// Helper to check whether a guard or admin may act on a visitor
+const canManageVisitor = async (visitor, user) => {
+  if (user.role === 'security') return visitor.apartmentCode === user.apartmentCode;
+  return !!(await Apartment.exists({ code: visitor.apartmentCode, createdBy: user._id, isActive: true }));
+};
+
+// Helper to check whether a resident lives in the visited flat
+const isFlatResident = (visitor, user) => {
+  return visitor.apartmentCode === user.apartmentCode &&
+    visitor.flat.wing === user.wing &&
+    visitor.flat.flatNumber === user.flatNumber;
+};
+
+// @desc    Pre-approve a visitor and issue a time-boxed gate pass
+// @route   POST /api/visitors
+// @access  Private (Resident)
+const createVisitorPass = async (req, res) => {
+  try {
+    const user = req.user;
+    const { validFrom, validUntil, ...visitorData } = req.body;
+
+    if (!user.apartmentCode || !user.wing || !user.flatNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not linked to a flat'
+      });
+    }
+
+    const window = resolvePassWindow(validFrom, validUntil);
+    if (window.error) {
+      return res.status(400).json({
+        success: false,
+        message: window.error
+      });
+    }
+
+    const visitor = await Visitor.create({
+      ...visitorData,
+      apartmentCode: user.apartmentCode,
+      flat: { wing: user.wing, flatNumber: user.flatNumber, flatCode: user.flatCode },
+      host: user._id,
+      entryType: 'pre_approved',
+      status: VISITOR_STATUS.EXPECTED,
+      pass: {
+        code: await generatePassCode(user.apartmentCode),
+        validFrom: window.validFrom,
+        validUntil: window.validUntil
+      },
+      createdBy: user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Gate pass created successfully',
+      data: {
+        visitor,
+        gatePass: buildGatePass(visitor)
+      }
+    });
+  } catch (error) {
+    console.error('❌ [VISITORS] Create visitor pass error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating gate pass'
+    });
+  }
+};
+
+// @desc    Get visitors of the resident's flat
+// @route   GET /api/visitors/my
+// @access  Private (Resident)
+const getMyVisitors = async (req, res) => {
+  try {
+    const user = req.user;
+    const { page = 1, limit = 10, status } = req.query;
+
+    const filter = {
+      apartmentCode: user.apartmentCode,
+      'flat.wing': user.wing,
+      'flat.flatNumber': user.flatNumber
+    };
+    if (status) filter.status = status;
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const visitors = await Visitor.find(filter)
+      .populate('host', 'fullName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Visitor.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        visitors,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ [VISITORS] Get my visitors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching visitors'
+    });
+  }
+};
+
+// @desc    Get the gate pass of an expected visitor again (code + QR payload)
+// @route   GET /api/visitors/:id/pass
+// @access  Private (Resident)
+const getVisitorPass = async (req, res) => {
+  try {
+    const visitor = await Visitor.findById(req.params.id);
+
+    if (!visitor || !isFlatResident(visitor, req.user) || visitor.entryType !== 'pre_approved') {
+      return res.status(404).json({
+        success: false,
+        message: 'Gate pass not found'
+      });
+    }
+
+    if (visitor.status !== VISITOR_STATUS.EXPECTED) {
+      return res.status(400).json({
+        success: false,
+        message: `Gate pass is no longer valid - visitor is ${visitor.status}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { gatePass: buildGatePass(visitor) }
+    });
+  } catch (error) {
+    console.error('❌ [VISITORS] Get visitor pass error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching gate pass'
+    });
+  }
+};
+
+// @desc    Cancel a gate pass before the visitor arrives
+// @route   POST /api/visitors/:id/cancel
+// @access  Private (Resident)
+const cancelVisitorPass = async (req, res) => {
+  try {
+    const visitor = await Visitor.findById(req.params.id);
+
+    if (!visitor || !isFlatResident(visitor, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visitor not found'
+      });
+    }
+
+    if (visitor.status !== VISITOR_STATUS.EXPECTED) {
+      return res.status(400).json({
+        success: false,
+        message: `Only expected visitors can be cancelled - visitor is ${visitor.status}`
+      });
+    }
+
+    // The visitor may have been checked in at the gate since it was read
+    const cancelled = await Visitor.findOneAndUpdate(
+      { _id: visitor._id, status: VISITOR_STATUS.EXPECTED },
+      { $set: { status: VISITOR_STATUS.CANCELLED, cancelledAt: new Date() } },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Visitor was updated in the meantime - refresh and try again'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Gate pass cancelled',
+      data: { visitor: cancelled }
+    });
+  } catch (error) {
+    console.error('❌ [VISITORS] Cancel visitor pass error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling gate pass'
+    });
+  }
+};
+
+// @desc    Approve or deny a walk-in visitor waiting at the gate
+// @route   POST /api/visitors/:id/respond
+// @access  Private (Resident)
+const respondToWalkIn = async (req, res) => {
+  try {
+    const { decision, reason } = req.body;
+    const now = new Date();
+
+    const visitor = await Visitor.findById(req.params.id);
+    if (!visitor || !isFlatResident(visitor, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visitor not found'
+      });
+    }
+
+    if (visitor.status === VISITOR_STATUS.PENDING_APPROVAL && visitor.approval.expiresAt < now) {
+      return res.status(400).json({
+        success: false,
+        message: 'This request has expired - ask the guard to send it again'
+      });
+    }
+
+    // The first resident of the flat to answer decides
+    const updated = await Visitor.findOneAndUpdate(
+      { _id: visitor._id, status: VISITOR_STATUS.PENDING_APPROVAL },
+      {
+        $set: {
+          status: decision === 'approve' ? VISITOR_STATUS.APPROVED : VISITOR_STATUS.DENIED,
+          host: req.user._id,
+          'approval.respondedBy': req.user._id,
+          'approval.respondedAt': now,
+          'approval.reason': reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'This request was already answered'
+      });
+    }
+
+    await notifyApprovalResponse(updated, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: decision === 'approve' ? 'Visitor approved' : 'Visitor denied',
+      data: { visitor: updated }
+    });
+  } catch (error) {
+    console.error('❌ [VISITORS] Respond to walk-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error responding to visitor request'
+    });
+  }
+};
+
+// @desc    Register a walk-in visitor and ask the flat to approve them
+// @route   POST /api/visitors/walk-in
+// @access  Private (Security, Admin)
+const registerWalkIn = async (req, res) => {
+  try {
+    const { buildingCode, wing, flatNumber, ...visitorData } = req.body;
+
+    // Drop the gate photo when the visit cannot be registered
+    const discardPhoto = async () => {
+      if (req.file) await cloudinaryUtils.deleteFile(req.file.filename);
+    };
+
+    const building = await findGateBuilding(req.user, buildingCode);
+    if (!building) {
+      await discardPhoto();
+      return res.status(400).json({
+        success: false,
+        message: 'A valid building code is required'
+      });
+    }
+
+    const flat = { wing: wing.toUpperCase(), flatNumber: flatNumber.toUpperCase() };
+    const residents = await findFlatResidents(building.code, flat);
+    if (residents.length === 0) {
+      await discardPhoto();
+      return res.status(404).json({
+        success: false,
+        message: `No active residents found for flat ${flat.wing}-${flat.flatNumber}`
+      });
+    }
+
+    const now = new Date();
+    const visitor = await Visitor.create({
+      ...visitorData,
+      apartmentCode: building.code,
+      flat: { ...flat, flatCode: residents[0].flatCode },
+      entryType: 'walk_in',
+      status: VISITOR_STATUS.PENDING_APPROVAL,
+      approval: {
+        requestedBy: req.user._id,
+        requestedAt: now,
+        expiresAt: new Date(now.getTime() + WALK_IN_APPROVAL_MINUTES * MINUTE_MS)
+      },
+      photo: req.file ? { url: req.file.path, publicId: req.file.filename } : undefined,
+      createdBy: req.user._id
+    });
+
+    await requestWalkInApproval(visitor, residents);
+
+    res.status(201).json({
+      success: true,
+      message: `Approval requested from flat ${flat.wing}-${flat.flatNumber}`,
+      data: {
+        visitor,
+        residentsNotified: residents.length
+      }
+    });
+  } catch (error) {
+    console.error('❌ [VISITORS] Register walk-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error registering visitor'
+    });
+  }
+};
+
+// @desc    Look up a visitor from a gate pass code or scanned QR payload
+// @route   POST /api/visitors/gate/verify
+// @access  Private (Security, Admin)
+const verifyGatePass = async (req, res) => {
+  try {
+    const { code, qrPayload, buildingCode } = req.body;
+
+    if (!code && !qrPayload) {
+      return res.status(400).json({
+        success: false,
+        message: 'A gate pass code or QR payload is required'
+      });
+    }
+
+    const building = await findGateBuilding(req.user, buildingCode);
+    if (!building) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid building code is required'
+      });
+    }
+
+    let filter;
+    if (qrPayload) {
+      const pass = parseGatePass(qrPayload);
+      if (!pass) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid gate pass QR code'
+        });
+      }
+      filter = { _id: pass.visitorId, 'pass.code': pass.code };
+    } else {
+      filter = { 'pass.code': String(code).trim(), status: VISITOR_STATUS.EXPECTED };
+    }
+
+    const visitor = await Visitor.findOne({ ...filter, apartmentCode: building.code })
+      .populate('host', 'fullName phoneNumber');
+
+    if (!visitor) {
+      return res.status(404).json({
+        success: false,
+        message: 'No gate pass found for this code'
+      });
+    }
+
+    const problem = checkEntryAllowed(visitor);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        visitor,
+        canEnter: !problem,
+        reason: problem || undefined
+      }
+    });
+  } catch (error) {
+    console.error('❌ [VISITORS] Verify gate pass error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying gate pass'
+    });
+  }
+};
+
+// @desc    Check a visitor in at the gate (valid gate pass or approved walk-in)
+// @route   POST /api/visitors/:id/check-in
+// @access  Private (Security, Admin)
+const checkInVisitor = async (req, res) => {
+  try {
+    const visitor = await Visitor.findById(req.params.id);
+
+    if (!visitor || !(await canManageVisitor(visitor, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visitor not found'
+      });
+    }
+
+    const problem = checkEntryAllowed(visitor);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    // Only one guard can admit a visit, and a cancellation or expiry in the meantime wins
+    const checkedIn = await Visitor.findOneAndUpdate(
+      { _id: visitor._id, status: { $in: [VISITOR_STATUS.EXPECTED, VISITOR_STATUS.APPROVED] } },
+      { $set: { status: VISITOR_STATUS.CHECKED_IN, checkIn: { at: new Date(), by: req.user._id } } },
+      { new: true }
+    );
+
+    if (!checkedIn) {
+      return res.status(409).json({
+        success: false,
+        message: 'Visitor was updated in the meantime - refresh and try again'
+      });
+    }
+
+    await notifyVisitorMovement(checkedIn);
+
+    res.status(200).json({
+      success: true,
+      message: `${checkedIn.visitorName} checked in`,
+      data: { visitor: checkedIn }
+    });
+  } catch (error) {
+    console.error('❌ [VISITORS] Check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking visitor in'
+    });
+  }
+};
+
+// @desc    Check a visitor out at the gate
+// @route   POST /api/visitors/:id/check-out
+// @access  Private (Security, Admin)
+const checkOutVisitor = async (req, res) => {
+  try {
+    const visitor = await Visitor.findById(req.params.id);
+
+    if (!visitor || !(await canManageVisitor(visitor, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visitor not found'
+      });
+    }
+
+    if (visitor.status !== VISITOR_STATUS.CHECKED_IN) {
+      return res.status(400).json({
+        success: false,
+        message: `Only checked-in visitors can be checked out - visitor is ${visitor.status}`
+      });
+    }
+
+    const checkedOut = await Visitor.findOneAndUpdate(
+      { _id: visitor._id, status: VISITOR_STATUS.CHECKED_IN },
+      { $set: { status: VISITOR_STATUS.CHECKED_OUT, checkOut: { at: new Date(), by: req.user._id } } },
+      { new: true }
+    );
+
+    if (!checkedOut) {
+      return res.status(409).json({
+        success: false,
+        message: 'Visitor was already checked out'
+      });
+    }
+
+    await notifyVisitorMovement(checkedOut);
+
+    res.status(200).json({
+      success: true,
+      message: `${checkedOut.visitorName} checked out`,
+      data: { visitor: checkedOut }
+    });
+  } catch (error) {
+    console.error('❌ [VISITORS] Check-out error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking visitor out'
+    });
+  }
+};
+
+// @desc    Gate board - visitors expected soon, waiting for approval and inside the building
+// @route   GET /api/visitors/gate
+// @access  Private (Security, Admin)
+const getGateBoard = async (req, res) => {
+  try {
+    const building = await findGateBuilding(req.user, req.query.buildingCode);
+    if (!building) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid building code is required'
+      });
+    }
+
+    const hours = Math.min(parseInt(req.query.hours, 10) || 12, 72);
+    const board = await buildGateBoard(building.code, { hours });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        buildingCode: building.code,
+        ...board
+      }
+    });
+  } catch (error) {
+    console.error('❌ [VISITORS] Get gate board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching gate board'
+    });
+  }
+};
+
+// @desc    Searchable visitor log for a building
+// @route   GET /api/visitors/log?buildingCode=&search=&status=&entryType=&wing=&flatNumber=&from=&to=
+// @access  Private (Admin)
+const getVisitorLog = async (req, res) => {
+  try {
+    const { buildingCode, search, status, entryType, wing, flatNumber, from, to, page = 1, limit = 20 } = req.query;
+
+    const building = await findGateBuilding(req.user, buildingCode);
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: 'Building not found or access denied'
+      });
+    }
+
+    const filter = { apartmentCode: building.code };
+    if (status) filter.status = status;
+    if (entryType) filter.entryType = entryType;
+    if (wing) filter['flat.wing'] = wing.toUpperCase();
+    if (flatNumber) filter['flat.flatNumber'] = flatNumber.toUpperCase();
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+    if (search) {
+      const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { visitorName: { $regex: pattern, $options: 'i' } },
+        { phoneNumber: { $regex: pattern, $options: 'i' } },
+        { vehicleNumber: { $regex: pattern, $options: 'i' } },
+        { 'pass.code': pattern }
+      ];
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const visitors = await Visitor.find(filter)
+      .populate('host', 'fullName phoneNumber')
+      .populate('checkIn.by', 'fullName role')
+      .populate('checkOut.by', 'fullName role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Visitor.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        buildingCode: building.code,
+        visitors,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ [VISITORS] Get visitor log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching visitor log'
+    });
+  }
+};
+
+module.exports = {
+  createVisitorPass,
+  getMyVisitors,
+  getVisitorPass,
+  cancelVisitorPass,
+  respondToWalkIn,
+  registerWalkIn,
+  verifyGatePass,
+  checkInVisitor,
+  checkOutVisitor,
+  getGateBoard,
+  getVisitorLog
+};
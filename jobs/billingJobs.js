@@ -0,0 +1,84 @@
+const Apartment = require('../models/Apartment');
+const {
+  generateInvoicesForBuilding,
+  markOverdueInvoices,
+  applyLateFees
+} = require('../services/billingService');
+
+/**
+ * Billing jobs
+ */
+
+// Generate the current month's maintenance invoices for every active building
+// Safe to re-run: flats already invoiced for the period are skipped
+const generateMonthlyInvoices = async () => {
+  const now = new Date();
+  const month = now.getMonth() + 1;
+  const year = now.getFullYear();
+
+  const buildings = await Apartment.find({
+    isActive: true,
+    'settings.maintenanceRate': { $gt: 0 }
+  });
+
+  const summary = { month, year, buildings: buildings.length, created: 0, skipped: 0, failed: [] };
+  for (const building of buildings) {
+    try {
+      // No generatedBy: scheduler-issued invoices are told apart from admin runs by leaving it empty
+      const { created, skipped } = await generateInvoicesForBuilding(building, month, year);
+      summary.created += created.length;
+      summary.skipped += skipped.length;
+    } catch (error) {
+      console.error(`❌ [JOBS] Invoice generation failed for ${building.code}:`, error);
+      summary.failed.push({ building: building.code, error: error.message });
+    }
+  }
+
+  if (summary.failed.length > 0) {
+    throw new Error(`Invoice generation failed for ${summary.failed.map((f) => f.building).join(', ')}`);
+  }
+
+  return summary;
+};
+
+// Mark unpaid invoices past their due date as Overdue and apply late fees once the grace period has passed
+// Safe to re-run: a late fee is only applied once per invoice
+const processOverdueInvoices = async () => {
+  const now = new Date();
+  const buildings = await Apartment.find({ isActive: true });
+
+  const summary = { buildings: buildings.length, markedOverdue: 0, lateFeesApplied: 0, failed: [] };
+  for (const building of buildings) {
+    try {
+      summary.markedOverdue += await markOverdueInvoices(building, now);
+      const updated = await applyLateFees(building, now);
+      summary.lateFeesApplied += updated.length;
+    } catch (error) {
+      console.error(`❌ [JOBS] Overdue processing failed for ${building.code}:`, error);
+      summary.failed.push({ building: building.code, error: error.message });
+    }
+  }
+
+  if (summary.failed.length > 0) {
+    throw new Error(`Overdue processing failed for ${summary.failed.map((f) => f.building).join(', ')}`);
+  }
+
+  return summary;
+};
+
+module.exports = [
+  {
+    name: 'generate-monthly-invoices',
+    description: 'Generate monthly maintenance invoices for all active buildings',
+    schedule: process.env.INVOICE_GENERATION_CRON || '30 0 1 * *', // 00:30 on the 1st
+    lockTtlMs: 30 * 60 * 1000,
+    handler: generateMonthlyInvoices
+  },
+  {
+    name: 'process-overdue-invoices',
+    description: 'Mark invoices past their due date as overdue and apply late fees after the grace period',
+    schedule: process.env.OVERDUE_INVOICES_CRON || '15 1 * * *', // 01:15 daily
+    lockTtlMs: 30 * 60 * 1000,
+    handler: processOverdueInvoices
+  }
+];
@@ -1,17 +1,124 @@
-// from typing import List
-// def max_sum_of_subarrays(arr: List[int], k: int) -> int:
-//     """
-//     You are given an array of integers `arr` and an integer `k`. Your task is to
-//     find the maximum sum of any subarray of size `k` in the given array. A subarray
-//     is a contiguous part of the array. As a reminder, your code has to be in python
-//     """
-//     if not arr or k <= 0 or k > len(arr):
-//         return 0
-//     # Calculate the sum of the first window of size k
-//     max_sum = window_sum = sum(arr[:k])
-//     # Slide the window from start to end of the array
-//     for i in range(len(arr) - k):
-//         # Slide the window by subtracting the element going out and adding the element coming in
-//         window_sum = window_sum - arr[i] + arr[i + k]
-//         max_sum = max(max_sum, window_sum)
-//     return max_sum  
\ No newline at end of file
+const OTP = require('../models/OTP');
+const User = require('../models/User');
+const Staff = require('../models/Staff');
+const Complaint = require('../models/Complaint');
+const Notice = require('../models/Notice');
+const Visitor = require('../models/Visitor');
+const SecurityIncident = require('../models/SecurityIncident');
+const Parcel = require('../models/Parcel');
+const { cloudinary, cloudinaryUtils } = require('../config/cloudinary');
+
+/**
+ * Cleanup jobs
+ */
+
+// Uploads younger than this are never treated as orphans (may still be attaching)
+const ORPHAN_MIN_AGE_DAYS = parseInt(process.env.CLOUDINARY_ORPHAN_MIN_AGE_DAYS, 10) || 2;
+
+// Every document path that stores a Cloudinary publicId
+const MEDIA_REFERENCES = [
+  { model: User, path: 'profilePicture.publicId' },
+  { model: Staff, path: 'documents.file.publicId' },
+  { model: Complaint, path: 'media.publicId' },
+  { model: Complaint, path: 'adminMedia.publicId' },
+  { model: Complaint, path: 'workUpdates.images.publicId' },
+  { model: Complaint, path: 'resolution.images.publicId' },
+  { model: Complaint, path: 'comments.media.publicId' },
+  { model: Notice, path: 'attachments.publicId' },
+  { model: Visitor, path: 'photo.publicId' },
+  { model: SecurityIncident, path: 'media.publicId' },
+  { model: Parcel, path: 'photo.publicId' }
+];
+
+// Remove spent OTPs and stale rate-limit counters
+const cleanupOtpAndRateLimits = async () => {
+  const otpResult = await OTP.deleteMany({
+    $or: [
+      { expiresAt: { $lt: new Date() } },
+      { isUsed: true }
+    ]
+  });
+
+  // Loaded lazily: the limiter opens a Redis connection when required
+  let rateLimitRecords = 0;
+  if (process.env.REDIS_URL) {
+    const { cleanupRateLimitRecords } = require('../middleware/rateLimiter');
+    rateLimitRecords = await cleanupRateLimitRecords(24);
+  }
+
+  return { otps: otpResult.deletedCount, rateLimitRecords };
+};
+
+// Collect every publicId still referenced by the database
+const getReferencedPublicIds = async () => {
+  const referenced = new Set();
+  for (const { model, path } of MEDIA_REFERENCES) {
+    const ids = await model.distinct(path);
+    ids.filter(Boolean).forEach((id) => referenced.add(id));
+  }
+  return referenced;
+};
+
+// Delete app uploads that no document references any more
+const cleanupCloudinaryOrphans = async () => {
+  if (!process.env.CLOUDINARY_CLOUD_NAME) {
+    return { skipped: 'cloudinary_not_configured' };
+  }
+
+  const cutoff = new Date(Date.now() - ORPHAN_MIN_AGE_DAYS * 24 * 60 * 60 * 1000);
+  const referenced = await getReferencedPublicIds();
+  const summary = { scanned: 0, deleted: 0, failed: 0 };
+
+  for (const resourceType of ['image', 'video', 'raw']) {
+    const orphans = [];
+    let nextCursor;
+
+    do {
+      const page = await cloudinary.api.resources({
+        type: 'upload',
+        resource_type: resourceType,
+        prefix: 'apartment_sync/',
+        max_results: 500,
+        next_cursor: nextCursor
+      });
+
+      page.resources.forEach((resource) => {
+        summary.scanned += 1;
+        if (new Date(resource.created_at) < cutoff && !referenced.has(resource.public_id)) {
+          orphans.push(resource.public_id);
+        }
+      });
+      nextCursor = page.next_cursor;
+    } while (nextCursor);
+
+    // Admin API deletes at most 100 resources per call
+    for (let i = 0; i < orphans.length; i += 100) {
+      const batch = orphans.slice(i, i + 100);
+      const result = await cloudinaryUtils.deleteFiles(batch, { resource_type: resourceType });
+      if (result.success) summary.deleted += batch.length;
+      else summary.failed += batch.length;
+    }
+  }
+
+  if (summary.failed > 0) {
+    throw new Error(`Failed to delete ${summary.failed} orphaned Cloudinary files`);
+  }
+
+  return summary;
+};
+
+module.exports = [
+  {
+    name: 'otp-rate-limit-cleanup',
+    description: 'Delete expired/used OTPs and stale rate-limit records',
+    schedule: process.env.OTP_CLEANUP_CRON || '15 * * * *', // Hourly
+    handler: cleanupOtpAndRateLimits
+  },
+  {
+    name: 'cloudinary-orphan-cleanup',
+    description: 'Delete Cloudinary uploads no longer referenced by any record',
+    schedule: process.env.CLOUDINARY_CLEANUP_CRON || '0 3 * * *', // 03:00 daily
+    lockTtlMs: 60 * 60 * 1000,
+    handler: cleanupCloudinaryOrphans
+  }
+];
@@ -0,0 +1,44 @@
+const { sweepSlaBreaches } = require('../services/slaService');
+const { expireUnacceptedAssignments } = require('../services/assignmentService');
+const { autoCloseResolvedComplaints } = require('../services/complaintClosureService');
+const { autoResumeHeldComplaints } = require('../services/complaintHoldService');
+const { backfillComplaintApartmentCodes } = require('../services/complaintDuplicateService');
+
+/**
+ * Complaint jobs
+ */
+
+module.exports = [
+  {
+    name: 'sla-breach-sweep',
+    description: 'Flag open complaints that have passed their SLA and escalate them',
+    schedule: process.env.SLA_SWEEP_CRON || '*/10 * * * *', // Every 10 minutes
+    handler: () => sweepSlaBreaches()
+  },
+  {
+    name: 'assignment-acceptance-timeout',
+    description: 'Return assignments not accepted in time to the admin queue',
+    schedule: process.env.ASSIGNMENT_TIMEOUT_CRON || '*/5 * * * *', // Every 5 minutes
+    handler: () => expireUnacceptedAssignments()
+  },
+  {
+    name: 'auto-close-resolved-complaints',
+    description: 'Prompt for ratings and close resolved tickets past the reopen window',
+    schedule: process.env.AUTO_CLOSE_CRON || '15 * * * *', // Hourly
+    handler: () => autoCloseResolvedComplaints()
+  },
+  {
+    name: 'auto-resume-held-complaints',
+    description: 'Resume On Hold complaints whose resume date has passed',
+    schedule: process.env.HOLD_RESUME_CRON || '*/15 * * * *', // Every 15 minutes
+    handler: () => autoResumeHeldComplaints()
+  },
+  {
+    // Migration for tickets raised before Complaint.apartmentCode existed - a no-op once they are filled in
+    name: 'backfill-complaint-apartment-codes',
+    description: 'Set the building on complaints raised before it was stored',
+    schedule: process.env.COMPLAINT_BACKFILL_CRON || '40 3 * * *', // 03:40 daily
+    lockTtlMs: 30 * 60 * 1000,
+    handler: () => backfillComplaintApartmentCodes()
+  }
+];
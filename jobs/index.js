@@ -0,0 +1,28 @@
+const {
+  registerJob,
+  startScheduler,
+  stopScheduler,
+  getJobStatuses
+} = require('./scheduler');
+const billingJobs = require('./billingJobs');
+const complaintJobs = require('./complaintJobs');
+const noticeJobs = require('./noticeJobs');
+const visitorJobs = require('./visitorJobs');
+const parcelJobs = require('./parcelJobs');
+const cleanupJobs = require('./cleanupJobs');
+
+// Register every scheduled job
+[
+  ...billingJobs,
+  ...complaintJobs,
+  ...noticeJobs,
+  ...visitorJobs,
+  ...parcelJobs,
+  ...cleanupJobs
+].forEach(registerJob);
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  getJobStatuses
+};
@@ -0,0 +1,39 @@
+const {
+  publishDueNotices,
+  expireNotices,
+  archiveExpiredNotices,
+  sendAcknowledgementReminders
+} = require('../services/noticeService');
+
+/**
+ * Notice jobs
+ */
+
+// Publish due scheduled notices, then expire and archive old ones
+const runNoticeLifecycle = async () => {
+  const now = new Date();
+  const published = await publishDueNotices(now);
+  const expired = await expireNotices(now);
+  const archived = await archiveExpiredNotices(now);
+
+  return {
+    published: published.length,
+    expired: expired.length,
+    archived
+  };
+};
+
+module.exports = [
+  {
+    name: 'notice-lifecycle',
+    description: 'Publish scheduled notices, expire and archive old notices',
+    schedule: process.env.NOTICE_LIFECYCLE_CRON || '* * * * *', // Every minute
+    handler: runNoticeLifecycle
+  },
+  {
+    name: 'notice-acknowledgement-reminders',
+    description: 'Remind residents who have not acknowledged mandatory notices (push, then SMS)',
+    schedule: process.env.NOTICE_ACK_REMINDER_CRON || '*/30 * * * *', // Every 30 minutes
+    handler: () => sendAcknowledgementReminders()
+  }
+];
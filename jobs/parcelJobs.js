@@ -0,0 +1,14 @@
+const { sendParcelReminders } = require('../services/parcelService');
+
+/**
+ * Parcel jobs
+ */
+
+module.exports = [
+  {
+    name: 'parcel-reminders',
+    description: 'Remind flats about parcels left uncollected at the security room',
+    schedule: process.env.PARCEL_REMINDER_CRON || '0 * * * *', // Every hour
+    handler: () => sendParcelReminders()
+  }
+];
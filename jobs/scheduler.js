@@ -0,0 +1,184 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const { CronJob } = require('cron');
+const ScheduledJob = require('../models/ScheduledJob');
+
+/**
+ * Job Scheduler
+ * Runs registered cron jobs. A scheduled run claims its cron tick in Mongo, so when
+ * several PM2 instances are running only one of them executes a given tick. The
+ * claim also takes a TTL lock so a slow run does not overlap the next tick.
+ */
+
+const JOB_TIMEZONE = process.env.JOB_TIMEZONE || 'Asia/Kolkata';
+
+// Lock is released after a run; the TTL only matters if a process dies mid-run
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+
+// Identifies this process as lock owner (NODE_APP_INSTANCE is set by PM2)
+const INSTANCE_ID = `${os.hostname()}:${process.env.NODE_APP_INSTANCE || 0}:${process.pid}`;
+
+const registry = new Map();
+
+/**
+ * Register a job
+ * @param {Object} job - { name, schedule (cron expression), description, handler, lockTtlMs, enabled }
+ */
+const registerJob = (job) => {
+  if (registry.has(job.name)) {
+    throw new Error(`Job ${job.name} is already registered`);
+  }
+  registry.set(job.name, {
+    lockTtlMs: DEFAULT_LOCK_TTL_MS,
+    enabled: true,
+    ...job,
+    cronJob: null,
+    nextTickAt: null
+  });
+};
+
+/**
+ * Run a job once under its lock and record the outcome
+ * @param {String} name - Job name
+ * @param {String} trigger - 'schedule' or 'manual'
+ * @param {Date} tickAt - Scheduled cron tick being run (scheduled runs only)
+ * @returns {Object} { ran, run } - ran is false when the lock is held or the tick was already claimed
+ */
+const runJob = async (name, trigger = 'schedule', tickAt = null) => {
+  const job = registry.get(name);
+  if (!job) {
+    throw new Error(`Unknown job ${name}`);
+  }
+
+  // Skip quietly while the database is not connected
+  if (mongoose.connection.readyState !== 1) {
+    console.warn(`⚠️ [JOBS] Skipping ${name} - database not connected`);
+    return { ran: false, run: null };
+  }
+
+  const acquired = await ScheduledJob.acquireLock(name, INSTANCE_ID, job.lockTtlMs, tickAt);
+  if (!acquired) {
+    return { ran: false, run: null };
+  }
+
+  const startedAt = new Date();
+  const run = { startedAt, instance: INSTANCE_ID, trigger };
+  if (tickAt) run.tickAt = tickAt;
+
+  try {
+    const result = await job.handler();
+    run.status = 'success';
+    run.result = result;
+    console.log(`✅ [JOBS] ${name} finished in ${Date.now() - startedAt.getTime()}ms`);
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    console.error(`❌ [JOBS] ${name} failed:`, error);
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt.getTime() - startedAt.getTime();
+    try {
+      await ScheduledJob.recordRun(name, run);
+      await ScheduledJob.releaseLock(name, INSTANCE_ID);
+    } catch (error) {
+      console.error(`❌ [JOBS] Could not record run for ${name}:`, error);
+    }
+  }
+
+  return { ran: true, run };
+};
+
+/**
+ * Start cron timers for every enabled job
+ * Set DISABLE_JOBS=true to run an instance without the scheduler
+ */
+const startScheduler = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('⏸️ [JOBS] Scheduler disabled via DISABLE_JOBS');
+    return;
+  }
+
+  registry.forEach((job) => {
+    if (!job.enabled || job.cronJob) return;
+
+    job.cronJob = new CronJob(
+      job.schedule,
+      () => {
+        // Every instance computes the same tick from the schedule, so it works as the claim key
+        const tickAt = job.nextTickAt;
+        job.nextTickAt = job.cronJob.nextDate().toJSDate();
+
+        runJob(job.name, 'schedule', tickAt).catch((error) => {
+          console.error(`❌ [JOBS] ${job.name} could not start:`, error);
+        });
+      },
+      null,
+      true,
+      JOB_TIMEZONE
+    );
+    job.nextTickAt = job.cronJob.nextDate().toJSDate();
+  });
+
+  console.log(`⏰ [JOBS] Scheduler started with ${registry.size} jobs (${JOB_TIMEZONE}, instance ${INSTANCE_ID})`);
+};
+
+// Stop all cron timers (used on shutdown)
+const stopScheduler = () => {
+  registry.forEach((job) => {
+    if (job.cronJob) {
+      job.cronJob.stop();
+      job.cronJob = null;
+      job.nextTickAt = null;
+    }
+  });
+};
+
+/**
+ * Get registered jobs with their persisted run state
+ * @returns {Array}
+ */
+const getJobStatuses = async () => {
+  const records = await ScheduledJob.find({ name: { $in: Array.from(registry.keys()) } }).lean();
+  const recordsByName = {};
+  records.forEach((record) => {
+    recordsByName[record.name] = record;
+  });
+
+  return Array.from(registry.values()).map((job) => {
+    const record = recordsByName[job.name] || {};
+    const isLocked = !!(record.lock?.expiresAt && new Date(record.lock.expiresAt) > new Date());
+
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      timezone: JOB_TIMEZONE,
+      enabled: job.enabled,
+      nextRunAt: job.cronJob ? job.cronJob.nextDate().toJSDate() : null,
+      isRunning: isLocked,
+      runningOn: isLocked ? record.lock.owner : null,
+      lastRunAt: record.lastRunAt || null,
+      lastFinishedAt: record.lastFinishedAt || null,
+      lastDurationMs: record.lastDurationMs ?? null,
+      lastStatus: record.lastStatus || null,
+      lastError: record.lastError || null,
+      lastSuccessAt: record.lastSuccessAt || null,
+      runCount: record.runCount || 0,
+      failureCount: record.failureCount || 0,
+      consecutiveFailures: record.consecutiveFailures || 0,
+      recentFailures: (record.recentRuns || []).filter((run) => run.status === 'failed')
+    };
+  });
+};
+
+const hasJob = (name) => registry.has(name);
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  getJobStatuses,
+  hasJob,
+  INSTANCE_ID
+};
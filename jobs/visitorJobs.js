@@ -0,0 +1,14 @@
+const { expireVisitors } = require('../services/visitorService');
+
+/**
+ * Visitor jobs
+ */
+
+module.exports = [
+  {
+    name: 'visitor-expiry',
+    description: 'Expire gate passes past their window and walk-in requests the flat did not answer',
+    schedule: process.env.VISITOR_EXPIRY_CRON || '* * * * *', // Every minute
+    handler: () => expireVisitors()
+  }
+];
@@ -33,6 +33,17 @@ const requireStaffOrAdmin = (req, res, next) => {
   next();
 };
 
+// Check if user is a security guard or admin
+const requireSecurityOrAdmin = (req, res, next) => {
+  if (!['security', 'admin'].includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Security or admin access required'
+    });
+  }
+  next();
+};
+
 // Check if user can access their own data or is admin
 const canAccessUserData = (req, res, next) => {
   if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.userId) {
@@ -61,6 +72,7 @@ module.exports = {
   authorize,
   requireAdmin,
   requireStaffOrAdmin,
+  requireSecurityOrAdmin,
   canAccessUserData,
   checkRole
 };
\ No newline at end of file
@@ -1,5 +1,12 @@
 const Joi = require('joi');
 const { Types } = require('mongoose');
+const {
+  COMPLAINT_CATEGORIES,
+  STAFF_SPECIALIZATIONS,
+  COMPLAINT_PRIORITIES
+} = require('../utils/constants');
+
+const complaintPriorities = Object.values(COMPLAINT_PRIORITIES);
 
 // Custom Joi validators
 const objectId = Joi.string().custom((value, helpers) => {
@@ -154,12 +161,9 @@ const validateComplaintCreation = (req, res, next) => {
         'any.custom': 'Title must not exceed 4 words',
       }),
     description: Joi.string().max(500).required().trim(),
-    category: Joi.string().valid(
-      'Electrical', 'Plumbing', 'Carpentry', 'Painting', 
-      'Cleaning', 'Security', 'Elevator', 'Common Area', 'Other'
-    ).required(),
+    category: Joi.string().valid(...COMPLAINT_CATEGORIES).required(),
     subCategory: Joi.string().required().trim(),
-    priority: Joi.string().valid('Low', 'Medium', 'High', 'Emergency').default('Medium'),
+    priority: Joi.string().valid(...complaintPriorities).default('Medium'),
     location: Joi.object({
       specificLocation: Joi.string().required().trim(),
       accessInstructions: Joi.string().allow('').optional()
@@ -170,9 +174,14 @@ const validateComplaintCreation = (req, res, next) => {
         publicId: Joi.string().optional(),
         type: Joi.string().valid('image', 'video').default('image')
       })
-    ).max(4).optional()
+    ).max(4).optional(),
+    // Raise the ticket even if likely duplicates exist
+    ignoreDuplicates: Joi.boolean().optional(),
+    // Follow this existing ticket instead of raising a new one
+    followComplaintId: objectId.optional()
   });
 
+  // The building's sub-category list is checked by the controller (complaintTaxonomyService)
   const { error } = schema.validate(req.body);
   if (error) {
     return res.status(400).json({
@@ -188,19 +197,418 @@ const validateNoticeCreation = (req, res, next) => {
   const schema = Joi.object({
     title: Joi.string().max(200).required().trim(),
     content: Joi.string().required(),
+    buildingCode: Joi.string().trim().optional(),
     category: Joi.string().valid('General', 'Maintenance', 'Security', 'Event', 'Emergency', 'Payment').required(),
     priority: Joi.string().valid('Low', 'Medium', 'High', 'Urgent').default('Medium'),
     targetAudience: Joi.object({
       type: Joi.string().valid('All', 'Specific').required(),
       wings: Joi.array().items(Joi.string()).optional(),
       floors: Joi.array().items(Joi.number()).optional(),
-      flatNumbers: Joi.array().items(Joi.string()).optional()
+      flatNumbers: Joi.array().items(Joi.string()).optional(),
+      residents: Joi.array().items(objectId).optional()
     }).required(),
     schedule: Joi.object({
       publishAt: Joi.date().optional(),
       expireAt: Joi.date().optional()
     }).optional(),
-    requiresAcknowledgement: Joi.boolean().default(false)
+    requiresAcknowledgement: Joi.boolean().default(false),
+    acknowledgementReminders: Joi.object({
+      pushAfterHours: Joi.number().positive().optional(),
+      smsAfterHours: Joi.number().positive().optional()
+    }).optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Notice update validation - attachments are managed through the upload endpoints only
+const validateNoticeUpdate = (req, res, next) => {
+  const schema = Joi.object({
+    title: Joi.string().max(200).optional().trim(),
+    content: Joi.string().optional(),
+    category: Joi.string().valid('General', 'Maintenance', 'Security', 'Event', 'Emergency', 'Payment').optional(),
+    priority: Joi.string().valid('Low', 'Medium', 'High', 'Urgent').optional(),
+    status: Joi.string().valid('Draft', 'Archived').optional(),
+    targetAudience: Joi.object({
+      type: Joi.string().valid('All', 'Specific').required(),
+      wings: Joi.array().items(Joi.string()).optional(),
+      floors: Joi.array().items(Joi.number()).optional(),
+      flatNumbers: Joi.array().items(Joi.string()).optional(),
+      residents: Joi.array().items(objectId).optional()
+    }).optional(),
+    schedule: Joi.object({
+      publishAt: Joi.date().optional(),
+      expireAt: Joi.date().optional()
+    }).optional(),
+    requiresAcknowledgement: Joi.boolean().optional(),
+    acknowledgementReminders: Joi.object({
+      pushAfterHours: Joi.number().positive().optional(),
+      smsAfterHours: Joi.number().positive().optional()
+    }).optional()
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Visitor pre-approval (gate pass) validation
+const validateVisitorPreApproval = (req, res, next) => {
+  const schema = Joi.object({
+    visitorName: Joi.string().max(100).required().trim(),
+    phoneNumber: Joi.string().pattern(/^[6-9]\d{9}$/).optional().messages({
+      'string.pattern.base': 'Please provide a valid Indian phone number'
+    }),
+    purpose: Joi.string().valid('Guest', 'Delivery', 'Cab', 'Service', 'Other').default('Guest'),
+    vehicleNumber: Joi.string().max(20).optional().trim(),
+    guestCount: Joi.number().integer().min(1).max(20).default(1),
+    notes: Joi.string().max(500).optional().allow(''),
+    validFrom: Joi.date().optional(),
+    validUntil: Joi.date().optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Walk-in visitor validation (guard at the gate)
+const validateWalkInVisitor = (req, res, next) => {
+  const schema = Joi.object({
+    visitorName: Joi.string().max(100).required().trim(),
+    phoneNumber: Joi.string().pattern(/^[6-9]\d{9}$/).optional().messages({
+      'string.pattern.base': 'Please provide a valid Indian phone number'
+    }),
+    purpose: Joi.string().valid('Guest', 'Delivery', 'Cab', 'Service', 'Other').default('Guest'),
+    vehicleNumber: Joi.string().max(20).optional().trim(),
+    guestCount: Joi.number().integer().min(1).max(20).default(1),
+    notes: Joi.string().max(500).optional().allow(''),
+    buildingCode: Joi.string().trim().optional(),
+    wing: Joi.string().required().trim(),
+    flatNumber: Joi.string().required().trim()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Resident answer to a walk-in approval request
+const validateVisitorResponse = (req, res, next) => {
+  const schema = Joi.object({
+    decision: Joi.string().valid('approve', 'deny').required(),
+    reason: Joi.string().max(200).optional().allow('')
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Guard shift check-in validation
+const validateShiftCheckIn = (req, res, next) => {
+  const schema = Joi.object({
+    post: Joi.string().max(50).optional().trim(),
+    note: Joi.string().max(500).optional().allow('')
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Security incident report validation
+const validateIncidentReport = (req, res, next) => {
+  const schema = Joi.object({
+    type: Joi.string().valid(
+      'Trespassing', 'Theft', 'Suspicious Activity', 'Altercation', 'Fire', 'Medical', 'Property Damage', 'Other'
+    ).required(),
+    severity: Joi.string().valid('Low', 'Medium', 'High', 'Critical').default('Medium'),
+    title: Joi.string().max(200).required().trim(),
+    description: Joi.string().max(2000).required(),
+    location: Joi.string().max(200).optional().trim(),
+    occurredAt: Joi.date().max('now').optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Security incident status update validation
+const validateIncidentStatus = (req, res, next) => {
+  const schema = Joi.object({
+    status: Joi.string().valid('Acknowledged', 'Closed').required(),
+    resolutionNotes: Joi.string().max(1000).when('status', {
+      is: 'Closed',
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    })
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Parcel logged at the security room
+const validateParcelLog = (req, res, next) => {
+  const schema = Joi.object({
+    courier: Joi.string().max(50).required().trim(),
+    recipientName: Joi.string().max(100).optional().trim(),
+    trackingNumber: Joi.string().max(50).optional().trim(),
+    description: Joi.string().max(200).optional().allow(''),
+    packageCount: Joi.number().integer().min(1).max(50).default(1),
+    buildingCode: Joi.string().trim().optional(),
+    wing: Joi.string().required().trim(),
+    flatNumber: Joi.string().required().trim()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Parcel handover against the pickup code
+const validateParcelCollection = (req, res, next) => {
+  const schema = Joi.object({
+    pickupCode: Joi.string().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'Pickup code must be 6 digits'
+    }),
+    collectedByName: Joi.string().max(100).optional().trim()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Parcel returned to the courier
+const validateParcelReturn = (req, res, next) => {
+  const schema = Joi.object({
+    reason: Joi.string().max(200).required().trim()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Invoice generation validation
+const validateInvoiceGeneration = (req, res, next) => {
+  const schema = Joi.object({
+    buildingCode: Joi.string().required().uppercase().trim(),
+    month: Joi.number().integer().min(1).max(12).required(),
+    year: Joi.number().integer().min(2000).max(2100).required(),
+    dueDate: Joi.date().optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Payment recording validation
+const validatePaymentRecord = (req, res, next) => {
+  const schema = Joi.object({
+    residentId: objectId.optional(),
+    amount: Joi.number().positive().precision(2).required(),
+    method: Joi.string().valid('Cash', 'Cheque', 'UPI', 'Bank Transfer').required(),
+    referenceNumber: Joi.string().trim().when('method', {
+      is: Joi.valid('Cheque', 'UPI', 'Bank Transfer'),
+      then: Joi.required(),
+      otherwise: Joi.optional().allow('')
+    }),
+    paidAt: Joi.date().max('now').optional(),
+    notes: Joi.string().max(500).optional().allow('')
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Online payment checkout callback validation
+const validateOnlinePaymentVerification = (req, res, next) => {
+  const schema = Joi.object({
+    provider: Joi.string().trim().required(),
+    orderId: Joi.string().trim().required(),
+    paymentId: Joi.string().trim().required(),
+    signature: Joi.string().trim().required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Building SLA policy validation
+const validateSlaPolicy = (req, res, next) => {
+  const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+    'string.pattern.base': 'Times must be in HH:mm (24-hour) format'
+  });
+
+  const schema = Joi.object({
+    defaultHours: Joi.object(complaintPriorities.reduce((hours, priority) => {
+      hours[priority] = Joi.number().min(0.5).max(8760);
+      return hours;
+    }, {})).optional(),
+    rules: Joi.array().items(
+      Joi.object({
+        category: Joi.string().valid(...COMPLAINT_CATEGORIES).required(),
+        priority: Joi.string().valid(...complaintPriorities).required(),
+        hours: Joi.number().min(0.5).max(8760).required()
+      })
+    ).unique((a, b) => a.category === b.category && a.priority === b.priority).optional()
+      .messages({ 'array.unique': 'Only one SLA rule is allowed per category and priority' }),
+    businessHours: Joi.object({
+      enabled: Joi.boolean().required(),
+      timezone: Joi.string().trim().optional(),
+      startTime: timeOfDay.optional(),
+      endTime: timeOfDay.optional(),
+      weeklyOffs: Joi.array().items(Joi.number().integer().min(0).max(6)).max(6).unique().optional(),
+      holidays: Joi.array().items(
+        Joi.object({
+          date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
+            .messages({ 'string.pattern.base': 'Holiday dates must be in YYYY-MM-DD format' }),
+          name: Joi.string().max(100).optional().allow('')
+        })
+      ).optional(),
+      exemptPriorities: Joi.array().items(Joi.string().valid(...complaintPriorities)).unique().optional()
+    }).optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Building complaint workflow validation (consistency is checked by the model on save)
+const validateComplaintWorkflow = (req, res, next) => {
+  const schema = Joi.object({
+    customStatuses: Joi.array().items(
+      Joi.object({
+        name: Joi.string().trim().min(2).max(40).required(),
+        description: Joi.string().trim().max(200).optional().allow('')
+      })
+    ).max(20).optional(),
+    transitions: Joi.array().items(
+      Joi.object({
+        from: Joi.string().trim().max(40).required(),
+        to: Joi.string().trim().max(40).required(),
+        roles: Joi.array().items(Joi.string().valid('resident', 'admin', 'staff')).min(1).unique().required(),
+        requiresComment: Joi.boolean().optional()
+      })
+    ).min(1).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Building complaint taxonomy validation
+const validateComplaintTaxonomy = (req, res, next) => {
+  const schema = Joi.object({
+    categories: Joi.array().items(
+      Joi.object({
+        category: Joi.string().valid(...COMPLAINT_CATEGORIES).required(),
+        subCategories: Joi.array().items(
+          Joi.object({
+            name: Joi.string().trim().min(2).max(60).required(),
+            defaultPriority: Joi.string().valid(...complaintPriorities).optional(),
+            slaHours: Joi.number().min(0.5).max(8760).optional(),
+            suggestedSpecialization: Joi.string().valid(...STAFF_SPECIALIZATIONS).optional(),
+            photoRequired: Joi.boolean().optional(),
+            isActive: Joi.boolean().optional()
+          })
+        ).unique((a, b) => a.name.trim().toLowerCase() === b.name.trim().toLowerCase()).required()
+          .messages({ 'array.unique': 'Sub-category names must be unique within a category' })
+      })
+    ).unique('category').required()
+      .messages({ 'array.unique': 'Each category can only be listed once' })
   });
 
   const { error } = schema.validate(req.body);
@@ -221,5 +629,21 @@ module.exports = {
   validateUserRegistration,
   validateComplaintCreation,
   validateNoticeCreation,
+  validateNoticeUpdate,
+  validateVisitorPreApproval,
+  validateWalkInVisitor,
+  validateVisitorResponse,
+  validateShiftCheckIn,
+  validateIncidentReport,
+  validateIncidentStatus,
+  validateParcelLog,
+  validateParcelCollection,
+  validateParcelReturn,
+  validateInvoiceGeneration,
+  validatePaymentRecord,
+  validateOnlinePaymentVerification,
+  validateSlaPolicy,
+  validateComplaintWorkflow,
+  validateComplaintTaxonomy,
   objectId
 };
\ No newline at end of file
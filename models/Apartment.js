@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
 const User = require('./User');
+const {
+  COMPLAINT_CATEGORIES,
+  COMPLAINT_PRIORITIES,
+  DEFAULT_SLA_HOURS,
+  STAFF_SPECIALIZATIONS
+} = require('../utils/constants');
+const {
+  WORKFLOW_ROLES,
+  MAX_STATUS_NAME_LENGTH,
+  validateWorkflowDefinition
+} = require('../utils/complaintWorkflow');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
 
 const apartmentSchema = new mongoose.Schema({
   name: {
@@ -166,6 +179,86 @@ const apartmentSchema = new mongoose.Schema({
       role: String
     }]
   },
+  // Complaint SLA policy - hours per category x priority, optionally counted in business hours only
+  slaPolicy: {
+    defaultHours: {
+      Emergency: { type: Number, min: 0.5, default: DEFAULT_SLA_HOURS.Emergency },
+      High: { type: Number, min: 0.5, default: DEFAULT_SLA_HOURS.High },
+      Medium: { type: Number, min: 0.5, default: DEFAULT_SLA_HOURS.Medium },
+      Low: { type: Number, min: 0.5, default: DEFAULT_SLA_HOURS.Low }
+    },
+    rules: [{
+      category: { type: String, enum: COMPLAINT_CATEGORIES, required: true },
+      priority: { type: String, enum: Object.values(COMPLAINT_PRIORITIES), required: true },
+      hours: { type: Number, min: 0.5, required: true }
+    }],
+    businessHours: {
+      enabled: { type: Boolean, default: false },
+      timezone: { type: String, default: 'Asia/Kolkata' },
+      startTime: { type: String, match: TIME_OF_DAY, default: '09:00' },
+      endTime: { type: String, match: TIME_OF_DAY, default: '18:00' },
+      weeklyOffs: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+      holidays: [{
+        date: { type: String, match: /^\d{4}-\d{2}-\d{2}$/, required: true },
+        name: String
+      }],
+      // Priorities whose SLA runs around the clock even when business hours are enabled
+      exemptPriorities: {
+        type: [{ type: String, enum: Object.values(COMPLAINT_PRIORITIES) }],
+        default: [COMPLAINT_PRIORITIES.EMERGENCY]
+      }
+    },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: Date
+  },
+  // Categories where staff must enter the resident's handover code to resolve a complaint
+  handoverOtp: {
+    categories: [{ type: String, enum: COMPLAINT_CATEGORIES }],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: Date
+  },
+  // Assign new complaints to the best-ranked staff member automatically
+  autoAssignment: {
+    enabled: { type: Boolean, default: false },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: Date
+  },
+  // Sub-categories residents pick from - categories left out keep a free-text sub-category
+  complaintTaxonomy: {
+    categories: [{
+      category: { type: String, enum: COMPLAINT_CATEGORIES, required: true },
+      subCategories: [{
+        name: { type: String, trim: true, required: true, maxlength: 60 },
+        defaultPriority: {
+          type: String,
+          enum: Object.values(COMPLAINT_PRIORITIES),
+          default: COMPLAINT_PRIORITIES.MEDIUM
+        },
+        // SLA hours at the default priority (the SLA policy applies otherwise)
+        slaHours: { type: Number, min: 0.5 },
+        suggestedSpecialization: { type: String, enum: STAFF_SPECIALIZATIONS },
+        photoRequired: { type: Boolean, default: false },
+        isActive: { type: Boolean, default: true }
+      }]
+    }],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: Date
+  },
+  // Complaint statuses and who may move between them - no transitions means the default workflow
+  complaintWorkflow: {
+    customStatuses: [{
+      name: { type: String, trim: true, required: true, maxlength: MAX_STATUS_NAME_LENGTH },
+      description: { type: String, trim: true, maxlength: 200 }
+    }],
+    transitions: [{
+      from: { type: String, trim: true, required: true },
+      to: { type: String, trim: true, required: true },
+      roles: [{ type: String, enum: WORKFLOW_ROLES }],
+      requiresComment: { type: Boolean, default: false }
+    }],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -183,6 +276,15 @@ const apartmentSchema = new mongoose.Schema({
 apartmentSchema.index({ code: 1 }, { unique: true });
 apartmentSchema.index({ 'address.city': 1, 'address.state': 1 });
 
+// Reject inconsistent complaint workflows before they are saved
+apartmentSchema.pre('validate', function(next) {
+  if (this.isModified('complaintWorkflow') && this.complaintWorkflow?.transitions?.length > 0) {
+    const problem = validateWorkflowDefinition(this.complaintWorkflow);
+    if (problem) this.invalidate('complaintWorkflow', problem);
+  }
+  next();
+});
+
 // Static method to find apartment by code
 apartmentSchema.statics.findByCode = function(code) {
   try {
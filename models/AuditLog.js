@@ -38,6 +38,13 @@ const auditLogSchema = new mongoose.Schema({
       'NOTICE_DELETED',
       'NOTICE_READ',
       
+      // Billing actions
+      'INVOICES_GENERATED',
+      'INVOICE_VOIDED',
+      'LATE_FEES_APPLIED',
+      'PAYMENT_RECORDED',
+      'PAYMENT_REFUNDED',
+      
       // Staff actions
       'STAFF_CREATED',
       'STAFF_UPDATED',
@@ -87,6 +94,7 @@ const auditLogSchema = new mongoose.Schema({
       'Notice',
       'Staff',
       'Apartment',
+      'Invoice',
       'Payment',
       'System',
       'Settings'
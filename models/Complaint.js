@@ -1,4 +1,16 @@
 const mongoose = require("mongoose");
+const {
+  COMPLAINT_CATEGORIES,
+  STAFF_SPECIALIZATIONS,
+  DEFAULT_SLA_HOURS,
+  HOLD_REASON_CATEGORIES,
+} = require("../utils/constants");
+const Apartment = require("./Apartment");
+const {
+  CORE_STATUSES,
+  MAX_STATUS_NAME_LENGTH,
+  findTransition,
+} = require("../utils/complaintWorkflow");
 
 const complaintSchema = new mongoose.Schema(
   {
@@ -21,41 +33,38 @@ const complaintSchema = new mongoose.Schema(
     },
     category: {
       type: String,
-      enum: [
-        "Electrical",
-        "Plumbing",
-        "Carpentry",
-        "Painting",
-        "Cleaning",
-        "Security",
-        "Elevator",
-        "Common Area",
-        "Other",
-      ],
+      enum: COMPLAINT_CATEGORIES,
       required: true,
     },
+    // From the building's taxonomy when it has one for the category, free text otherwise
     subCategory: {
       type: String,
       required: true,
+      trim: true,
+    },
+    // Staff skill the ticket needs - the sub-category's suggestion, otherwise the category
+    specialization: {
+      type: String,
+      enum: STAFF_SPECIALIZATIONS,
     },
     priority: {
       type: String,
       enum: ["Low", "Medium", "High", "Emergency"],
       default: "Medium",
     },
+    // Core statuses plus any custom statuses from the building's workflow (see utils/complaintWorkflow)
     status: {
       type: String,
-      enum: [
-        "Open",
-        "Assigned",
-        "In Progress",
-        "Resolved",
-        "Closed",
-        "Cancelled",
-        "Reopened",
-      ],
+      trim: true,
+      maxlength: [MAX_STATUS_NAME_LENGTH, `Status cannot exceed ${MAX_STATUS_NAME_LENGTH} characters`],
       default: "Open",
     },
+    // Building the complaint was raised in (creator's apartment code)
+    apartmentCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
     location: {
       specificLocation: String,
       accessInstructions: String,
@@ -92,7 +101,62 @@ const complaintSchema = new mongoose.Schema(
       staff: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
       assignedAt: Date,
       assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      // Staff must accept within the acceptance window or the ticket returns to the admin queue
+      // TimedOut only while the expiry job hands the ticket back to the queue
+      acceptanceStatus: { type: String, enum: ["Pending", "Accepted", "TimedOut"] },
+      acceptBy: Date,
+      acceptedAt: Date,
     },
+    assignmentHistory: [
+      {
+        staff: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+        action: {
+          type: String,
+          enum: ["Assigned", "Reassigned", "Accepted", "Declined", "TimedOut"],
+          required: true,
+        },
+        reason: String,
+        performedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        performedByRole: String,
+        timestamp: { type: Date, default: Date.now },
+      },
+    ],
+    // Duplicate merged into another ticket - cancelled with a link to the parent
+    parentComplaint: { type: mongoose.Schema.Types.ObjectId, ref: "Complaint" },
+    mergedAt: Date,
+    mergedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    childComplaints: [{ type: mongoose.Schema.Types.ObjectId, ref: "Complaint" }],
+    // Residents other than the creator who receive this ticket's updates
+    followers: [
+      {
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        source: { type: String, enum: ["follow", "duplicate", "merge"], required: true },
+        followedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Current hold while status is On Hold (SLA clock paused)
+    hold: {
+      reasonCategory: { type: String, enum: HOLD_REASON_CATEGORIES },
+      reason: String,
+      heldAt: Date,
+      heldBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      // Resumed automatically once this passes
+      resumeAt: Date,
+      // Status to return to when resumed automatically
+      previousStatus: String,
+    },
+    holdHistory: [
+      {
+        reasonCategory: { type: String, enum: HOLD_REASON_CATEGORIES },
+        reason: String,
+        heldAt: Date,
+        heldBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        resumedAt: Date,
+        resumedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        autoResumed: { type: Boolean, default: false },
+        heldHours: Number,
+      },
+    ],
     timeline: [
       {
         status: String,
@@ -107,10 +171,13 @@ const complaintSchema = new mongoose.Schema(
         fromStatus: { type: String, required: true },
         toStatus: { type: String, required: true },
         reason: String, // Mandatory for certain transitions
+        // Not set for entries written by background jobs (updatedByRole "system")
         updatedBy: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "User",
-          required: true,
+          required: function () {
+            return this.updatedByRole !== "system";
+          },
         },
         updatedByRole: { type: String, required: true },
         timestamp: { type: Date, default: Date.now, immutable: true },
@@ -144,6 +211,12 @@ const complaintSchema = new mongoose.Schema(
         },
       ],
     },
+    // Resident handover codes - kept per ticket so regenerating a code does not reset the limits
+    handover: {
+      codesSent: { type: Number, default: 0 },
+      lastSentAt: Date,
+      failedAttempts: { type: Number, default: 0 },
+    },
     rating: {
       score: { type: Number, min: 1, max: 5 },
       comment: String,
@@ -152,7 +225,28 @@ const complaintSchema = new mongoose.Schema(
     sla: {
       expectedResolution: Date,
       actualResolution: Date,
+      // Policy hours the expected resolution was computed from
+      targetHours: Number,
+      businessHoursOnly: { type: Boolean, default: false },
+      // Set while on hold - the clock is stopped
+      pausedAt: Date,
+      // SLA hours credited back for holds (working hours under a business-hours SLA)
+      pausedHours: { type: Number, default: 0 },
+      // Clock hours spent on hold, excluded from resolution time
+      heldHours: { type: Number, default: 0 },
       isBreached: { type: Boolean, default: false },
+      breachedAt: Date,
+      // Index of the next escalation level to notify
+      escalationLevel: { type: Number, default: 0 },
+      lastEscalatedAt: Date,
+      escalations: [
+        {
+          level: Number,
+          target: { type: String, enum: ["staff", "building_admin", "all_admins"] },
+          recipients: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+          notifiedAt: { type: Date, default: Date.now },
+        },
+      ],
     },
     internalNotes: [
       {
@@ -191,6 +285,9 @@ const complaintSchema = new mongoose.Schema(
     // Track if ticket was previously closed (for reopen logic)
     previouslyClosed: { type: Boolean, default: false },
     closedAt: Date,
+    // Set when the scheduler closes a resolved ticket after the reopen window
+    autoClosed: { type: Boolean, default: false },
+    ratingPromptSentAt: Date,
     reopenedAt: Date,
     reopenedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     cancelledAt: Date,
@@ -207,6 +304,12 @@ complaintSchema.index({ createdBy: 1, status: 1 });
 complaintSchema.index({ assignedTo: 1, status: 1 });
 complaintSchema.index({ category: 1, priority: 1 });
 complaintSchema.index({ status: 1, createdAt: 1 });
+complaintSchema.index({ status: 1, "sla.expectedResolution": 1 });
+complaintSchema.index({ "assignedTo.acceptanceStatus": 1, "assignedTo.acceptBy": 1 });
+complaintSchema.index({ status: 1, "resolution.resolvedAt": 1 });
+complaintSchema.index({ status: 1, "hold.resumeAt": 1 });
+complaintSchema.index({ apartmentCode: 1, category: 1, createdAt: -1 });
+complaintSchema.index({ "followers.user": 1 });
 complaintSchema.index({ ticketNumber: 1 }, { unique: true });
 
 // Pre-validate middleware to generate ticket number before required checks
@@ -224,17 +327,30 @@ complaintSchema.pre("validate", async function (next) {
       updatedBy: this.createdBy,
     });
 
-    // Set SLA based on priority
-    const slaHours = {
-      Emergency: 2,
-      High: 24,
-      Medium: 72,
-      Low: 168,
-    };
+    // Fall back to the default SLA when the building policy was not applied by the caller
+    if (!this.sla.expectedResolution) {
+      const slaHours = DEFAULT_SLA_HOURS[this.priority] || DEFAULT_SLA_HOURS.Medium;
+      this.sla.targetHours = slaHours;
+      this.sla.expectedResolution = new Date(
+        Date.now() + slaHours * 60 * 60 * 1000
+      );
+    }
+  }
+  next();
+});
 
-    this.sla.expectedResolution = new Date(
-      Date.now() + slaHours[this.priority] * 60 * 60 * 1000
-    );
+// Pre-validate middleware to keep status to a core status or one of the building's custom statuses
+complaintSchema.pre("validate", async function (next) {
+  if (!this.isModified("status") || CORE_STATUSES.includes(this.status)) {
+    return next();
+  }
+
+  const building = this.apartmentCode
+    ? await Apartment.findOne({ code: this.apartmentCode }).select("complaintWorkflow.customStatuses").lean()
+    : null;
+  const customStatuses = (building?.complaintWorkflow?.customStatuses || []).map((status) => status.name);
+  if (!customStatuses.includes(this.status)) {
+    this.invalidate("status", `${this.status} is not a status in this building's workflow`);
   }
   next();
 });
@@ -297,6 +413,8 @@ complaintSchema.methods.updateStatus = async function (
       resolvedBy: null,
       images: [],
     };
+    // The next resolution gets its own rating prompt before auto-close
+    this.ratingPromptSentAt = undefined;
   } else if (newStatus === "Cancelled") {
     this.cancelledAt = new Date();
     this.cancelledBy = updatedBy;
@@ -326,34 +444,10 @@ complaintSchema.methods.addComment = async function (
   return this.comments[this.comments.length - 1];
 };
 
-// Instance method to validate status transition
-complaintSchema.methods.canTransitionTo = function (newStatus, userRole) {
-  const validTransitions = {
-    Open: ["Assigned", "Cancelled"],
-    Assigned: ["In Progress", "Cancelled", "Open"], // Can unassign
-    "In Progress": ["Resolved", "Cancelled"],
-    Resolved: ["Closed", "Reopened"],
-    Closed: ["Reopened"], // Can only reopen
-    Reopened: ["Assigned", "In Progress", "Cancelled"], // Treated as active
-    Cancelled: [], // Terminal state
-  };
-
-  const allowedStatuses = validTransitions[this.status] || [];
-
-  // Role-based restrictions
-  if (newStatus === "Assigned" && userRole !== "admin") {
-    return false; // Only admin can assign
-  }
-
-  if (newStatus === "Reopened" && userRole !== "resident") {
-    return false; // Only resident can reopen
-  }
-
-  if (newStatus === "Closed" && userRole !== "resident") {
-    return false; // Only resident can close
-  }
-
-  return allowedStatuses.includes(newStatus);
+// Instance method to validate status transition against the building's workflow (default when none is given)
+complaintSchema.methods.canTransitionTo = function (newStatus, userRole, workflow) {
+  const transition = findTransition(workflow, this.status, newStatus);
+  return Boolean(transition && transition.roles.includes(userRole));
 };
 
 // Static method for dashboard stats
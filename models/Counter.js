@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Named sequences for human-readable document numbers (invoices, receipts, parcels...)
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to atomically take the next value of a sequence
+// seed lifts a new (or lagging) sequence past numbers issued before it existed
+counterSchema.statics.next = async function(key, seed = 0) {
+  if (seed > 0) {
+    await this.updateOne({ key }, { $max: { seq: seed } }, { upsert: true });
+  }
+
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const guardShiftSchema = new mongoose.Schema({
+  guard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Building the shift is worked at
+  apartmentCode: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Where the guard is posted (e.g. Main Gate)
+  post: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Post cannot exceed 50 characters']
+  },
+  status: {
+    type: String,
+    enum: ['On Duty', 'Completed'],
+    default: 'On Duty'
+  },
+  checkInAt: {
+    type: Date,
+    default: Date.now
+  },
+  checkInNote: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  checkOutAt: Date,
+  // Handover notes for the next guard
+  checkOutNote: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  durationMinutes: Number
+}, {
+  timestamps: true
+});
+
+// Indexes
+guardShiftSchema.index({ guard: 1, status: 1 });
+guardShiftSchema.index({ apartmentCode: 1, checkInAt: -1 });
+// One open shift per guard
+guardShiftSchema.index({ guard: 1 }, { unique: true, partialFilterExpression: { status: 'On Duty' } });
+
+// Method to end the shift
+guardShiftSchema.methods.checkOut = async function(note) {
+  this.status = 'Completed';
+  this.checkOutAt = new Date();
+  this.checkOutNote = note;
+  this.durationMinutes = Math.round((this.checkOutAt - this.checkInAt) / (60 * 1000));
+  await this.save();
+  return this;
+};
+
+module.exports = mongoose.model('GuardShift', guardShiftSchema);
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const { roundAmount } = require('../utils/helpers');
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  apartmentCode: {
+    type: String,
+    required: [true, 'Apartment code is required'],
+    uppercase: true
+  },
+  resident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  flat: {
+    floorNumber: { type: Number, required: true },
+    flatNumber: { type: String, required: true },
+    flatCode: { type: String, required: true },
+    flatType: String,
+    squareFeet: { type: Number, required: true }
+  },
+  billingPeriod: {
+    month: { type: Number, min: 1, max: 12, required: true },
+    year: { type: Number, required: true }
+  },
+  maintenanceRate: {
+    type: Number,
+    required: true
+  }, // per sq.ft at the time of billing
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  }, // squareFeet × maintenanceRate
+  lateFee: {
+    type: Number,
+    default: 0
+  },
+  lateFeeAppliedAt: Date,
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Partially Paid', 'Paid', 'Overdue', 'Void'],
+    default: 'Pending'
+  },
+  paidAt: Date,
+  reminders: [{
+    sentAt: { type: Date, default: Date.now },
+    channels: [{ type: String, enum: ['email', 'sms', 'push'] }],
+    sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+  voidReason: String,
+  voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  voidedAt: Date,
+  generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } // Empty when generated by the scheduler
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+invoiceSchema.index({ apartmentCode: 1, 'billingPeriod.year': 1, 'billingPeriod.month': 1 });
+// One live invoice per flat and billing period - a voided invoice can be re-issued
+invoiceSchema.index(
+  { apartmentCode: 1, 'flat.flatCode': 1, 'billingPeriod.year': 1, 'billingPeriod.month': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ['Pending', 'Partially Paid', 'Paid', 'Overdue'] } }
+  }
+);
+invoiceSchema.index({ resident: 1, status: 1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+
+// Virtual for outstanding balance
+invoiceSchema.virtual('balanceDue').get(function() {
+  if (this.status === 'Void') return 0;
+  return Math.max(0, roundAmount(this.totalAmount - this.amountPaid));
+});
+
+// Pre-save middleware to keep totals and status in sync
+invoiceSchema.pre('save', function(next) {
+  this.totalAmount = roundAmount(this.amount + (this.lateFee || 0));
+  this.amountPaid = roundAmount(this.amountPaid || 0);
+
+  if (this.status !== 'Void') {
+    if (this.amountPaid >= this.totalAmount) {
+      this.status = 'Paid';
+      if (!this.paidAt) this.paidAt = new Date();
+    } else if (this.amountPaid > 0) {
+      this.status = 'Partially Paid';
+    } else if (this.dueDate < new Date()) {
+      this.status = 'Overdue';
+    } else {
+      this.status = 'Pending';
+    }
+  }
+  next();
+});
+
+// Static method to atomically add a payment to an invoice (a negative amount reverses one)
+// Status and paidAt follow the pre-save rules; returns null when the invoice is void
+// or the amount no longer fits its balance. Pass a session to run it inside a transaction
+invoiceSchema.statics.applyPayment = function(invoiceId, amount, now = new Date(), session = null) {
+  const isPaid = { $gte: ['$amountPaid', '$totalAmount'] };
+
+  return this.findOneAndUpdate(
+    {
+      _id: invoiceId,
+      status: { $ne: 'Void' },
+      $expr: { $lte: [{ $add: ['$amountPaid', amount] }, { $add: ['$totalAmount', 0.005] }] }
+    },
+    [
+      { $set: { amountPaid: { $max: [{ $round: [{ $add: ['$amountPaid', amount] }, 2] }, 0] } } },
+      {
+        $set: {
+          status: {
+            $switch: {
+              branches: [
+                { case: isPaid, then: 'Paid' },
+                { case: { $gt: ['$amountPaid', 0] }, then: 'Partially Paid' },
+                { case: { $lt: ['$dueDate', now] }, then: 'Overdue' }
+              ],
+              default: 'Pending'
+            }
+          },
+          paidAt: { $cond: [isPaid, { $ifNull: ['$paidAt', now] }, '$paidAt'] }
+        }
+      }
+    ],
+    { new: true, session }
+  );
+};
+
+// Method to apply the building's late fee once the grace period has passed
+invoiceSchema.methods.applyLateFee = function(settings, now = new Date()) {
+  if (['Paid', 'Void'].includes(this.status) || this.lateFee > 0) {
+    return false;
+  }
+
+  const gracePeriodMs = (settings.gracePeriod || 0) * 24 * 60 * 60 * 1000;
+  if (now.getTime() <= this.dueDate.getTime() + gracePeriodMs) {
+    return false;
+  }
+
+  this.lateFee = roundAmount((this.amount * (settings.lateFeePercentage || 0)) / 100);
+  this.lateFeeAppliedAt = now;
+  return this.lateFee > 0;
+};
+
+// Method to void invoice
+invoiceSchema.methods.markVoid = function(reason, voidedBy) {
+  this.status = 'Void';
+  this.voidReason = reason;
+  this.voidedBy = voidedBy;
+  this.voidedAt = new Date();
+  return this;
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
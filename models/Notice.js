@@ -11,6 +11,11 @@ const noticeSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Notice content is required']
   },
+  // Building the notice belongs to
+  apartmentCode: {
+    type: String,
+    uppercase: true
+  },
   category: {
     type: String,
     enum: ['General', 'Maintenance', 'Security', 'Event', 'Emergency', 'Payment'],
@@ -32,20 +37,25 @@ const noticeSchema = new mongoose.Schema({
       enum: ['All', 'Specific'],
       required: true
     },
-    wings: [String],
+    wings: [{ type: String, uppercase: true }],
     floors: [Number],
-    flatNumbers: [String]
+    flatNumbers: [{ type: String, uppercase: true }],
+    residents: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }] // Individually added residents
   },
   schedule: {
     publishAt: { type: Date, default: Date.now },
-    expireAt: Date
+    expireAt: Date,
+    autoPublish: { type: Boolean, default: false } // Draft waiting to be published by the scheduler
   },
   attachments: [{
     name: String,
     url: String,
     publicId: String,
-    type: String,
-    size: Number
+    type: { type: String }, // MIME type
+    resourceType: { type: String, enum: ['image', 'video', 'raw'], default: 'image' }, // Cloudinary resource type
+    size: Number,
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, default: Date.now }
   }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -64,15 +74,36 @@ const noticeSchema = new mongoose.Schema({
   requiresAcknowledgement: {
     type: Boolean,
     default: false
-  }
+  },
+  // Hours after publishing before non-acknowledgers are reminded (defaults from env)
+  acknowledgementReminders: {
+    pushAfterHours: Number,
+    smsAfterHours: Number
+  },
+  acknowledgements: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    flatCode: String,
+    acknowledgedAt: { type: Date, default: Date.now },
+    ipAddress: String
+  }],
+  remindersSent: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    channel: { type: String, enum: ['push', 'sms'] },
+    // False when the push could not be delivered (no token, opted out or FCM error)
+    delivered: Boolean,
+    sentAt: { type: Date, default: Date.now }
+  }]
 }, {
   timestamps: true
 });
 
 // Indexes
+noticeSchema.index({ apartmentCode: 1, status: 1, 'schedule.publishAt': -1 });
 noticeSchema.index({ status: 1, 'schedule.publishAt': 1 });
 noticeSchema.index({ category: 1, priority: 1 });
 noticeSchema.index({ 'schedule.expireAt': 1 });
+noticeSchema.index({ status: 1, 'schedule.autoPublish': 1, 'schedule.publishAt': 1 });
+noticeSchema.index({ status: 1, requiresAcknowledgement: 1 });
 
 // Pre-save middleware to calculate engagement
 noticeSchema.pre('save', function(next) {
@@ -95,6 +126,21 @@ noticeSchema.methods.markAsRead = async function(userId) {
   return this;
 };
 
+// Method to record a user's acknowledgement (also counts as a read)
+noticeSchema.methods.acknowledge = async function(user, ipAddress) {
+  const alreadyAcknowledged = this.acknowledgements.some(ack => ack.user.toString() === user._id.toString());
+
+  if (!alreadyAcknowledged) {
+    this.acknowledgements.push({ user: user._id, flatCode: user.flatCode, ipAddress });
+  }
+  if (!this.readBy.some(read => read.user.toString() === user._id.toString())) {
+    this.readBy.push({ user: user._id });
+  }
+  await this.save();
+
+  return !alreadyAcknowledged;
+};
+
 // Static method to get active notices
 noticeSchema.statics.getActiveNotices = function() {
   const now = new Date();
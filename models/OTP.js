@@ -13,9 +13,14 @@ const OTPSchema = new mongoose.Schema({
   },
   purpose: {
     type: String,
-    enum: ['registration', 'login', 'forgot-password', 'admin_registration'],
+    enum: ['registration', 'login', 'forgot-password', 'admin_registration', 'complaint_handover'],
     required: true
   },
+  // Record the code is tied to (e.g. the complaint id for handover codes)
+  reference: {
+    type: String,
+    default: null
+  },
   expiresAt: {
     type: Date,
     required: true,
@@ -34,33 +39,36 @@ const OTPSchema = new mongoose.Schema({
 });
 
 // Index for efficient queries
-OTPSchema.index({ phoneNumber: 1, purpose: 1 });
+OTPSchema.index({ phoneNumber: 1, purpose: 1, reference: 1 });
 
 // Static method to create OTP
-OTPSchema.statics.generateOTP = async function(phoneNumber, purpose) {
-  // Delete any existing OTPs for this phone and purpose
-  await this.deleteMany({ phoneNumber, purpose });
+// options: { reference, expiresInMinutes } - defaults to an unreferenced 5 minute code
+OTPSchema.statics.generateOTP = async function(phoneNumber, purpose, options = {}) {
+  const { reference = null, expiresInMinutes = 5 } = options;
+
+  // Delete any existing OTPs for this phone, purpose and reference
+  await this.deleteMany({ phoneNumber, purpose, reference });
 
   // Generate 6-digit OTP
   const otp = Math.floor(100000 + Math.random() * 900000).toString();
   
-  // Set expiry to 5 minutes from now
-  const expiresAt = new Date(Date.now() + 5 * 60 * 1000);
+  const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
 
   return this.create({
     phoneNumber,
     otp,
     purpose,
+    reference,
     expiresAt
   });
 };
 
 // Static method to verify OTP
-OTPSchema.statics.verifyOTP = async function(phoneNumber, otp, purpose) {
+OTPSchema.statics.verifyOTP = async function(phoneNumber, otp, purpose, reference = null) {
   const otpRecord = await this.findOne({
     phoneNumber,
-    otp,
     purpose,
+    reference,
     expiresAt: { $gt: new Date() },
     isUsed: false
   });
@@ -73,6 +81,12 @@ OTPSchema.statics.verifyOTP = async function(phoneNumber, otp, purpose) {
     return { isValid: false, message: 'Too many failed attempts' };
   }
 
+  if (otpRecord.otp !== String(otp)) {
+    otpRecord.attempts += 1;
+    await otpRecord.save();
+    return { isValid: false, message: 'Invalid or expired OTP' };
+  }
+
   // Mark OTP as used
   otpRecord.isUsed = true;
   await otpRecord.save();
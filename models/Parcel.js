@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { PARCEL_STATUS } = require('../utils/constants');
+
+const parcelSchema = new mongoose.Schema({
+  parcelNumber: {
+    type: String,
+    unique: true
+  },
+  // Building the parcel was delivered to
+  apartmentCode: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Flat the parcel is for
+  flat: {
+    wing: { type: String, uppercase: true, required: true },
+    flatNumber: { type: String, uppercase: true, required: true },
+    flatCode: { type: String, uppercase: true }
+  },
+  recipientName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Recipient name cannot exceed 100 characters']
+  },
+  courier: {
+    type: String,
+    required: [true, 'Courier is required'],
+    trim: true,
+    maxlength: [50, 'Courier cannot exceed 50 characters']
+  },
+  trackingNumber: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  packageCount: {
+    type: Number,
+    min: 1,
+    max: 50,
+    default: 1
+  },
+  photo: {
+    url: String,
+    publicId: String
+  },
+  status: {
+    type: String,
+    enum: Object.values(PARCEL_STATUS),
+    default: PARCEL_STATUS.RECEIVED
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Code the resident shows the guard to collect - never returned to the gate
+  pickupCode: {
+    type: String,
+    select: false
+  },
+  pickup: {
+    collectedAt: Date,
+    // Who took the parcel (resident or someone sent on their behalf)
+    collectedByName: String,
+    handedOverBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  returned: {
+    returnedAt: Date,
+    reason: String,
+    returnedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  reminders: [{
+    sentAt: { type: Date, default: Date.now },
+    recipients: Number
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+parcelSchema.index({ apartmentCode: 1, status: 1, receivedAt: -1 });
+parcelSchema.index({ apartmentCode: 1, 'flat.wing': 1, 'flat.flatNumber': 1, receivedAt: -1 });
+parcelSchema.index({ status: 1, receivedAt: 1 });
+
+// Pre-validate middleware to generate the parcel number from the building's atomic counter
+parcelSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.parcelNumber) {
+    const key = `parcel:${this.apartmentCode}`;
+
+    // A new counter starts after the parcels logged before it existed
+    let seed = 0;
+    if (!(await Counter.exists({ key }))) {
+      seed = await this.constructor.countDocuments({ apartmentCode: this.apartmentCode });
+    }
+
+    const seq = await Counter.next(key, seed);
+    this.parcelNumber = `PCL-${this.apartmentCode}-${seq.toString().padStart(6, '0')}`;
+  }
+  next();
+});
+
+// Days the parcel has been waiting at the gate
+parcelSchema.methods.getDaysWaiting = function(now = new Date()) {
+  return Math.floor((now - this.receivedAt) / (24 * 60 * 60 * 1000));
+};
+
+module.exports = mongoose.model('Parcel', parcelSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Invoice the payment was recorded against, if any (allocation may span several)
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  apartmentCode: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  resident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be greater than zero']
+  },
+  method: {
+    type: String,
+    enum: ['Cash', 'Cheque', 'UPI', 'Bank Transfer', 'Online'],
+    required: true
+  },
+  referenceNumber: String, // Cheque number, UPI/bank transaction id
+  // Payment id issued by the gateway for online payments - one ledger payment per gateway payment
+  gatewayPaymentId: String,
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Ledger allocation against open invoices, oldest first
+  allocations: [{
+    invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', required: true },
+    invoiceNumber: String,
+    amount: { type: Number, required: true },
+    allocatedAt: { type: Date, default: Date.now }
+  }],
+  // Credit left over after allocation, applied to future invoices
+  unallocatedAmount: {
+    type: Number,
+    default: 0
+  },
+  receiptSentAt: Date,
+  // Set when an online payment is refunded through its gateway
+  refundedAt: Date,
+  refundReference: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentSchema.index({ invoice: 1 });
+paymentSchema.index({ 'allocations.invoice': 1 });
+paymentSchema.index({ resident: 1, unallocatedAmount: 1 });
+paymentSchema.index({ apartmentCode: 1, paidAt: -1 });
+paymentSchema.index({ resident: 1, paidAt: -1 });
+paymentSchema.index({ gatewayPaymentId: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Payment', paymentSchema);
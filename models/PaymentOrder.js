@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const paymentOrderSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  // Order id issued by the payment gateway
+  orderId: {
+    type: String,
+    required: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  resident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  apartmentCode: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Order amount must be greater than zero']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: ['Created', 'Processing', 'Paid', 'Failed', 'Refunding', 'Refunded'],
+    default: 'Created'
+  },
+  gatewayPaymentId: String,
+  // Ledger payment created when the order was captured
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Webhook event ids already handled, for idempotent replays
+  processedEvents: [String],
+  failureReason: String,
+  paidAt: Date,
+  refund: {
+    refundId: String,
+    amount: Number,
+    refundedAt: Date,
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentOrderSchema.index({ provider: 1, orderId: 1 }, { unique: true });
+paymentOrderSchema.index({ invoice: 1, status: 1 });
+paymentOrderSchema.index({ resident: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PaymentOrder', paymentOrderSchema);
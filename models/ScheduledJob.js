@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  startedAt: Date,
+  finishedAt: Date,
+  durationMs: Number,
+  status: {
+    type: String,
+    enum: ['success', 'failed']
+  },
+  error: String,
+  result: mongoose.Schema.Types.Mixed,
+  instance: String,
+  tickAt: Date,
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  }
+}, { _id: false });
+
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Distributed lock so only one process (PM2 instance) runs a job at a time
+  lock: {
+    owner: String,
+    lockedAt: Date,
+    expiresAt: Date
+  },
+  // Cron tick most recently claimed, so each scheduled tick runs on one instance only
+  lastTickAt: Date,
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastDurationMs: Number,
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failed']
+  },
+  lastError: String,
+  lastSuccessAt: Date,
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  // Most recent runs, newest first
+  recentRuns: [jobRunSchema]
+}, {
+  timestamps: true
+});
+
+// Number of runs kept in recentRuns
+scheduledJobSchema.statics.HISTORY_LIMIT = 20;
+
+// Static method to acquire the lock for a job, returns true if this owner holds it
+// When tickAt is given the tick is claimed in the same update, so a tick another
+// instance already ran is not run again after its lock is released
+scheduledJobSchema.statics.acquireLock = async function(name, owner, ttlMs, tickAt = null) {
+  const now = new Date();
+  const filter = {
+    name,
+    $or: [
+      { 'lock.expiresAt': { $exists: false } },
+      { 'lock.expiresAt': null },
+      { 'lock.expiresAt': { $lte: now } }
+    ]
+  };
+  const set = {
+    'lock.owner': owner,
+    'lock.lockedAt': now,
+    'lock.expiresAt': new Date(now.getTime() + ttlMs)
+  };
+
+  if (tickAt) {
+    filter.$and = [{
+      $or: [
+        { lastTickAt: { $exists: false } },
+        { lastTickAt: null },
+        { lastTickAt: { $lt: tickAt } }
+      ]
+    }];
+    set.lastTickAt = tickAt;
+  }
+
+  try {
+    const job = await this.findOneAndUpdate(
+      filter,
+      { $set: set },
+      { new: true, upsert: true }
+    );
+    return job.lock.owner === owner;
+  } catch (error) {
+    // Duplicate key on upsert means another process holds the lock or claimed the tick
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to release a lock held by this owner
+scheduledJobSchema.statics.releaseLock = function(name, owner) {
+  return this.updateOne(
+    { name, 'lock.owner': owner },
+    { $set: { 'lock.expiresAt': null, 'lock.owner': null } }
+  );
+};
+
+// Static method to record the outcome of a run
+scheduledJobSchema.statics.recordRun = function(name, run) {
+  const failed = run.status === 'failed';
+  const update = {
+    $set: {
+      lastRunAt: run.startedAt,
+      lastFinishedAt: run.finishedAt,
+      lastDurationMs: run.durationMs,
+      lastStatus: run.status,
+      lastError: failed ? run.error : null
+    },
+    $inc: {
+      runCount: 1,
+      failureCount: failed ? 1 : 0
+    },
+    $push: {
+      recentRuns: {
+        $each: [run],
+        $position: 0,
+        $slice: this.HISTORY_LIMIT
+      }
+    }
+  };
+
+  if (failed) {
+    update.$inc.consecutiveFailures = 1;
+  } else {
+    update.$set.consecutiveFailures = 0;
+    update.$set.lastSuccessAt = run.finishedAt;
+  }
+
+  return this.updateOne({ name }, update, { upsert: true });
+};
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { INCIDENT_TYPES, INCIDENT_SEVERITIES, INCIDENT_STATUS } = require('../utils/constants');
+
+const securityIncidentSchema = new mongoose.Schema({
+  incidentNumber: {
+    type: String,
+    unique: true
+  },
+  // Building the incident happened in
+  apartmentCode: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: INCIDENT_TYPES,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: INCIDENT_SEVERITIES,
+    default: 'Medium'
+  },
+  title: {
+    type: String,
+    required: [true, 'Incident title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Incident description is required'],
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  media: [{
+    url: String,
+    publicId: String,
+    uploadedAt: { type: Date, default: Date.now }
+  }],
+  status: {
+    type: String,
+    enum: Object.values(INCIDENT_STATUS),
+    default: INCIDENT_STATUS.OPEN
+  },
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Shift the guard was on when reporting
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GuardShift'
+  },
+  acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  acknowledgedAt: Date,
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closedAt: Date,
+  resolutionNotes: {
+    type: String,
+    maxlength: [1000, 'Resolution notes cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+securityIncidentSchema.index({ apartmentCode: 1, status: 1, createdAt: -1 });
+securityIncidentSchema.index({ reportedBy: 1, createdAt: -1 });
+
+// Pre-validate middleware to generate the incident number
+securityIncidentSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.incidentNumber) {
+    const count = await this.constructor.countDocuments({ apartmentCode: this.apartmentCode });
+    this.incidentNumber = `INC-${this.apartmentCode}-${Date.now().toString().slice(-6)}-${(count + 1)
+      .toString()
+      .padStart(3, '0')}`;
+  }
+  next();
+});
+
+module.exports = mongoose.model('SecurityIncident', securityIncidentSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { STAFF_SPECIALIZATIONS } = require('../utils/constants');
 
 const staffSchema = new mongoose.Schema({
   user: {
@@ -15,7 +16,7 @@ const staffSchema = new mongoose.Schema({
   specialization: [{
     category: {
       type: String,
-      enum: ['Electrical', 'Plumbing', 'Carpentry', 'Painting', 'Cleaning', 'Security', 'Elevator']
+      enum: STAFF_SPECIALIZATIONS
     },
     expertiseLevel: {
       type: String,
@@ -92,9 +93,22 @@ staffSchema.statics.findAvailableBySpecialization = function(category) {
   return this.find({
     'specialization.category': category,
     'availability.currentStatus': 'Available',
-    'currentWorkload.activeComplaints': { $lt: '$currentWorkload.maxCapacity' },
+    $expr: { $lt: ['$currentWorkload.activeComplaints', '$currentWorkload.maxCapacity'] },
     isActive: true
   }).populate('user', 'fullName phoneNumber profilePicture');
 };
 
+// Static method to take one unit of workload, only while the staff member has headroom
+staffSchema.statics.reserveCapacity = function(staffId) {
+  return this.findOneAndUpdate(
+    {
+      _id: staffId,
+      isActive: true,
+      $expr: { $lt: ['$currentWorkload.activeComplaints', '$currentWorkload.maxCapacity'] }
+    },
+    { $inc: { 'currentWorkload.activeComplaints': 1 } },
+    { new: true }
+  );
+};
+
 module.exports = mongoose.model('Staff', staffSchema);
\ No newline at end of file
@@ -91,7 +91,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['resident', 'staff', 'admin'],
+    enum: ['resident', 'staff', 'admin', 'security'],
     default: 'resident'
   },
   status: {
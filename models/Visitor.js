@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { VISITOR_STATUS, VISITOR_PURPOSES } = require('../utils/constants');
+
+const visitorSchema = new mongoose.Schema({
+  // Building the visitor is coming to
+  apartmentCode: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  // Flat being visited
+  flat: {
+    wing: { type: String, uppercase: true, required: true },
+    flatNumber: { type: String, uppercase: true, required: true },
+    flatCode: { type: String, uppercase: true }
+  },
+  // Resident who pre-approved or approved the visit
+  host: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  visitorName: {
+    type: String,
+    required: [true, 'Visitor name is required'],
+    trim: true,
+    maxlength: [100, 'Visitor name cannot exceed 100 characters']
+  },
+  phoneNumber: {
+    type: String,
+    match: [/^[6-9]\d{9}$/, 'Please enter a valid Indian phone number']
+  },
+  purpose: {
+    type: String,
+    enum: VISITOR_PURPOSES,
+    default: 'Guest'
+  },
+  vehicleNumber: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  guestCount: {
+    type: Number,
+    min: 1,
+    max: 20,
+    default: 1
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // pre_approved: resident issued a gate pass; walk_in: guard asked the flat at the gate
+  entryType: {
+    type: String,
+    enum: ['pre_approved', 'walk_in'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(VISITOR_STATUS),
+    required: true
+  },
+  // Time-boxed gate pass for pre-approved visitors
+  pass: {
+    code: String,
+    validFrom: Date,
+    validUntil: Date
+  },
+  // Real-time approval request for walk-in visitors
+  approval: {
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    requestedAt: Date,
+    expiresAt: Date,
+    respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    respondedAt: Date,
+    reason: String
+  },
+  // Photo taken at the gate
+  photo: {
+    url: String,
+    publicId: String
+  },
+  checkIn: {
+    at: Date,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  checkOut: {
+    at: Date,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  cancelledAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+visitorSchema.index({ apartmentCode: 1, 'pass.code': 1, status: 1 });
+visitorSchema.index({ apartmentCode: 1, createdAt: -1 });
+visitorSchema.index({ apartmentCode: 1, 'flat.wing': 1, 'flat.flatNumber': 1, createdAt: -1 });
+visitorSchema.index({ status: 1, 'pass.validUntil': 1 });
+visitorSchema.index({ status: 1, 'approval.expiresAt': 1 });
+visitorSchema.index({ status: 1, 'approval.respondedAt': 1 });
+
+module.exports = mongoose.model('Visitor', visitorSchema);
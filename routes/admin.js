@@ -16,7 +16,22 @@ const {
   getAvailableFlats,
   getBuildingView,
   getResidentsAdvanced,
-  bulkResidentAction
+  bulkResidentAction,
+  getScheduledJobs,
+  getSlaBreaches,
+  getSlaPolicy,
+  updateSlaPolicy,
+  updateAutoAssignment,
+  updateHandoverOtpPolicy,
+  getComplaintWorkflow,
+  updateComplaintWorkflow,
+  resetComplaintWorkflow,
+  getComplaintTaxonomy,
+  updateComplaintTaxonomy,
+  getComplaintDuplicates,
+  mergeDuplicateComplaints,
+  getAssignmentCandidates,
+  autoAssignComplaintToStaff
 } = require('../controllers/adminController');
 
 // Import complaint controller for status updates
@@ -28,6 +43,11 @@ const {
 } = require('../controllers/complaintController');
 const { protect } = require('../middleware/auth');
 const { requireAdmin, authorize } = require('../middleware/roleCheck');
+const {
+  validateSlaPolicy,
+  validateComplaintWorkflow,
+  validateComplaintTaxonomy
+} = require('../middleware/validation');
 
 // All routes are protected
 router.use(protect);
@@ -51,7 +71,12 @@ router.put('/users/:userId/approval', updateUserApproval);
 
 // Complaint management
 router.get('/complaints', getAllComplaints);
+router.get('/complaints/sla-breaches', getSlaBreaches);
 router.put('/complaints/:complaintId/assign', assignComplaintToStaff);
+router.get('/complaints/:complaintId/assignment-candidates', getAssignmentCandidates);
+router.post('/complaints/:complaintId/auto-assign', autoAssignComplaintToStaff);
+router.get('/complaints/:complaintId/duplicates', getComplaintDuplicates);
+router.post('/complaints/:complaintId/merge', mergeDuplicateComplaints);
 // Admin status update routes
 router.put('/complaints/:id/status', updateComplaintStatus);
 router.post('/complaints/:id/close', closeTicket);
@@ -68,6 +93,15 @@ router.post('/apartments', createApartment); // Keep for backward compatibility
 router.get('/building-details', getBuildingDetails);
 router.get('/building-view', getBuildingView); // Role-based building view
 router.get('/available-flats', getAvailableFlats);
+router.get('/buildings/:code/sla-policy', getSlaPolicy);
+router.put('/buildings/:code/sla-policy', validateSlaPolicy, updateSlaPolicy);
+router.put('/buildings/:code/auto-assignment', updateAutoAssignment);
+router.put('/buildings/:code/handover-otp', updateHandoverOtpPolicy);
+router.get('/buildings/:code/workflow', getComplaintWorkflow);
+router.put('/buildings/:code/workflow', validateComplaintWorkflow, updateComplaintWorkflow);
+router.delete('/buildings/:code/workflow', resetComplaintWorkflow);
+router.get('/buildings/:code/taxonomy', getComplaintTaxonomy);
+router.put('/buildings/:code/taxonomy', validateComplaintTaxonomy, updateComplaintTaxonomy);
 
 // User management
 router.post('/users', createUser);
@@ -77,4 +111,7 @@ router.get('/users', getAllUsers);
 router.get('/residents', getResidentsAdvanced);
 router.post('/residents/bulk-action', bulkResidentAction);
 
+// Scheduled jobs
+router.get('/jobs', getScheduledJobs);
+
 module.exports = router;
\ No newline at end of file
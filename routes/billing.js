@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const {
+  generateInvoices,
+  applyLateFeesToInvoices,
+  getInvoices,
+  getMyInvoices,
+  getInvoice,
+  voidInvoice,
+  recordPayment,
+  recordResidentPayment,
+  getPaymentReceipt,
+  resendPaymentReceipt,
+  getReconciliation,
+  createPaymentOrder,
+  verifyOnlinePayment,
+  handlePaymentWebhook,
+  refundPayment,
+  getPayments
+} = require('../controllers/billingController');
+const { protect } = require('../middleware/auth');
+const { authorize, requireAdmin } = require('../middleware/roleCheck');
+const {
+  validateInvoiceGeneration,
+  validatePaymentRecord,
+  validateOnlinePaymentVerification
+} = require('../middleware/validation');
+
+// Payment gateway webhooks - authenticated by provider signature, not JWT
+router.post('/webhooks/:provider', handlePaymentWebhook);
+
+// All other routes are protected
+router.use(protect);
+
+// Resident routes
+router.get('/my-invoices', authorize('resident'), getMyInvoices);
+router.post('/invoices/:id/pay', authorize('resident'), createPaymentOrder);
+router.post('/payments/verify', authorize('resident'), validateOnlinePaymentVerification, verifyOnlinePayment);
+
+// Invoice management (Admin)
+router.post('/invoices/generate', requireAdmin, validateInvoiceGeneration, generateInvoices);
+router.post('/invoices/apply-late-fees', requireAdmin, applyLateFeesToInvoices);
+router.get('/invoices', requireAdmin, getInvoices);
+router.put('/invoices/:id/void', requireAdmin, voidInvoice);
+router.post('/invoices/:id/payments', requireAdmin, validatePaymentRecord, recordPayment);
+
+// Ledger payments (Admin)
+router.get('/payments', requireAdmin, getPayments);
+router.post('/payments', requireAdmin, validatePaymentRecord, recordResidentPayment);
+router.post('/payments/:id/receipt/send', requireAdmin, resendPaymentReceipt);
+router.post('/payments/:id/refund', requireAdmin, refundPayment);
+
+// Month-end reconciliation (Admin)
+router.get('/reconciliation', requireAdmin, getReconciliation);
+
+// Receipt download - Admin (own buildings) and Resident (own payments)
+router.get('/payments/:id/receipt', authorize('resident', 'admin'), getPaymentReceipt);
+
+// Invoice details - Admin (own buildings) and Resident (own invoices)
+router.get('/invoices/:id', authorize('resident', 'admin'), getInvoice);
+
+module.exports = router;
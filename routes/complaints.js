@@ -2,13 +2,20 @@ const express = require("express");
 const router = express.Router();
 const {
   createComplaint,
+  getComplaintTaxonomy,
   getMyComplaints,
+  getCommonAreaComplaints,
+  followComplaint,
+  unfollowComplaint,
   getComplaint,
   getAllTickets,
   addWorkUpdate,
   updateComplaintStatus,
+  updateStaffStatus,
+  requestHandoverOtp,
   rateComplaint,
   assignTicket,
+  reassignTicket,
   addComment,
   reopenTicket,
   closeTicket,
@@ -21,7 +28,7 @@ const {
 const { protect } = require("../middleware/auth");
 const { authorize, requireStaffOrAdmin } = require("../middleware/roleCheck");
 const { validateComplaintCreation } = require("../middleware/validation");
-const { uploadConfigs } = require("../config/cloudinary");
+const { uploadConfigs, handleUploadError } = require("../config/cloudinary");
 
 // All routes are protected
 router.use(protect);
@@ -38,9 +45,19 @@ router.post(
   createComplaint
 );
 
+// Category / sub-category picker for the resident's building
+router.get("/taxonomy", authorize("resident"), getComplaintTaxonomy);
+
 // Get my complaints - ONLY residents
 router.get("/my-complaints", authorize("resident"), getMyComplaints);
 
+// Open common-area tickets in the resident's building - ONLY residents
+router.get("/common-area", authorize("resident"), getCommonAreaComplaints);
+
+// Follow / unfollow a common-area ticket - ONLY residents
+router.post("/:id/follow", authorize("resident"), followComplaint);
+router.delete("/:id/follow", authorize("resident"), unfollowComplaint);
+
 // Rate complaint - ONLY residents
 router.post("/:id/rate", authorize("resident"), rateComplaint);
 
@@ -57,6 +74,9 @@ router.post("/:id/close", authorize("resident"), closeTicket);
 // Assign ticket - ONLY admin
 router.post("/:id/assign", authorize("admin"), assignTicket);
 
+// Reassign ticket (moves workload between staff) - ONLY admin
+router.post("/:id/reassign", authorize("admin"), reassignTicket);
+
 // Upload admin media file - ONLY admin
 router.post("/:id/upload-admin-media", authorize("admin"), uploadConfigs.complaintImages.single("media"), uploadAdminMedia);
 
@@ -76,6 +96,18 @@ router.put("/:id/priority", authorize("admin"), updatePriority);
 // Work updates - ONLY staff
 router.post("/:id/work-updates", authorize("staff"), addWorkUpdate);
 
+// Status update on own assigned tickets - ONLY staff (In Progress, Resolved with photos)
+router.put(
+  "/:id/staff-status",
+  authorize("staff"),
+  uploadConfigs.complaintImages.array("photos", 5),
+  handleUploadError,
+  updateStaffStatus
+);
+
+// Send the resident a handover code before resolving - ONLY staff
+router.post("/:id/handover-otp", authorize("staff"), requestHandoverOtp);
+
 // Status update - ONLY Admin (validated by role in controller)
 router.put("/:id/status", authorize("admin"), updateComplaintStatus);
 
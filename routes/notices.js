@@ -5,11 +5,16 @@ const {
   getNotices,
   getNotice,
   updateNotice,
-  publishNotice
+  publishNotice,
+  acknowledgeNotice,
+  getAcknowledgementReport,
+  uploadNoticeAttachments,
+  deleteNoticeAttachment
 } = require('../controllers/noticeController');
 const { protect } = require('../middleware/auth');
 const { authorize, requireAdmin } = require('../middleware/roleCheck');
-const { validateNoticeCreation } = require('../middleware/validation');
+const { validateNoticeCreation, validateNoticeUpdate } = require('../middleware/validation');
+const { uploadConfigs, handleUploadError } = require('../config/cloudinary');
 
 // All routes are protected
 router.use(protect);
@@ -18,9 +23,21 @@ router.use(protect);
 router.get('/', getNotices);
 router.get('/:id', getNotice);
 
+// Resident routes
+router.post('/:id/acknowledge', authorize('resident'), acknowledgeNotice);
+
 // Admin routes
 router.post('/', requireAdmin, validateNoticeCreation, createNotice);
-router.put('/:id', requireAdmin, updateNotice);
+router.put('/:id', requireAdmin, validateNoticeUpdate, updateNotice);
 router.put('/:id/publish', requireAdmin, publishNotice);
+router.get('/:id/acknowledgements', requireAdmin, getAcknowledgementReport);
+router.post(
+  '/:id/attachments',
+  requireAdmin,
+  uploadConfigs.noticeAttachments.array('attachments', 3),
+  handleUploadError,
+  uploadNoticeAttachments
+);
+router.delete('/:id/attachments/:attachmentId', requireAdmin, deleteNoticeAttachment);
 
 module.exports = router;
\ No newline at end of file
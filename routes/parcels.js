@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const {
+  logParcel,
+  getMyParcels,
+  getParcels,
+  collectParcel,
+  returnParcel,
+  exportParcelRegister
+} = require('../controllers/parcelController');
+const { protect } = require('../middleware/auth');
+const { authorize, requireAdmin, requireSecurityOrAdmin } = require('../middleware/roleCheck');
+const {
+  validateParcelLog,
+  validateParcelCollection,
+  validateParcelReturn
+} = require('../middleware/validation');
+const { uploadConfigs, handleUploadError } = require('../config/cloudinary');
+
+// All routes are protected
+router.use(protect);
+
+// Resident routes
+router.get('/my', authorize('resident'), getMyParcels);
+
+// Admin routes
+router.get('/register', requireAdmin, exportParcelRegister);
+
+// Guard and admin routes
+router.post(
+  '/',
+  requireSecurityOrAdmin,
+  uploadConfigs.parcelPhotos.single('photo'),
+  handleUploadError,
+  validateParcelLog,
+  logParcel
+);
+router.get('/', requireSecurityOrAdmin, getParcels);
+router.post('/:id/collect', requireSecurityOrAdmin, validateParcelCollection, collectParcel);
+router.post('/:id/return', requireSecurityOrAdmin, validateParcelReturn, returnParcel);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getGuardDashboard,
+  getCurrentShift,
+  checkInShift,
+  checkOutShift,
+  getShifts,
+  getGuards,
+  reportIncident,
+  getIncidents,
+  getIncident,
+  updateIncidentStatus
+} = require('../controllers/securityController');
+const { protect } = require('../middleware/auth');
+const { authorize, requireAdmin, requireSecurityOrAdmin } = require('../middleware/roleCheck');
+const {
+  validateShiftCheckIn,
+  validateIncidentReport,
+  validateIncidentStatus
+} = require('../middleware/validation');
+const { uploadConfigs, handleUploadError } = require('../config/cloudinary');
+
+// All routes are protected
+router.use(protect);
+
+// Guard routes
+router.get('/dashboard', authorize('security'), getGuardDashboard);
+router.get('/shifts/current', authorize('security'), getCurrentShift);
+router.post('/shifts/check-in', authorize('security'), validateShiftCheckIn, checkInShift);
+router.post('/shifts/check-out', authorize('security'), checkOutShift);
+router.post(
+  '/incidents',
+  authorize('security'),
+  uploadConfigs.incidentImages.array('photos', 5),
+  handleUploadError,
+  validateIncidentReport,
+  reportIncident
+);
+
+// Guard and admin routes
+router.get('/shifts', requireSecurityOrAdmin, getShifts);
+router.get('/incidents', requireSecurityOrAdmin, getIncidents);
+router.get('/incidents/:id', requireSecurityOrAdmin, getIncident);
+
+// Admin routes
+router.get('/guards', requireAdmin, getGuards);
+router.put('/incidents/:id/status', requireAdmin, validateIncidentStatus, updateIncidentStatus);
+
+module.exports = router;
@@ -4,7 +4,9 @@ const {
   getStaffDashboard,
   getAssignedComplaints,
   updateAvailability,
-  updateSpecialization
+  updateSpecialization,
+  acceptComplaintAssignment,
+  declineComplaintAssignment
 } = require('../controllers/staffController');
 const { protect } = require('../middleware/auth');
 const { authorize } = require('../middleware/roleCheck');
@@ -17,6 +19,10 @@ router.use(authorize('staff'));
 router.get('/dashboard', getStaffDashboard);
 router.get('/assigned-complaints', getAssignedComplaints);
 
+// Assignment responses
+router.post('/complaints/:id/accept', acceptComplaintAssignment);
+router.post('/complaints/:id/decline', declineComplaintAssignment);
+
 // Profile management
 router.put('/availability', updateAvailability);
 router.put('/specialization', updateSpecialization);
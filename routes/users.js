@@ -16,9 +16,9 @@ router.use(protect);
 
 // Resident routes
 router.get('/dashboard', authorize('resident', 'staff', 'admin'), getUserDashboard);
-router.put('/profile', authorize('resident', 'staff', 'admin'), updateProfile);
-router.put('/change-password', authorize('resident', 'staff', 'admin'), changePassword);
-router.post('/fcm-token', authorize('resident', 'staff', 'admin'), updateFCMToken);
+router.put('/profile', authorize('resident', 'staff', 'admin', 'security'), updateProfile);
+router.put('/change-password', authorize('resident', 'staff', 'admin', 'security'), changePassword);
+router.post('/fcm-token', authorize('resident', 'staff', 'admin', 'security'), updateFCMToken);
 
 // Resident-specific routes
 router.get('/building-details', authorize('resident'), getBuildingDetails);
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createVisitorPass,
+  getMyVisitors,
+  getVisitorPass,
+  cancelVisitorPass,
+  respondToWalkIn,
+  registerWalkIn,
+  verifyGatePass,
+  checkInVisitor,
+  checkOutVisitor,
+  getGateBoard,
+  getVisitorLog
+} = require('../controllers/visitorController');
+const { protect } = require('../middleware/auth');
+const { authorize, requireAdmin, requireSecurityOrAdmin } = require('../middleware/roleCheck');
+const {
+  validateVisitorPreApproval,
+  validateWalkInVisitor,
+  validateVisitorResponse
+} = require('../middleware/validation');
+const { uploadConfigs, handleUploadError } = require('../config/cloudinary');
+
+// All routes are protected
+router.use(protect);
+
+// Resident routes
+router.post('/', authorize('resident'), validateVisitorPreApproval, createVisitorPass);
+router.get('/my', authorize('resident'), getMyVisitors);
+router.get('/:id/pass', authorize('resident'), getVisitorPass);
+router.post('/:id/cancel', authorize('resident'), cancelVisitorPass);
+router.post('/:id/respond', authorize('resident'), validateVisitorResponse, respondToWalkIn);
+
+// Gate routes (security guards, and admins covering the gate)
+router.get('/gate', requireSecurityOrAdmin, getGateBoard);
+router.post('/gate/verify', requireSecurityOrAdmin, verifyGatePass);
+router.post(
+  '/walk-in',
+  requireSecurityOrAdmin,
+  uploadConfigs.visitorPhotos.single('photo'),
+  handleUploadError,
+  validateWalkInVisitor,
+  registerWalkIn
+);
+router.post('/:id/check-in', requireSecurityOrAdmin, checkInVisitor);
+router.post('/:id/check-out', requireSecurityOrAdmin, checkOutVisitor);
+
+// Admin routes
+router.get('/log', requireAdmin, getVisitorLog);
+
+module.exports = router;
@@ -27,10 +27,17 @@ const complaintRoutes = require("./routes/complaints");
 const adminRoutes = require("./routes/admin");
 const staffRoutes = require("./routes/staff");
 const noticeRoutes = require("./routes/notices");
+const billingRoutes = require("./routes/billing");
+const visitorRoutes = require("./routes/visitors");
+const securityRoutes = require("./routes/security");
+const parcelRoutes = require("./routes/parcels");
 
 // Import socket service
 const { initializeSocket } = require("./services/socketService");
 
+// Import job scheduler
+const { startScheduler, stopScheduler } = require("./jobs");
+
 const app = express();
 const server = http.createServer(app);
 
@@ -71,7 +78,17 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Body parsing middleware (must be before request logging)
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Keep the raw body for payment gateway webhook signature checks
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/billing/webhooks/")) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Request logging middleware (after body parsing so we can log body)
@@ -133,6 +150,10 @@ app.use("/api/complaints", complaintRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/staff", staffRoutes);
 app.use("/api/notices", noticeRoutes);
+app.use("/api/billing", billingRoutes);
+app.use("/api/visitors", visitorRoutes);
+app.use("/api/security", securityRoutes);
+app.use("/api/parcels", parcelRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -185,6 +206,7 @@ app.use((err, req, res, next) => {
 // Graceful shutdown
 process.on("SIGTERM", () => {
   console.log("SIGTERM received, shutting down gracefully");
+  stopScheduler();
   server.close(() => {
     console.log("Process terminated");
   });
@@ -199,6 +221,9 @@ server.listen(PORT, () => {
   );
   console.log(`📱 API Health: http://localhost:${PORT}/health`);
   console.log(`🔌 Socket.IO: http://localhost:${PORT}`);
+
+  // Start scheduled jobs (each run is locked in Mongo across PM2 instances)
+  startScheduler();
 });
 
 module.exports = app;
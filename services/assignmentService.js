@@ -0,0 +1,502 @@
+const Complaint = require('../models/Complaint');
+const Staff = require('../models/Staff');
+const User = require('../models/User');
+const { getComplaintBuilding } = require('./slaService');
+const { getComplaintWorkflow } = require('./statusTransitionService');
+const { findTransition } = require('../utils/complaintWorkflow');
+const { notifyTicketAssigned } = require('./ticketNotificationService');
+const { emitToUser, emitToRoom } = require('./socketService');
+
+/**
+ * Assignment Service
+ * Assigns, reassigns and unassigns staff while keeping their workload counts in step,
+ * handles staff accept/decline, and ranks staff for automatic assignment
+ */
+
+// Minutes a staff member has to accept an assignment before it returns to the admin queue
+const ACCEPT_TIMEOUT_MINUTES = parseInt(process.env.ASSIGNMENT_ACCEPT_TIMEOUT_MINUTES, 10) || 30;
+
+// Score weights (sum to 100)
+const WEIGHTS = {
+  category: 35,
+  serviceArea: 20,
+  workload: 25,
+  rating: 20
+};
+
+const EXPERTISE_FACTOR = {
+  Expert: 1,
+  Intermediate: 0.7,
+  Beginner: 0.4
+};
+
+// Categories with no matching specialization - any staff member may take them
+const GENERAL_CATEGORIES = ['Common Area', 'Other'];
+
+// Rating factor used for staff with no ratings yet
+const UNRATED_FACTOR = 0.6;
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Get the weekday and "HH:mm" time in a timezone
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA timezone
+ * @returns {Object} { day: 'monday', time: '14:05' }
+ */
+const getLocalDayAndTime = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+
+  const value = (type) => parts.find((p) => p.type === type).value;
+  return { day: value('weekday').toLowerCase(), time: `${value('hour')}:${value('minute')}` };
+};
+
+// Building timezone for schedules, same one used by the SLA calendar
+const getBuildingTimezone = (building) => {
+  return building?.slaPolicy?.businessHours?.timezone || process.env.JOB_TIMEZONE || 'Asia/Kolkata';
+};
+
+/**
+ * Score one staff member for a complaint
+ * @param {Object} staff - Staff document (user populated)
+ * @param {Object} complaint - Complaint document
+ * @param {Object} context - { day, time }
+ * @returns {Object} { eligible, score, reasons, breakdown }
+ */
+const scoreStaff = (staff, complaint, context) => {
+  const reasons = [];
+  const breakdown = {};
+  let eligible = true;
+
+  // Current status
+  if (staff.availability?.currentStatus !== 'Available') {
+    eligible = false;
+    reasons.push(`Status is ${staff.availability?.currentStatus || 'unknown'}`);
+  }
+
+  // Category match
+  // Sub-categories can point a ticket at a different skill (e.g. a Common Area drain needs Plumbing)
+  const skill = complaint.specialization || complaint.category;
+  const specialization = (staff.specialization || []).find((s) => s.category === skill);
+  if (specialization) {
+    const factor = EXPERTISE_FACTOR[specialization.expertiseLevel] || EXPERTISE_FACTOR.Intermediate;
+    breakdown.category = WEIGHTS.category * factor;
+    reasons.push(`${specialization.expertiseLevel || 'Intermediate'} in ${skill}`);
+  } else if (!complaint.specialization && GENERAL_CATEGORIES.includes(complaint.category)) {
+    breakdown.category = WEIGHTS.category * EXPERTISE_FACTOR.Beginner;
+    reasons.push(`General ${complaint.category} ticket - no specialization needed`);
+  } else {
+    breakdown.category = 0;
+    eligible = false;
+    reasons.push(`No ${skill} specialization`);
+  }
+
+  // Service area (no areas configured = covers the whole building)
+  const areas = staff.serviceAreas || [];
+  const wing = complaint.location?.wing;
+  const floor = complaint.location?.floorNumber;
+  if (areas.length === 0) {
+    breakdown.serviceArea = WEIGHTS.serviceArea * 0.5;
+    reasons.push('Covers the whole building');
+  } else {
+    const wingAreas = areas.filter((a) => !a.wing || !wing || a.wing.toUpperCase() === String(wing).toUpperCase());
+    const floorMatch = wingAreas.find((a) => !a.floors?.length || floor === undefined || a.floors.includes(floor));
+    if (floorMatch) {
+      breakdown.serviceArea = WEIGHTS.serviceArea;
+      reasons.push(`Serves wing ${wing || 'any'}${floor !== undefined ? `, floor ${floor}` : ''}`);
+    } else {
+      breakdown.serviceArea = 0;
+      eligible = false;
+      reasons.push(`Outside service area (wing ${wing || '-'}, floor ${floor ?? '-'})`);
+    }
+  }
+
+  // Schedule for the current day
+  const schedule = staff.availability?.schedule?.[context.day];
+  if (schedule && schedule.available === false) {
+    eligible = false;
+    reasons.push(`Off duty on ${context.day}`);
+  } else if (schedule && TIME_OF_DAY.test(schedule.start || '') && TIME_OF_DAY.test(schedule.end || '')) {
+    if (context.time < schedule.start || context.time >= schedule.end) {
+      eligible = false;
+      reasons.push(`Outside shift (${schedule.start}-${schedule.end})`);
+    } else {
+      reasons.push(`On shift until ${schedule.end}`);
+    }
+  } else {
+    reasons.push('No schedule set for today');
+  }
+
+  // Workload headroom
+  const { activeComplaints = 0, maxCapacity = 10 } = staff.currentWorkload || {};
+  const headroom = maxCapacity > 0 ? Math.max(0, (maxCapacity - activeComplaints) / maxCapacity) : 0;
+  breakdown.workload = WEIGHTS.workload * headroom;
+  if (activeComplaints >= maxCapacity) {
+    eligible = false;
+    reasons.push(`At full capacity (${activeComplaints}/${maxCapacity})`);
+  } else {
+    reasons.push(`Workload ${activeComplaints}/${maxCapacity}`);
+  }
+
+  // Past rating
+  const rating = staff.performance?.averageRating || 0;
+  breakdown.rating = WEIGHTS.rating * (rating > 0 ? rating / 5 : UNRATED_FACTOR);
+  reasons.push(rating > 0 ? `Rated ${rating.toFixed(1)}/5` : 'Not rated yet');
+
+  Object.keys(breakdown).forEach((key) => {
+    breakdown[key] = Math.round(breakdown[key] * 10) / 10;
+  });
+  const score = Math.round(Object.values(breakdown).reduce((sum, v) => sum + v, 0) * 10) / 10;
+
+  return { eligible, score, reasons, breakdown };
+};
+
+/**
+ * Rank the active staff of a complaint's building
+ * @param {Object} complaint - Complaint document
+ * @param {Object} options - { building, now }
+ * @returns {Array} [{ staff, eligible, score, reasons, breakdown }] eligible first, best score first
+ */
+const rankStaffForComplaint = async (complaint, options = {}) => {
+  const now = options.now || new Date();
+  const building = options.building !== undefined ? options.building : await getComplaintBuilding(complaint);
+  if (!building) return [];
+
+  // Staff belong to a building through their user account
+  const staffUserIds = await User.find({ apartmentCode: building.code, role: 'staff', status: 'active' })
+    .distinct('_id');
+  const staffMembers = await Staff.find({ isActive: true, user: { $in: staffUserIds } })
+    .populate('user', 'fullName phoneNumber profilePicture apartmentCode');
+
+  const context = getLocalDayAndTime(now, getBuildingTimezone(building));
+
+  return staffMembers
+    .map((staff) => ({ staff, ...scoreStaff(staff, complaint, context) }))
+    .sort((a, b) => {
+      if (a.eligible !== b.eligible) return a.eligible ? -1 : 1;
+      if (b.score !== a.score) return b.score - a.score;
+      return (a.staff.currentWorkload?.activeComplaints || 0) - (b.staff.currentWorkload?.activeComplaints || 0);
+    });
+};
+
+/**
+ * Give one unit of workload back to a staff member
+ * @param {String} staffId - Staff id
+ * @param {Object} session - Mongoose session when part of a transaction (optional)
+ */
+const releaseStaffWorkload = async (staffId, session = null) => {
+  if (!staffId) return;
+  await Staff.updateOne(
+    { _id: staffId, 'currentWorkload.activeComplaints': { $gt: 0 } },
+    { $inc: { 'currentWorkload.activeComplaints': -1 } },
+    { session }
+  );
+};
+
+// Record an assignment on the complaint and save it (workload is handled by the caller)
+const applyAssignment = async (complaint, staff, options) => {
+  const { performedBy, performedByRole, reason, ipAddress, userAgent, metadata = {}, previousStaffId } = options;
+
+  const now = new Date();
+  const action = previousStaffId ? 'Reassigned' : 'Assigned';
+  const description = reason || (previousStaffId
+    ? `Ticket reassigned to ${staff.user?.fullName || 'staff'}`
+    : `Ticket assigned to ${staff.user?.fullName || 'staff'}`);
+
+  complaint.assignedTo = {
+    staff: staff._id,
+    assignedAt: now,
+    assignedBy: performedBy,
+    acceptanceStatus: 'Pending',
+    acceptBy: new Date(now.getTime() + ACCEPT_TIMEOUT_MINUTES * 60 * 1000)
+  };
+
+  complaint.assignmentHistory.push({
+    staff: staff._id,
+    action,
+    reason,
+    performedBy,
+    performedByRole,
+    timestamp: now
+  });
+
+  // The building's workflow decides whether assigning moves the ticket to Assigned - an On Hold ticket stays on hold
+  const workflow = await getComplaintWorkflow(complaint);
+  if (complaint.status !== 'Assigned' && findTransition(workflow, complaint.status, 'Assigned')) {
+    await complaint.updateStatus('Assigned', description, performedBy, {
+      updatedByRole: performedByRole,
+      ipAddress,
+      userAgent,
+      metadata: {
+        type: action === 'Reassigned' ? 'reassignment' : 'assignment',
+        staffId: staff._id,
+        previousStaffId,
+        ...metadata
+      }
+    });
+  } else {
+    await complaint.save();
+  }
+};
+
+/**
+ * Assign (or reassign) a complaint to a staff member
+ * The new staff member's workload is reserved atomically and the previous assignee's is released.
+ * The assignment waits for the staff member to accept it.
+ * @param {Object} complaint - Complaint document
+ * @param {Object} staff - Staff document (user populated)
+ * @param {Object} options - { performedBy, performedByRole, reason, ipAddress, userAgent, metadata }
+ * @returns {Object|null} Complaint, or null when the staff member has no capacity left
+ */
+const assignComplaint = async (complaint, staff, options = {}) => {
+  const reserved = await Staff.reserveCapacity(staff._id);
+  if (!reserved) return null;
+
+  const previousStaffId = complaint.assignedTo?.staff;
+  try {
+    await applyAssignment(complaint, staff, { ...options, previousStaffId });
+  } catch (error) {
+    // The complaint was not saved - give the reserved slot back
+    await releaseStaffWorkload(staff._id);
+    throw error;
+  }
+
+  // The previous assignee's slot is only freed once the new assignment is stored
+  if (previousStaffId) {
+    await releaseStaffWorkload(previousStaffId);
+  }
+
+  if (previousStaffId && previousStaffId.toString() !== staff._id.toString()) {
+    const previousStaff = await Staff.findById(previousStaffId).select('user');
+    if (previousStaff) {
+      emitToUser(previousStaff.user.toString(), 'complaint_unassigned', {
+        message: `Ticket ${complaint.ticketNumber} has been reassigned`,
+        complaintId: complaint._id,
+        ticketNumber: complaint.ticketNumber
+      });
+    }
+  }
+
+  return complaint;
+};
+
+/**
+ * Staff member accepts their pending assignment
+ * The update only applies while the assignment is still pending and inside its acceptance window,
+ * so it cannot race the expiry job.
+ * @param {Object} complaint - Complaint document
+ * @param {Object} staff - Staff document
+ * @param {String} userId - Staff user id
+ * @returns {Object|null} Updated complaint, or null when the assignment is no longer pending
+ */
+const acceptAssignment = async (complaint, staff, userId) => {
+  const now = new Date();
+  const accepted = await Complaint.findOneAndUpdate(
+    {
+      _id: complaint._id,
+      status: 'Assigned',
+      'assignedTo.staff': staff._id,
+      'assignedTo.acceptanceStatus': 'Pending',
+      'assignedTo.acceptBy': { $gt: now }
+    },
+    {
+      $set: {
+        'assignedTo.acceptanceStatus': 'Accepted',
+        'assignedTo.acceptedAt': now
+      },
+      $unset: { 'assignedTo.acceptBy': '' },
+      $push: {
+        assignmentHistory: {
+          staff: staff._id,
+          action: 'Accepted',
+          performedBy: userId,
+          performedByRole: 'staff',
+          timestamp: now
+        },
+        timeline: {
+          status: 'Assigned',
+          description: 'Assignment accepted by staff',
+          updatedBy: userId,
+          timestamp: now
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!accepted) return null;
+
+  const eventData = {
+    complaintId: complaint._id,
+    ticketNumber: complaint.ticketNumber,
+    staffId: staff._id,
+    acceptedAt: now
+  };
+  emitToRoom('admin', 'assignment_accepted', {
+    message: `Ticket ${complaint.ticketNumber} accepted by staff`,
+    ...eventData
+  });
+  emitToUser(complaint.createdBy.toString(), 'assignment_accepted', {
+    message: `Staff has accepted your ticket ${complaint.ticketNumber}`,
+    ...eventData
+  });
+
+  return accepted;
+};
+
+/**
+ * Take a complaint off its assignee and put it back in the admin queue (status Open)
+ * Used when staff decline and when the acceptance window runs out
+ * @param {Object} complaint - Complaint document
+ * @param {Object} options - { action: 'Declined' | 'TimedOut', reason, performedBy, performedByRole }
+ * @returns {Object} Complaint
+ */
+const returnToQueue = async (complaint, options) => {
+  const { action, reason, performedBy, performedByRole } = options;
+  const staffId = complaint.assignedTo?.staff;
+
+  const workflow = await getComplaintWorkflow(complaint);
+  if (!findTransition(workflow, complaint.status, 'Open')) {
+    throw new Error(`The complaint workflow does not allow ${complaint.status} → Open`);
+  }
+
+  await releaseStaffWorkload(staffId);
+
+  complaint.assignmentHistory.push({
+    staff: staffId,
+    action,
+    reason,
+    performedBy,
+    performedByRole
+  });
+  complaint.assignedTo = {};
+
+  await complaint.updateStatus('Open', reason, performedBy, {
+    updatedByRole: performedByRole,
+    metadata: {
+      type: action === 'Declined' ? 'assignment_declined' : 'assignment_timed_out',
+      staffId
+    }
+  });
+
+  emitToRoom('admin', action === 'Declined' ? 'assignment_declined' : 'assignment_timed_out', {
+    message: action === 'Declined'
+      ? `Ticket ${complaint.ticketNumber} was declined by staff and needs reassignment`
+      : `Ticket ${complaint.ticketNumber} was not accepted in time and needs reassignment`,
+    complaintId: complaint._id,
+    ticketNumber: complaint.ticketNumber,
+    priority: complaint.priority,
+    staffId,
+    reason
+  });
+
+  return complaint;
+};
+
+/**
+ * Return assignments that were not accepted within the acceptance window to the admin queue
+ * @param {Date} now - Reference time
+ * @returns {Object} { expired: Number }
+ */
+const expireUnacceptedAssignments = async (now = new Date()) => {
+  const expiredFilter = {
+    status: 'Assigned',
+    'assignedTo.acceptanceStatus': 'Pending',
+    'assignedTo.acceptBy': { $lt: now }
+  };
+  const candidates = await Complaint.find(expiredFilter).select('_id');
+
+  let expired = 0;
+  for (const { _id } of candidates) {
+    // Claim the assignment first - one accepted in the meantime no longer matches
+    const complaint = await Complaint.findOneAndUpdate(
+      { _id, ...expiredFilter },
+      { $set: { 'assignedTo.acceptanceStatus': 'TimedOut' } },
+      { new: true }
+    );
+    if (!complaint) continue;
+
+    try {
+      const staff = await Staff.findById(complaint.assignedTo.staff).select('user');
+
+      await returnToQueue(complaint, {
+        action: 'TimedOut',
+        reason: `Assignment not accepted within ${ACCEPT_TIMEOUT_MINUTES} minutes`,
+        performedByRole: 'system'
+      });
+
+      if (staff) {
+        emitToUser(staff.user.toString(), 'complaint_unassigned', {
+          message: `Ticket ${complaint.ticketNumber} was returned to the queue because it was not accepted in time`,
+          complaintId: complaint._id,
+          ticketNumber: complaint.ticketNumber
+        });
+      }
+      expired += 1;
+    } catch (error) {
+      console.error(`❌ [ASSIGNMENT] Failed to expire assignment for ${complaint.ticketNumber}:`, error);
+      // Release the claim so the next run retries it - the job only picks up Pending assignments
+      await Complaint.updateOne(
+        { _id, status: 'Assigned', 'assignedTo.acceptanceStatus': 'TimedOut' },
+        { $set: { 'assignedTo.acceptanceStatus': 'Pending' } }
+      ).catch((resetError) => {
+        console.error(`❌ [ASSIGNMENT] Could not release expiry claim for ${complaint.ticketNumber}:`, resetError);
+      });
+    }
+  }
+
+  if (expired > 0) {
+    console.log(`⚠️ [ASSIGNMENT] Returned ${expired} unaccepted assignments to the admin queue`);
+  }
+
+  return { expired };
+};
+
+/**
+ * Assign a complaint to the best eligible staff member
+ * The next candidate is tried if someone fills up meanwhile
+ * @param {Object} complaint - Complaint document (Open or Reopened, unassigned)
+ * @param {Object} options - { building, now }
+ * @returns {Object|null} { staff, score, reasons } or null when nobody is eligible
+ */
+const autoAssignComplaint = async (complaint, options = {}) => {
+  const ranked = await rankStaffForComplaint(complaint, options);
+
+  for (const candidate of ranked.filter((c) => c.eligible)) {
+    const assigned = await assignComplaint(complaint, candidate.staff, {
+      reason: `Automatically assigned to ${candidate.staff.user.fullName}`,
+      performedByRole: 'system',
+      metadata: {
+        type: 'auto_assignment',
+        score: candidate.score,
+        reasons: candidate.reasons
+      }
+    });
+    if (!assigned) continue;
+
+    await notifyTicketAssigned(complaint, candidate.staff._id, null);
+
+    console.log(`✅ [ASSIGNMENT] ${complaint.ticketNumber} auto-assigned to ${candidate.staff.user.fullName} (score ${candidate.score})`);
+    return { staff: candidate.staff, score: candidate.score, reasons: candidate.reasons };
+  }
+
+  console.log(`⚠️ [ASSIGNMENT] No eligible staff for ${complaint.ticketNumber} - left for manual assignment`);
+  return null;
+};
+
+module.exports = {
+  assignComplaint,
+  releaseStaffWorkload,
+  acceptAssignment,
+  returnToQueue,
+  expireUnacceptedAssignments,
+  rankStaffForComplaint,
+  autoAssignComplaint,
+  scoreStaff,
+  ACCEPT_TIMEOUT_MINUTES
+};
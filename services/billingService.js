@@ -0,0 +1,387 @@
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { generateInvoiceNumber } = require('../utils/generators');
+const { roundAmount } = require('../utils/helpers');
+const { OPEN_INVOICE_STATUSES } = require('../utils/constants');
+const { emitToUser } = require('./socketService');
+const { sendPaymentReminderEmail } = require('./emailService');
+const { sendPaymentReminder } = require('./smsService');
+const { applyResidentCredits } = require('./ledgerService');
+
+/**
+ * Billing Service
+ * Generates monthly maintenance invoices and applies late fees per building
+ */
+
+// Day of the billing month on which maintenance falls due (configurable)
+const INVOICE_DUE_DAY = parseInt(process.env.INVOICE_DUE_DAY, 10) || 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the default due date for a billing period
+ * @param {Number} month - Billing month (1-12)
+ * @param {Number} year - Billing year
+ * @returns {Date}
+ */
+const getDefaultDueDate = (month, year) => {
+  return new Date(year, month - 1, INVOICE_DUE_DAY, 23, 59, 59);
+};
+
+/**
+ * Generate invoices for every occupied flat in a building
+ * Flats that already have a non-void invoice for the period are skipped
+ * @param {Object} building - Apartment document
+ * @param {Number} month - Billing month (1-12)
+ * @param {Number} year - Billing year
+ * @param {Object} options - { dueDate, generatedBy }
+ * @returns {Object} { created: [Invoice], skipped: [{ flatCode, reason }] }
+ */
+const generateInvoicesForBuilding = async (building, month, year, options = {}) => {
+  const { dueDate = getDefaultDueDate(month, year), generatedBy } = options;
+  const maintenanceRate = building.settings?.maintenanceRate;
+
+  const created = [];
+  const skipped = [];
+
+  if (!maintenanceRate || maintenanceRate <= 0) {
+    console.warn(`⚠️ [BILLING] Building ${building.code} has no maintenance rate - skipping invoice generation`);
+    return { created, skipped: [{ flatCode: null, reason: 'missing_maintenance_rate' }] };
+  }
+
+  // Map active residents by floor-flat, same key used by the building views
+  const residents = await User.find({
+    apartmentCode: building.code,
+    role: 'resident',
+    status: 'active'
+  }).select('_id floorNumber flatNumber');
+
+  const residentMap = {};
+  residents.forEach((r) => {
+    residentMap[`${r.floorNumber}-${r.flatNumber}`] = r._id;
+  });
+
+  // Flats already billed for this period
+  const existingInvoices = await Invoice.find({
+    apartmentCode: building.code,
+    'billingPeriod.month': month,
+    'billingPeriod.year': year,
+    status: { $ne: 'Void' }
+  }).select('flat.flatCode');
+  const billedFlatCodes = new Set(existingInvoices.map((inv) => inv.flat.flatCode));
+
+  // Sequence continues after any invoices (including void ones) issued for the period
+  // The counter hands out numbers atomically; the count only seeds it for periods billed before it existed
+  const sequenceKey = `invoice:${building.code}:${year}-${month}`;
+  let sequenceSeed = await Invoice.countDocuments({
+    apartmentCode: building.code,
+    'billingPeriod.month': month,
+    'billingPeriod.year': year
+  });
+
+  for (const floor of building.configuration.floors) {
+    for (const flat of floor.flats) {
+      const key = `${floor.floorNumber}-${flat.flatNumber}`;
+      const residentId = residentMap[key] || flat.occupiedBy;
+
+      if (!flat.isOccupied && !residentMap[key]) continue;
+
+      if (!residentId) {
+        skipped.push({ flatCode: flat.flatCode, reason: 'no_resident' });
+        continue;
+      }
+
+      if (!flat.squareFeet) {
+        skipped.push({ flatCode: flat.flatCode, reason: 'missing_square_feet' });
+        continue;
+      }
+
+      if (billedFlatCodes.has(flat.flatCode)) {
+        skipped.push({ flatCode: flat.flatCode, reason: 'already_invoiced' });
+        continue;
+      }
+
+      const sequence = await Counter.next(sequenceKey, sequenceSeed);
+      sequenceSeed = 0;
+
+      let invoice;
+      try {
+        invoice = await Invoice.create({
+          invoiceNumber: generateInvoiceNumber(building.code, month, year, sequence),
+          apartmentCode: building.code,
+          resident: residentId,
+          flat: {
+            floorNumber: floor.floorNumber,
+            flatNumber: flat.flatNumber,
+            flatCode: flat.flatCode,
+            flatType: flat.flatType,
+            squareFeet: flat.squareFeet
+          },
+          billingPeriod: { month, year },
+          maintenanceRate,
+          amount: roundAmount(flat.squareFeet * maintenanceRate),
+          dueDate,
+          generatedBy
+        });
+      } catch (error) {
+        // A concurrent run billed the flat first (unique flat + period index)
+        if (error.code === 11000) {
+          skipped.push({ flatCode: flat.flatCode, reason: 'already_invoiced' });
+          continue;
+        }
+        throw error;
+      }
+
+      // Settle the new invoice from any credit the resident holds
+      const creditPayments = await applyResidentCredits(residentId);
+      const billedInvoice = creditPayments.length > 0 ? await Invoice.findById(invoice._id) : invoice;
+
+      created.push(billedInvoice);
+
+      emitToUser(residentId.toString(), 'invoice_generated', {
+        message: `Maintenance invoice ${billedInvoice.invoiceNumber} generated`,
+        invoiceId: billedInvoice._id,
+        invoiceNumber: billedInvoice.invoiceNumber,
+        amount: billedInvoice.totalAmount,
+        balanceDue: billedInvoice.balanceDue,
+        dueDate: billedInvoice.dueDate
+      });
+    }
+  }
+
+  console.log(`✅ [BILLING] Generated ${created.length} invoices for ${building.code} (${month}/${year}), skipped ${skipped.length}`);
+
+  return { created, skipped };
+};
+
+/**
+ * Persist the Overdue status on unpaid invoices of a building past their due date
+ * Partially paid invoices keep their status, as the pre-save hook does
+ * @param {Object} building - Apartment document
+ * @param {Date} now - Reference time
+ * @returns {Number} Invoices marked overdue
+ */
+const markOverdueInvoices = async (building, now = new Date()) => {
+  const result = await Invoice.updateMany(
+    {
+      apartmentCode: building.code,
+      status: 'Pending',
+      dueDate: { $lt: now }
+    },
+    { $set: { status: 'Overdue' } }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Apply late fees to open invoices of a building whose grace period has passed
+ * @param {Object} building - Apartment document
+ * @param {Date} now - Reference time
+ * @returns {Array} Invoices that received a late fee
+ */
+const applyLateFees = async (building, now = new Date()) => {
+  const gracePeriodMs = (building.settings?.gracePeriod || 0) * DAY_MS;
+
+  const invoices = await Invoice.find({
+    apartmentCode: building.code,
+    status: { $in: OPEN_INVOICE_STATUSES },
+    lateFee: 0,
+    dueDate: { $lt: new Date(now.getTime() - gracePeriodMs) }
+  });
+
+  const updated = [];
+  for (const invoice of invoices) {
+    if (invoice.applyLateFee(building.settings, now)) {
+      await invoice.save();
+      updated.push(invoice);
+
+      emitToUser(invoice.resident.toString(), 'invoice_late_fee_applied', {
+        message: `Late fee of ₹${invoice.lateFee} added to invoice ${invoice.invoiceNumber}`,
+        invoiceId: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        lateFee: invoice.lateFee,
+        totalAmount: invoice.totalAmount
+      });
+    }
+  }
+
+  console.log(`✅ [BILLING] Applied late fees to ${updated.length} invoices for ${building.code}`);
+
+  return updated;
+};
+
+/**
+ * Send a payment reminder for an open invoice over the resident's enabled channels
+ * Successful sends are recorded on the invoice
+ * @param {Object} resident - User document
+ * @param {Object} invoice - Invoice document
+ * @param {String} sentBy - User id of the admin sending the reminder (empty for scheduled reminders)
+ * @returns {Array} Channels the reminder was delivered on
+ */
+const sendInvoiceReminder = async (resident, invoice, sentBy) => {
+  const channels = [];
+
+  if (resident.email && resident.notificationPreferences?.email) {
+    const result = await sendPaymentReminderEmail(resident, invoice);
+    if (result.success) channels.push('email');
+  }
+
+  if (resident.notificationPreferences?.sms !== false) {
+    const result = await sendPaymentReminder(
+      resident.phoneNumber,
+      invoice.balanceDue,
+      invoice.dueDate.toLocaleDateString()
+    );
+    if (result.success) channels.push('sms');
+  }
+
+  if (channels.length > 0) {
+    invoice.reminders.push({ channels, sentBy });
+    await invoice.save();
+
+    emitToUser(resident._id.toString(), 'payment_reminder', {
+      message: `Reminder: ₹${invoice.balanceDue} due for invoice ${invoice.invoiceNumber}`,
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      balanceDue: invoice.balanceDue,
+      dueDate: invoice.dueDate
+    });
+  }
+
+  return channels;
+};
+
+// Aggregate open invoice balances grouped by the given expression
+const aggregateOpenDues = (match, groupId) => {
+  return Invoice.aggregate([
+    { $match: { ...match, status: { $in: OPEN_INVOICE_STATUSES } } },
+    {
+      $group: {
+        _id: groupId,
+        outstandingAmount: { $sum: { $subtract: ['$totalAmount', '$amountPaid'] } },
+        openInvoices: { $sum: 1 },
+        oldestDueDate: { $min: '$dueDate' }
+      }
+    }
+  ]);
+};
+
+/**
+ * Build the dues summary exposed on resident and flat views
+ * paymentStatus is 'paid' (nothing outstanding), 'pending' (outstanding, not yet due)
+ * or 'overdue' (at least one open invoice past its due date)
+ */
+const buildDuesSummary = (dues, lastPaymentDate = null, now = new Date()) => {
+  const outstandingAmount = roundAmount(dues?.outstandingAmount || 0);
+
+  if (outstandingAmount <= 0) {
+    return {
+      paymentStatus: 'paid',
+      hasPendingDues: false,
+      outstandingAmount: 0,
+      openInvoices: 0,
+      overdueDays: 0,
+      lastPaymentDate
+    };
+  }
+
+  const overdueMs = now.getTime() - new Date(dues.oldestDueDate).getTime();
+  const overdueDays = overdueMs > 0 ? Math.floor(overdueMs / DAY_MS) : 0;
+
+  return {
+    paymentStatus: overdueMs > 0 ? 'overdue' : 'pending',
+    hasPendingDues: true,
+    outstandingAmount,
+    openInvoices: dues.openInvoices,
+    overdueDays,
+    lastPaymentDate
+  };
+};
+
+/**
+ * Get dues summaries for a set of residents
+ * @param {Array} residentIds - User ids
+ * @returns {Object} Map of residentId -> dues summary
+ */
+const getResidentDuesMap = async (residentIds) => {
+  const now = new Date();
+  const [dues, payments] = await Promise.all([
+    aggregateOpenDues({ resident: { $in: residentIds } }, '$resident'),
+    Payment.aggregate([
+      { $match: { resident: { $in: residentIds }, refundedAt: null } },
+      { $group: { _id: '$resident', lastPaymentDate: { $max: '$paidAt' } } }
+    ])
+  ]);
+
+  const duesByResident = {};
+  dues.forEach((d) => {
+    duesByResident[d._id.toString()] = d;
+  });
+  const lastPaymentByResident = {};
+  payments.forEach((p) => {
+    lastPaymentByResident[p._id.toString()] = p.lastPaymentDate;
+  });
+
+  const duesMap = {};
+  residentIds.forEach((id) => {
+    const key = id.toString();
+    duesMap[key] = buildDuesSummary(duesByResident[key], lastPaymentByResident[key] || null, now);
+  });
+  return duesMap;
+};
+
+/**
+ * Get dues summaries for every billed flat in a building
+ * @param {String} apartmentCode - Building code
+ * @returns {Object} Map of "floorNumber-flatNumber" -> dues summary (only flats with open dues)
+ */
+const getFlatDuesMap = async (apartmentCode) => {
+  const now = new Date();
+  const dues = await aggregateOpenDues(
+    { apartmentCode },
+    { floorNumber: '$flat.floorNumber', flatNumber: '$flat.flatNumber' }
+  );
+
+  const duesMap = {};
+  dues.forEach((d) => {
+    duesMap[`${d._id.floorNumber}-${d._id.flatNumber}`] = buildDuesSummary(d, null, now);
+  });
+  return duesMap;
+};
+
+/**
+ * Get resident ids with outstanding dues, split by pending/overdue
+ * Used to push the paymentStatus filter down into the resident query
+ * @param {Array} apartmentCodes - Building codes
+ * @returns {Object} { pending: [ObjectId], overdue: [ObjectId] }
+ */
+const getResidentIdsWithDues = async (apartmentCodes) => {
+  const now = new Date();
+  const dues = await aggregateOpenDues({ apartmentCode: { $in: apartmentCodes } }, '$resident');
+
+  const result = { pending: [], overdue: [] };
+  dues.forEach((d) => {
+    if (roundAmount(d.outstandingAmount) <= 0) return;
+    if (d.oldestDueDate < now) result.overdue.push(d._id);
+    else result.pending.push(d._id);
+  });
+  return result;
+};
+
+module.exports = {
+  generateInvoicesForBuilding,
+  markOverdueInvoices,
+  applyLateFees,
+  sendInvoiceReminder,
+  buildDuesSummary,
+  getResidentDuesMap,
+  getFlatDuesMap,
+  getResidentIdsWithDues,
+  getDefaultDueDate,
+  roundAmount,
+  OPEN_INVOICE_STATUSES,
+  INVOICE_DUE_DAY
+};
@@ -0,0 +1,113 @@
+const Complaint = require('../models/Complaint');
+const { COMPLAINT_STATUS } = require('../utils/constants');
+const { REOPEN_WINDOW_DAYS } = require('./statusTransitionService');
+const { releaseStaffWorkload } = require('./assignmentService');
+const { notifyTicketClosed, notifyRatingPrompt } = require('./ticketNotificationService');
+
+/**
+ * Complaint Closure Service
+ * Closes resolved tickets once the reopen window has passed, prompting residents for a rating first
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours before auto-close that the resident is asked to rate (and the minimum notice they get)
+const RATING_PROMPT_HOURS = parseInt(process.env.AUTO_CLOSE_RATING_PROMPT_HOURS, 10) || 24;
+
+const getReopenWindowMs = () => Number(REOPEN_WINDOW_DAYS) * DAY_MS;
+
+/**
+ * Ask residents to rate resolved tickets that are about to close
+ * @param {Date} now - Reference time
+ * @returns {Number} Prompts sent
+ */
+const sendRatingPrompts = async (now = new Date()) => {
+  const promptCutoff = new Date(now.getTime() - getReopenWindowMs() + RATING_PROMPT_HOURS * HOUR_MS);
+
+  const complaints = await Complaint.find({
+    status: COMPLAINT_STATUS.RESOLVED,
+    'resolution.resolvedAt': { $lt: promptCutoff },
+    'rating.score': { $exists: false },
+    ratingPromptSentAt: { $exists: false }
+  });
+
+  for (const complaint of complaints) {
+    // Tickets already past the window still get the full prompt notice before closing
+    const closesAt = new Date(Math.max(
+      complaint.resolution.resolvedAt.getTime() + getReopenWindowMs(),
+      now.getTime() + RATING_PROMPT_HOURS * HOUR_MS
+    ));
+
+    await notifyRatingPrompt(complaint, closesAt);
+    complaint.ratingPromptSentAt = now;
+    await complaint.save();
+  }
+
+  return complaints.length;
+};
+
+/**
+ * Close resolved tickets whose reopen window has passed
+ * Unrated tickets are only closed once the resident has had the rating prompt for RATING_PROMPT_HOURS
+ * @param {Date} now - Reference time
+ * @returns {Object} { prompted: Number, closed: Number }
+ */
+const autoCloseResolvedComplaints = async (now = new Date()) => {
+  const prompted = await sendRatingPrompts(now);
+
+  const windowCutoff = new Date(now.getTime() - getReopenWindowMs());
+  const promptCutoff = new Date(now.getTime() - RATING_PROMPT_HOURS * HOUR_MS);
+
+  const complaints = await Complaint.find({
+    status: COMPLAINT_STATUS.RESOLVED,
+    'resolution.resolvedAt': { $lt: windowCutoff },
+    $or: [
+      { 'rating.score': { $exists: true } },
+      { ratingPromptSentAt: { $lte: promptCutoff } }
+    ]
+  });
+
+  let closed = 0;
+  for (const complaint of complaints) {
+    try {
+      complaint.autoClosed = true;
+
+      await complaint.updateStatus(
+        COMPLAINT_STATUS.CLOSED,
+        `Closed automatically - no reopen request within ${REOPEN_WINDOW_DAYS} days of resolution`,
+        null,
+        {
+          updatedByRole: 'system',
+          metadata: {
+            type: 'auto_close',
+            reopenWindowDays: Number(REOPEN_WINDOW_DAYS),
+            resolvedAt: complaint.resolution.resolvedAt,
+            rated: Boolean(complaint.rating?.score),
+            ratingPromptSentAt: complaint.ratingPromptSentAt
+          }
+        }
+      );
+
+      // Same workload release as a manual close
+      await releaseStaffWorkload(complaint.assignedTo?.staff);
+
+      await notifyTicketClosed(complaint, null);
+      closed += 1;
+    } catch (error) {
+      console.error(`❌ [COMPLAINTS] Failed to auto-close ${complaint.ticketNumber}:`, error);
+    }
+  }
+
+  if (prompted > 0 || closed > 0) {
+    console.log(`✅ [COMPLAINTS] Sent ${prompted} rating prompts, auto-closed ${closed} resolved tickets`);
+  }
+
+  return { prompted, closed };
+};
+
+module.exports = {
+  autoCloseResolvedComplaints,
+  sendRatingPrompts,
+  RATING_PROMPT_HOURS
+};
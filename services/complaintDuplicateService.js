@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const { COMPLAINT_STATUS, COMMON_AREA_CATEGORIES } = require('../utils/constants');
+const { releaseStaffWorkload } = require('./assignmentService');
+const { endHold } = require('./complaintHoldService');
+const { notifyTicketMerged } = require('./ticketNotificationService');
+const { addFollower } = require('./complaintFollowerService');
+
+/**
+ * Complaint Duplicate Service
+ * Finds likely duplicates of a new complaint and merges duplicate tickets into one parent
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How far back to look for duplicates (configurable)
+const DUPLICATE_WINDOW_HOURS = parseInt(process.env.DUPLICATE_WINDOW_HOURS, 10) || 72;
+
+// Score (0-1) from which a complaint is reported as a likely duplicate (configurable)
+const DUPLICATE_SCORE_THRESHOLD = parseFloat(process.env.DUPLICATE_SCORE_THRESHOLD) || 0.35;
+
+const MAX_DUPLICATE_CANDIDATES = 5;
+
+// Tickets that can still absorb duplicates
+const MERGEABLE_STATUSES = [
+  COMPLAINT_STATUS.OPEN,
+  COMPLAINT_STATUS.ASSIGNED,
+  COMPLAINT_STATUS.IN_PROGRESS,
+  COMPLAINT_STATUS.REOPENED,
+  COMPLAINT_STATUS.ON_HOLD
+];
+
+// Score weights (sum to 1)
+const WEIGHTS = {
+  text: 0.6,
+  location: 0.4
+};
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'not', 'are', 'was', 'has', 'have', 'with', 'this', 'that', 'from',
+  'our', 'its', 'been', 'since', 'please', 'there', 'near', 'floor', 'flat', 'working', 'issue', 'problem'
+]);
+
+// Lower-case words worth comparing
+const tokenize = (text) => {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word.length >= 3 && !STOP_WORDS.has(word))
+  );
+};
+
+/**
+ * Word overlap between two texts (Jaccard index)
+ * @param {String} a - First text
+ * @param {String} b - Second text
+ * @returns {Number} 0 (nothing shared) to 1 (same words)
+ */
+const textSimilarity = (a, b) => {
+  const wordsA = tokenize(a);
+  const wordsB = tokenize(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  wordsA.forEach((word) => {
+    if (wordsB.has(word)) shared += 1;
+  });
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+/**
+ * How close two complaint locations are
+ * Common-area tickets compare the described spot and wing; in-flat tickets only match the same flat
+ * @returns {Object} { score, reason } - score null when the locations rule out a duplicate
+ */
+const compareLocations = (category, locationA = {}, locationB = {}) => {
+  const sameWing = Boolean(locationA.wing && locationA.wing === locationB.wing);
+
+  if (!COMMON_AREA_CATEGORIES.includes(category)) {
+    const sameFlat = sameWing && locationA.flatNumber && locationA.flatNumber === locationB.flatNumber;
+    return sameFlat ? { score: 1, reason: 'Same flat' } : { score: null, reason: null };
+  }
+
+  const spotSimilarity = textSimilarity(locationA.specificLocation, locationB.specificLocation);
+  if (spotSimilarity >= 0.5) return { score: 1, reason: 'Same location' };
+  if (sameWing) return { score: Math.max(0.5, spotSimilarity), reason: `Same wing (${locationA.wing})` };
+  return { score: spotSimilarity, reason: spotSimilarity > 0 ? 'Similar location' : null };
+};
+
+/**
+ * Find open tickets in the same building that are likely the same issue as a new complaint
+ * @param {Object} draft - { apartmentCode, category, title, description, location }
+ * @param {Object} options - { now, excludeIds }
+ * @returns {Array} [{ complaint, score, reasons }] best match first
+ */
+const findPossibleDuplicates = async (draft, options = {}) => {
+  if (!draft.apartmentCode || !draft.category) return [];
+
+  const now = options.now || new Date();
+  const excludeIds = (options.excludeIds || []).map((id) => id.toString());
+
+  const candidates = await Complaint.find({
+    apartmentCode: draft.apartmentCode,
+    category: draft.category,
+    status: { $in: MERGEABLE_STATUSES },
+    parentComplaint: { $exists: false },
+    createdAt: { $gte: new Date(now.getTime() - DUPLICATE_WINDOW_HOURS * HOUR_MS) }
+  })
+    .select('ticketNumber title description category subCategory status priority location createdBy followers createdAt')
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  const draftText = `${draft.title || ''} ${draft.description || ''}`;
+
+  return candidates
+    .filter((candidate) => !excludeIds.includes(candidate._id.toString()))
+    .map((candidate) => {
+      const location = compareLocations(draft.category, draft.location, candidate.location);
+      if (location.score === null) return null;
+
+      const text = textSimilarity(draftText, `${candidate.title} ${candidate.description}`);
+      const score = Math.round((text * WEIGHTS.text + location.score * WEIGHTS.location) * 100) / 100;
+
+      const reasons = [`Same category (${draft.category})`];
+      if (location.reason) reasons.push(location.reason);
+      if (text > 0) reasons.push(`${Math.round(text * 100)}% similar description`);
+
+      return { complaint: candidate, score, reasons };
+    })
+    .filter((match) => match && match.score >= DUPLICATE_SCORE_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_DUPLICATE_CANDIDATES);
+};
+
+/**
+ * Fold duplicate tickets into a parent
+ * Children's comments and media are copied over, their reporters follow the parent,
+ * and each child is cancelled with a link to the parent - all in one transaction
+ * @param {Object} parent - Complaint document that stays open
+ * @param {Array} children - Complaint documents to merge (same building, still open)
+ * @param {Object} options - { mergedBy, reason, ipAddress, userAgent }
+ * @returns {Object} { parent, merged: [ticketNumber] }
+ */
+const mergeComplaints = async (parent, children, options = {}) => {
+  const { mergedBy, reason, ipAddress, userAgent } = options;
+  const now = new Date();
+  const merged = [];
+
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    parent.$session(session);
+
+    for (const child of children) {
+      child.$session(session);
+
+      // Comments keep their author and time, tagged with the ticket they came from
+      (child.comments || []).forEach((comment) => {
+        parent.comments.push({
+          text: `[${child.ticketNumber}] ${comment.text}`.slice(0, 1000),
+          postedBy: comment.postedBy,
+          postedAt: comment.postedAt,
+          media: comment.media
+        });
+      });
+
+      const knownMedia = new Set(parent.media.map((item) => item.url));
+      (child.media || []).forEach((item) => {
+        if (!knownMedia.has(item.url)) {
+          parent.media.push({ url: item.url, publicId: item.publicId, type: item.type, uploadedAt: item.uploadedAt });
+          knownMedia.add(item.url);
+        }
+      });
+
+      addFollower(parent, child.createdBy, 'merge');
+      (child.followers || []).forEach((follower) => addFollower(parent, follower.user, 'merge'));
+
+      if (child.status === COMPLAINT_STATUS.ON_HOLD) {
+        await endHold(child, { resumedBy: mergedBy }, now);
+      }
+
+      const cancelText = `Merged into ${parent.ticketNumber}${reason ? ` - ${reason}` : ''}`;
+      child.parentComplaint = parent._id;
+      child.mergedAt = now;
+      child.mergedBy = mergedBy;
+      child.cancellationReason = cancelText;
+      await child.updateStatus(COMPLAINT_STATUS.CANCELLED, cancelText, mergedBy, {
+        updatedByRole: 'admin',
+        ipAddress,
+        userAgent,
+        metadata: {
+          type: 'merge',
+          parentComplaint: parent._id,
+          parentTicketNumber: parent.ticketNumber
+        }
+      });
+
+      // The parent's assignee carries the work now
+      await releaseStaffWorkload(child.assignedTo?.staff, session);
+
+      parent.childComplaints.push(child._id);
+      merged.push(child.ticketNumber);
+    }
+
+    parent.timeline.push({
+      status: parent.status,
+      description: `Merged duplicate tickets: ${merged.join(', ')}`,
+      updatedBy: mergedBy,
+      timestamp: now
+    });
+    await parent.save();
+
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw error;
+  } finally {
+    [parent, ...children].forEach((complaint) => complaint.$session(null));
+    await session.endSession();
+  }
+
+  for (const child of children) {
+    await notifyTicketMerged(child, parent);
+  }
+
+  return { parent, merged };
+};
+
+/**
+ * Fill in apartmentCode on complaints raised before it was stored, from their creator's building
+ * Safe to re-run: only complaints still missing it are touched
+ * @returns {Object} { updated: Number }
+ */
+const backfillComplaintApartmentCodes = async () => {
+  const missing = { apartmentCode: { $in: [null, ''] } };
+
+  const creatorIds = await Complaint.distinct('createdBy', missing);
+  const creators = await User.find({
+    _id: { $in: creatorIds },
+    apartmentCode: { $nin: [null, ''] }
+  }).select('apartmentCode');
+
+  if (creators.length === 0) return { updated: 0 };
+
+  const result = await Complaint.bulkWrite(creators.map((creator) => ({
+    updateMany: {
+      filter: { createdBy: creator._id, ...missing },
+      update: { $set: { apartmentCode: creator.apartmentCode.toUpperCase() } }
+    }
+  })));
+
+  if (result.modifiedCount > 0) {
+    console.log(`✅ [COMPLAINTS] Backfilled the building of ${result.modifiedCount} complaints`);
+  }
+
+  return { updated: result.modifiedCount };
+};
+
+module.exports = {
+  findPossibleDuplicates,
+  mergeComplaints,
+  backfillComplaintApartmentCodes,
+  textSimilarity,
+  MERGEABLE_STATUSES,
+  DUPLICATE_WINDOW_HOURS,
+  DUPLICATE_SCORE_THRESHOLD
+};
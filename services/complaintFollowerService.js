@@ -0,0 +1,114 @@
+const { COMPLAINT_STATUS, COMMON_AREA_CATEGORIES } = require('../utils/constants');
+const { getComplaintBuilding } = require('./slaService');
+
+/**
+ * Complaint Follower Service
+ * Residents other than the creator who get a ticket's updates - one public ticket per broken thing
+ */
+
+// Tickets that can no longer be followed
+const UNFOLLOWABLE_STATUSES = [COMPLAINT_STATUS.CLOSED, COMPLAINT_STATUS.CANCELLED];
+
+const toId = (value) => (value?._id || value).toString();
+
+/**
+ * Check whether a resident follows a ticket
+ * @param {Object} complaint - Complaint document
+ * @param {String} userId - Resident user id
+ * @returns {Boolean}
+ */
+const isFollowing = (complaint, userId) => {
+  if (!userId) return false;
+  const id = userId.toString();
+  return (complaint.followers || []).some((follower) => toId(follower.user) === id);
+};
+
+/**
+ * Subscribe a resident to a ticket's updates (no-op for its creator or an existing follower)
+ * @param {Object} complaint - Complaint document (saved by the caller)
+ * @param {String} userId - Resident user id
+ * @param {String} source - follow | duplicate | merge
+ * @returns {Boolean} Whether the resident was added
+ */
+const addFollower = (complaint, userId, source) => {
+  if (!userId) return false;
+  if (toId(complaint.createdBy) === userId.toString()) return false;
+  if (isFollowing(complaint, userId)) return false;
+
+  complaint.followers.push({ user: userId, source });
+  return true;
+};
+
+/**
+ * Unsubscribe a resident from a ticket's updates
+ * @param {Object} complaint - Complaint document (saved by the caller)
+ * @param {String} userId - Resident user id
+ * @returns {Boolean} Whether the resident was following
+ */
+const removeFollower = (complaint, userId) => {
+  if (!isFollowing(complaint, userId)) return false;
+
+  const id = userId.toString();
+  complaint.followers = complaint.followers.filter((follower) => toId(follower.user) !== id);
+  return true;
+};
+
+/**
+ * Building code of a complaint - tickets raised before it was stored fall back to the creator's building
+ * @param {Object} complaint - Complaint document
+ * @returns {String|null}
+ */
+const getComplaintBuildingCode = async (complaint) => {
+  if (complaint.apartmentCode) return complaint.apartmentCode;
+  const building = await getComplaintBuilding(complaint);
+  return building?.code || null;
+};
+
+/**
+ * Check whether a resident may follow a ticket
+ * Only common-area tickets of the resident's own building that are still open can be followed
+ * @param {Object} complaint - Complaint document
+ * @param {Object} user - Resident user document
+ * @returns {Object} { allowed, message, errorCode }
+ */
+const checkCanFollow = async (complaint, user) => {
+  if (!COMMON_AREA_CATEGORIES.includes(complaint.category)) {
+    return {
+      allowed: false,
+      message: `Only ${COMMON_AREA_CATEGORIES.join(', ')} tickets can be followed`,
+      errorCode: 'NOT_FOLLOWABLE'
+    };
+  }
+
+  const buildingCode = await getComplaintBuildingCode(complaint);
+  if (!user.apartmentCode || buildingCode !== user.apartmentCode) {
+    return { allowed: false, message: 'Complaint not found', errorCode: 'COMPLAINT_NOT_FOUND' };
+  }
+
+  if (toId(complaint.createdBy) === toId(user._id)) {
+    return { allowed: false, message: 'You already get updates for your own ticket', errorCode: 'OWN_COMPLAINT' };
+  }
+
+  if (complaint.parentComplaint) {
+    return {
+      allowed: false,
+      message: 'This ticket was merged into another ticket - follow that one instead',
+      errorCode: 'COMPLAINT_MERGED'
+    };
+  }
+
+  if (UNFOLLOWABLE_STATUSES.includes(complaint.status)) {
+    return { allowed: false, message: `Ticket is ${complaint.status} and can no longer be followed`, errorCode: 'NOT_FOLLOWABLE' };
+  }
+
+  return { allowed: true };
+};
+
+module.exports = {
+  isFollowing,
+  addFollower,
+  removeFollower,
+  getComplaintBuildingCode,
+  checkCanFollow,
+  UNFOLLOWABLE_STATUSES
+};
@@ -0,0 +1,162 @@
+const Complaint = require('../models/Complaint');
+const { COMPLAINT_STATUS } = require('../utils/constants');
+const { findTransition } = require('../utils/complaintWorkflow');
+const { pauseSla, resumeSla } = require('./slaService');
+const { getComplaintWorkflow } = require('./statusTransitionService');
+const { ACCEPT_TIMEOUT_MINUTES } = require('./assignmentService');
+const { notifyStatusUpdate } = require('./ticketNotificationService');
+
+/**
+ * Complaint Hold Service
+ * Puts complaints On Hold with the SLA clock paused and resumes them - manually or on their resume date
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Furthest ahead an automatic resume can be scheduled (configurable)
+const MAX_HOLD_DAYS = parseInt(process.env.MAX_HOLD_DAYS, 10) || 30;
+
+/**
+ * Check the automatic resume date given with a hold
+ * @param {String|Date} resumeAt - Requested resume date (optional)
+ * @param {Date} now - Reference time
+ * @returns {String|null} Problem found, or null when the date is usable
+ */
+const validateResumeAt = (resumeAt, now = new Date()) => {
+  if (!resumeAt) return null;
+
+  const date = new Date(resumeAt);
+  if (Number.isNaN(date.getTime())) return 'resumeAt must be a valid date';
+  if (date <= now) return 'resumeAt must be in the future';
+  if (date.getTime() - now.getTime() > MAX_HOLD_DAYS * DAY_MS) {
+    return `resumeAt cannot be more than ${MAX_HOLD_DAYS} days ahead`;
+  }
+  return null;
+};
+
+/**
+ * Record a hold and pause the SLA clock - the caller then moves the status with updateStatus
+ * @param {Object} complaint - Complaint document (saved by the caller)
+ * @param {Object} details - { reasonCategory, reason, resumeAt, heldBy }
+ * @param {Date} now - Time the hold starts
+ */
+const startHold = (complaint, { reasonCategory, reason, resumeAt, heldBy }, now = new Date()) => {
+  complaint.hold = {
+    reasonCategory,
+    reason,
+    heldAt: now,
+    heldBy,
+    resumeAt: resumeAt ? new Date(resumeAt) : undefined,
+    previousStatus: complaint.status
+  };
+  pauseSla(complaint, now);
+};
+
+/**
+ * Close the current hold, crediting the held time back to the SLA - the caller then moves the status
+ * @param {Object} complaint - Complaint document (saved by the caller)
+ * @param {Object} options - { resumedBy, autoResumed }
+ * @param {Date} now - Time the hold ends
+ * @returns {Number} Clock hours the complaint was on hold
+ */
+const endHold = async (complaint, { resumedBy = null, autoResumed = false } = {}, now = new Date()) => {
+  const heldHours = await resumeSla(complaint, undefined, now);
+
+  if (complaint.hold?.heldAt) {
+    complaint.holdHistory.push({
+      reasonCategory: complaint.hold.reasonCategory,
+      reason: complaint.hold.reason,
+      heldAt: complaint.hold.heldAt,
+      heldBy: complaint.hold.heldBy,
+      resumedAt: now,
+      resumedBy,
+      autoResumed,
+      heldHours: Math.round(heldHours * 10) / 10
+    });
+  }
+  complaint.hold = undefined;
+
+  // A hold does not use up the acceptance window - a still-pending assignment gets a fresh one
+  if (complaint.assignedTo?.acceptanceStatus === 'Pending') {
+    complaint.assignedTo.acceptBy = new Date(now.getTime() + ACCEPT_TIMEOUT_MINUTES * 60 * 1000);
+  }
+
+  return heldHours;
+};
+
+/**
+ * Status an automatic resume returns a held complaint to
+ * The status it was held from when the workflow allows it, otherwise In Progress
+ * @param {Object} complaint - Complaint document (On Hold)
+ * @param {Object} workflow - The building's workflow
+ * @returns {String|null} Status to resume to, or null when the workflow allows neither
+ */
+const getResumeStatus = (complaint, workflow) => {
+  const candidates = [complaint.hold?.previousStatus, COMPLAINT_STATUS.IN_PROGRESS].filter(Boolean);
+  return candidates.find((status) => findTransition(workflow, COMPLAINT_STATUS.ON_HOLD, status)) || null;
+};
+
+/**
+ * Resume held complaints whose resume date has passed, back to the status they were held from
+ * @param {Date} now - Reference time
+ * @returns {Number} Complaints resumed
+ */
+const autoResumeHeldComplaints = async (now = new Date()) => {
+  const complaints = await Complaint.find({
+    status: COMPLAINT_STATUS.ON_HOLD,
+    'hold.resumeAt': { $lte: now }
+  });
+
+  let resumed = 0;
+  for (const complaint of complaints) {
+    try {
+      const resumeStatus = getResumeStatus(complaint, await getComplaintWorkflow(complaint));
+      const { reasonCategory, resumeAt } = complaint.hold;
+
+      // Leave it for a person to resume - and stop retrying it every run
+      if (!resumeStatus) {
+        complaint.hold.resumeAt = undefined;
+        await complaint.save();
+        console.warn(`⚠️ [COMPLAINTS] Workflow does not allow resuming ${complaint.ticketNumber} automatically - left On Hold`);
+        continue;
+      }
+
+      await endHold(complaint, { autoResumed: true }, now);
+      await complaint.updateStatus(
+        resumeStatus,
+        `Resumed automatically - hold (${reasonCategory}) reached its resume date`,
+        null,
+        {
+          updatedByRole: 'system',
+          metadata: {
+            type: 'hold_auto_resume',
+            reasonCategory,
+            resumeAt,
+            previousStatus: COMPLAINT_STATUS.ON_HOLD
+          }
+        }
+      );
+
+      await notifyStatusUpdate(complaint, COMPLAINT_STATUS.ON_HOLD, resumeStatus, null, {
+        updatedByName: 'System'
+      });
+      resumed += 1;
+    } catch (error) {
+      console.error(`❌ [COMPLAINTS] Failed to resume held ticket ${complaint.ticketNumber}:`, error);
+    }
+  }
+
+  if (resumed > 0) {
+    console.log(`✅ [COMPLAINTS] Resumed ${resumed} held tickets`);
+  }
+
+  return resumed;
+};
+
+module.exports = {
+  validateResumeAt,
+  startHold,
+  endHold,
+  autoResumeHeldComplaints,
+  MAX_HOLD_DAYS
+};
@@ -0,0 +1,94 @@
+const { COMPLAINT_CATEGORIES, STAFF_SPECIALIZATIONS } = require('../utils/constants');
+
+/**
+ * Complaint Taxonomy Service
+ * Reads a building's category -> sub-category taxonomy and the defaults each sub-category carries
+ */
+
+/**
+ * Get the active sub-categories a building defines for a category
+ * @param {Object} building - Apartment document (optional)
+ * @param {String} category - Complaint category
+ * @returns {Array|null} Active sub-categories, or null when the category is not configured (free text)
+ */
+const getSubCategories = (building, category) => {
+  const entry = (building?.complaintTaxonomy?.categories || []).find((c) => c.category === category);
+  const active = (entry?.subCategories || []).filter((sub) => sub.isActive !== false);
+  return active.length > 0 ? active : null;
+};
+
+/**
+ * Find a sub-category in a building's taxonomy (name match ignores case and surrounding spaces)
+ * @param {Object} building - Apartment document (optional)
+ * @param {String} category - Complaint category
+ * @param {String} name - Sub-category name
+ * @returns {Object|null} Sub-category, or null when not found or the category is not configured
+ */
+const findSubCategory = (building, category, name) => {
+  const subCategories = getSubCategories(building, category);
+  if (!subCategories || !name) return null;
+
+  const wanted = String(name).trim().toLowerCase();
+  return subCategories.find((sub) => sub.name.toLowerCase() === wanted) || null;
+};
+
+/**
+ * Check a new complaint's sub-category against its building's taxonomy
+ * Categories the building has not configured take free text
+ * @param {Object} building - Apartment document (optional)
+ * @param {Object} details - { category, subCategory, media }
+ * @returns {String|null} Problem found, or null when the sub-category is acceptable
+ */
+const validateSubCategory = (building, { category, subCategory, media }) => {
+  const subCategories = getSubCategories(building, category);
+  if (!subCategories) return null;
+
+  const rule = findSubCategory(building, category, subCategory);
+  if (!rule) {
+    return `subCategory for ${category} must be one of: ${subCategories.map((sub) => sub.name).join(', ')}`;
+  }
+  if (rule.photoRequired && !(media && media.length > 0)) {
+    return `A photo is required for ${rule.name} complaints`;
+  }
+  return null;
+};
+
+/**
+ * Staff skill a complaint needs - the sub-category's suggestion, else the category itself
+ * @param {String} category - Complaint category
+ * @param {Object} subCategory - Sub-category from the taxonomy (optional)
+ * @returns {String|undefined}
+ */
+const getRequiredSpecialization = (category, subCategory) => {
+  if (subCategory?.suggestedSpecialization) return subCategory.suggestedSpecialization;
+  return STAFF_SPECIALIZATIONS.includes(category) ? category : undefined;
+};
+
+/**
+ * Build the category picker for a building - every category, with its sub-categories when configured
+ * @param {Object} building - Apartment document (optional)
+ * @returns {Array} [{ category, freeText, subCategories: [{ name, defaultPriority, photoRequired }] }]
+ */
+const getCategoryPicker = (building) => {
+  return COMPLAINT_CATEGORIES.map((category) => {
+    const subCategories = getSubCategories(building, category);
+    return {
+      category,
+      freeText: !subCategories,
+      subCategories: (subCategories || []).map((sub) => ({
+        name: sub.name,
+        defaultPriority: sub.defaultPriority,
+        slaHours: sub.slaHours,
+        photoRequired: Boolean(sub.photoRequired)
+      }))
+    };
+  });
+};
+
+module.exports = {
+  getSubCategories,
+  findSubCategory,
+  validateSubCategory,
+  getRequiredSpecialization,
+  getCategoryPicker
+};
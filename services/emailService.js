@@ -4,7 +4,7 @@ const path = require('path');
 
 // Email transporter configuration
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     service: process.env.EMAIL_SERVICE || 'gmail',
     auth: {
       user: process.env.EMAIL_USER,
@@ -19,8 +19,11 @@ const EMAIL_TEMPLATES = {
   COMPLAINT_REGISTERED: 'complaint_registered',
   COMPLAINT_STATUS_UPDATE: 'complaint_status_update',
   COMPLAINT_RESOLVED: 'complaint_resolved',
+  COMPLAINT_RATING_REQUEST: 'complaint_rating_request',
+  COMPLAINT_SLA_ESCALATION: 'complaint_sla_escalation',
   NOTICE_PUBLISHED: 'notice_published',
   PAYMENT_REMINDER: 'payment_reminder',
+  PAYMENT_RECEIPT: 'payment_receipt',
   ACCOUNT_APPROVED: 'account_approved',
   ACCOUNT_REJECTED: 'account_rejected',
   PASSWORD_RESET: 'password_reset',
@@ -217,23 +220,96 @@ const sendComplaintResolvedEmail = async (user, complaint) => {
   );
 };
 
+// Ask the resident to rate a resolved complaint before it auto-closes
+const sendComplaintRatingRequestEmail = async (user, complaint, closesAt) => {
+  const templateVars = {
+    fullName: user.fullName,
+    ticketNumber: complaint.ticketNumber,
+    title: complaint.title,
+    resolvedAt: complaint.resolution?.resolvedAt
+      ? new Date(complaint.resolution.resolvedAt).toLocaleString()
+      : '',
+    closesAt: new Date(closesAt).toLocaleDateString(),
+    complaintUrl: `${process.env.FRONTEND_URL || 'https://apartmentsync.com'}/complaints/${complaint._id}`,
+    ratingUrl: `${process.env.FRONTEND_URL || 'https://apartmentsync.com'}/complaints/${complaint._id}/rate`
+  };
+
+  const html = await loadEmailTemplate(EMAIL_TEMPLATES.COMPLAINT_RATING_REQUEST, templateVars);
+
+  return await sendEmail(
+    user.email,
+    `Rate Your Resolved Ticket - ${complaint.ticketNumber}`,
+    html
+  );
+};
+
+// Send SLA escalation email to staff/admin
+const sendComplaintSlaEscalationEmail = async (user, complaint, details = {}) => {
+  const templateVars = {
+    fullName: user.fullName,
+    ticketNumber: complaint.ticketNumber,
+    title: complaint.title,
+    category: complaint.category,
+    priority: complaint.priority,
+    status: complaint.status,
+    expectedResolution: complaint.sla?.expectedResolution
+      ? new Date(complaint.sla.expectedResolution).toLocaleString()
+      : '',
+    hoursOverdue: details.hoursOverdue,
+    escalationLevel: details.level + 1,
+    assignedStaff: details.assignedStaff,
+    location: details.location,
+    complaintUrl: `${process.env.FRONTEND_URL || 'https://apartmentsync.com'}/complaints/${complaint._id}`
+  };
+
+  const html = await loadEmailTemplate(EMAIL_TEMPLATES.COMPLAINT_SLA_ESCALATION, templateVars);
+  
+  return await sendEmail(
+    user.email,
+    `SLA Breached - ${complaint.ticketNumber} (Escalation Level ${details.level + 1})`,
+    html
+  );
+};
+
+// Attachments larger than this (combined) are linked instead of attached
+const NOTICE_EMAIL_ATTACHMENT_LIMIT = 10 * 1024 * 1024; // 10MB
+
+// Escape text for inclusion in HTML built outside the template
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 // Send notice published email
 const sendNoticePublishedEmail = async (users, notice) => {
+  const attachments = notice.attachments || [];
+  const attachmentLinks = attachments
+    .map(a => `<li><a href="${escapeHtml(a.url)}">${escapeHtml(a.name || 'Attachment')}</a></li>`)
+    .join('');
+
   const templateVars = {
     title: notice.title,
     content: notice.content.substring(0, 200) + (notice.content.length > 200 ? '...' : ''),
     category: notice.category,
     priority: notice.priority,
-    publishedBy: notice.createdBy.fullName,
+    publishedBy: notice.createdBy?.fullName || 'Building Management',
     noticeUrl: `${process.env.FRONTEND_URL}/notices/${notice._id}`,
-    effectiveDate: notice.schedule.publishAt.toLocaleString()
+    effectiveDate: notice.schedule.publishAt.toLocaleString(),
+    attachmentLinks
   };
 
   const html = await loadEmailTemplate(EMAIL_TEMPLATES.NOTICE_PUBLISHED, templateVars);
+
+  // Nodemailer fetches the files from Cloudinary when they are small enough to attach
+  const totalSize = attachments.reduce((sum, a) => sum + (a.size || 0), 0);
+  const mailAttachments = totalSize <= NOTICE_EMAIL_ATTACHMENT_LIMIT
+    ? attachments.map(a => ({ filename: a.name, path: a.url, contentType: a.type }))
+    : [];
   
   // Send to multiple users
   const emailPromises = users.map(user => 
-    sendEmail(user.email, `New Notice: ${notice.title}`, html)
+    sendEmail(user.email, `New Notice: ${notice.title}`, html, mailAttachments)
   );
   
   return await Promise.allSettled(emailPromises);
@@ -244,9 +320,10 @@ const sendPaymentReminderEmail = async (user, invoice) => {
   const templateVars = {
     fullName: user.fullName,
     invoiceNumber: invoice.invoiceNumber,
-    amount: invoice.totalAmount,
+    amount: invoice.balanceDue ?? invoice.totalAmount,
     dueDate: invoice.dueDate.toLocaleDateString(),
-    paymentUrl: `${process.env.FRONTEND_URL}/payments/${invoice._id}`,
+    // Pay page starts a gateway order via POST /api/billing/invoices/:id/pay
+    paymentUrl: `${process.env.FRONTEND_URL || 'https://apartmentsync.com'}/billing/invoices/${invoice._id}/pay`,
     lateFee: invoice.lateFee || 0
   };
 
@@ -259,6 +336,47 @@ const sendPaymentReminderEmail = async (user, invoice) => {
   );
 };
 
+// Render payment receipt HTML (also served by the receipt download endpoint)
+const renderPaymentReceipt = async (user, payment) => {
+  const allocationRows = payment.allocations.map(allocation => {
+    const period = allocation.invoice?.billingPeriod
+      ? `${allocation.invoice.billingPeriod.month}/${allocation.invoice.billingPeriod.year}`
+      : '-';
+    return `<tr><td>${allocation.invoiceNumber}</td><td>${period}</td><td>₹${allocation.amount.toFixed(2)}</td></tr>`;
+  }).join('');
+
+  const templateVars = {
+    fullName: user.fullName,
+    receiptNumber: payment.receiptNumber,
+    amount: payment.amount.toFixed(2),
+    paidAt: new Date(payment.paidAt).toLocaleDateString(),
+    method: payment.method,
+    referenceNumber: payment.referenceNumber,
+    apartmentCode: payment.apartmentCode,
+    flatNumber: user.flatNumber,
+    allocationRows: allocationRows || '<tr><td colspan="3">Held as credit</td></tr>',
+    unallocatedAmount: payment.unallocatedAmount > 0 ? payment.unallocatedAmount.toFixed(2) : ''
+  };
+
+  return await loadEmailTemplate(EMAIL_TEMPLATES.PAYMENT_RECEIPT, templateVars);
+};
+
+// Send payment receipt email with optional PDF copy
+const sendPaymentReceiptEmail = async (user, payment, pdfBuffer) => {
+  const html = await renderPaymentReceipt(user, payment);
+
+  const attachments = pdfBuffer
+    ? [{ filename: `${payment.receiptNumber}.pdf`, content: pdfBuffer, contentType: 'application/pdf' }]
+    : [];
+
+  return await sendEmail(
+    user.email,
+    `Payment Receipt - ${payment.receiptNumber}`,
+    html,
+    attachments
+  );
+};
+
 // Send account approved email
 const sendAccountApprovedEmail = async (user) => {
   const templateVars = {
@@ -436,8 +554,12 @@ module.exports = {
   sendComplaintRegisteredEmail,
   sendComplaintStatusUpdateEmail,
   sendComplaintResolvedEmail,
+  sendComplaintRatingRequestEmail,
+  sendComplaintSlaEscalationEmail,
   sendNoticePublishedEmail,
   sendPaymentReminderEmail,
+  renderPaymentReceipt,
+  sendPaymentReceiptEmail,
   sendAccountApprovedEmail,
   sendAccountRejectedEmail,
   sendPasswordResetEmail,
@@ -0,0 +1,118 @@
+const OTP = require('../models/OTP');
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const { getComplaintBuilding } = require('./slaService');
+const { notifyHandoverCode } = require('./ticketNotificationService');
+
+/**
+ * Handover Service
+ * Resident-confirmed resolution - the resident receives a code that staff enter when resolving
+ */
+
+const HANDOVER_OTP_PURPOSE = 'complaint_handover';
+
+// Minutes a handover code stays valid (configurable)
+const HANDOVER_OTP_EXPIRY_MINUTES = parseInt(process.env.HANDOVER_OTP_EXPIRY_MINUTES, 10) || 120;
+
+// Minimum gap between two codes for the same ticket, and the most codes a ticket can be sent
+const HANDOVER_OTP_RESEND_MINUTES = parseInt(process.env.HANDOVER_OTP_RESEND_MINUTES, 10) || 5;
+const HANDOVER_OTP_MAX_SENDS = parseInt(process.env.HANDOVER_OTP_MAX_SENDS, 10) || 5;
+
+// Wrong codes allowed per ticket across every code sent for it - an admin has to resolve after that
+const HANDOVER_OTP_MAX_ATTEMPTS = parseInt(process.env.HANDOVER_OTP_MAX_ATTEMPTS, 10) || 5;
+
+/**
+ * Check whether the complaint's building requires a handover code for its category
+ * @param {Object} complaint - Complaint document
+ * @param {Object} building - Apartment document (looked up when omitted)
+ * @returns {Boolean}
+ */
+const isHandoverOtpRequired = async (complaint, building) => {
+  const policyBuilding = building === undefined ? await getComplaintBuilding(complaint) : building;
+  return Boolean(policyBuilding?.handoverOtp?.categories?.includes(complaint.category));
+};
+
+/**
+ * Generate a handover code for a complaint and deliver it to the resident who raised it
+ * Rate limited per ticket: codes cannot be resent within the resend window or beyond the send limit
+ * @param {Object} complaint - Complaint document
+ * @returns {Object} { sent, message, channels, expiresAt }
+ */
+const sendHandoverOtp = async (complaint) => {
+  const residentId = complaint.createdBy?._id || complaint.createdBy;
+  const resident = await User.findById(residentId);
+  if (!resident?.phoneNumber) {
+    throw new Error('Resident has no phone number for the handover code');
+  }
+
+  if ((complaint.handover?.failedAttempts || 0) >= HANDOVER_OTP_MAX_ATTEMPTS) {
+    return { sent: false, message: 'Too many wrong handover codes for this ticket - ask an admin to resolve it' };
+  }
+
+  // Claim a send slot atomically so parallel requests cannot both send a code
+  const now = new Date();
+  const claimed = await Complaint.findOneAndUpdate(
+    {
+      _id: complaint._id,
+      'handover.codesSent': { $not: { $gte: HANDOVER_OTP_MAX_SENDS } },
+      'handover.lastSentAt': { $not: { $gt: new Date(now.getTime() - HANDOVER_OTP_RESEND_MINUTES * 60 * 1000) } }
+    },
+    { $set: { 'handover.lastSentAt': now }, $inc: { 'handover.codesSent': 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const latest = await Complaint.findById(complaint._id).select('handover');
+    const limitReached = (latest?.handover?.codesSent || 0) >= HANDOVER_OTP_MAX_SENDS;
+    return {
+      sent: false,
+      message: limitReached
+        ? `No more than ${HANDOVER_OTP_MAX_SENDS} handover codes can be sent for a ticket`
+        : `A handover code was sent less than ${HANDOVER_OTP_RESEND_MINUTES} minutes ago`
+    };
+  }
+
+  const otpRecord = await OTP.generateOTP(resident.phoneNumber, HANDOVER_OTP_PURPOSE, {
+    reference: complaint._id.toString(),
+    expiresInMinutes: HANDOVER_OTP_EXPIRY_MINUTES
+  });
+
+  const channels = await notifyHandoverCode(complaint, resident, otpRecord.otp, HANDOVER_OTP_EXPIRY_MINUTES);
+
+  return { sent: true, channels, expiresAt: otpRecord.expiresAt };
+};
+
+/**
+ * Verify the handover code staff entered for a complaint
+ * Wrong codes are counted on the ticket, so a fresh code does not reset the limit
+ * @param {Object} complaint - Complaint document
+ * @param {String} code - Code entered by staff
+ * @returns {Object} { isValid, message }
+ */
+const verifyHandoverOtp = async (complaint, code) => {
+  const residentId = complaint.createdBy?._id || complaint.createdBy;
+  const resident = await User.findById(residentId).select('phoneNumber');
+  if (!resident?.phoneNumber) {
+    return { isValid: false, message: 'Resident has no phone number for the handover code' };
+  }
+
+  const ticket = await Complaint.findById(complaint._id).select('handover');
+  if ((ticket?.handover?.failedAttempts || 0) >= HANDOVER_OTP_MAX_ATTEMPTS) {
+    return { isValid: false, message: 'Too many failed attempts - ask an admin to resolve the ticket' };
+  }
+
+  const result = await OTP.verifyOTP(resident.phoneNumber, String(code).trim(), HANDOVER_OTP_PURPOSE, complaint._id.toString());
+  if (!result.isValid) {
+    await Complaint.updateOne({ _id: complaint._id }, { $inc: { 'handover.failedAttempts': 1 } });
+  }
+
+  return result;
+};
+
+module.exports = {
+  isHandoverOtpRequired,
+  sendHandoverOtp,
+  verifyHandoverOtp,
+  HANDOVER_OTP_EXPIRY_MINUTES,
+  HANDOVER_OTP_MAX_ATTEMPTS
+};
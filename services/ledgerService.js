@@ -0,0 +1,383 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { generateReceiptNumber } = require('../utils/generators');
+const { roundAmount } = require('../utils/helpers');
+const { OPEN_INVOICE_STATUSES } = require('../utils/constants');
+const { sendPaymentReceiptEmail } = require('./emailService');
+const { emitToUser } = require('./socketService');
+
+/**
+ * Ledger Service
+ * Records payments, allocates them to open invoices oldest-first and issues receipts
+ */
+
+// Next receipt sequence for a building in the month of the payment
+// Receipts issued before the counter existed seed it the first time a month is used
+const getNextReceiptNumber = async (apartmentCode, paidAt) => {
+  const key = `receipt:${apartmentCode}:${paidAt.getFullYear()}-${paidAt.getMonth() + 1}`;
+
+  let seed = 0;
+  if (!(await Counter.exists({ key }))) {
+    const monthStart = new Date(paidAt.getFullYear(), paidAt.getMonth(), 1);
+    const monthEnd = new Date(paidAt.getFullYear(), paidAt.getMonth() + 1, 1);
+    seed = await Payment.countDocuments({
+      apartmentCode,
+      paidAt: { $gte: monthStart, $lt: monthEnd }
+    });
+  }
+
+  return generateReceiptNumber(apartmentCode, paidAt, await Counter.next(key, seed));
+};
+
+/**
+ * Allocate a payment's unallocated amount across the resident's open invoices
+ * Invoices are settled oldest due date first; a preferred invoice is settled before the rest.
+ * Runs in a transaction and takes each amount off the payment's credit with a guarded update,
+ * so concurrent runs never spend the same credit twice
+ * @param {Object} payment - Payment document
+ * @param {Object} options - { preferredInvoiceId }
+ * @returns {Array} Invoices that received an allocation
+ */
+const allocatePayment = async (payment, options = {}) => {
+  const { preferredInvoiceId } = options;
+  if (roundAmount(payment.unallocatedAmount) <= 0) return [];
+
+  const openInvoices = await Invoice.find({
+    resident: payment.resident,
+    apartmentCode: payment.apartmentCode,
+    status: { $in: OPEN_INVOICE_STATUSES }
+  }).sort({ dueDate: 1, createdAt: 1 });
+
+  if (preferredInvoiceId) {
+    const index = openInvoices.findIndex((inv) => inv._id.toString() === preferredInvoiceId.toString());
+    if (index > 0) {
+      openInvoices.unshift(...openInvoices.splice(index, 1));
+    }
+  }
+
+  const updatedInvoices = [];
+  let latest = null;
+
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+
+    // The in-memory amount may be stale when another run used some of the credit
+    const current = await Payment.findById(payment._id).select('unallocatedAmount').session(session);
+    let remaining = roundAmount(current?.unallocatedAmount || 0);
+
+    for (const invoice of openInvoices) {
+      if (remaining <= 0) break;
+
+      const applied = roundAmount(Math.min(invoice.balanceDue, remaining));
+      if (applied <= 0) continue;
+
+      // Take the amount off the credit first - another run may have spent it already
+      const reserved = await Payment.findOneAndUpdate(
+        { _id: payment._id, unallocatedAmount: { $gte: applied - 0.005 } },
+        [{ $set: { unallocatedAmount: { $max: [{ $round: [{ $subtract: ['$unallocatedAmount', applied] }, 2] }, 0] } } }],
+        { new: true, session }
+      );
+      if (!reserved) break;
+
+      const updatedInvoice = await Invoice.applyPayment(invoice._id, applied, new Date(), session);
+      if (!updatedInvoice) {
+        // The balance shrank in the meantime - the amount stays on the payment as credit
+        latest = await Payment.findByIdAndUpdate(
+          payment._id,
+          [{ $set: { unallocatedAmount: { $round: [{ $add: ['$unallocatedAmount', applied] }, 2] } } }],
+          { new: true, session }
+        );
+        continue;
+      }
+
+      latest = await Payment.findByIdAndUpdate(
+        payment._id,
+        {
+          $push: {
+            allocations: {
+              invoice: updatedInvoice._id,
+              invoiceNumber: updatedInvoice.invoiceNumber,
+              amount: applied
+            }
+          }
+        },
+        { new: true, session }
+      );
+
+      remaining = roundAmount(latest.unallocatedAmount);
+      updatedInvoices.push(updatedInvoice);
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  if (latest) {
+    payment.unallocatedAmount = roundAmount(latest.unallocatedAmount);
+    payment.allocations = latest.allocations;
+  }
+
+  return updatedInvoices;
+};
+
+/**
+ * Record a ledger payment for a resident and allocate it
+ * Any amount beyond the open balance stays on the payment as credit
+ * @param {Object} data - { resident, apartmentCode, amount, method, referenceNumber, gatewayPaymentId, paidAt, notes, recordedBy, invoiceId }
+ * @returns {Object} { payment, invoices }
+ */
+const recordLedgerPayment = async (data) => {
+  const paidAt = data.paidAt ? new Date(data.paidAt) : new Date();
+  const amount = roundAmount(data.amount);
+
+  const payment = await Payment.create({
+    receiptNumber: await getNextReceiptNumber(data.apartmentCode, paidAt),
+    invoice: data.invoiceId,
+    apartmentCode: data.apartmentCode,
+    resident: data.resident,
+    amount,
+    method: data.method,
+    referenceNumber: data.referenceNumber,
+    gatewayPaymentId: data.gatewayPaymentId,
+    paidAt,
+    notes: data.notes,
+    recordedBy: data.recordedBy,
+    unallocatedAmount: amount
+  });
+
+  const invoices = await allocatePayment(payment, { preferredInvoiceId: data.invoiceId });
+
+  emitToUser(payment.resident.toString(), 'payment_recorded', {
+    message: `Payment of ₹${amount} received (receipt ${payment.receiptNumber})`,
+    paymentId: payment._id,
+    receiptNumber: payment.receiptNumber,
+    amount,
+    allocations: payment.allocations.map((a) => ({
+      invoiceId: a.invoice,
+      invoiceNumber: a.invoiceNumber,
+      amount: a.amount
+    })),
+    credit: payment.unallocatedAmount
+  });
+
+  console.log(`✅ [LEDGER] Recorded ${payment.receiptNumber}: ₹${amount} across ${invoices.length} invoices, credit ₹${payment.unallocatedAmount}`);
+
+  return { payment, invoices };
+};
+
+/**
+ * Apply a resident's outstanding credits to their open invoices
+ * Called after new invoices are generated
+ * @param {String} residentId - User id
+ * @returns {Array} Payments whose credit was (partly) used
+ */
+const applyResidentCredits = async (residentId) => {
+  const creditPayments = await Payment.find({
+    resident: residentId,
+    unallocatedAmount: { $gt: 0 }
+  }).sort({ paidAt: 1 });
+
+  const applied = [];
+  for (const payment of creditPayments) {
+    const invoices = await allocatePayment(payment);
+    if (invoices.length === 0) break;
+    applied.push(payment);
+  }
+  return applied;
+};
+
+/**
+ * Generate a PDF copy of a payment receipt
+ * @param {Object} payment - Payment document with allocations.invoice populated
+ * @param {Object} resident - User document
+ * @returns {Promise<Buffer>}
+ */
+const generateReceiptPdf = (payment, resident) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header
+    doc.rect(0, 0, doc.page.width, 90).fill('#28a745');
+    doc.fillColor('#ffffff').fontSize(22).text('ApartmentSync - Payment Receipt', 50, 35);
+    doc.fillColor('#333333').moveDown(3);
+
+    // Receipt details
+    doc.fontSize(11);
+    doc.text(`Receipt Number: ${payment.receiptNumber}`, 50, 120);
+    doc.text(`Paid On: ${new Date(payment.paidAt).toLocaleDateString()}`);
+    doc.text(`Received From: ${resident.fullName}`);
+    doc.text(`Flat: ${resident.flatNumber || '-'} (${payment.apartmentCode})`);
+    doc.text(`Payment Method: ${payment.method}`);
+    if (payment.referenceNumber) {
+      doc.text(`Reference: ${payment.referenceNumber}`);
+    }
+
+    doc.moveDown();
+    doc.fontSize(18).fillColor('#28a745').text(`Amount Received: Rs. ${payment.amount.toFixed(2)}`);
+    doc.fillColor('#333333').fontSize(11).moveDown();
+
+    // Allocation table
+    const headerY = doc.y;
+    doc.font('Helvetica-Bold');
+    doc.text('Invoice', 50, headerY, { width: 200 });
+    doc.text('Period', 250, headerY, { width: 120 });
+    doc.text('Amount Applied', 400, headerY);
+    doc.font('Helvetica');
+
+    payment.allocations.forEach((allocation) => {
+      const period = allocation.invoice?.billingPeriod
+        ? `${allocation.invoice.billingPeriod.month}/${allocation.invoice.billingPeriod.year}`
+        : '-';
+      const rowY = doc.y + 4;
+      doc.text(allocation.invoiceNumber, 50, rowY, { width: 200 });
+      doc.text(period, 250, rowY, { width: 120 });
+      doc.text(`Rs. ${allocation.amount.toFixed(2)}`, 400, rowY);
+    });
+
+    if (payment.unallocatedAmount > 0) {
+      doc.moveDown();
+      doc.text(`Credit on account: Rs. ${payment.unallocatedAmount.toFixed(2)} (adjusted against the next invoice)`, 50);
+    }
+
+    doc.moveDown(3);
+    doc.fontSize(9).fillColor('#666666')
+      .text('This is a system generated receipt and does not require a signature.', 50, doc.y, { align: 'center' });
+
+    doc.end();
+  });
+};
+
+/**
+ * Email the receipt (HTML body + PDF attachment) to the resident
+ * @param {Object} payment - Payment document
+ * @returns {Object} { success, message }
+ */
+const sendPaymentReceipt = async (payment) => {
+  const resident = await User.findById(payment.resident);
+  if (!resident || !resident.email) {
+    return { success: false, message: 'Resident has no email address' };
+  }
+
+  await payment.populate('allocations.invoice', 'billingPeriod');
+  const pdfBuffer = await generateReceiptPdf(payment, resident);
+  const result = await sendPaymentReceiptEmail(resident, payment, pdfBuffer);
+
+  if (result.success) {
+    payment.receiptSentAt = new Date();
+    await payment.save();
+  }
+
+  return result;
+};
+
+/**
+ * Build the month-end reconciliation for a building
+ * @param {Object} building - Apartment document
+ * @param {Number} month - Billing month (1-12)
+ * @param {Number} year - Billing year
+ * @returns {Object} Summary, collections by method, unallocated credits and short payments
+ */
+const getBuildingReconciliation = async (building, month, year) => {
+  const periodStart = new Date(year, month - 1, 1);
+  const periodEnd = new Date(year, month, 1);
+
+  const [invoiceTotals, collections, unallocatedCredits, shortPayments] = await Promise.all([
+    Invoice.aggregate([
+      {
+        $match: {
+          apartmentCode: building.code,
+          'billingPeriod.month': month,
+          'billingPeriod.year': year,
+          status: { $ne: 'Void' }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          invoices: { $sum: 1 },
+          billed: { $sum: '$totalAmount' },
+          paid: { $sum: '$amountPaid' }
+        }
+      }
+    ]),
+    Payment.aggregate([
+      { $match: { apartmentCode: building.code, paidAt: { $gte: periodStart, $lt: periodEnd }, refundedAt: null } },
+      { $group: { _id: '$method', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+    ]),
+    Payment.find({ apartmentCode: building.code, unallocatedAmount: { $gt: 0 } })
+      .populate('resident', 'fullName phoneNumber flatNumber floorNumber')
+      .sort({ paidAt: 1 }),
+    Invoice.find({
+      apartmentCode: building.code,
+      'billingPeriod.month': month,
+      'billingPeriod.year': year,
+      status: 'Partially Paid'
+    })
+      .populate('resident', 'fullName phoneNumber flatNumber floorNumber')
+      .sort({ 'flat.flatCode': 1 })
+  ]);
+
+  const totals = invoiceTotals[0] || { invoices: 0, billed: 0, paid: 0 };
+  const collectedInPeriod = collections.reduce((sum, c) => sum + c.amount, 0);
+  const totalCredits = unallocatedCredits.reduce((sum, p) => sum + p.unallocatedAmount, 0);
+
+  return {
+    building: { id: building._id, name: building.name, code: building.code },
+    period: { month, year },
+    summary: {
+      invoices: totals.invoices,
+      billed: roundAmount(totals.billed),
+      settledAgainstPeriod: roundAmount(totals.paid),
+      outstandingForPeriod: roundAmount(totals.billed - totals.paid),
+      collectedInPeriod: roundAmount(collectedInPeriod),
+      unallocatedCredits: roundAmount(totalCredits),
+      shortPayments: shortPayments.length
+    },
+    collectionsByMethod: collections.map((c) => ({
+      method: c._id,
+      count: c.count,
+      amount: roundAmount(c.amount)
+    })),
+    unallocatedCredits: unallocatedCredits.map((p) => ({
+      paymentId: p._id,
+      receiptNumber: p.receiptNumber,
+      resident: p.resident,
+      paidAt: p.paidAt,
+      amount: p.amount,
+      unallocatedAmount: p.unallocatedAmount
+    })),
+    shortPayments: shortPayments.map((inv) => ({
+      invoiceId: inv._id,
+      invoiceNumber: inv.invoiceNumber,
+      flat: inv.flat,
+      resident: inv.resident,
+      totalAmount: inv.totalAmount,
+      amountPaid: inv.amountPaid,
+      shortfall: inv.balanceDue,
+      dueDate: inv.dueDate
+    }))
+  };
+};
+
+module.exports = {
+  recordLedgerPayment,
+  allocatePayment,
+  applyResidentCredits,
+  generateReceiptPdf,
+  sendPaymentReceipt,
+  getBuildingReconciliation
+};
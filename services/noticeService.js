@@ -0,0 +1,587 @@
+const Notice = require('../models/Notice');
+const User = require('../models/User');
+const Apartment = require('../models/Apartment');
+const { emitToUser, broadcastToApartment } = require('./socketService');
+const { sendUrgentNotice, sendNoticeAcknowledgementReminder } = require('./smsService');
+const { sendNoticePublishedEmail } = require('./emailService');
+const { sendPushNotification, sendMulticastPushNotification } = require('../config/firebase');
+const { cloudinaryUtils } = require('../config/cloudinary');
+
+/**
+ * Notice Service
+ * Delivers published notices and moves scheduled notices through their lifecycle
+ */
+
+// Days an expired notice stays visible to admins before it is archived
+const NOTICE_ARCHIVE_AFTER_DAYS = parseInt(process.env.NOTICE_ARCHIVE_AFTER_DAYS, 10) || 30;
+
+// Default hours after publishing before non-acknowledgers get a push, then an SMS
+const ACK_PUSH_REMINDER_HOURS = parseInt(process.env.NOTICE_ACK_PUSH_REMINDER_HOURS, 10) || 24;
+const ACK_SMS_REMINDER_HOURS = parseInt(process.env.NOTICE_ACK_SMS_REMINDER_HOURS, 10) || 48;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Push notifications are sent in batches of this size (FCM multicast limit)
+const PUSH_BATCH_SIZE = 500;
+
+// Most acknowledgement reminders sent in one run; the rest go out on the next run
+const ACK_REMINDER_BATCH_LIMIT = parseInt(process.env.NOTICE_ACK_REMINDER_BATCH_LIMIT, 10) || 500;
+
+// Roles that receive building-wide ("All") notices
+const ALL_AUDIENCE_ROLES = ['resident', 'staff'];
+
+const hasItems = (list) => Array.isArray(list) && list.length > 0;
+
+/**
+ * Build the User query for everyone a notice is addressed to
+ * "All" reaches every active resident and staff member of the building.
+ * "Specific" reaches residents matching every non-empty dimension (wings, floors,
+ * flatNumbers), plus any individually added residents.
+ * @param {Object} notice - Notice document
+ * @param {String} apartmentCode - Building code (defaults to notice.apartmentCode)
+ * @returns {Object} Mongo filter for User
+ */
+const buildAudienceQuery = (notice, apartmentCode = notice.apartmentCode) => {
+  const base = { apartmentCode, status: 'active' };
+  const audience = notice.targetAudience || {};
+
+  if (audience.type !== 'Specific') {
+    return { ...base, role: { $in: ALL_AUDIENCE_ROLES } };
+  }
+
+  const dimensions = {};
+  if (hasItems(audience.wings)) {
+    dimensions.wing = { $in: audience.wings.map((w) => w.toUpperCase()) };
+  }
+  if (hasItems(audience.floors)) {
+    dimensions.floorNumber = { $in: audience.floors };
+  }
+  if (hasItems(audience.flatNumbers)) {
+    const flats = audience.flatNumbers.map((f) => f.toUpperCase());
+    dimensions.$or = [{ flatNumber: { $in: flats } }, { flatCode: { $in: flats } }];
+  }
+
+  const targets = [];
+  if (Object.keys(dimensions).length > 0) targets.push(dimensions);
+  if (hasItems(audience.residents)) targets.push({ _id: { $in: audience.residents } });
+
+  // A Specific notice with no criteria reaches nobody
+  if (targets.length === 0) {
+    return { ...base, _id: { $in: [] } };
+  }
+
+  return { ...base, role: 'resident', $or: targets };
+};
+
+/**
+ * Check whether a user is in a notice's audience
+ * @param {Object} notice - Notice document
+ * @param {Object} user - User document
+ * @returns {Boolean}
+ */
+const isUserTargeted = (notice, user) => {
+  const audience = notice.targetAudience || {};
+  if (notice.apartmentCode && notice.apartmentCode !== user.apartmentCode) return false;
+
+  if (audience.type !== 'Specific') {
+    return ALL_AUDIENCE_ROLES.includes(user.role);
+  }
+  if (user.role !== 'resident') return false;
+
+  if ((audience.residents || []).some((id) => id.toString() === user._id.toString())) {
+    return true;
+  }
+
+  const matchesWing = !hasItems(audience.wings) ||
+    audience.wings.some((w) => w.toUpperCase() === user.wing);
+  const matchesFloor = !hasItems(audience.floors) || audience.floors.includes(user.floorNumber);
+  const matchesFlat = !hasItems(audience.flatNumbers) ||
+    audience.flatNumbers.some((f) => [user.flatNumber, user.flatCode].includes(f.toUpperCase()));
+
+  const hasCriteria = hasItems(audience.wings) || hasItems(audience.floors) || hasItems(audience.flatNumbers);
+  return hasCriteria && matchesWing && matchesFloor && matchesFlat;
+};
+
+// Notice-side filter for one targeting dimension: unset/empty, or containing the user's value
+const dimensionMatch = (path, values) => ({
+  $or: [
+    { [`${path}.0`]: { $exists: false } },
+    { [path]: { $in: values } }
+  ]
+});
+
+/**
+ * Build the Notice query for notices a user is targeted by
+ * Notices created before apartmentCode existed are matched through the building's admin
+ * @param {Object} user - User document
+ * @param {String} buildingAdminId - createdBy of the user's building (for legacy notices)
+ * @returns {Object} Mongo filter for Notice (status/schedule conditions not included)
+ */
+const buildFeedFilter = (user, buildingAdminId) => {
+  const buildingMatch = {
+    $or: [
+      { apartmentCode: user.apartmentCode },
+      ...(buildingAdminId ? [{ apartmentCode: { $exists: false }, createdBy: buildingAdminId }] : [])
+    ]
+  };
+
+  if (user.role !== 'resident') {
+    return { $and: [buildingMatch, { 'targetAudience.type': 'All' }] };
+  }
+
+  const specificMatch = {
+    'targetAudience.type': 'Specific',
+    $and: [
+      dimensionMatch('targetAudience.wings', [user.wing]),
+      dimensionMatch('targetAudience.floors', [user.floorNumber]),
+      dimensionMatch('targetAudience.flatNumbers', [user.flatNumber, user.flatCode]),
+      {
+        $or: [
+          { 'targetAudience.wings.0': { $exists: true } },
+          { 'targetAudience.floors.0': { $exists: true } },
+          { 'targetAudience.flatNumbers.0': { $exists: true } }
+        ]
+      }
+    ]
+  };
+
+  return {
+    $and: [
+      buildingMatch,
+      {
+        $or: [
+          { 'targetAudience.type': 'All' },
+          specificMatch,
+          { 'targetAudience.residents': user._id }
+        ]
+      }
+    ]
+  };
+};
+
+// Building of a notice; notices created before apartmentCode existed use their creator's
+const getNoticeApartmentCode = async (notice) => {
+  if (notice.apartmentCode) return notice.apartmentCode;
+  const admin = await User.findById(notice.createdBy).select('apartmentCode');
+  return admin?.apartmentCode;
+};
+
+/**
+ * Send notifications for a newly published notice to its audience only
+ * Socket, push and email (if enabled) go to every recipient; Urgent notices also go out by SMS.
+ * @param {Object} notice - Notice document
+ * @param {String} apartmentCode - Building code (defaults to notice.apartmentCode)
+ * @returns {Number} Number of recipients
+ */
+const sendNoticeNotifications = async (notice, apartmentCode = notice.apartmentCode) => {
+  const recipients = await User.find(buildAudienceQuery(notice, apartmentCode))
+    .select('_id email phoneNumber fcmToken notificationPreferences');
+
+  const payload = {
+    message: 'New notice published',
+    notice: {
+      id: notice._id,
+      title: notice.title,
+      category: notice.category,
+      priority: notice.priority,
+      publishAt: notice.schedule.publishAt,
+      requiresAcknowledgement: notice.requiresAcknowledgement
+    }
+  };
+  recipients.forEach((user) => emitToUser(user._id.toString(), 'new_notice', payload));
+
+  // Push notifications
+  const tokens = recipients
+    .filter((user) => user.fcmToken && user.notificationPreferences?.push !== false)
+    .map((user) => user.fcmToken);
+  for (let i = 0; i < tokens.length; i += PUSH_BATCH_SIZE) {
+    await sendMulticastPushNotification(
+      tokens.slice(i, i + PUSH_BATCH_SIZE),
+      {
+        title: notice.priority === 'Urgent' ? `URGENT: ${notice.title}` : notice.title,
+        body: `New ${notice.category.toLowerCase()} notice`
+      },
+      {
+        type: 'new_notice',
+        noticeId: notice._id.toString(),
+        priority: notice.priority
+      }
+    );
+  }
+
+  // SMS for urgent notices
+  if (notice.priority === 'Urgent') {
+    const smsRecipients = recipients.filter(
+      (user) => user.phoneNumber && user.notificationPreferences?.sms !== false
+    );
+    await Promise.allSettled(
+      smsRecipients.map((user) => sendUrgentNotice(user.phoneNumber, notice.title))
+    );
+  }
+
+  // Email (with attachments) for recipients who opted in
+  const emailRecipients = recipients.filter(
+    (user) => user.email && user.notificationPreferences?.email
+  );
+  if (emailRecipients.length > 0) {
+    await sendNoticePublishedEmail(emailRecipients, notice);
+  }
+
+  // Update engagement metrics
+  notice.engagement.totalSent = recipients.length;
+  await notice.save();
+
+  console.log(`📢 [NOTICE] Delivered ${notice._id} to ${recipients.length} recipients`);
+
+  return recipients.length;
+};
+
+/**
+ * Publish scheduled drafts whose publish time has arrived
+ * Each notice is claimed atomically so a manual publish and the job never both notify
+ * @param {Date} now - Reference time
+ * @returns {Array} Published notices
+ */
+const publishDueNotices = async (now = new Date()) => {
+  const dueNotices = await Notice.find({
+    status: 'Draft',
+    'schedule.autoPublish': true,
+    'schedule.publishAt': { $lte: now }
+  }).select('_id');
+
+  const published = [];
+  for (const { _id } of dueNotices) {
+    const notice = await Notice.findOneAndUpdate(
+      { _id, status: 'Draft', 'schedule.autoPublish': true },
+      { $set: { status: 'Published', 'schedule.autoPublish': false } },
+      { new: true }
+    );
+    if (!notice) continue;
+
+    const apartmentCode = await getNoticeApartmentCode(notice);
+    if (!apartmentCode) {
+      console.warn(`⚠️ [NOTICE] Published ${notice._id} but it has no building to notify`);
+      continue;
+    }
+
+    await sendNoticeNotifications(notice, apartmentCode);
+
+    emitToUser(notice.createdBy.toString(), 'notice_published', {
+      message: `Scheduled notice "${notice.title}" has been published`,
+      noticeId: notice._id,
+      title: notice.title,
+      publishAt: notice.schedule.publishAt
+    });
+
+    published.push(notice);
+  }
+
+  if (published.length > 0) {
+    console.log(`✅ [NOTICE] Published ${published.length} scheduled notices`);
+  }
+
+  return published;
+};
+
+/**
+ * Expire published notices past their expiry date
+ * @param {Date} now - Reference time
+ * @returns {Array} Expired notices
+ */
+const expireNotices = async (now = new Date()) => {
+  const dueNotices = await Notice.find({
+    status: 'Published',
+    'schedule.expireAt': { $lte: now }
+  }).select('_id');
+
+  const expired = [];
+  for (const { _id } of dueNotices) {
+    const notice = await Notice.findOneAndUpdate(
+      { _id, status: 'Published' },
+      { $set: { status: 'Expired' } },
+      { new: true }
+    );
+    if (!notice) continue;
+
+    const apartmentCode = await getNoticeApartmentCode(notice);
+    if (apartmentCode) {
+      broadcastToApartment(apartmentCode, 'notice_expired', {
+        message: 'Notice expired',
+        noticeId: notice._id,
+        title: notice.title
+      });
+    }
+
+    expired.push(notice);
+  }
+
+  if (expired.length > 0) {
+    console.log(`✅ [NOTICE] Expired ${expired.length} notices`);
+  }
+
+  return expired;
+};
+
+// Cloudinary folder notice attachments are uploaded to (uploadConfigs.noticeAttachments)
+const NOTICE_ATTACHMENT_FOLDER = 'apartment_sync/notices/attachments/';
+
+/**
+ * Delete a notice's attachments from Cloudinary and remove them from the notice
+ * Attachments whose asset could not be deleted are kept so the removal can be retried
+ * @param {Object} notice - Notice document
+ * @param {Array} attachmentIds - Attachment subdocument ids (all attachments when omitted)
+ * @returns {Object} { removed, failed }
+ */
+const deleteNoticeAttachments = async (notice, attachmentIds) => {
+  const ids = attachmentIds ? attachmentIds.map((id) => id.toString()) : null;
+  const targets = notice.attachments.filter((a) => !ids || ids.includes(a._id.toString()));
+
+  const removed = [];
+  const failed = [];
+  for (const attachment of targets) {
+    // Only assets in the notice upload folder are ever deleted from storage
+    const result = attachment.publicId?.startsWith(NOTICE_ATTACHMENT_FOLDER)
+      ? await cloudinaryUtils.deleteFile(attachment.publicId, { resource_type: attachment.resourceType || 'image' })
+      : { success: true };
+
+    // "not found" means the asset is already gone
+    if (result.success || result.data?.result === 'not found') {
+      removed.push(attachment);
+      notice.attachments.pull(attachment._id);
+    } else {
+      failed.push(attachment);
+    }
+  }
+
+  if (removed.length > 0) {
+    await notice.save();
+  }
+
+  return { removed, failed };
+};
+
+/**
+ * Archive notices that expired more than NOTICE_ARCHIVE_AFTER_DAYS ago
+ * Archived notices no longer need their files, so attachments are deleted from Cloudinary
+ * @param {Date} now - Reference time
+ * @returns {Number} Archived count
+ */
+const archiveExpiredNotices = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - NOTICE_ARCHIVE_AFTER_DAYS * 24 * 60 * 60 * 1000);
+  const notices = await Notice.find({
+    status: 'Expired',
+    'schedule.expireAt': { $lte: cutoff }
+  });
+
+  for (const notice of notices) {
+    notice.status = 'Archived';
+    await notice.save();
+    await deleteNoticeAttachments(notice);
+  }
+
+  return notices.length;
+};
+
+// Residents expected to acknowledge a notice (staff receive "All" notices but don't acknowledge)
+const getAcknowledgementAudience = async (notice, apartmentCode) => {
+  const query = buildAudienceQuery(notice, apartmentCode || await getNoticeApartmentCode(notice));
+  return User.find({ ...query, role: 'resident' })
+    .select('_id fullName phoneNumber fcmToken floorNumber flatNumber flatCode wing notificationPreferences')
+    .sort({ floorNumber: 1, flatNumber: 1 });
+};
+
+/**
+ * Build the per-flat acknowledgement report for a notice
+ * A flat counts as acknowledged once any targeted resident in it has acknowledged
+ * @param {Object} notice - Notice document
+ * @returns {Object} { summary, flats }
+ */
+const buildAcknowledgementReport = async (notice) => {
+  const apartmentCode = await getNoticeApartmentCode(notice);
+  const [residents, building] = await Promise.all([
+    getAcknowledgementAudience(notice, apartmentCode),
+    Apartment.findOne({ code: apartmentCode }).select('configuration')
+  ]);
+
+  const acknowledgementsByUser = {};
+  notice.acknowledgements.forEach((ack) => {
+    acknowledgementsByUser[ack.user.toString()] = ack.acknowledgedAt;
+  });
+  const remindersByUser = {};
+  notice.remindersSent.forEach((reminder) => {
+    const key = reminder.user.toString();
+    remindersByUser[key] = remindersByUser[key] || [];
+    remindersByUser[key].push({ channel: reminder.channel, sentAt: reminder.sentAt });
+  });
+
+  // Flat codes from the building layout, same floor-flat key as the building views
+  const flatCodes = {};
+  building?.configuration?.floors?.forEach((floor) => {
+    floor.flats.forEach((flat) => {
+      flatCodes[`${floor.floorNumber}-${flat.flatNumber}`] = flat.flatCode;
+    });
+  });
+
+  const flatMap = {};
+  residents.forEach((resident) => {
+    const key = `${resident.floorNumber}-${resident.flatNumber}`;
+    if (!flatMap[key]) {
+      flatMap[key] = {
+        floorNumber: resident.floorNumber,
+        flatNumber: resident.flatNumber,
+        flatCode: flatCodes[key] || resident.flatCode,
+        wing: resident.wing,
+        acknowledged: false,
+        acknowledgedAt: null,
+        residents: []
+      };
+    }
+
+    const acknowledgedAt = acknowledgementsByUser[resident._id.toString()] || null;
+    const flat = flatMap[key];
+    flat.residents.push({
+      id: resident._id,
+      fullName: resident.fullName,
+      phoneNumber: resident.phoneNumber,
+      acknowledged: !!acknowledgedAt,
+      acknowledgedAt,
+      reminders: remindersByUser[resident._id.toString()] || []
+    });
+
+    if (acknowledgedAt && (!flat.acknowledgedAt || acknowledgedAt < flat.acknowledgedAt)) {
+      flat.acknowledged = true;
+      flat.acknowledgedAt = acknowledgedAt;
+    }
+  });
+
+  const flats = Object.values(flatMap);
+  const acknowledgedFlats = flats.filter((flat) => flat.acknowledged).length;
+
+  return {
+    summary: {
+      targetedFlats: flats.length,
+      acknowledgedFlats,
+      pendingFlats: flats.length - acknowledgedFlats,
+      acknowledgementPercentage: flats.length > 0
+        ? Math.round((acknowledgedFlats / flats.length) * 100)
+        : 0,
+      targetedResidents: residents.length,
+      acknowledgedResidents: residents.filter((r) => acknowledgementsByUser[r._id.toString()]).length
+    },
+    flats
+  };
+};
+
+/**
+ * Push an acknowledgement reminder to one resident (socket + FCM)
+ * @param {Object} resident - User document (fcmToken, notificationPreferences)
+ * @param {Object} notice - Notice document
+ * @returns {Boolean} Whether the push was accepted by FCM
+ */
+const pushAcknowledgementReminder = async (resident, notice) => {
+  const data = {
+    title: 'Acknowledgement required',
+    message: `Please read and acknowledge: ${notice.title}`,
+    noticeId: notice._id.toString()
+  };
+
+  emitToUser(resident._id.toString(), 'notice_acknowledgement_reminder', data);
+
+  if (!resident.fcmToken || resident.notificationPreferences?.push === false) return false;
+
+  const result = await sendPushNotification(
+    resident.fcmToken,
+    { title: data.title, body: data.message },
+    { type: 'notice_acknowledgement_reminder', noticeId: data.noticeId }
+  );
+  return !!result?.success;
+};
+
+/**
+ * Remind residents who haven't acknowledged mandatory notices
+ * A push goes out after pushAfterHours; residents who still haven't acknowledged after
+ * smsAfterHours get an SMS as well. Each channel is used at most once.
+ * Notices are streamed and at most ACK_REMINDER_BATCH_LIMIT reminders go out per run.
+ * @param {Date} now - Reference time
+ * @returns {Object} { notices, push, sms, limitReached }
+ */
+const sendAcknowledgementReminders = async (now = new Date()) => {
+  const earliestReminderHours = Math.min(ACK_PUSH_REMINDER_HOURS, ACK_SMS_REMINDER_HOURS);
+  const cursor = Notice.find({
+    status: 'Published',
+    requiresAcknowledgement: true,
+    'schedule.publishAt': { $lte: new Date(now.getTime() - earliestReminderHours * HOUR_MS) }
+  })
+    .sort({ 'schedule.publishAt': 1 })
+    .cursor();
+
+  const summary = { notices: 0, push: 0, sms: 0, limitReached: false };
+  const hasBudget = () => summary.push + summary.sms < ACK_REMINDER_BATCH_LIMIT;
+
+  for (let notice = await cursor.next(); notice && hasBudget(); notice = await cursor.next()) {
+    summary.notices += 1;
+
+    const pushAfterHours = notice.acknowledgementReminders?.pushAfterHours || ACK_PUSH_REMINDER_HOURS;
+    const smsAfterHours = notice.acknowledgementReminders?.smsAfterHours || ACK_SMS_REMINDER_HOURS;
+    const elapsedHours = (now.getTime() - notice.schedule.publishAt.getTime()) / HOUR_MS;
+    if (elapsedHours < pushAfterHours) continue;
+
+    const acknowledged = new Set(notice.acknowledgements.map((ack) => ack.user.toString()));
+    const reminders = {};
+    notice.remindersSent.forEach((r) => {
+      reminders[`${r.user}:${r.channel}`] = r;
+    });
+    const pending = (await getAcknowledgementAudience(notice))
+      .filter((resident) => !acknowledged.has(resident._id.toString()));
+
+    for (const resident of pending) {
+      if (!hasBudget()) break;
+      const residentId = resident._id.toString();
+      const pushReminder = reminders[`${residentId}:push`];
+
+      // Push always comes first
+      if (!pushReminder) {
+        const delivered = await pushAcknowledgementReminder(resident, notice);
+        notice.remindersSent.push({ user: resident._id, channel: 'push', delivered, sentAt: now });
+        summary.push += 1;
+        continue;
+      }
+
+      // Escalate to SMS once the push has had smsAfterHours to work
+      if (
+        elapsedHours >= smsAfterHours &&
+        !reminders[`${residentId}:sms`] &&
+        resident.phoneNumber &&
+        resident.notificationPreferences?.sms !== false
+      ) {
+        const result = await sendNoticeAcknowledgementReminder(resident.phoneNumber, notice.title);
+        if (result.success) {
+          notice.remindersSent.push({ user: resident._id, channel: 'sms', delivered: true, sentAt: now });
+          summary.sms += 1;
+        }
+      }
+    }
+
+    if (notice.isModified('remindersSent')) {
+      await notice.save();
+    }
+  }
+
+  await cursor.close();
+  summary.limitReached = !hasBudget();
+
+  return summary;
+};
+
+module.exports = {
+  buildAudienceQuery,
+  buildFeedFilter,
+  isUserTargeted,
+  sendNoticeNotifications,
+  buildAcknowledgementReport,
+  sendAcknowledgementReminders,
+  deleteNoticeAttachments,
+  publishDueNotices,
+  expireNotices,
+  archiveExpiredNotices
+};
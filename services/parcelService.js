@@ -0,0 +1,208 @@
+const Parcel = require('../models/Parcel');
+const { emitToUser } = require('./socketService');
+const { findFlatResidents } = require('./visitorService');
+const { sendMulticastPushNotification } = require('../config/firebase');
+const { generateOTP } = require('../utils/generators');
+const { PARCEL_STATUS } = require('../utils/constants');
+
+/**
+ * Parcel Service
+ * Parcels held at the security room - arrival notices, pickup codes, reminders and the register
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Days a parcel waits before the flat is reminded, hours between reminders, and reminders per parcel (configurable)
+const PARCEL_REMINDER_DAYS = parseInt(process.env.PARCEL_REMINDER_DAYS, 10) || 2;
+const PARCEL_REMINDER_INTERVAL_HOURS = parseInt(process.env.PARCEL_REMINDER_INTERVAL_HOURS, 10) || 24;
+const PARCEL_MAX_REMINDERS = parseInt(process.env.PARCEL_MAX_REMINDERS, 10) || 3;
+
+const PICKUP_CODE_LENGTH = 6;
+
+/**
+ * Generate a pickup code not used by any other uncollected parcel of the building
+ * @param {String} apartmentCode - Building code
+ * @returns {String}
+ */
+const generatePickupCode = async (apartmentCode) => {
+  for (let attempt = 0; attempt < 10; attempt += 1) {
+    const code = generateOTP(PICKUP_CODE_LENGTH);
+    const inUse = await Parcel.exists({ apartmentCode, pickupCode: code, status: PARCEL_STATUS.RECEIVED });
+    if (!inUse) return code;
+  }
+  throw new Error('Could not generate a unique pickup code');
+};
+
+// Socket + push to every resident of the parcel's flat
+// The push shows on lock screens - keep the pickup code to the socket payload and the app
+const notifyFlat = async (parcel, event, payload, { title, body }) => {
+  const residents = await findFlatResidents(parcel.apartmentCode, parcel.flat);
+
+  residents.forEach((resident) => emitToUser(resident._id.toString(), event, payload));
+
+  const tokens = residents
+    .filter((resident) => resident.fcmToken && resident.notificationPreferences?.push)
+    .map((resident) => resident.fcmToken);
+  if (tokens.length > 0) {
+    await sendMulticastPushNotification(tokens, { title, body }, {
+      type: event,
+      parcelId: parcel._id.toString()
+    });
+  }
+
+  return residents.length;
+};
+
+/**
+ * Tell the flat a parcel is waiting at the security room, with the code to collect it in the app
+ * @param {Object} parcel - Parcel document (pickupCode loaded)
+ * @returns {Number} Residents notified
+ */
+const notifyParcelArrived = async (parcel) => {
+  try {
+    return await notifyFlat(parcel, 'parcel_arrived', {
+      parcelId: parcel._id.toString(),
+      parcelNumber: parcel.parcelNumber,
+      courier: parcel.courier,
+      recipientName: parcel.recipientName,
+      packageCount: parcel.packageCount,
+      photoUrl: parcel.photo?.url,
+      pickupCode: parcel.pickupCode,
+      receivedAt: parcel.receivedAt,
+      message: `A ${parcel.courier} parcel is waiting for you at the security room`
+    }, {
+      title: 'Parcel Arrived',
+      body: `Your ${parcel.courier} parcel is at the security room. Open the app for your pickup code.`
+    });
+  } catch (error) {
+    console.error('❌ [PARCELS] Error sending arrival notification:', error);
+    return 0;
+  }
+};
+
+/**
+ * Tell the flat a parcel was collected or returned to the courier
+ * @param {Object} parcel - Parcel document (Collected or Returned)
+ */
+const notifyParcelClosed = async (parcel) => {
+  try {
+    const collected = parcel.status === PARCEL_STATUS.COLLECTED;
+    const message = collected
+      ? `Your ${parcel.courier} parcel was collected by ${parcel.pickup.collectedByName}`
+      : `Your ${parcel.courier} parcel was returned to the courier`;
+
+    await notifyFlat(parcel, collected ? 'parcel_collected' : 'parcel_returned', {
+      parcelId: parcel._id.toString(),
+      parcelNumber: parcel.parcelNumber,
+      status: parcel.status,
+      message
+    }, {
+      title: collected ? 'Parcel Collected' : 'Parcel Returned',
+      body: message
+    });
+  } catch (error) {
+    console.error('❌ [PARCELS] Error sending collection notification:', error);
+  }
+};
+
+/**
+ * Remind flats about parcels left at the security room
+ * A parcel is first reminded about PARCEL_REMINDER_DAYS after it arrived, then every
+ * PARCEL_REMINDER_INTERVAL_HOURS, up to PARCEL_MAX_REMINDERS times
+ * @param {Date} now - Reference time
+ * @returns {Number} Parcels reminded about
+ */
+const sendParcelReminders = async (now = new Date()) => {
+  const parcels = await Parcel.find({
+    status: PARCEL_STATUS.RECEIVED,
+    receivedAt: { $lte: new Date(now.getTime() - PARCEL_REMINDER_DAYS * DAY_MS) },
+    [`reminders.${PARCEL_MAX_REMINDERS - 1}`]: { $exists: false }
+  }).select('+pickupCode');
+
+  let reminded = 0;
+  for (const parcel of parcels) {
+    const lastReminder = parcel.reminders[parcel.reminders.length - 1];
+    if (lastReminder && now - lastReminder.sentAt < PARCEL_REMINDER_INTERVAL_HOURS * HOUR_MS) continue;
+
+    try {
+      const days = parcel.getDaysWaiting(now);
+      const recipients = await notifyFlat(parcel, 'parcel_reminder', {
+        parcelId: parcel._id.toString(),
+        parcelNumber: parcel.parcelNumber,
+        courier: parcel.courier,
+        daysWaiting: days,
+        pickupCode: parcel.pickupCode,
+        message: `Your ${parcel.courier} parcel has been waiting at the security room for ${days} days`
+      }, {
+        title: 'Parcel Waiting',
+        body: `Your ${parcel.courier} parcel has been at the security room for ${days} days. Open the app for your pickup code.`
+      });
+
+      parcel.reminders.push({ sentAt: now, recipients });
+      await parcel.save();
+      reminded += 1;
+    } catch (error) {
+      console.error(`❌ [PARCELS] Failed to remind about parcel ${parcel.parcelNumber}:`, error);
+    }
+  }
+
+  if (reminded > 0) {
+    console.log(`✅ [PARCELS] Sent reminders for ${reminded} uncollected parcels`);
+  }
+
+  return reminded;
+};
+
+const REGISTER_COLUMNS = [
+  'Parcel Number', 'Received At', 'Wing', 'Flat', 'Recipient', 'Courier', 'Tracking Number',
+  'Packages', 'Received By', 'Status', 'Collected At', 'Collected By', 'Handed Over By',
+  'Returned At', 'Return Reason', 'Reminders Sent'
+];
+
+// Quote a CSV field when it contains a separator, quote or line break
+// Text that a spreadsheet would run as a formula is prefixed with a quote
+const toCsvField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build the parcel register of a building as CSV
+ * @param {Array} parcels - Parcel documents (receivedBy and pickup.handedOverBy populated)
+ * @returns {String}
+ */
+const buildParcelRegisterCsv = (parcels) => {
+  const rows = parcels.map((parcel) => [
+    parcel.parcelNumber,
+    parcel.receivedAt,
+    parcel.flat.wing,
+    parcel.flat.flatNumber,
+    parcel.recipientName,
+    parcel.courier,
+    parcel.trackingNumber,
+    parcel.packageCount,
+    parcel.receivedBy?.fullName,
+    parcel.status,
+    parcel.pickup?.collectedAt,
+    parcel.pickup?.collectedByName,
+    parcel.pickup?.handedOverBy?.fullName,
+    parcel.returned?.returnedAt,
+    parcel.returned?.reason,
+    parcel.reminders.length
+  ].map(toCsvField).join(','));
+
+  return [REGISTER_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+module.exports = {
+  generatePickupCode,
+  notifyParcelArrived,
+  notifyParcelClosed,
+  sendParcelReminders,
+  buildParcelRegisterCsv,
+  PARCEL_REMINDER_DAYS,
+  PARCEL_MAX_REMINDERS
+};
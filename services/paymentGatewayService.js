@@ -0,0 +1,300 @@
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const PaymentOrder = require('../models/PaymentOrder');
+const { roundAmount } = require('../utils/helpers');
+const { OPEN_INVOICE_STATUSES } = require('../utils/constants');
+const { getProvider, getDefaultProvider } = require('./paymentProviders');
+const { recordLedgerPayment, sendPaymentReceipt } = require('./ledgerService');
+const { emitToUser } = require('./socketService');
+
+/**
+ * Payment Gateway Service
+ * Creates gateway orders for invoices and settles them into the ledger exactly once,
+ * whether the capture arrives through the checkout callback or a webhook
+ */
+
+/**
+ * Create a gateway order for the open balance of an invoice
+ * @param {Object} invoice - Invoice document
+ * @param {String} providerName - Optional provider override
+ * @returns {Object} PaymentOrder document with provider checkout details
+ */
+const createInvoiceOrder = async (invoice, providerName) => {
+  const provider = providerName ? getProvider(providerName) : getDefaultProvider();
+  if (!provider) {
+    throw new Error('Online payments are not configured');
+  }
+
+  if (!OPEN_INVOICE_STATUSES.includes(invoice.status) || invoice.balanceDue <= 0) {
+    throw new Error('Invoice has no outstanding balance');
+  }
+
+  const amount = roundAmount(invoice.balanceDue);
+  const gatewayOrder = await provider.createOrder({
+    amount,
+    currency: 'INR',
+    receipt: invoice.invoiceNumber,
+    notes: {
+      invoiceId: invoice._id.toString(),
+      apartmentCode: invoice.apartmentCode
+    }
+  });
+
+  const order = await PaymentOrder.create({
+    provider: provider.name,
+    orderId: gatewayOrder.orderId,
+    invoice: invoice._id,
+    resident: invoice.resident,
+    apartmentCode: invoice.apartmentCode,
+    amount,
+    currency: gatewayOrder.currency
+  });
+
+  console.log(`✅ [GATEWAY] Created ${provider.name} order ${order.orderId} for ${invoice.invoiceNumber}: ₹${amount}`);
+
+  return { order, checkout: gatewayOrder.checkout };
+};
+
+/**
+ * Settle a captured order into the ledger
+ * The order is claimed atomically, so replays and callback/webhook races record one payment
+ * @param {Object} order - PaymentOrder document
+ * @param {Object} capture - { paymentId, amount, eventId }
+ * @returns {Object} { order, payment, duplicate }
+ */
+const captureOrder = async (order, capture) => {
+  const claimed = await PaymentOrder.findOneAndUpdate(
+    { _id: order._id, status: { $in: ['Created', 'Failed'] } },
+    { $set: { status: 'Processing' } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    if (capture.eventId) {
+      await PaymentOrder.updateOne({ _id: order._id }, { $addToSet: { processedEvents: capture.eventId } });
+    }
+    console.log(`ℹ️ [GATEWAY] Order ${order.orderId} already settled - ignoring duplicate capture`);
+    return { order, payment: null, duplicate: true };
+  }
+
+  const previousStatus = order.status;
+  const amount = roundAmount(capture.amount || claimed.amount);
+  let payment = null;
+  try {
+    // An earlier attempt may have recorded the payment and failed before finalising the order
+    payment = capture.paymentId ? await Payment.findOne({ gatewayPaymentId: capture.paymentId }) : null;
+
+    let invoices = [];
+    if (!payment) {
+      ({ payment, invoices } = await recordLedgerPayment({
+        resident: claimed.resident,
+        apartmentCode: claimed.apartmentCode,
+        invoiceId: claimed.invoice,
+        amount,
+        method: 'Online',
+        referenceNumber: capture.paymentId,
+        gatewayPaymentId: capture.paymentId,
+        notes: `Online payment via ${claimed.provider} (order ${claimed.orderId})`,
+        recordedBy: claimed.resident
+      }));
+    }
+
+    claimed.status = 'Paid';
+    claimed.payment = payment._id;
+    claimed.gatewayPaymentId = capture.paymentId;
+    claimed.paidAt = new Date();
+    claimed.failureReason = undefined;
+    if (capture.eventId) claimed.processedEvents.addToSet(capture.eventId);
+    await claimed.save();
+
+    const invoice = invoices.find((inv) => inv._id.toString() === claimed.invoice.toString()) ||
+      await Invoice.findById(claimed.invoice);
+
+    emitToUser(claimed.resident.toString(), 'online_payment_success', {
+      message: `Payment of ₹${amount} received for invoice ${invoice?.invoiceNumber}`,
+      orderId: claimed.orderId,
+      paymentId: payment._id,
+      receiptNumber: payment.receiptNumber,
+      invoiceId: claimed.invoice,
+      invoiceStatus: invoice?.status,
+      balanceDue: invoice?.balanceDue
+    });
+
+    // Receipt delivery should never undo a captured payment
+    sendPaymentReceipt(payment).catch((error) => {
+      console.error('❌ [GATEWAY] Receipt email error:', error);
+    });
+
+    console.log(`✅ [GATEWAY] Order ${claimed.orderId} settled as ${payment.receiptNumber}`);
+
+    return { order: claimed, payment, duplicate: false };
+  } catch (error) {
+    if (payment) {
+      // The ledger payment exists - settle the order rather than letting it be captured again
+      await PaymentOrder.updateOne(
+        { _id: claimed._id },
+        { $set: { status: 'Paid', payment: payment._id, gatewayPaymentId: capture.paymentId, paidAt: new Date() } }
+      );
+    } else {
+      await PaymentOrder.updateOne({ _id: claimed._id }, { $set: { status: previousStatus } });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Mark an order as failed and let the resident know
+ * @param {Object} order - PaymentOrder document
+ * @param {Object} event - { eventId, failureReason }
+ */
+const failOrder = async (order, event) => {
+  const updated = await PaymentOrder.findOneAndUpdate(
+    { _id: order._id, status: 'Created' },
+    {
+      $set: { status: 'Failed', failureReason: event.failureReason || 'Payment failed' },
+      $addToSet: { processedEvents: event.eventId }
+    },
+    { new: true }
+  );
+  if (!updated) return;
+
+  emitToUser(updated.resident.toString(), 'online_payment_failed', {
+    message: 'Your online payment could not be completed',
+    orderId: updated.orderId,
+    invoiceId: updated.invoice,
+    reason: updated.failureReason
+  });
+};
+
+/**
+ * Verify the checkout callback from the client and settle the order
+ * @param {Object} params - { provider, orderId, paymentId, signature, residentId }
+ * @returns {Object} { order, payment, duplicate }
+ */
+const verifyCheckoutPayment = async ({ provider: providerName, orderId, paymentId, signature, residentId }) => {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    throw new Error('Unknown payment provider');
+  }
+
+  const order = await PaymentOrder.findOne({ provider: provider.name, orderId, resident: residentId });
+  if (!order) {
+    return null;
+  }
+
+  if (!provider.verifyPaymentSignature({ orderId, paymentId, signature })) {
+    throw new Error('Invalid payment signature');
+  }
+
+  return captureOrder(order, { paymentId, amount: order.amount });
+};
+
+/**
+ * Handle a signed webhook from a provider
+ * @param {String} providerName - Provider from the route
+ * @param {Buffer} rawBody - Unparsed request body used for the signature
+ * @param {Object} body - Parsed request body
+ * @param {Object} headers - Request headers
+ * @returns {Object} { status: 'invalid_signature' | 'ignored' | 'duplicate' | 'processed' }
+ */
+const handleWebhook = async (providerName, rawBody, body, headers) => {
+  const provider = getProvider(providerName);
+  if (!provider || !provider.verifyWebhookSignature(rawBody, headers)) {
+    return { status: 'invalid_signature' };
+  }
+
+  const event = provider.parseWebhookEvent(body, headers);
+  if (!event.orderId) {
+    return { status: 'ignored' };
+  }
+
+  const order = await PaymentOrder.findOne({ provider: provider.name, orderId: event.orderId });
+  if (!order) {
+    console.warn(`⚠️ [GATEWAY] Webhook for unknown ${provider.name} order ${event.orderId}`);
+    return { status: 'ignored' };
+  }
+
+  if (event.eventId && order.processedEvents.includes(event.eventId)) {
+    return { status: 'duplicate' };
+  }
+
+  if (event.type === 'payment.captured') {
+    const result = await captureOrder(order, event);
+    return { status: result.duplicate ? 'duplicate' : 'processed' };
+  }
+
+  if (event.type === 'payment.failed') {
+    await failOrder(order, event);
+    return { status: 'processed' };
+  }
+
+  return { status: 'ignored' };
+};
+
+/**
+ * Refund an online payment through its provider and reverse its ledger allocations
+ * The order is claimed before the provider call, so concurrent requests refund once
+ * @param {Object} payment - Payment document (method 'Online')
+ * @param {String} refundedBy - Admin user id
+ * @returns {Object|null} Updated PaymentOrder, or null when no paid order could be claimed
+ */
+const refundOnlinePayment = async (payment, refundedBy) => {
+  const order = await PaymentOrder.findOneAndUpdate(
+    { payment: payment._id, status: 'Paid' },
+    { $set: { status: 'Refunding' } },
+    { new: true }
+  );
+  if (!order) {
+    return null;
+  }
+
+  const provider = getProvider(order.provider);
+  let result;
+  try {
+    if (!provider) {
+      throw new Error('Payment provider is not configured');
+    }
+    result = await provider.refund(order.gatewayPaymentId, payment.amount);
+  } catch (error) {
+    // Nothing left the gateway - the payment can be refunded again
+    await PaymentOrder.updateOne({ _id: order._id, status: 'Refunding' }, { $set: { status: 'Paid' } });
+    throw error;
+  }
+
+  const refundedAt = new Date();
+
+  // The gateway refund went through - record it before touching the ledger so it is never repeated
+  order.status = 'Refunded';
+  order.refund = {
+    refundId: result.refundId,
+    amount: result.amount,
+    refundedAt,
+    refundedBy
+  };
+  await order.save();
+
+  payment.unallocatedAmount = 0;
+  payment.refundedAt = refundedAt;
+  payment.refundReference = result.refundId;
+  await payment.save();
+
+  for (const allocation of payment.allocations) {
+    await Invoice.applyPayment(allocation.invoice, -allocation.amount);
+  }
+
+  emitToUser(payment.resident.toString(), 'online_payment_refunded', {
+    message: `Refund of ₹${result.amount} initiated for receipt ${payment.receiptNumber}`,
+    paymentId: payment._id,
+    receiptNumber: payment.receiptNumber,
+    amount: result.amount
+  });
+
+  return order;
+};
+
+module.exports = {
+  createInvoiceOrder,
+  verifyCheckoutPayment,
+  handleWebhook,
+  refundOnlinePayment
+};
@@ -0,0 +1,32 @@
+const razorpayProvider = require('./razorpayProvider');
+const mockProvider = require('./mockProvider');
+
+/**
+ * Payment provider registry
+ * Every provider implements:
+ *   createOrder({ amount, currency, receipt, notes }) -> { orderId, amount, currency, checkout }
+ *   verifyPaymentSignature({ orderId, paymentId, signature }) -> Boolean
+ *   verifyWebhookSignature(rawBody, headers) -> Boolean
+ *   parseWebhookEvent(body, headers) -> { eventId, type, orderId, paymentId, amount, failureReason }
+ *   refund(paymentId, amount) -> { refundId, amount }
+ */
+const providers = {
+  [razorpayProvider.name]: razorpayProvider,
+  [mockProvider.name]: mockProvider
+};
+
+// Look up a configured provider by name
+const getProvider = (name) => {
+  const provider = providers[(name || '').toLowerCase()];
+  return provider && provider.isConfigured() ? provider : null;
+};
+
+// Provider used for new orders (PAYMENT_PROVIDER, defaults to the mock outside production - if enabled)
+const getDefaultProvider = () => {
+  return getProvider(process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === 'production' ? 'razorpay' : 'mock'));
+};
+
+module.exports = {
+  getProvider,
+  getDefaultProvider
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+/**
+ * Mock Provider
+ * Fully local gateway for development and tests - no network calls.
+ * Signatures use the same HMAC scheme as Razorpay with MOCK_PAYMENT_SECRET.
+ * Off unless MOCK_PAYMENTS_ENABLED=true and MOCK_PAYMENT_SECRET are both set - anyone
+ * who knows the secret can mark invoices paid, so there is no default.
+ */
+
+const getSecret = () => process.env.MOCK_PAYMENT_SECRET?.trim();
+
+const sign = (payload) => {
+  const secret = getSecret();
+  if (!secret) {
+    throw new Error('MOCK_PAYMENT_SECRET is not set');
+  }
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+const safeCompare = (expected, received) => {
+  if (!received || typeof received !== 'string') return false;
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+const randomId = (prefix) => `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+
+// The mock gateway is opt-in and never available in production
+const isConfigured = () => {
+  return process.env.NODE_ENV !== 'production' &&
+    process.env.MOCK_PAYMENTS_ENABLED === 'true' &&
+    !!getSecret();
+};
+
+const createOrder = async ({ amount, currency = 'INR', receipt }) => {
+  const orderId = randomId('order');
+  return {
+    orderId,
+    amount,
+    currency,
+    checkout: {
+      order_id: orderId,
+      amount: Math.round(amount * 100),
+      currency,
+      receipt
+    }
+  };
+};
+
+const verifyPaymentSignature = ({ orderId, paymentId, signature }) => {
+  return safeCompare(sign(`${orderId}|${paymentId}`), signature);
+};
+
+const verifyWebhookSignature = (rawBody, headers) => {
+  if (!rawBody) return false;
+  return safeCompare(sign(rawBody), headers['x-mock-signature']);
+};
+
+const parseWebhookEvent = (body) => ({
+  eventId: body.id,
+  type: body.event,
+  orderId: body.orderId,
+  paymentId: body.paymentId,
+  amount: body.amount,
+  failureReason: body.failureReason
+});
+
+const refund = async (paymentId, amount) => ({
+  refundId: randomId('rfnd'),
+  amount
+});
+
+/**
+ * Build a signed webhook for a simulated payment
+ * Lets tests and local clients drive the full webhook flow
+ * @param {Object} params - { orderId, amount, event }
+ * @returns {Object} { body, headers }
+ */
+const simulateWebhook = ({ orderId, amount, event = 'payment.captured' }) => {
+  const body = JSON.stringify({
+    id: randomId('evt'),
+    event,
+    orderId,
+    paymentId: randomId('pay'),
+    amount
+  });
+  return { body, headers: { 'x-mock-signature': sign(body) } };
+};
+
+module.exports = {
+  name: 'mock',
+  isConfigured,
+  createOrder,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+  refund,
+  sign,
+  simulateWebhook
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+
+/**
+ * Razorpay Provider
+ * Talks to the Razorpay Orders/Refunds REST API and verifies its HMAC signatures
+ */
+
+const API_BASE_URL = 'https://api.razorpay.com/v1';
+
+const getCredentials = () => ({
+  keyId: process.env.RAZORPAY_KEY_ID,
+  keySecret: process.env.RAZORPAY_KEY_SECRET,
+  webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET
+});
+
+const isConfigured = () => {
+  const { keyId, keySecret, webhookSecret } = getCredentials();
+  return !!(keyId && keySecret && webhookSecret);
+};
+
+// Constant-time comparison of a hex HMAC against the received signature
+const safeCompare = (expected, received) => {
+  if (!received || typeof received !== 'string') return false;
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+const hmac = (secret, payload) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+const request = async (method, path, body) => {
+  const { keyId, keySecret } = getCredentials();
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error?.description || `Razorpay request failed with status ${response.status}`);
+  }
+  return data;
+};
+
+/**
+ * Create a gateway order
+ * @param {Object} params - { amount (rupees), currency, receipt, notes }
+ * @returns {Object} { orderId, amount, currency, checkout }
+ */
+const createOrder = async ({ amount, currency = 'INR', receipt, notes = {} }) => {
+  const order = await request('POST', '/orders', {
+    amount: Math.round(amount * 100),
+    currency,
+    receipt,
+    notes
+  });
+
+  return {
+    orderId: order.id,
+    amount: order.amount / 100,
+    currency: order.currency,
+    // Fields the client passes to Razorpay Checkout
+    checkout: {
+      key: getCredentials().keyId,
+      order_id: order.id,
+      amount: order.amount,
+      currency: order.currency
+    }
+  };
+};
+
+/**
+ * Verify the signature returned to the client by Razorpay Checkout
+ * @param {Object} params - { orderId, paymentId, signature }
+ * @returns {Boolean}
+ */
+const verifyPaymentSignature = ({ orderId, paymentId, signature }) => {
+  const expected = hmac(getCredentials().keySecret, `${orderId}|${paymentId}`);
+  return safeCompare(expected, signature);
+};
+
+/**
+ * Verify a webhook request against the raw request body
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {Object} headers - Request headers
+ * @returns {Boolean}
+ */
+const verifyWebhookSignature = (rawBody, headers) => {
+  if (!rawBody) return false;
+  const expected = hmac(getCredentials().webhookSecret, rawBody);
+  return safeCompare(expected, headers['x-razorpay-signature']);
+};
+
+/**
+ * Normalise a webhook body into a gateway event
+ * @param {Object} body - Parsed webhook body
+ * @param {Object} headers - Request headers
+ * @returns {Object} { eventId, type, orderId, paymentId, amount, failureReason }
+ */
+const parseWebhookEvent = (body, headers) => {
+  const payment = body.payload?.payment?.entity || {};
+  const typeMap = {
+    'payment.captured': 'payment.captured',
+    'order.paid': 'payment.captured',
+    'payment.failed': 'payment.failed'
+  };
+
+  return {
+    eventId: headers['x-razorpay-event-id'] || `${body.event}:${payment.id}`,
+    type: typeMap[body.event] || body.event,
+    orderId: payment.order_id,
+    paymentId: payment.id,
+    amount: typeof payment.amount === 'number' ? payment.amount / 100 : undefined,
+    failureReason: payment.error_description
+  };
+};
+
+/**
+ * Refund a captured payment
+ * @param {String} paymentId - Gateway payment id
+ * @param {Number} amount - Amount in rupees
+ * @returns {Object} { refundId, amount }
+ */
+const refund = async (paymentId, amount) => {
+  const result = await request('POST', `/payments/${paymentId}/refund`, {
+    amount: Math.round(amount * 100)
+  });
+  return { refundId: result.id, amount: result.amount / 100 };
+};
+
+module.exports = {
+  name: 'razorpay',
+  isConfigured,
+  createOrder,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+  refund
+};
@@ -5,6 +5,7 @@ const Staff = require('../models/Staff');
 const AuditLog = require('../models/AuditLog');
 const { emitToUser, emitToRoom, broadcastToApartment, getOnlineUsersCount } = require('./socketService');
 const { SOCKET_EVENTS } = require('../socket/events');
+const { activeStatusQuery } = require('../utils/complaintWorkflow');
 
 // Real-time complaint updates
 class RealTimeUpdateService {
@@ -337,7 +338,7 @@ class RealTimeUpdateService {
 
       const activeComplaints = await Complaint.countDocuments({
         createdBy: userId,
-        status: { $in: ['Open', 'Assigned', 'In Progress'] }
+        status: activeStatusQuery()
       });
 
       const recentComplaints = await Complaint.find({
@@ -366,7 +367,7 @@ class RealTimeUpdateService {
 
       const assignedComplaints = await Complaint.countDocuments({
         'assignedTo.staff': staff._id,
-        status: { $in: ['Assigned', 'In Progress'] }
+        status: activeStatusQuery()
       });
 
       const recentCompleted = await Complaint.find({
@@ -497,7 +498,7 @@ class RealTimeUpdateService {
         User.countDocuments({ apartmentCode, status: 'active' }),
         Complaint.countDocuments({ 
           'createdBy.apartmentCode': apartmentCode,
-          status: { $in: ['Open', 'Assigned', 'In Progress'] }
+          status: activeStatusQuery()
         }),
         User.countDocuments({ apartmentCode, status: 'pending' }),
         this.onlineUsers.size
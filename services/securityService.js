@@ -0,0 +1,157 @@
+const Apartment = require('../models/Apartment');
+const Complaint = require('../models/Complaint');
+const GuardShift = require('../models/GuardShift');
+const Parcel = require('../models/Parcel');
+const SecurityIncident = require('../models/SecurityIncident');
+const User = require('../models/User');
+const { emitToUser } = require('./socketService');
+const { getGateBoard } = require('./visitorService');
+const { sendPushNotification } = require('../config/firebase');
+const { ROLE_PERMISSIONS } = require('./statusTransitionService');
+const { COMPLAINT_STATUS, INCIDENT_STATUS, PARCEL_STATUS, USER_ROLES } = require('../utils/constants');
+
+/**
+ * Security Service
+ * Guard shifts, incidents and the guard dashboard
+ */
+
+// Complaint statuses a guard no longer needs to watch
+const SETTLED_COMPLAINT_STATUSES = [
+  COMPLAINT_STATUS.RESOLVED,
+  COMPLAINT_STATUS.CLOSED,
+  COMPLAINT_STATUS.CANCELLED
+];
+
+/**
+ * Find the building whose gate a user works - guards their own, admins one of theirs
+ * @param {Object} user - User document (security or admin)
+ * @param {String} buildingCode - Building code (admins only)
+ * @returns {Object|null} Apartment document
+ */
+const findGateBuilding = async (user, buildingCode) => {
+  if (user.role === USER_ROLES.SECURITY) {
+    return user.apartmentCode
+      ? Apartment.findOne({ code: user.apartmentCode, isActive: true })
+      : null;
+  }
+
+  return Apartment.findOne({
+    code: (buildingCode || '').toUpperCase(),
+    createdBy: user._id,
+    isActive: true
+  });
+};
+
+/**
+ * Current open shift of a guard
+ * @param {String} guardId - Guard user id
+ * @returns {Object|null} GuardShift document
+ */
+const getOpenShift = (guardId) => {
+  return GuardShift.findOne({ guard: guardId, status: 'On Duty' });
+};
+
+/**
+ * Alert the building admin to a new incident (socket + push)
+ * @param {Object} incident - SecurityIncident document
+ * @param {Object} building - Apartment document
+ * @param {Object} reporter - Guard user document
+ */
+const notifyIncidentReported = async (incident, building, reporter) => {
+  try {
+    const notificationData = {
+      type: 'security_incident_reported',
+      incidentId: incident._id.toString(),
+      incidentNumber: incident.incidentNumber,
+      buildingCode: incident.apartmentCode,
+      incidentType: incident.type,
+      severity: incident.severity,
+      title: incident.title,
+      reportedBy: reporter.fullName
+    };
+
+    const admin = await User.findById(building.createdBy).select('fcmToken notificationPreferences');
+    if (!admin) return;
+
+    emitToUser(admin._id.toString(), 'security_incident_reported', {
+      message: `${incident.severity} ${incident.type} incident reported at ${building.name}`,
+      ...notificationData
+    });
+
+    if (admin.fcmToken && admin.notificationPreferences?.push) {
+      await sendPushNotification(
+        admin.fcmToken,
+        {
+          title: `Security Incident (${incident.severity})`,
+          body: `${incident.type}: ${incident.title}`
+        },
+        notificationData
+      );
+    }
+  } catch (error) {
+    console.error('❌ [SECURITY] Error sending incident notification:', error);
+  }
+};
+
+/**
+ * Everything a guard needs at the start of and during a shift
+ * @param {Object} guard - Guard user document
+ * @param {Object} building - Apartment document
+ * @returns {Object} { shift, visitors, deliveries, securityComplaints, openIncidents, summary }
+ */
+const getGuardDashboard = async (guard, building) => {
+  const [shift, visitors, securityComplaints, openIncidents, parcelsAwaitingPickup] = await Promise.all([
+    getOpenShift(guard._id),
+    getGateBoard(building.code),
+    Complaint.find({
+      apartmentCode: building.code,
+      category: { $in: ROLE_PERMISSIONS[USER_ROLES.SECURITY].viewableCategories },
+      status: { $nin: SETTLED_COMPLAINT_STATUSES }
+    })
+      .select('ticketNumber title category status priority location createdAt')
+      .sort({ createdAt: -1 })
+      .limit(20),
+    SecurityIncident.find({
+      apartmentCode: building.code,
+      status: { $ne: INCIDENT_STATUS.CLOSED }
+    })
+      .select('incidentNumber type severity title status occurredAt')
+      .sort({ occurredAt: -1 })
+      .limit(20),
+    Parcel.find({ apartmentCode: building.code, status: PARCEL_STATUS.RECEIVED })
+      .select('parcelNumber flat recipientName courier packageCount receivedAt')
+      .sort({ receivedAt: 1 })
+  ]);
+
+  // Couriers announced through the visitor system, and parcels held at the security room
+  const isDelivery = (visitor) => visitor.purpose === 'Delivery';
+  const deliveries = {
+    expected: [...visitors.expected, ...visitors.approved].filter(isDelivery),
+    inside: visitors.inside.filter(isDelivery),
+    awaitingPickup: parcelsAwaitingPickup
+  };
+
+  return {
+    shift,
+    visitors,
+    deliveries,
+    securityComplaints,
+    openIncidents,
+    summary: {
+      expectedVisitors: visitors.expected.length,
+      awaitingApproval: visitors.awaitingApproval.length,
+      visitorsInside: visitors.inside.length,
+      expectedDeliveries: deliveries.expected.length,
+      parcelsAwaitingPickup: parcelsAwaitingPickup.length,
+      openSecurityComplaints: securityComplaints.length,
+      openIncidents: openIncidents.length
+    }
+  };
+};
+
+module.exports = {
+  findGateBuilding,
+  getOpenShift,
+  notifyIncidentReported,
+  getGuardDashboard
+};
@@ -0,0 +1,511 @@
+const Complaint = require('../models/Complaint');
+const Staff = require('../models/Staff');
+const User = require('../models/User');
+const Apartment = require('../models/Apartment');
+const {
+  COMPLAINT_STATUS,
+  DEFAULT_SLA_HOURS,
+  SLA_ESCALATION_CHAIN
+} = require('../utils/constants');
+const { FINISHED_STATUSES } = require('../utils/complaintWorkflow');
+const { emitToRoom } = require('./socketService');
+const { notifySlaEscalation } = require('./ticketNotificationService');
+const { findSubCategory } = require('./complaintTaxonomyService');
+
+/**
+ * SLA Service
+ * Computes expected resolution from each building's SLA policy, detects complaints that
+ * have passed it while still open and escalates them along the configured chain
+ */
+
+// Statuses in which the SLA clock is stopped - it runs in every other status, custom ones included
+const SLA_STOPPED_STATUSES = [...FINISHED_STATUSES, COMPLAINT_STATUS.ON_HOLD];
+
+const ESCALATION_TARGETS = ['staff', 'building_admin', 'all_admins'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Longest stretch searched for working time before giving up (guards against calendars with no working days)
+const MAX_CALENDAR_DAYS = 366;
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {String} timeZone - IANA timezone
+ * @returns {Number} Offset in milliseconds (positive east of UTC)
+ */
+const getTimezoneOffsetMs = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const value = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+// "HH:mm" -> minutes since midnight
+const parseTimeOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Normalised business-hours calendar settings
+const readCalendar = (calendar) => {
+  const dayStartMinutes = parseTimeOfDay(calendar.startTime || '09:00');
+  const dayEndMinutes = parseTimeOfDay(calendar.endTime || '18:00');
+
+  if (dayEndMinutes <= dayStartMinutes) {
+    throw new Error('Business hours end time must be after start time');
+  }
+
+  return {
+    timeZone: calendar.timezone || 'Asia/Kolkata',
+    dayStartMinutes,
+    dayEndMinutes,
+    weeklyOffs: new Set(calendar.weeklyOffs || []),
+    holidays: new Set((calendar.holidays || []).map((h) => h.date))
+  };
+};
+
+/**
+ * Add working hours to a start time using a business-hours calendar
+ * Time outside working hours, on weekly offs and on holidays does not count
+ * @param {Date} start - Start time
+ * @param {Number} hours - Working hours to add
+ * @param {Object} calendar - { timezone, startTime, endTime, weeklyOffs, holidays }
+ * @returns {Date}
+ */
+const addBusinessHours = (start, hours, calendar) => {
+  const { timeZone, dayStartMinutes, dayEndMinutes, weeklyOffs, holidays } = readCalendar(calendar);
+
+  // Walk in "local wall clock" milliseconds, where getUTC* reads the building's local time
+  const offsetMs = getTimezoneOffsetMs(start, timeZone);
+  let local = start.getTime() + offsetMs;
+  let remainingMs = hours * HOUR_MS;
+
+  for (let day = 0; day <= MAX_CALENDAR_DAYS; day++) {
+    const midnight = local - (local % DAY_MS);
+    const nextMidnight = midnight + DAY_MS;
+    const dateKey = new Date(midnight).toISOString().slice(0, 10);
+    const weekday = new Date(midnight).getUTCDay();
+
+    if (!weeklyOffs.has(weekday) && !holidays.has(dateKey)) {
+      const workStart = midnight + dayStartMinutes * MINUTE_MS;
+      const workEnd = midnight + dayEndMinutes * MINUTE_MS;
+      const from = Math.max(local, workStart);
+
+      if (from < workEnd) {
+        const available = workEnd - from;
+        if (remainingMs <= available) {
+          const resultLocal = from + remainingMs;
+          return new Date(resultLocal - getTimezoneOffsetMs(new Date(resultLocal - offsetMs), timeZone));
+        }
+        remainingMs -= available;
+      }
+    }
+
+    local = nextMidnight;
+  }
+
+  throw new Error('Business hours calendar has no working time in the next year');
+};
+
+/**
+ * Count the working hours between two times using a business-hours calendar
+ * @param {Date} start - Start time
+ * @param {Date} end - End time
+ * @param {Object} calendar - { timezone, startTime, endTime, weeklyOffs, holidays }
+ * @returns {Number} Working hours
+ */
+const getBusinessHoursBetween = (start, end, calendar) => {
+  if (end <= start) return 0;
+
+  const { timeZone, dayStartMinutes, dayEndMinutes, weeklyOffs, holidays } = readCalendar(calendar);
+  let local = start.getTime() + getTimezoneOffsetMs(start, timeZone);
+  const endLocal = end.getTime() + getTimezoneOffsetMs(end, timeZone);
+  let workedMs = 0;
+
+  while (local < endLocal) {
+    const midnight = local - (local % DAY_MS);
+    const dateKey = new Date(midnight).toISOString().slice(0, 10);
+    const weekday = new Date(midnight).getUTCDay();
+
+    if (!weeklyOffs.has(weekday) && !holidays.has(dateKey)) {
+      const from = Math.max(local, midnight + dayStartMinutes * MINUTE_MS);
+      const to = Math.min(endLocal, midnight + dayEndMinutes * MINUTE_MS);
+      if (to > from) workedMs += to - from;
+    }
+
+    local = midnight + DAY_MS;
+  }
+
+  return workedMs / HOUR_MS;
+};
+
+// Move a time forward by SLA hours - working hours when a calendar is given, clock hours otherwise
+const addSlaHours = (date, hours, calendar) => {
+  if (calendar) return addBusinessHours(new Date(date), hours, calendar);
+  return new Date(new Date(date).getTime() + hours * HOUR_MS);
+};
+
+/**
+ * Get the SLA hours for a category and priority under a building policy
+ * @param {Object} policy - Apartment slaPolicy (optional)
+ * @param {String} category - Complaint category
+ * @param {String} priority - Complaint priority
+ * @returns {Number}
+ */
+const getSlaHours = (policy, category, priority) => {
+  const rule = (policy?.rules || []).find((r) => r.category === category && r.priority === priority);
+  if (rule) return rule.hours;
+  return policy?.defaultHours?.[priority] || DEFAULT_SLA_HOURS[priority] || DEFAULT_SLA_HOURS.Medium;
+};
+
+/**
+ * Calculate a complaint's SLA target under a building policy
+ * @param {Object} building - Apartment document (optional - defaults apply without one)
+ * @param {String} category - Complaint category
+ * @param {String} priority - Complaint priority
+ * @param {Date} start - Time the SLA clock started
+ * @param {String} subCategory - Sub-category name - its SLA hours apply at its default priority
+ * @returns {Object} { expectedResolution, targetHours, businessHoursOnly }
+ */
+const calculateExpectedResolution = (building, category, priority, start = new Date(), subCategory) => {
+  const policy = building?.slaPolicy;
+  const subCategoryRule = findSubCategory(building, category, subCategory);
+  const targetHours = subCategoryRule?.slaHours && subCategoryRule.defaultPriority === priority
+    ? subCategoryRule.slaHours
+    : getSlaHours(policy, category, priority);
+  const calendar = policy?.businessHours;
+  const businessHoursOnly = Boolean(
+    calendar?.enabled && !(calendar.exemptPriorities || []).includes(priority)
+  );
+
+  const expectedResolution = businessHoursOnly
+    ? addBusinessHours(start, targetHours, calendar)
+    : new Date(start.getTime() + targetHours * HOUR_MS);
+
+  return { expectedResolution, targetHours, businessHoursOnly };
+};
+
+/**
+ * Find the building a complaint belongs to (through its creator)
+ * @param {Object} complaint - Complaint document
+ * @returns {Object|null} Apartment document
+ */
+const getComplaintBuilding = async (complaint) => {
+  if (complaint.apartmentCode) {
+    return Apartment.findOne({ code: complaint.apartmentCode });
+  }
+
+  // Complaints raised before the building was stored on them
+  const creatorId = complaint.createdBy?._id || complaint.createdBy;
+  const creator = await User.findById(creatorId).select('apartmentCode');
+  if (!creator?.apartmentCode) return null;
+  return Apartment.findOne({ code: creator.apartmentCode });
+};
+
+/**
+ * Recompute a complaint's SLA target from its creation time under the current building policy
+ * Clears the breach flag and escalation progress when the new target is still ahead
+ * @param {Object} complaint - Complaint document (saved by the caller)
+ * @param {Object} building - Apartment document (looked up when omitted)
+ * @param {Date} now - Reference time
+ * @returns {Object} Complaint sla
+ */
+const recalculateComplaintSla = async (complaint, building, now = new Date()) => {
+  const policyBuilding = building === undefined ? await getComplaintBuilding(complaint) : building;
+  const { expectedResolution, targetHours, businessHoursOnly } = calculateExpectedResolution(
+    policyBuilding,
+    complaint.category,
+    complaint.priority,
+    complaint.createdAt || now,
+    complaint.subCategory
+  );
+
+  // Time already spent on hold stays credited
+  const pausedHours = complaint.sla.pausedHours || 0;
+  const target = pausedHours > 0
+    ? addSlaHours(expectedResolution, pausedHours, businessHoursOnly ? policyBuilding.slaPolicy.businessHours : null)
+    : expectedResolution;
+
+  complaint.sla.expectedResolution = target;
+  complaint.sla.targetHours = targetHours;
+  complaint.sla.businessHoursOnly = businessHoursOnly;
+
+  if (!SLA_STOPPED_STATUSES.includes(complaint.status)) {
+    clearSlaBreachIfMet(complaint, now);
+  }
+
+  return complaint.sla;
+};
+
+// Clear the breach once the expected resolution has moved past now - escalation starts over
+// A complaint still past its expected resolution is flagged again by the breach sweep
+const clearSlaBreachIfMet = (complaint, now) => {
+  if (complaint.sla.isBreached && complaint.sla.expectedResolution > now) {
+    complaint.sla.isBreached = false;
+    complaint.sla.breachedAt = undefined;
+    complaint.sla.escalationLevel = 0;
+    complaint.sla.lastEscalatedAt = undefined;
+  }
+};
+
+/**
+ * Stop a complaint's SLA clock while it is on hold
+ * @param {Object} complaint - Complaint document (saved by the caller)
+ * @param {Date} now - Time the hold started
+ */
+const pauseSla = (complaint, now = new Date()) => {
+  if (!complaint.sla) complaint.sla = {};
+  if (!complaint.sla.pausedAt) complaint.sla.pausedAt = now;
+};
+
+/**
+ * Restart a paused SLA clock, pushing the expected resolution back by the time on hold
+ * Under a business-hours SLA only the working hours of the hold are credited
+ * @param {Object} complaint - Complaint document (saved by the caller)
+ * @param {Object} building - Apartment document (looked up when omitted)
+ * @param {Date} now - Time the hold ended
+ * @returns {Number} Clock hours the complaint was on hold
+ */
+const resumeSla = async (complaint, building, now = new Date()) => {
+  const pausedAt = complaint.sla?.pausedAt;
+  if (!pausedAt) return 0;
+
+  const heldHours = Math.max(0, now.getTime() - pausedAt.getTime()) / HOUR_MS;
+  let calendar = null;
+  if (complaint.sla.businessHoursOnly) {
+    const policyBuilding = building === undefined ? await getComplaintBuilding(complaint) : building;
+    calendar = policyBuilding?.slaPolicy?.businessHours || null;
+  }
+  const creditHours = calendar ? getBusinessHoursBetween(pausedAt, now, calendar) : heldHours;
+
+  if (complaint.sla.expectedResolution && creditHours > 0) {
+    complaint.sla.expectedResolution = addSlaHours(complaint.sla.expectedResolution, creditHours, calendar);
+  }
+  complaint.sla.pausedHours = (complaint.sla.pausedHours || 0) + creditHours;
+  complaint.sla.heldHours = (complaint.sla.heldHours || 0) + heldHours;
+  complaint.sla.pausedAt = undefined;
+  clearSlaBreachIfMet(complaint, now);
+
+  return heldHours;
+};
+
+/**
+ * Get the escalation chain, overridable with the SLA_ESCALATION_CHAIN env variable
+ * (JSON array of { target, afterMinutes })
+ * @returns {Array} Levels ordered by afterMinutes
+ */
+const getEscalationChain = () => {
+  if (process.env.SLA_ESCALATION_CHAIN) {
+    try {
+      const chain = JSON.parse(process.env.SLA_ESCALATION_CHAIN);
+      const valid = Array.isArray(chain) && chain.length > 0 && chain.every(
+        (level) => ESCALATION_TARGETS.includes(level.target) && Number(level.afterMinutes) >= 0
+      );
+      if (valid) {
+        return chain
+          .map((level) => ({ target: level.target, afterMinutes: Number(level.afterMinutes) }))
+          .sort((a, b) => a.afterMinutes - b.afterMinutes);
+      }
+      console.warn('⚠️ [SLA] Invalid SLA_ESCALATION_CHAIN - using default chain');
+    } catch (error) {
+      console.warn('⚠️ [SLA] Could not parse SLA_ESCALATION_CHAIN - using default chain');
+    }
+  }
+  return SLA_ESCALATION_CHAIN;
+};
+
+/**
+ * Hours a complaint is past its expected resolution, rounded to one decimal
+ * @param {Object} complaint - Complaint document
+ * @param {Date} now - Reference time
+ * @returns {Number}
+ */
+const getHoursOverdue = (complaint, now = new Date()) => {
+  const expected = complaint.sla?.expectedResolution;
+  if (!expected) return 0;
+  const overdueMs = now.getTime() - new Date(expected).getTime();
+  return overdueMs > 0 ? Math.round((overdueMs / HOUR_MS) * 10) / 10 : 0;
+};
+
+/**
+ * Resolve the active users to notify for an escalation target
+ * @param {Object} complaint - Complaint document
+ * @param {String} target - staff | building_admin | all_admins
+ * @returns {Array} User documents
+ */
+const getEscalationRecipients = async (complaint, target) => {
+  if (target === 'staff') {
+    if (!complaint.assignedTo?.staff) return [];
+    const staff = await Staff.findById(complaint.assignedTo.staff).populate('user');
+    return staff?.user && staff.user.status === 'active' ? [staff.user] : [];
+  }
+
+  // Admin levels never leave the complaint's building (legacy tickets fall back to the reporter's)
+  let apartmentCode = complaint.apartmentCode;
+  if (!apartmentCode) {
+    const creator = await User.findById(complaint.createdBy).select('apartmentCode');
+    apartmentCode = creator?.apartmentCode;
+  }
+  if (!apartmentCode) return [];
+
+  const building = await Apartment.findOne({ code: apartmentCode }).select('createdBy');
+  if (!building?.createdBy) return [];
+
+  if (target === 'building_admin') {
+    return User.find({ _id: building.createdBy, role: 'admin', status: 'active' });
+  }
+
+  // all_admins: the building owner plus every admin attached to the building
+  return User.find({
+    role: 'admin',
+    status: 'active',
+    $or: [{ _id: building.createdBy }, { apartmentCode }]
+  });
+};
+
+/**
+ * Notify every escalation level that has fallen due for a breached complaint
+ * Levels without anyone to notify are recorded and passed over so the chain keeps moving
+ * @param {Object} complaint - Complaint document (saved by the caller)
+ * @param {Array} chain - Escalation chain
+ * @param {Date} now - Reference time
+ * @returns {Number} Levels escalated
+ */
+const escalateComplaint = async (complaint, chain, now = new Date()) => {
+  const breachedAt = complaint.sla.breachedAt || complaint.sla.expectedResolution;
+  let escalated = 0;
+
+  while (complaint.sla.escalationLevel < chain.length) {
+    const level = complaint.sla.escalationLevel;
+    const { target, afterMinutes } = chain[level];
+    if (breachedAt.getTime() + afterMinutes * 60 * 1000 > now.getTime()) break;
+
+    const recipients = await getEscalationRecipients(complaint, target);
+    const hoursOverdue = getHoursOverdue(complaint, now);
+
+    if (recipients.length > 0) {
+      await notifySlaEscalation(complaint, recipients, { level, target, hoursOverdue });
+    }
+
+    const recipientIds = recipients.map((r) => r._id);
+    complaint.sla.escalations.push({ level, target, recipients: recipientIds, notifiedAt: now });
+    complaint.sla.escalationLevel = level + 1;
+    complaint.sla.lastEscalatedAt = now;
+
+    complaint.statusHistory.push({
+      fromStatus: complaint.status,
+      toStatus: complaint.status,
+      reason: recipients.length > 0
+        ? `SLA breach escalated to ${target.replace('_', ' ')} (level ${level + 1})`
+        : `SLA breach escalation level ${level + 1} skipped - no ${target.replace('_', ' ')} to notify`,
+      updatedByRole: 'system',
+      timestamp: now,
+      metadata: {
+        type: 'sla_escalation',
+        level,
+        target,
+        recipients: recipientIds,
+        hoursOverdue,
+        ticketNumber: complaint.ticketNumber,
+        category: complaint.category,
+        priority: complaint.priority
+      }
+    });
+
+    emitToRoom('admin', 'sla_escalated', {
+      message: `Ticket ${complaint.ticketNumber} escalated to ${target.replace('_', ' ')}`,
+      complaintId: complaint._id,
+      ticketNumber: complaint.ticketNumber,
+      level,
+      target,
+      hoursOverdue
+    });
+
+    escalated += 1;
+  }
+
+  return escalated;
+};
+
+/**
+ * Flag active complaints whose expected resolution has passed and run their escalation chain
+ * @param {Date} now - Reference time
+ * @returns {Object} { breached: Number, escalated: Number }
+ */
+const sweepSlaBreaches = async (now = new Date()) => {
+  const chain = getEscalationChain();
+
+  const complaints = await Complaint.find({
+    status: { $nin: SLA_STOPPED_STATUSES },
+    'sla.expectedResolution': { $lt: now },
+    $or: [
+      { 'sla.isBreached': { $ne: true } },
+      { 'sla.escalationLevel': { $lt: chain.length } },
+      { 'sla.escalationLevel': { $exists: false } }
+    ]
+  });
+
+  let breached = 0;
+  let escalated = 0;
+
+  for (const complaint of complaints) {
+    try {
+      if (!complaint.sla.isBreached) {
+        complaint.sla.isBreached = true;
+        complaint.sla.breachedAt = now;
+        breached += 1;
+
+        emitToRoom('admin', 'sla_breached', {
+          message: `SLA breached for ticket ${complaint.ticketNumber}`,
+          complaintId: complaint._id,
+          ticketNumber: complaint.ticketNumber,
+          priority: complaint.priority,
+          status: complaint.status,
+          expectedResolution: complaint.sla.expectedResolution
+        });
+      }
+
+      escalated += await escalateComplaint(complaint, chain, now);
+
+      if (complaint.isModified()) {
+        await complaint.save();
+      }
+    } catch (error) {
+      console.error(`❌ [SLA] Failed to process ${complaint.ticketNumber}:`, error);
+    }
+  }
+
+  if (breached > 0 || escalated > 0) {
+    console.log(`⚠️ [SLA] Flagged ${breached} complaints as breached, sent ${escalated} escalations`);
+  }
+
+  return { breached, escalated };
+};
+
+module.exports = {
+  calculateExpectedResolution,
+  recalculateComplaintSla,
+  getComplaintBuilding,
+  getSlaHours,
+  addBusinessHours,
+  getBusinessHoursBetween,
+  pauseSla,
+  resumeSla,
+  sweepSlaBreaches,
+  getEscalationChain,
+  getHoursOverdue,
+  SLA_STOPPED_STATUSES
+};
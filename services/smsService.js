@@ -48,6 +48,9 @@ if (twilioClient && process.env.TWILIO_PHONE_NUMBER) {
   console.warn('   - Add credentials to .env file to enable SMS sending');
 }
 
+// Whether SMS can actually be delivered (Twilio client and sender number configured)
+const isSmsConfigured = () => !!(twilioClient && process.env.TWILIO_PHONE_NUMBER);
+
 /**
  * Format phone number to E.164 format
  * @param {string} phoneNumber - Phone number (can be 10 digits or with country code)
@@ -184,9 +187,9 @@ const sendUrgentNotice = async (phoneNumber, noticeTitle) => {
   try {
     const formattedPhone = formatPhoneNumber(phoneNumber);
     
-    if (!twilioClient || !process.env.TWILIO_PHONE_NUMBER) {
+    if (!isSmsConfigured()) {
       console.log(`📱 [SMS] Urgent notice for ${formattedPhone}: ${noticeTitle}`);
-      return { success: true, message: 'Urgent notice logged (Twilio not configured)' };
+      return { success: false, skipped: true, message: 'Urgent notice not sent (Twilio not configured)' };
     }
 
     const message = await twilioClient.messages.create({
@@ -212,9 +215,9 @@ const sendPaymentReminder = async (phoneNumber, amount, dueDate) => {
   try {
     const formattedPhone = formatPhoneNumber(phoneNumber);
     
-    if (!twilioClient || !process.env.TWILIO_PHONE_NUMBER) {
+    if (!isSmsConfigured()) {
       console.log(`📱 [SMS] Payment reminder for ${formattedPhone}: ₹${amount} due ${dueDate}`);
-      return { success: true, message: 'Payment reminder logged (Twilio not configured)' };
+      return { success: false, skipped: true, message: 'Payment reminder not sent (Twilio not configured)' };
     }
 
     const message = await twilioClient.messages.create({
@@ -235,9 +238,97 @@ const sendPaymentReminder = async (phoneNumber, amount, dueDate) => {
   }
 };
 
+// Send notice acknowledgement reminder via SMS
+const sendNoticeAcknowledgementReminder = async (phoneNumber, noticeTitle) => {
+  try {
+    const formattedPhone = formatPhoneNumber(phoneNumber);
+    
+    if (!isSmsConfigured()) {
+      console.log(`📱 [SMS] Acknowledgement reminder for ${formattedPhone}: ${noticeTitle}`);
+      return { success: false, skipped: true, message: 'Acknowledgement reminder not sent (Twilio not configured)' };
+    }
+
+    const message = await twilioClient.messages.create({
+      body: `Action required: please read and acknowledge the notice "${noticeTitle}" in the ApartmentSync app.`,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to: formattedPhone
+    });
+
+    console.log(`✅ [SMS] Acknowledgement reminder sent to ${formattedPhone}`);
+    return { success: true, message: 'Acknowledgement reminder sent', sid: message.sid };
+  } catch (error) {
+    console.error('❌ [SMS] Acknowledgement reminder error:', error);
+    return { 
+      success: false, 
+      message: 'Failed to send acknowledgement reminder',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    };
+  }
+};
+
+// Send SLA escalation alert via SMS
+const sendSlaEscalationAlert = async (phoneNumber, ticketNumber, hoursOverdue) => {
+  try {
+    const formattedPhone = formatPhoneNumber(phoneNumber);
+    
+    if (!isSmsConfigured()) {
+      console.log(`📱 [SMS] SLA escalation for ${formattedPhone}: ${ticketNumber} overdue by ${hoursOverdue}h`);
+      return { success: false, skipped: true, message: 'SLA escalation not sent (Twilio not configured)' };
+    }
+
+    const message = await twilioClient.messages.create({
+      body: `SLA breached: ticket ${ticketNumber} is overdue by ${hoursOverdue} hour(s). Please take action in the ApartmentSync app.`,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to: formattedPhone
+    });
+
+    console.log(`✅ [SMS] SLA escalation sent to ${formattedPhone}`);
+    return { success: true, message: 'SLA escalation sent', sid: message.sid };
+  } catch (error) {
+    console.error('❌ [SMS] SLA escalation error:', error);
+    return { 
+      success: false, 
+      message: 'Failed to send SLA escalation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    };
+  }
+};
+
+// Send complaint handover code to the resident via SMS
+const sendHandoverCode = async (phoneNumber, ticketNumber, code, expiresInMinutes) => {
+  try {
+    const formattedPhone = formatPhoneNumber(phoneNumber);
+    
+    if (!isSmsConfigured()) {
+      console.log(`📱 [SMS] Handover code for ${formattedPhone} (${ticketNumber}): ${code}`);
+      return { success: false, skipped: true, message: 'Handover code not sent (Twilio not configured)' };
+    }
+
+    const message = await twilioClient.messages.create({
+      body: `Your ApartmentSync handover code for ticket ${ticketNumber} is ${code}. Share it with the technician only once the work is done. Valid for ${expiresInMinutes} minutes.`,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to: formattedPhone
+    });
+
+    console.log(`✅ [SMS] Handover code sent to ${formattedPhone}`);
+    return { success: true, message: 'Handover code sent', sid: message.sid };
+  } catch (error) {
+    console.error('❌ [SMS] Handover code error:', error);
+    return { 
+      success: false, 
+      message: 'Failed to send handover code',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    };
+  }
+};
+
 module.exports = {
   sendOTP,
   sendUrgentNotice,
   sendPaymentReminder,
+  sendNoticeAcknowledgementReminder,
+  sendSlaEscalationAlert,
+  sendHandoverCode,
+  isSmsConfigured,
   formatPhoneNumber // Export for testing/utility purposes
 };
\ No newline at end of file
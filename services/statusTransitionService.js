@@ -1,120 +1,84 @@
-const { COMPLAINT_STATUS, USER_ROLES } = require('../utils/constants');
+const { COMPLAINT_STATUS, HOLD_REASON_CATEGORIES, USER_ROLES } = require('../utils/constants');
+const {
+  DEFAULT_COMPLAINT_WORKFLOW,
+  resolveWorkflow,
+  findTransition,
+  getTransitionsFrom
+} = require('../utils/complaintWorkflow');
+const { getComplaintBuilding } = require('./slaService');
 
 /**
  * Status Transition Service
- * Enforces strict role-based status transitions with validation
+ * Enforces role-based status transitions from each building's complaint workflow
  */
 
 // Configuration: Reopen window in days (configurable)
 const REOPEN_WINDOW_DAYS = process.env.REOPEN_WINDOW_DAYS || 7;
 
 /**
- * State Transition Matrix
+ * State Transition Matrix of the default workflow
  * Maps current status -> [allowed next statuses]
- * Role permissions are validated separately
+ * Buildings can replace it with their own workflow (Apartment.complaintWorkflow)
  */
-const STATUS_TRANSITION_MATRIX = {
-  [COMPLAINT_STATUS.OPEN]: [COMPLAINT_STATUS.ASSIGNED, COMPLAINT_STATUS.CANCELLED],
-  [COMPLAINT_STATUS.ASSIGNED]: [
-    COMPLAINT_STATUS.IN_PROGRESS,
-    COMPLAINT_STATUS.CANCELLED,
-    COMPLAINT_STATUS.OPEN, // Unassign
-  ],
-  [COMPLAINT_STATUS.IN_PROGRESS]: [
-    COMPLAINT_STATUS.RESOLVED,
-    COMPLAINT_STATUS.CANCELLED,
-  ],
-  [COMPLAINT_STATUS.RESOLVED]: [
-    COMPLAINT_STATUS.CLOSED,
-    COMPLAINT_STATUS.REOPENED,
-  ],
-  [COMPLAINT_STATUS.CLOSED]: [COMPLAINT_STATUS.REOPENED],
-  [COMPLAINT_STATUS.REOPENED]: [
-    COMPLAINT_STATUS.ASSIGNED,
-    COMPLAINT_STATUS.IN_PROGRESS,
-    COMPLAINT_STATUS.CANCELLED,
-  ],
-  [COMPLAINT_STATUS.CANCELLED]: [], // Terminal state
-};
+const STATUS_TRANSITION_MATRIX = Object.values(COMPLAINT_STATUS).reduce((matrix, status) => {
+  matrix[status] = getTransitionsFrom(DEFAULT_COMPLAINT_WORKFLOW, status).map((transition) => transition.to);
+  return matrix;
+}, {});
 
 /**
  * Role-based permissions
- * Maps role -> [allowed actions/statuses]
+ * Which role may make a transition comes from the workflow - these rules apply on top of it
  */
 const ROLE_PERMISSIONS = {
   [USER_ROLES.RESIDENT]: {
-    // Can create with Open status
-    canCreate: true,
-    // Can cancel only when Open or Assigned
-    canCancel: [COMPLAINT_STATUS.OPEN, COMPLAINT_STATUS.ASSIGNED],
-    // Can reopen only after Resolved (within window)
-    canReopen: [COMPLAINT_STATUS.RESOLVED],
-    // Can close only Resolved tickets
-    canClose: [COMPLAINT_STATUS.RESOLVED],
-    // Cannot directly set these statuses
-    cannotSet: [
-      COMPLAINT_STATUS.IN_PROGRESS,
-      COMPLAINT_STATUS.ASSIGNED,
-      COMPLAINT_STATUS.RESOLVED,
-    ],
-  },
-  [USER_ROLES.ADMIN]: {
-    canCreate: false, // Admins don't create complaints
-    // Can transition through admin workflow
-    canSet: [
-      COMPLAINT_STATUS.ASSIGNED,
-      COMPLAINT_STATUS.IN_PROGRESS,
-      COMPLAINT_STATUS.RESOLVED,
-      COMPLAINT_STATUS.CLOSED,
-      COMPLAINT_STATUS.CANCELLED,
-      COMPLAINT_STATUS.REOPENED, // Admin can also reopen
-    ],
-    // Can approve/reject registrations
-    canApproveReject: true,
-    // Can assign staff
-    canAssignStaff: true,
-    // Mandatory comments required for these actions
-    requiresComment: [
-      COMPLAINT_STATUS.CANCELLED,
-      COMPLAINT_STATUS.CLOSED,
-      COMPLAINT_STATUS.REOPENED,
-    ],
+    // Can only act on complaints they raised
+    ownComplaintsOnly: true,
+    // Reopening is limited to REOPEN_WINDOW_DAYS after resolution
+    reopenWindowApplies: true,
   },
+  [USER_ROLES.ADMIN]: {},
   [USER_ROLES.STAFF]: {
-    canCreate: false,
     // Can only update assigned tickets
     canUpdateAssignedOnly: true,
-    // Can set these statuses for assigned tickets
-    canSet: [COMPLAINT_STATUS.IN_PROGRESS, COMPLAINT_STATUS.RESOLVED],
-    // Cannot cancel, close, or reopen
-    cannotSet: [
-      COMPLAINT_STATUS.CANCELLED,
-      COMPLAINT_STATUS.CLOSED,
-      COMPLAINT_STATUS.REOPENED,
-      COMPLAINT_STATUS.ASSIGNED,
-    ],
+  },
+  [USER_ROLES.SECURITY]: {
+    // Guards follow their building's Security complaints but never change a status
+    readOnly: true,
+    viewableCategories: ['Security'],
   },
 };
 
+// Whether the complaint is still inside the resident reopen window
+const isWithinReopenWindow = (complaint) => {
+  if (!complaint?.resolution?.resolvedAt) return true;
+  const resolvedAt = new Date(complaint.resolution.resolvedAt);
+  const daysSinceResolution = (new Date() - resolvedAt) / (1000 * 60 * 60 * 24);
+  return daysSinceResolution <= REOPEN_WINDOW_DAYS;
+};
+
 /**
  * Validate status transition
  * @param {String} currentStatus - Current complaint status
  * @param {String} newStatus - Desired new status
  * @param {String} userRole - User's role (resident/admin/staff)
- * @param {Object} options - Additional validation options
+ * @param {Object} options - Additional validation options (workflow: the building's workflow, default when omitted)
  * @returns {Object} { valid: Boolean, error: String, errorCode: String }
  */
 function validateStatusTransition(currentStatus, newStatus, userRole, options = {}) {
   const {
     complaint,
     userId,
+    workflow,
     isOwnComplaint = false,
     hasComment = false,
+    requiresHandoverOtp = false, // Building requires the resident's handover code for this category
+    hasHandoverOtp = false,
+    holdReasonCategory,
   } = options;
 
-  // Check if status transition is in matrix
-  const allowedTransitions = STATUS_TRANSITION_MATRIX[currentStatus] || [];
-  if (!allowedTransitions.includes(newStatus)) {
+  // Check if status transition is in the workflow
+  const transition = findTransition(workflow, currentStatus, newStatus);
+  if (!transition) {
     return {
       valid: false,
       error: `Invalid status transition: Cannot transition from ${currentStatus} to ${newStatus}`,
@@ -122,7 +86,6 @@ function validateStatusTransition(currentStatus, newStatus, userRole, options =
     };
   }
 
-  // Role-based validation
   const permissions = ROLE_PERMISSIONS[userRole];
   if (!permissions) {
     return {
@@ -132,139 +95,26 @@ function validateStatusTransition(currentStatus, newStatus, userRole, options =
     };
   }
 
-  // Resident validations
-  if (userRole === USER_ROLES.RESIDENT) {
-    // Residents can only modify their own complaints
-    if (!isOwnComplaint) {
-      return {
-        valid: false,
-        error: 'Residents can only modify their own complaints',
-        errorCode: 'NOT_OWN_COMPLAINT',
-      };
-    }
-
-    // Check if resident can cancel
-    if (newStatus === COMPLAINT_STATUS.CANCELLED) {
-      if (!permissions.canCancel.includes(currentStatus)) {
-        return {
-          valid: false,
-          error: `Cannot cancel complaint with status: ${currentStatus}. Residents can only cancel Open or Assigned complaints.`,
-          errorCode: 'CANCEL_NOT_ALLOWED',
-        };
-      }
-    }
-
-    // Check if resident can close
-    if (newStatus === COMPLAINT_STATUS.CLOSED) {
-      if (!permissions.canClose.includes(currentStatus)) {
-        return {
-          valid: false,
-          error: `Cannot close complaint with status: ${currentStatus}. Residents can only close Resolved complaints.`,
-          errorCode: 'CLOSE_NOT_ALLOWED',
-        };
-      }
-    }
-
-    // Check if resident can reopen
-    if (newStatus === COMPLAINT_STATUS.REOPENED) {
-      if (!permissions.canReopen.includes(currentStatus)) {
-        return {
-          valid: false,
-          error: `Cannot reopen complaint with status: ${currentStatus}. Residents can only reopen Resolved complaints.`,
-          errorCode: 'REOPEN_NOT_ALLOWED',
-        };
-      }
-
-      // Check reopen window
-      if (complaint && complaint.resolution?.resolvedAt) {
-        const resolvedAt = new Date(complaint.resolution.resolvedAt);
-        const now = new Date();
-        const daysSinceResolution =
-          (now - resolvedAt) / (1000 * 60 * 60 * 24);
-
-        if (daysSinceResolution > REOPEN_WINDOW_DAYS) {
-          return {
-            valid: false,
-            error: `Reopen window expired. Complaints can only be reopened within ${REOPEN_WINDOW_DAYS} days of resolution.`,
-            errorCode: 'REOPEN_WINDOW_EXPIRED',
-          };
-        }
-      }
-    }
-
-    // Check if resident is trying to set forbidden status
-    if (permissions.cannotSet.includes(newStatus)) {
-      return {
-        valid: false,
-        error: `Residents cannot set status to ${newStatus}`,
-        errorCode: 'FORBIDDEN_STATUS',
-      };
-    }
+  if (permissions.readOnly) {
+    return {
+      valid: false,
+      error: `A ${userRole} cannot change complaint status`,
+      errorCode: 'READ_ONLY_ROLE',
+    };
   }
 
-  // Admin validations
-  if (userRole === USER_ROLES.ADMIN) {
-    // Check if admin is trying to set an allowed status
-    if (permissions.canSet && !permissions.canSet.includes(newStatus)) {
-      return {
-        valid: false,
-        error: `Admin cannot set status to ${newStatus}`,
-        errorCode: 'FORBIDDEN_STATUS',
-      };
-    }
-
-    // Check mandatory comments for specific actions
-    if (
-      permissions.requiresComment.includes(newStatus) &&
-      !hasComment
-    ) {
-      return {
-        valid: false,
-        error: `Comment/reason is required when ${userRole} sets status to ${newStatus}`,
-        errorCode: 'COMMENT_REQUIRED',
-      };
-    }
-
-    // Admin can transition through: Assigned → In Progress → Resolved → Closed
-    // Validate proper sequence
-    if (
-      currentStatus === COMPLAINT_STATUS.ASSIGNED &&
-      newStatus === COMPLAINT_STATUS.RESOLVED
-    ) {
-      return {
-        valid: false,
-        error: 'Cannot skip In Progress status. Transition must be: Assigned → In Progress → Resolved',
-        errorCode: 'SKIP_STATE_NOT_ALLOWED',
-      };
-    }
-
-    if (
-      currentStatus === COMPLAINT_STATUS.ASSIGNED &&
-      newStatus === COMPLAINT_STATUS.CLOSED
-    ) {
-      return {
-        valid: false,
-        error: 'Cannot skip required states. Transition must go through In Progress and Resolved',
-        errorCode: 'SKIP_STATE_NOT_ALLOWED',
-      };
-    }
-
-    if (
-      currentStatus === COMPLAINT_STATUS.IN_PROGRESS &&
-      newStatus === COMPLAINT_STATUS.CLOSED
-    ) {
-      return {
-        valid: false,
-        error: 'Cannot skip Resolved status. Transition must be: In Progress → Resolved → Closed',
-        errorCode: 'SKIP_STATE_NOT_ALLOWED',
-      };
-    }
+  // Residents can only modify their own complaints
+  if (permissions.ownComplaintsOnly && !isOwnComplaint) {
+    return {
+      valid: false,
+      error: 'Residents can only modify their own complaints',
+      errorCode: 'NOT_OWN_COMPLAINT',
+    };
   }
 
-  // Staff validations
-  if (userRole === USER_ROLES.STAFF) {
-    // Staff can only update assigned tickets
-    if (permissions.canUpdateAssignedOnly && !complaint?.assignedTo?.staff) {
+  // Staff can only update tickets assigned to them
+  if (permissions.canUpdateAssignedOnly) {
+    if (!complaint?.assignedTo?.staff) {
       return {
         valid: false,
         error: 'Staff can only update assigned tickets',
@@ -272,35 +122,70 @@ function validateStatusTransition(currentStatus, newStatus, userRole, options =
       };
     }
 
-    // Check if staff is assigned to this ticket
-    if (
-      permissions.canUpdateAssignedOnly &&
-      complaint?.assignedTo?.staff?.toString() !== userId?.toString()
-    ) {
+    if (complaint.assignedTo.staff.toString() !== userId?.toString()) {
       return {
         valid: false,
         error: 'Staff can only update tickets assigned to them',
         errorCode: 'NOT_ASSIGNED_TO_STAFF',
       };
     }
+  }
 
-    // Check if staff can set this status
-    if (!permissions.canSet.includes(newStatus)) {
-      return {
-        valid: false,
-        error: `Staff cannot set status to ${newStatus}`,
-        errorCode: 'FORBIDDEN_STATUS',
-      };
-    }
+  // Check the workflow lets this role make the transition
+  if (!transition.roles.includes(userRole)) {
+    return {
+      valid: false,
+      error: `A ${userRole} cannot move a complaint from ${currentStatus} to ${newStatus}`,
+      errorCode: 'FORBIDDEN_STATUS',
+    };
+  }
 
-    // Staff cannot cancel, close, or reopen
-    if (permissions.cannotSet.includes(newStatus)) {
-      return {
-        valid: false,
-        error: `Staff cannot ${newStatus.toLowerCase()} tickets`,
-        errorCode: 'FORBIDDEN_STATUS',
-      };
-    }
+  // Check mandatory comments for this transition
+  if (transition.requiresComment && !hasComment) {
+    return {
+      valid: false,
+      error: `Comment/reason is required when ${userRole} sets status to ${newStatus}`,
+      errorCode: 'COMMENT_REQUIRED',
+    };
+  }
+
+  // Check reopen window
+  if (
+    permissions.reopenWindowApplies &&
+    newStatus === COMPLAINT_STATUS.REOPENED &&
+    !isWithinReopenWindow(complaint)
+  ) {
+    return {
+      valid: false,
+      error: `Reopen window expired. Complaints can only be reopened within ${REOPEN_WINDOW_DAYS} days of resolution.`,
+      errorCode: 'REOPEN_WINDOW_EXPIRED',
+    };
+  }
+
+  // Holds must say why work is paused
+  if (
+    newStatus === COMPLAINT_STATUS.ON_HOLD &&
+    !HOLD_REASON_CATEGORIES.includes(holdReasonCategory)
+  ) {
+    return {
+      valid: false,
+      error: `A hold reason category is required: ${HOLD_REASON_CATEGORIES.join(', ')}`,
+      errorCode: 'HOLD_REASON_REQUIRED',
+    };
+  }
+
+  // Resident must confirm the work with their handover code
+  if (
+    userRole === USER_ROLES.STAFF &&
+    newStatus === COMPLAINT_STATUS.RESOLVED &&
+    requiresHandoverOtp &&
+    !hasHandoverOtp
+  ) {
+    return {
+      valid: false,
+      error: "The resident's handover code is required to resolve this ticket",
+      errorCode: 'HANDOVER_OTP_REQUIRED',
+    };
   }
 
   // All validations passed
@@ -315,60 +200,41 @@ function validateStatusTransition(currentStatus, newStatus, userRole, options =
  * Get allowed statuses for a role and current status
  */
 function getAllowedStatuses(currentStatus, userRole, options = {}) {
-  const { isOwnComplaint = false, complaint } = options;
-  const allowedTransitions = STATUS_TRANSITION_MATRIX[currentStatus] || [];
+  const { isOwnComplaint = false, complaint, workflow } = options;
   const permissions = ROLE_PERMISSIONS[userRole];
 
-  if (!permissions) {
+  if (!permissions || permissions.readOnly) {
     return [];
   }
 
-  // Filter based on role permissions
-  return allowedTransitions.filter((status) => {
-    // Resident validations
-    if (userRole === USER_ROLES.RESIDENT) {
-      if (!isOwnComplaint) return false;
-      if (permissions.cannotSet.includes(status)) return false;
+  if (permissions.ownComplaintsOnly && !isOwnComplaint) {
+    return [];
+  }
 
-      if (status === COMPLAINT_STATUS.CANCELLED) {
-        return permissions.canCancel.includes(currentStatus);
-      }
-      if (status === COMPLAINT_STATUS.CLOSED) {
-        return permissions.canClose.includes(currentStatus);
-      }
-      if (status === COMPLAINT_STATUS.REOPENED) {
-        if (!permissions.canReopen.includes(currentStatus)) return false;
-        // Check reopen window
-        if (complaint?.resolution?.resolvedAt) {
-          const resolvedAt = new Date(complaint.resolution.resolvedAt);
-          const now = new Date();
-          const daysSinceResolution =
-            (now - resolvedAt) / (1000 * 60 * 60 * 24);
-          return daysSinceResolution <= REOPEN_WINDOW_DAYS;
-        }
-        return true;
+  return getTransitionsFrom(workflow, currentStatus, userRole)
+    .map((transition) => transition.to)
+    .filter((status) => {
+      if (permissions.reopenWindowApplies && status === COMPLAINT_STATUS.REOPENED) {
+        return isWithinReopenWindow(complaint);
       }
       return true;
-    }
-
-    // Admin validations
-    if (userRole === USER_ROLES.ADMIN) {
-      return permissions.canSet?.includes(status) ?? false;
-    }
-
-    // Staff validations
-    if (userRole === USER_ROLES.STAFF) {
-      if (permissions.cannotSet.includes(status)) return false;
-      return permissions.canSet?.includes(status) ?? false;
-    }
+    });
+}
 
-    return false;
-  });
+/**
+ * Load the workflow of the building a complaint belongs to
+ * @param {Object} complaint - Complaint document
+ * @returns {Object} The building's workflow, or the default workflow
+ */
+async function getComplaintWorkflow(complaint) {
+  const building = await getComplaintBuilding(complaint);
+  return resolveWorkflow(building?.complaintWorkflow);
 }
 
 module.exports = {
   validateStatusTransition,
   getAllowedStatuses,
+  getComplaintWorkflow,
   STATUS_TRANSITION_MATRIX,
   ROLE_PERMISSIONS,
   REOPEN_WINDOW_DAYS,
@@ -5,7 +5,10 @@ const {
   sendComplaintRegisteredEmail,
   sendComplaintStatusUpdateEmail,
   sendComplaintResolvedEmail,
+  sendComplaintRatingRequestEmail,
+  sendComplaintSlaEscalationEmail,
 } = require('./emailService');
+const { sendSlaEscalationAlert, sendHandoverCode, isSmsConfigured } = require('./smsService');
 const { emitToUser, emitToRoom } = require('./socketService');
 
 /**
@@ -45,6 +48,30 @@ const formatResidenceLocation = (complaint, user) => {
   return locationParts.length > 0 ? locationParts.join(', ') : 'Location not specified';
 };
 
+// Send a ticket event to residents following it (socket + push) - the creator is notified separately
+const notifyFollowers = async (complaint, event, notificationData, { message, title, body }) => {
+  const followerIds = (complaint.followers || []).map((follower) => follower.user?._id || follower.user);
+  if (followerIds.length === 0) return;
+
+  const followers = await User.find({ _id: { $in: followerIds }, status: 'active' })
+    .select('fcmToken notificationPreferences');
+
+  followers.forEach((follower) => {
+    emitToUser(follower._id.toString(), event, {
+      message,
+      ...notificationData,
+      following: true,
+    });
+  });
+
+  const tokens = followers
+    .filter((follower) => follower.fcmToken && follower.notificationPreferences?.push)
+    .map((follower) => follower.fcmToken);
+  if (tokens.length > 0) {
+    await sendMulticastPushNotification(tokens, { title, body }, { ...notificationData, following: 'true' });
+  }
+};
+
 // Send notification for ticket creation
 const notifyTicketCreated = async (complaint) => {
   try {
@@ -123,7 +150,7 @@ const notifyTicketAssigned = async (complaint, staffId, assignedBy) => {
   try {
     const creator = await User.findById(complaint.createdBy);
     const staff = await Staff.findById(staffId).populate('user');
-    const assigner = await User.findById(assignedBy);
+    const assigner = assignedBy ? await User.findById(assignedBy) : null;
 
     if (!creator || !staff || !staff.user) return;
 
@@ -134,7 +161,7 @@ const notifyTicketAssigned = async (complaint, staffId, assignedBy) => {
       title: complaint.title,
       status: complaint.status,
       assignedTo: staff.user.fullName,
-      assignedBy: assigner?.fullName || 'Admin',
+      assignedBy: assigner?.fullName || (assignedBy ? 'Admin' : 'Auto-assignment'),
     };
 
     // 1. Notify ticket creator (Resident)
@@ -264,6 +291,12 @@ const notifyStatusUpdate = async (complaint, oldStatus, newStatus, updatedBy, op
       await sendComplaintStatusUpdateEmail(creator, complaint, oldStatus, newStatus);
     }
 
+    await notifyFollowers(complaint, 'ticket_status_updated', notificationData, {
+      message: `Ticket ${complaint.ticketNumber} you follow is now ${newStatus}`,
+      title: 'Ticket Status Updated',
+      body: `${complaint.title} (${complaint.ticketNumber}) is now ${newStatus}`,
+    });
+
     // 2. Notify assigned staff if exists
     if (complaint.assignedTo?.staff) {
       const staff = await Staff.findById(complaint.assignedTo.staff).populate('user');
@@ -412,6 +445,12 @@ const notifyWorkUpdate = async (complaint, workUpdate, updatedBy) => {
       );
     }
 
+    await notifyFollowers(complaint, 'work_update_added', notificationData, {
+      message: `Work update added to ticket ${complaint.ticketNumber} you follow`,
+      title: 'Work Update',
+      body: `Progress update on ticket ${complaint.ticketNumber} you follow`,
+    });
+
     // Notify admins
     emitToRoom('admin', 'work_update_added', notificationData);
 
@@ -459,6 +498,12 @@ const notifyTicketResolved = async (complaint, resolvedBy) => {
       await sendComplaintResolvedEmail(creator, complaint);
     }
 
+    await notifyFollowers(complaint, 'ticket_resolved', notificationData, {
+      message: `Ticket ${complaint.ticketNumber} you follow has been resolved`,
+      title: 'Ticket Resolved',
+      body: `${complaint.title} (${complaint.ticketNumber}) has been resolved`,
+    });
+
     // Notify admins
     emitToRoom('admin', 'ticket_resolved', notificationData);
 
@@ -472,18 +517,47 @@ const notifyTicketResolved = async (complaint, resolvedBy) => {
 const notifyTicketClosed = async (complaint, closedBy) => {
   try {
     const creator = await User.findById(complaint.createdBy);
-    const closer = await User.findById(closedBy);
+    const closer = closedBy ? await User.findById(closedBy) : null;
 
     if (!creator) return;
 
+    // No closer means the ticket was closed automatically after the reopen window
+    const isAutomatic = !closedBy;
+
     const notificationData = {
       type: 'ticket_closed',
       ticketId: complaint._id.toString(),
       ticketNumber: complaint.ticketNumber,
       title: complaint.title,
-      closedBy: closer?.fullName || 'You',
+      closedBy: closer?.fullName || (isAutomatic ? 'System' : 'You'),
+      automatic: String(isAutomatic),
     };
 
+    // Residents are only told about closures they did not make themselves
+    if (isAutomatic) {
+      emitToUser(creator._id.toString(), 'ticket_closed', {
+        message: `Ticket ${complaint.ticketNumber} was closed automatically after the reopen window`,
+        ...notificationData,
+      });
+
+      if (creator.fcmToken && creator.notificationPreferences?.push) {
+        await sendPushNotification(
+          creator.fcmToken,
+          {
+            title: 'Ticket Closed',
+            body: `Ticket ${complaint.ticketNumber} has been closed automatically. Thank you for your patience!`,
+          },
+          notificationData
+        );
+      }
+    }
+
+    await notifyFollowers(complaint, 'ticket_closed', notificationData, {
+      message: `Ticket ${complaint.ticketNumber} you follow has been closed`,
+      title: 'Ticket Closed',
+      body: `${complaint.title} (${complaint.ticketNumber}) has been closed`,
+    });
+
     // Notify assigned staff if exists
     if (complaint.assignedTo?.staff) {
       const staff = await Staff.findById(complaint.assignedTo.staff).populate('user');
@@ -498,7 +572,9 @@ const notifyTicketClosed = async (complaint, closedBy) => {
             staff.user.fcmToken,
             {
               title: 'Ticket Closed',
-              body: `Ticket ${complaint.ticketNumber} has been closed by resident`,
+              body: isAutomatic
+                ? `Ticket ${complaint.ticketNumber} has been closed automatically`
+                : `Ticket ${complaint.ticketNumber} has been closed by resident`,
             },
             notificationData
           );
@@ -515,6 +591,46 @@ const notifyTicketClosed = async (complaint, closedBy) => {
   }
 };
 
+// Ask the resident to rate a resolved ticket before it closes automatically
+const notifyRatingPrompt = async (complaint, closesAt) => {
+  try {
+    const creator = await User.findById(complaint.createdBy);
+    if (!creator) return;
+
+    const notificationData = {
+      type: 'rating_prompt',
+      ticketId: complaint._id.toString(),
+      ticketNumber: complaint.ticketNumber,
+      title: complaint.title,
+      closesAt: new Date(closesAt).toISOString(),
+    };
+
+    emitToUser(creator._id.toString(), 'rating_prompt', {
+      message: `How did we do? Rate ticket ${complaint.ticketNumber} before it closes`,
+      ...notificationData,
+    });
+
+    if (creator.fcmToken && creator.notificationPreferences?.push) {
+      await sendPushNotification(
+        creator.fcmToken,
+        {
+          title: 'Rate Your Resolved Ticket',
+          body: `Ticket ${complaint.ticketNumber} will close on ${new Date(closesAt).toLocaleDateString()}. Please rate the work or reopen it if the issue persists.`,
+        },
+        notificationData
+      );
+    }
+
+    if (creator.email && creator.notificationPreferences?.email) {
+      await sendComplaintRatingRequestEmail(creator, complaint, closesAt);
+    }
+
+    console.log(`✅ Rating prompt sent for ${complaint.ticketNumber}`);
+  } catch (error) {
+    console.error('Error sending rating prompt:', error);
+  }
+};
+
 // Send notification for ticket reopened
 const notifyTicketReopened = async (complaint, reopenedBy, reason) => {
   try {
@@ -628,6 +744,146 @@ const notifyTicketCancelled = async (complaint, cancelledBy, reason) => {
   }
 };
 
+// Send SLA escalation to one level of the escalation chain (staff, building admin or all admins)
+const notifySlaEscalation = async (complaint, recipients, details) => {
+  try {
+    const { level, target, hoursOverdue } = details;
+    const creator = await User.findById(complaint.createdBy);
+    const staff = complaint.assignedTo?.staff
+      ? await Staff.findById(complaint.assignedTo.staff).populate('user', 'fullName')
+      : null;
+    const residenceLocation = formatResidenceLocation(complaint, creator);
+
+    const notificationData = {
+      type: 'sla_escalation',
+      ticketId: complaint._id.toString(),
+      ticketNumber: complaint.ticketNumber,
+      title: complaint.title,
+      priority: complaint.priority,
+      status: complaint.status,
+      level: String(level),
+      target,
+      hoursOverdue: String(hoursOverdue),
+    };
+
+    for (const recipient of recipients) {
+      emitToUser(recipient._id.toString(), 'sla_escalation', {
+        message: `SLA breached for ticket ${complaint.ticketNumber} - overdue by ${hoursOverdue}h`,
+        ...notificationData,
+        location: residenceLocation,
+      });
+
+      if (recipient.fcmToken && recipient.notificationPreferences?.push) {
+        await sendPushNotification(
+          recipient.fcmToken,
+          {
+            title: 'SLA Breached',
+            body: `Ticket ${complaint.ticketNumber} is overdue by ${hoursOverdue}h - ${residenceLocation}`,
+          },
+          notificationData
+        );
+      }
+
+      if (recipient.phoneNumber && recipient.notificationPreferences?.sms !== false) {
+        await sendSlaEscalationAlert(recipient.phoneNumber, complaint.ticketNumber, hoursOverdue);
+      }
+
+      if (recipient.email && recipient.notificationPreferences?.email) {
+        await sendComplaintSlaEscalationEmail(recipient, complaint, {
+          level,
+          hoursOverdue,
+          assignedStaff: staff?.user?.fullName,
+          location: residenceLocation,
+        });
+      }
+    }
+
+    console.log(`✅ SLA escalation level ${level} (${target}) sent for ${complaint.ticketNumber} to ${recipients.length} recipient(s)`);
+  } catch (error) {
+    console.error('Error sending SLA escalation notifications:', error);
+  }
+};
+
+// Send the handover code to the resident when staff are ready to resolve
+const notifyHandoverCode = async (complaint, resident, code, expiresInMinutes) => {
+  const channels = [];
+  try {
+    const notificationData = {
+      type: 'handover_code',
+      ticketId: complaint._id.toString(),
+      ticketNumber: complaint.ticketNumber,
+      title: complaint.title,
+    };
+
+    emitToUser(resident._id.toString(), 'handover_code', {
+      message: `Your handover code for ticket ${complaint.ticketNumber} is ${code}`,
+      ...notificationData,
+      code,
+      expiresInMinutes,
+    });
+
+    if (resident.fcmToken && resident.notificationPreferences?.push) {
+      const pushResult = await sendPushNotification(
+        resident.fcmToken,
+        {
+          title: 'Work Completion Code',
+          body: `Share code ${code} with the technician once ticket ${complaint.ticketNumber} is fixed`,
+        },
+        notificationData
+      );
+      if (pushResult?.success) channels.push('push');
+    }
+
+    // Only report SMS when it was actually handed to Twilio
+    if (isSmsConfigured()) {
+      const smsResult = await sendHandoverCode(resident.phoneNumber, complaint.ticketNumber, code, expiresInMinutes);
+      if (smsResult.success) channels.push('sms');
+    }
+
+    console.log(`✅ Handover code sent for ${complaint.ticketNumber} via ${channels.join(', ') || 'socket only'}`);
+  } catch (error) {
+    console.error('Error sending handover code:', error);
+  }
+  return channels;
+};
+
+// Tell the reporter of a duplicate ticket that it was merged into another ticket they now follow
+const notifyTicketMerged = async (child, parent) => {
+  try {
+    const creator = await User.findById(child.createdBy);
+    if (!creator) return;
+
+    const notificationData = {
+      type: 'ticket_merged',
+      ticketId: child._id.toString(),
+      ticketNumber: child.ticketNumber,
+      parentTicketId: parent._id.toString(),
+      parentTicketNumber: parent.ticketNumber,
+      title: parent.title,
+    };
+
+    emitToUser(creator._id.toString(), 'ticket_merged', {
+      message: `Ticket ${child.ticketNumber} was merged into ${parent.ticketNumber} - you will get its updates`,
+      ...notificationData,
+    });
+
+    if (creator.fcmToken && creator.notificationPreferences?.push) {
+      await sendPushNotification(
+        creator.fcmToken,
+        {
+          title: 'Ticket Merged',
+          body: `Others reported the same issue. Ticket ${child.ticketNumber} is now tracked as ${parent.ticketNumber}`,
+        },
+        notificationData
+      );
+    }
+
+    console.log(`✅ Merge notification sent for ${child.ticketNumber} -> ${parent.ticketNumber}`);
+  } catch (error) {
+    console.error('Error sending ticket merged notification:', error);
+  }
+};
+
 module.exports = {
   notifyTicketCreated,
   notifyTicketAssigned,
@@ -638,5 +894,9 @@ module.exports = {
   notifyTicketClosed,
   notifyTicketReopened,
   notifyTicketCancelled,
+  notifySlaEscalation,
+  notifyHandoverCode,
+  notifyRatingPrompt,
+  notifyTicketMerged,
 };
 
@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const Visitor = require('../models/Visitor');
+const User = require('../models/User');
+const { emitToUser } = require('./socketService');
+const { sendMulticastPushNotification } = require('../config/firebase');
+const { generateOTP } = require('../utils/generators');
+const { VISITOR_STATUS } = require('../utils/constants');
+
+/**
+ * Visitor Service
+ * Gate passes for pre-approved visitors and real-time approval requests for walk-ins
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Hours a gate pass stays valid when the resident gives no end time, and the longest allowed (configurable)
+const VISITOR_PASS_DEFAULT_HOURS = parseInt(process.env.VISITOR_PASS_DEFAULT_HOURS, 10) || 12;
+const VISITOR_PASS_MAX_HOURS = parseInt(process.env.VISITOR_PASS_MAX_HOURS, 10) || 72;
+
+// Minutes the flat has to answer a walk-in approval request (configurable)
+const WALK_IN_APPROVAL_MINUTES = parseInt(process.env.WALK_IN_APPROVAL_MINUTES, 10) || 5;
+
+// Minutes an approved walk-in may still be let in after the flat approved them (configurable)
+const WALK_IN_ENTRY_MINUTES = parseInt(process.env.WALK_IN_ENTRY_MINUTES, 10) || 30;
+
+// Minutes a guard may check a visitor in before the pass window opens
+const PASS_EARLY_ENTRY_MINUTES = 15;
+
+const PASS_CODE_LENGTH = 6;
+
+// Statuses in which a visit is still waiting at or expected at the gate
+const ACTIVE_VISITOR_STATUSES = [
+  VISITOR_STATUS.EXPECTED,
+  VISITOR_STATUS.PENDING_APPROVAL,
+  VISITOR_STATUS.APPROVED
+];
+
+const getPassSecret = () => process.env.GATE_PASS_SECRET || process.env.JWT_SECRET;
+
+const signPass = (visitorId, code, validUntil) => {
+  return crypto
+    .createHmac('sha256', getPassSecret())
+    .update(`${visitorId}.${code}.${new Date(validUntil).getTime()}`)
+    .digest('hex')
+    .slice(0, 32);
+};
+
+/**
+ * Work out the validity window of a new gate pass
+ * @param {String|Date} validFrom - Start (defaults to now)
+ * @param {String|Date} validUntil - End (defaults to VISITOR_PASS_DEFAULT_HOURS after the start)
+ * @param {Date} now - Reference time
+ * @returns {Object} { validFrom, validUntil } or { error }
+ */
+const resolvePassWindow = (validFrom, validUntil, now = new Date()) => {
+  const from = validFrom ? new Date(validFrom) : now;
+  const until = validUntil ? new Date(validUntil) : new Date(from.getTime() + VISITOR_PASS_DEFAULT_HOURS * HOUR_MS);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(until.getTime())) {
+    return { error: 'validFrom and validUntil must be valid dates' };
+  }
+  if (until <= now) return { error: 'validUntil must be in the future' };
+  if (until <= from) return { error: 'validUntil must be after validFrom' };
+  if (until.getTime() - from.getTime() > VISITOR_PASS_MAX_HOURS * HOUR_MS) {
+    return { error: `A gate pass cannot be valid for more than ${VISITOR_PASS_MAX_HOURS} hours` };
+  }
+
+  return { validFrom: from, validUntil: until };
+};
+
+/**
+ * Generate a gate pass code not used by any other expected visitor of the building
+ * @param {String} apartmentCode - Building code
+ * @returns {String}
+ */
+const generatePassCode = async (apartmentCode) => {
+  for (let attempt = 0; attempt < 10; attempt += 1) {
+    const code = generateOTP(PASS_CODE_LENGTH);
+    const inUse = await Visitor.exists({ apartmentCode, 'pass.code': code, status: VISITOR_STATUS.EXPECTED });
+    if (!inUse) return code;
+  }
+  throw new Error('Could not generate a unique gate pass code');
+};
+
+/**
+ * Gate pass shown to the visitor - the code to read out and a signed payload to render as a QR code
+ * @param {Object} visitor - Visitor document with a pass
+ * @returns {Object} { code, validFrom, validUntil, qrPayload }
+ */
+const buildGatePass = (visitor) => {
+  const { code, validFrom, validUntil } = visitor.pass;
+  const qrPayload = JSON.stringify({
+    type: 'gate_pass',
+    visitorId: visitor._id.toString(),
+    building: visitor.apartmentCode,
+    code,
+    validUntil: validUntil.toISOString(),
+    sig: signPass(visitor._id.toString(), code, validUntil)
+  });
+
+  return { code, validFrom, validUntil, qrPayload };
+};
+
+/**
+ * Read a scanned gate pass QR payload
+ * @param {String} qrPayload - Scanned payload
+ * @returns {Object|null} { visitorId, code, building } or null when it is malformed or tampered with
+ */
+const parseGatePass = (qrPayload) => {
+  let pass;
+  try {
+    pass = JSON.parse(qrPayload);
+  } catch (error) {
+    return null;
+  }
+
+  if (pass?.type !== 'gate_pass' || !pass.visitorId || !pass.code || !pass.validUntil || !pass.sig) {
+    return null;
+  }
+
+  const expected = signPass(pass.visitorId, pass.code, pass.validUntil);
+  if (expected.length !== String(pass.sig).length ||
+      !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(pass.sig)))) {
+    return null;
+  }
+
+  return { visitorId: pass.visitorId, code: pass.code, building: pass.building };
+};
+
+/**
+ * Check whether a visitor can be let in now
+ * @param {Object} visitor - Visitor document
+ * @param {Date} now - Reference time
+ * @returns {String|null} Problem found, or null when the visitor may enter
+ */
+const checkEntryAllowed = (visitor, now = new Date()) => {
+  if (visitor.status === VISITOR_STATUS.APPROVED) {
+    const respondedAt = visitor.approval?.respondedAt;
+    if (respondedAt && now.getTime() > respondedAt.getTime() + WALK_IN_ENTRY_MINUTES * MINUTE_MS) {
+      return 'Walk-in approval has expired - ask the flat to approve again';
+    }
+    return null;
+  }
+  if (visitor.status !== VISITOR_STATUS.EXPECTED) return `Visitor is ${visitor.status}`;
+
+  const { validFrom, validUntil } = visitor.pass || {};
+  if (validFrom && now.getTime() < validFrom.getTime() - PASS_EARLY_ENTRY_MINUTES * MINUTE_MS) {
+    return `Gate pass is valid from ${validFrom.toISOString()}`;
+  }
+  if (validUntil && now > validUntil) return 'Gate pass has expired';
+  return null;
+};
+
+/**
+ * Active residents living in a flat
+ * @param {String} apartmentCode - Building code
+ * @param {Object} flat - { wing, flatNumber }
+ * @returns {Array} User documents
+ */
+const findFlatResidents = (apartmentCode, flat) => {
+  return User.find({
+    apartmentCode,
+    wing: flat.wing.toUpperCase(),
+    flatNumber: flat.flatNumber.toUpperCase(),
+    role: 'resident',
+    status: 'active'
+  }).select('fullName fcmToken notificationPreferences flatCode');
+};
+
+// Socket + push to every resident of the visited flat
+const notifyFlat = async (residents, event, payload, { title, body }) => {
+  residents.forEach((resident) => emitToUser(resident._id.toString(), event, payload));
+
+  const tokens = residents
+    .filter((resident) => resident.fcmToken && resident.notificationPreferences?.push)
+    .map((resident) => resident.fcmToken);
+  if (tokens.length > 0) {
+    await sendMulticastPushNotification(tokens, { title, body }, {
+      type: event,
+      visitorId: payload.visitorId
+    });
+  }
+};
+
+/**
+ * Ask the flat to approve a walk-in visitor - the first resident to answer decides
+ * @param {Object} visitor - Visitor document (Pending Approval)
+ * @param {Array} residents - Residents of the flat
+ */
+const requestWalkInApproval = async (visitor, residents) => {
+  try {
+    await notifyFlat(residents, 'visitor_approval_request', {
+      visitorId: visitor._id.toString(),
+      visitorName: visitor.visitorName,
+      phoneNumber: visitor.phoneNumber,
+      purpose: visitor.purpose,
+      guestCount: visitor.guestCount,
+      vehicleNumber: visitor.vehicleNumber,
+      photoUrl: visitor.photo?.url,
+      expiresAt: visitor.approval.expiresAt,
+      message: `${visitor.visitorName} (${visitor.purpose}) is at the gate`
+    }, {
+      title: 'Visitor at the Gate',
+      body: `${visitor.visitorName} (${visitor.purpose}) is waiting - approve or deny`
+    });
+  } catch (error) {
+    console.error('❌ [VISITORS] Error sending approval request:', error);
+  }
+};
+
+/**
+ * Tell the guard who asked, and the rest of the flat, how a walk-in request was answered
+ * @param {Object} visitor - Visitor document (Approved, Denied or Expired)
+ * @param {Object} responder - Resident who answered (omitted when the request expired)
+ */
+const notifyApprovalResponse = async (visitor, responder) => {
+  const payload = {
+    visitorId: visitor._id.toString(),
+    visitorName: visitor.visitorName,
+    flat: `${visitor.flat.wing}-${visitor.flat.flatNumber}`,
+    status: visitor.status,
+    respondedBy: responder?.fullName,
+    reason: visitor.approval?.reason
+  };
+
+  if (visitor.approval?.requestedBy) {
+    emitToUser(visitor.approval.requestedBy.toString(), 'visitor_approval_response', payload);
+  }
+
+  // Other residents of the flat can dismiss the request
+  const residents = await findFlatResidents(visitor.apartmentCode, visitor.flat);
+  residents
+    .filter((resident) => resident._id.toString() !== responder?._id?.toString())
+    .forEach((resident) => emitToUser(resident._id.toString(), 'visitor_approval_closed', payload));
+};
+
+/**
+ * Tell the flat their visitor has arrived or left
+ * @param {Object} visitor - Visitor document (Checked In or Checked Out)
+ */
+const notifyVisitorMovement = async (visitor) => {
+  try {
+    const arrived = visitor.status === VISITOR_STATUS.CHECKED_IN;
+    const residents = await findFlatResidents(visitor.apartmentCode, visitor.flat);
+
+    await notifyFlat(residents, arrived ? 'visitor_checked_in' : 'visitor_checked_out', {
+      visitorId: visitor._id.toString(),
+      visitorName: visitor.visitorName,
+      purpose: visitor.purpose,
+      at: arrived ? visitor.checkIn.at : visitor.checkOut.at,
+      message: `${visitor.visitorName} has ${arrived ? 'entered' : 'left'} the building`
+    }, {
+      title: arrived ? 'Visitor Arrived' : 'Visitor Left',
+      body: `${visitor.visitorName} has ${arrived ? 'entered' : 'left'} the building`
+    });
+  } catch (error) {
+    console.error('❌ [VISITORS] Error sending check-in/out notification:', error);
+  }
+};
+
+/**
+ * Visitors a guard needs to see at the gate
+ * @param {String} apartmentCode - Building code
+ * @param {Object} options - { hours: how far ahead to list expected visitors, now }
+ * @returns {Object} { expected, awaitingApproval, approved, inside }
+ */
+const getGateBoard = async (apartmentCode, { hours = 12, now = new Date() } = {}) => {
+  const [upcoming, inside] = await Promise.all([
+    Visitor.find({
+      apartmentCode,
+      status: { $in: ACTIVE_VISITOR_STATUSES },
+      $or: [
+        { entryType: 'walk_in' },
+        { 'pass.validFrom': { $lte: new Date(now.getTime() + hours * HOUR_MS) } }
+      ]
+    })
+      .populate('host', 'fullName phoneNumber')
+      .sort({ 'pass.validFrom': 1, createdAt: 1 }),
+    Visitor.find({ apartmentCode, status: VISITOR_STATUS.CHECKED_IN })
+      .populate('host', 'fullName phoneNumber')
+      .sort({ 'checkIn.at': -1 })
+  ]);
+
+  return {
+    expected: upcoming.filter((visitor) => visitor.status === VISITOR_STATUS.EXPECTED),
+    awaitingApproval: upcoming.filter((visitor) => visitor.status === VISITOR_STATUS.PENDING_APPROVAL),
+    approved: upcoming.filter((visitor) => visitor.status === VISITOR_STATUS.APPROVED),
+    inside
+  };
+};
+
+/**
+ * Expire gate passes past their window, walk-in requests nobody answered and
+ * approved walk-ins who were not let in within WALK_IN_ENTRY_MINUTES
+ * @param {Date} now - Reference time
+ * @returns {Object} { passes, requests, approvals }
+ */
+const expireVisitors = async (now = new Date()) => {
+  const passes = await Visitor.updateMany(
+    { status: VISITOR_STATUS.EXPECTED, 'pass.validUntil': { $lt: now } },
+    { $set: { status: VISITOR_STATUS.EXPIRED } }
+  );
+
+  const approvals = await Visitor.updateMany(
+    {
+      status: VISITOR_STATUS.APPROVED,
+      'approval.respondedAt': { $lt: new Date(now.getTime() - WALK_IN_ENTRY_MINUTES * MINUTE_MS) }
+    },
+    { $set: { status: VISITOR_STATUS.EXPIRED } }
+  );
+
+  const unanswered = await Visitor.find({
+    status: VISITOR_STATUS.PENDING_APPROVAL,
+    'approval.expiresAt': { $lt: now }
+  });
+
+  for (const visitor of unanswered) {
+    visitor.status = VISITOR_STATUS.EXPIRED;
+    visitor.approval.reason = 'No response from the flat';
+    await visitor.save();
+    await notifyApprovalResponse(visitor);
+  }
+
+  if (passes.modifiedCount > 0 || unanswered.length > 0 || approvals.modifiedCount > 0) {
+    console.log(`✅ [VISITORS] Expired ${passes.modifiedCount} gate passes, ${unanswered.length} walk-in requests and ${approvals.modifiedCount} unused approvals`);
+  }
+
+  return { passes: passes.modifiedCount, requests: unanswered.length, approvals: approvals.modifiedCount };
+};
+
+module.exports = {
+  resolvePassWindow,
+  generatePassCode,
+  buildGatePass,
+  parseGatePass,
+  checkEntryAllowed,
+  findFlatResidents,
+  requestWalkInApproval,
+  notifyApprovalResponse,
+  notifyVisitorMovement,
+  getGateBoard,
+  expireVisitors,
+  ACTIVE_VISITOR_STATUSES,
+  VISITOR_PASS_DEFAULT_HOURS,
+  VISITOR_PASS_MAX_HOURS,
+  WALK_IN_APPROVAL_MINUTES,
+  WALK_IN_ENTRY_MINUTES
+};
@@ -35,6 +35,9 @@ const noticeEvents = {
   // Notice read by user
   NOTICE_READ: 'notice_read',
   
+  // Scheduled notice reached its expiry date
+  NOTICE_EXPIRED: 'notice_expired',
+  
   // Urgent notice
   URGENT_NOTICE: 'urgent_notice'
 };
@@ -9,6 +9,7 @@ const {
   broadcastToApartment,
 } = require("../services/socketService");
 const { logAuditEvent } = require("../services/realtimeUpdateService");
+const { activeStatusQuery } = require("../utils/complaintWorkflow");
 
 // Initialize socket handlers
 const initializeSocketHandlers = (io) => {
@@ -337,7 +338,7 @@ const getInitialDashboardData = async (user) => {
 const getResidentDashboardData = async (user) => {
   const activeComplaints = await Complaint.countDocuments({
     createdBy: user._id,
-    status: { $in: ["Open", "Assigned", "In Progress"] },
+    status: activeStatusQuery(),
   });
 
   const recentNotices = await Notice.find({
@@ -366,7 +367,7 @@ const getStaffDashboardData = async (user) => {
 
   const assignedComplaints = await Complaint.countDocuments({
     "assignedTo.staff": staff._id,
-    status: { $in: ["Assigned", "In Progress"] },
+    status: activeStatusQuery(),
   });
 
   return {
@@ -397,7 +398,7 @@ const getAdminDashboardData = async (user) => {
     {
       $match: {
         "user.apartmentCode": user.apartmentCode,
-        status: { $in: ["Open", "Assigned", "In Progress"] },
+        status: activeStatusQuery(),
       },
     },
     {
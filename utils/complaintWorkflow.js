@@ -0,0 +1,179 @@
+const { COMPLAINT_STATUS, USER_ROLES } = require('./constants');
+
+// Statuses every workflow keeps - controllers, SLA timers and notifications depend on them
+const CORE_STATUSES = Object.values(COMPLAINT_STATUS);
+
+// Roles that can be granted a transition
+const WORKFLOW_ROLES = [USER_ROLES.RESIDENT, USER_ROLES.ADMIN, USER_ROLES.STAFF];
+
+// Terminal status - nothing can leave it
+const TERMINAL_STATUSES = [COMPLAINT_STATUS.CANCELLED];
+
+// Statuses in which work on a complaint is over - every other status, custom ones included, is active
+const FINISHED_STATUSES = [COMPLAINT_STATUS.RESOLVED, COMPLAINT_STATUS.CLOSED, COMPLAINT_STATUS.CANCELLED];
+
+// Transitions the system makes itself (assignment, staff release, auto-close) - every workflow needs them
+const REQUIRED_TRANSITIONS = [
+  { from: COMPLAINT_STATUS.OPEN, to: COMPLAINT_STATUS.ASSIGNED },
+  { from: COMPLAINT_STATUS.REOPENED, to: COMPLAINT_STATUS.ASSIGNED },
+  { from: COMPLAINT_STATUS.ASSIGNED, to: COMPLAINT_STATUS.OPEN },
+  { from: COMPLAINT_STATUS.RESOLVED, to: COMPLAINT_STATUS.CLOSED }
+];
+
+const MAX_CUSTOM_STATUSES = 20;
+const MAX_STATUS_NAME_LENGTH = 40;
+
+// Default workflow, used by buildings that have not customised theirs
+const DEFAULT_COMPLAINT_WORKFLOW = {
+  customStatuses: [],
+  transitions: [
+    { from: COMPLAINT_STATUS.OPEN, to: COMPLAINT_STATUS.ASSIGNED, roles: [USER_ROLES.ADMIN], requiresComment: false },
+    { from: COMPLAINT_STATUS.OPEN, to: COMPLAINT_STATUS.CANCELLED, roles: [USER_ROLES.RESIDENT, USER_ROLES.ADMIN], requiresComment: true },
+    { from: COMPLAINT_STATUS.ASSIGNED, to: COMPLAINT_STATUS.OPEN, roles: [USER_ROLES.ADMIN, USER_ROLES.STAFF], requiresComment: true },
+    { from: COMPLAINT_STATUS.ASSIGNED, to: COMPLAINT_STATUS.IN_PROGRESS, roles: [USER_ROLES.ADMIN, USER_ROLES.STAFF], requiresComment: false },
+    { from: COMPLAINT_STATUS.ASSIGNED, to: COMPLAINT_STATUS.CANCELLED, roles: [USER_ROLES.RESIDENT, USER_ROLES.ADMIN], requiresComment: true },
+    { from: COMPLAINT_STATUS.IN_PROGRESS, to: COMPLAINT_STATUS.ASSIGNED, roles: [USER_ROLES.ADMIN], requiresComment: false },
+    { from: COMPLAINT_STATUS.IN_PROGRESS, to: COMPLAINT_STATUS.RESOLVED, roles: [USER_ROLES.ADMIN, USER_ROLES.STAFF], requiresComment: false },
+    { from: COMPLAINT_STATUS.IN_PROGRESS, to: COMPLAINT_STATUS.CANCELLED, roles: [USER_ROLES.ADMIN], requiresComment: true },
+    { from: COMPLAINT_STATUS.ASSIGNED, to: COMPLAINT_STATUS.ON_HOLD, roles: [USER_ROLES.ADMIN, USER_ROLES.STAFF], requiresComment: false },
+    { from: COMPLAINT_STATUS.IN_PROGRESS, to: COMPLAINT_STATUS.ON_HOLD, roles: [USER_ROLES.ADMIN, USER_ROLES.STAFF], requiresComment: false },
+    { from: COMPLAINT_STATUS.ON_HOLD, to: COMPLAINT_STATUS.IN_PROGRESS, roles: [USER_ROLES.ADMIN, USER_ROLES.STAFF], requiresComment: false },
+    { from: COMPLAINT_STATUS.ON_HOLD, to: COMPLAINT_STATUS.ASSIGNED, roles: [USER_ROLES.ADMIN], requiresComment: false },
+    { from: COMPLAINT_STATUS.ON_HOLD, to: COMPLAINT_STATUS.CANCELLED, roles: [USER_ROLES.ADMIN], requiresComment: true },
+    { from: COMPLAINT_STATUS.RESOLVED, to: COMPLAINT_STATUS.CLOSED, roles: [USER_ROLES.RESIDENT, USER_ROLES.ADMIN], requiresComment: true },
+    { from: COMPLAINT_STATUS.RESOLVED, to: COMPLAINT_STATUS.REOPENED, roles: [USER_ROLES.RESIDENT, USER_ROLES.ADMIN], requiresComment: true },
+    { from: COMPLAINT_STATUS.CLOSED, to: COMPLAINT_STATUS.REOPENED, roles: [USER_ROLES.ADMIN], requiresComment: true },
+    { from: COMPLAINT_STATUS.REOPENED, to: COMPLAINT_STATUS.ASSIGNED, roles: [USER_ROLES.ADMIN], requiresComment: false },
+    { from: COMPLAINT_STATUS.REOPENED, to: COMPLAINT_STATUS.IN_PROGRESS, roles: [USER_ROLES.ADMIN, USER_ROLES.STAFF], requiresComment: false },
+    { from: COMPLAINT_STATUS.REOPENED, to: COMPLAINT_STATUS.CANCELLED, roles: [USER_ROLES.ADMIN], requiresComment: true }
+  ]
+};
+
+// A building's workflow when it has one, otherwise the default
+const resolveWorkflow = (workflow) => {
+  if (workflow?.transitions?.length > 0) return workflow;
+  return DEFAULT_COMPLAINT_WORKFLOW;
+};
+
+// Core statuses followed by the workflow's custom statuses
+const getWorkflowStatuses = (workflow) => {
+  const { customStatuses = [] } = resolveWorkflow(workflow);
+  return [...CORE_STATUSES, ...customStatuses.map((status) => status.name)];
+};
+
+// Query condition for active complaints, whatever workflow their building uses
+const activeStatusQuery = () => ({ $nin: FINISHED_STATUSES });
+
+// Transition from one status to another, or null when the workflow does not allow it
+const findTransition = (workflow, from, to) => {
+  const { transitions } = resolveWorkflow(workflow);
+  return transitions.find((transition) => transition.from === from && transition.to === to) || null;
+};
+
+// Transitions out of a status, optionally only those the role may perform
+const getTransitionsFrom = (workflow, from, role) => {
+  const { transitions } = resolveWorkflow(workflow);
+  return transitions.filter((transition) =>
+    transition.from === from && (!role || transition.roles.includes(role))
+  );
+};
+
+/**
+ * Check a workflow definition for consistency
+ * @param {Object} workflow - { customStatuses: [{ name }], transitions: [{ from, to, roles, requiresComment }] }
+ * @returns {String|null} First problem found, or null when the workflow is valid
+ */
+const validateWorkflowDefinition = (workflow) => {
+  const customStatuses = workflow?.customStatuses || [];
+  const transitions = workflow?.transitions || [];
+
+  if (customStatuses.length > MAX_CUSTOM_STATUSES) {
+    return `A workflow can have at most ${MAX_CUSTOM_STATUSES} custom statuses`;
+  }
+
+  const names = new Set(CORE_STATUSES.map((status) => status.toLowerCase()));
+  for (const status of customStatuses) {
+    const name = status?.name?.trim();
+    if (!name) return 'Custom statuses need a name';
+    if (name.length > MAX_STATUS_NAME_LENGTH) {
+      return `Status "${name}" is longer than ${MAX_STATUS_NAME_LENGTH} characters`;
+    }
+    if (names.has(name.toLowerCase())) return `Status "${name}" is defined more than once`;
+    names.add(name.toLowerCase());
+  }
+
+  if (transitions.length === 0) return 'A workflow needs at least one transition';
+
+  const statuses = [...CORE_STATUSES, ...customStatuses.map((status) => status.name.trim())];
+  const seen = new Set();
+
+  for (const transition of transitions) {
+    const { from, to, roles = [] } = transition;
+    const label = `${from} → ${to}`;
+
+    if (!statuses.includes(from)) return `Transition ${label} starts from unknown status "${from}"`;
+    if (!statuses.includes(to)) return `Transition ${label} leads to unknown status "${to}"`;
+    if (from === to) return `Transition ${label} must change the status`;
+    if (TERMINAL_STATUSES.includes(from)) return `${from} is a terminal status and cannot be left`;
+    if (to === COMPLAINT_STATUS.OPEN && from !== COMPLAINT_STATUS.ASSIGNED) {
+      return `Transition ${label} is not allowed - complaints return to Open only when their staff is released`;
+    }
+
+    if (roles.length === 0) return `Transition ${label} needs at least one role`;
+    const unknownRole = roles.find((role) => !WORKFLOW_ROLES.includes(role));
+    if (unknownRole) return `Transition ${label} has unknown role "${unknownRole}"`;
+
+    if (seen.has(label)) return `Transition ${label} is defined more than once`;
+    seen.add(label);
+  }
+
+  // Custom statuses must be reachable and must not trap a complaint
+  for (const status of customStatuses) {
+    const name = status.name.trim();
+    if (!transitions.some((transition) => transition.to === name)) {
+      return `No transition leads to custom status "${name}"`;
+    }
+    if (!transitions.some((transition) => transition.from === name)) {
+      return `No transition leaves custom status "${name}"`;
+    }
+  }
+
+  for (const required of REQUIRED_TRANSITIONS) {
+    if (!transitions.some((transition) => transition.from === required.from && transition.to === required.to)) {
+      return `The workflow must allow ${required.from} → ${required.to}`;
+    }
+  }
+
+  // Assigned work must be able to reach Resolved
+  const reachable = new Set([COMPLAINT_STATUS.ASSIGNED]);
+  const queue = [COMPLAINT_STATUS.ASSIGNED];
+  while (queue.length > 0) {
+    const from = queue.shift();
+    for (const transition of transitions) {
+      if (transition.from === from && !reachable.has(transition.to)) {
+        reachable.add(transition.to);
+        queue.push(transition.to);
+      }
+    }
+  }
+  if (!reachable.has(COMPLAINT_STATUS.RESOLVED)) {
+    return 'No path leads from Assigned to Resolved';
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_COMPLAINT_WORKFLOW,
+  CORE_STATUSES,
+  WORKFLOW_ROLES,
+  FINISHED_STATUSES,
+  MAX_CUSTOM_STATUSES,
+  MAX_STATUS_NAME_LENGTH,
+  resolveWorkflow,
+  getWorkflowStatuses,
+  activeStatusQuery,
+  findTransition,
+  getTransitionsFrom,
+  validateWorkflowDefinition
+};
@@ -10,6 +10,20 @@ const COMPLAINT_CATEGORIES = [
   'Other'
 ];
 
+// Categories about shared parts of the building - one ticket usually affects every resident
+const COMMON_AREA_CATEGORIES = ['Common Area', 'Elevator', 'Security'];
+
+// Staff skills - complaint categories that need a specialist
+const STAFF_SPECIALIZATIONS = [
+  'Electrical',
+  'Plumbing',
+  'Carpentry',
+  'Painting',
+  'Cleaning',
+  'Security',
+  'Elevator'
+];
+
 const COMPLAINT_PRIORITIES = {
   LOW: 'Low',
   MEDIUM: 'Medium', 
@@ -24,13 +38,37 @@ const COMPLAINT_STATUS = {
   RESOLVED: 'Resolved',
   CLOSED: 'Closed',
   CANCELLED: 'Cancelled',
-  REOPENED: 'Reopened'
+  REOPENED: 'Reopened',
+  ON_HOLD: 'On Hold'
 };
 
+// Why work on a complaint is paused - required when putting it On Hold
+const HOLD_REASON_CATEGORIES = [
+  'Awaiting Parts',
+  'Resident Unavailable',
+  'Awaiting Vendor'
+];
+
+// Default hours to resolve a complaint, used when a building has no SLA rule for it
+const DEFAULT_SLA_HOURS = {
+  Emergency: 2,
+  High: 24,
+  Medium: 72,
+  Low: 168
+};
+
+// Who is notified once a complaint breaches its SLA, and how long after the breach
+const SLA_ESCALATION_CHAIN = [
+  { target: 'staff', afterMinutes: 0 },
+  { target: 'building_admin', afterMinutes: 60 },
+  { target: 'all_admins', afterMinutes: 240 }
+];
+
 const USER_ROLES = {
   RESIDENT: 'resident',
   STAFF: 'staff', 
-  ADMIN: 'admin'
+  ADMIN: 'admin',
+  SECURITY: 'security'
 };
 
 const USER_STATUS = {
@@ -56,12 +94,93 @@ const NOTICE_PRIORITIES = {
   URGENT: 'Urgent'
 };
 
+const INVOICE_STATUS = {
+  PENDING: 'Pending',
+  PARTIALLY_PAID: 'Partially Paid',
+  PAID: 'Paid',
+  OVERDUE: 'Overdue',
+  VOID: 'Void'
+};
+
+// Invoices that still carry a balance
+const OPEN_INVOICE_STATUSES = [
+  INVOICE_STATUS.PENDING,
+  INVOICE_STATUS.PARTIALLY_PAID,
+  INVOICE_STATUS.OVERDUE
+];
+
+const VISITOR_STATUS = {
+  EXPECTED: 'Expected',
+  PENDING_APPROVAL: 'Pending Approval',
+  APPROVED: 'Approved',
+  DENIED: 'Denied',
+  CHECKED_IN: 'Checked In',
+  CHECKED_OUT: 'Checked Out',
+  EXPIRED: 'Expired',
+  CANCELLED: 'Cancelled'
+};
+
+const VISITOR_PURPOSES = [
+  'Guest',
+  'Delivery',
+  'Cab',
+  'Service',
+  'Other'
+];
+
+const PARCEL_STATUS = {
+  RECEIVED: 'Received',
+  COLLECTED: 'Collected',
+  RETURNED: 'Returned'
+};
+
+const INCIDENT_TYPES = [
+  'Trespassing',
+  'Theft',
+  'Suspicious Activity',
+  'Altercation',
+  'Fire',
+  'Medical',
+  'Property Damage',
+  'Other'
+];
+
+const INCIDENT_SEVERITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+const INCIDENT_STATUS = {
+  OPEN: 'Open',
+  ACKNOWLEDGED: 'Acknowledged',
+  CLOSED: 'Closed'
+};
+
+const PAYMENT_METHODS = [
+  'Cash',
+  'Cheque',
+  'UPI',
+  'Bank Transfer',
+  'Online'
+];
+
 module.exports = {
   COMPLAINT_CATEGORIES,
+  COMMON_AREA_CATEGORIES,
+  STAFF_SPECIALIZATIONS,
   COMPLAINT_PRIORITIES,
   COMPLAINT_STATUS,
+  HOLD_REASON_CATEGORIES,
+  DEFAULT_SLA_HOURS,
+  SLA_ESCALATION_CHAIN,
   USER_ROLES,
   USER_STATUS,
   NOTICE_CATEGORIES,
-  NOTICE_PRIORITIES
+  NOTICE_PRIORITIES,
+  INVOICE_STATUS,
+  OPEN_INVOICE_STATUSES,
+  VISITOR_STATUS,
+  VISITOR_PURPOSES,
+  PARCEL_STATUS,
+  INCIDENT_TYPES,
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATUS,
+  PAYMENT_METHODS
 };
\ No newline at end of file
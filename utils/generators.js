@@ -27,9 +27,17 @@ const generateEmployeeId = (prefix = 'EMP') => {
 };
 
 // Generate unique invoice number
-const generateInvoiceNumber = (apartmentCode, month, year) => {
-  const sequence = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-  return `INV-${apartmentCode}-${year}${month.toString().padStart(2, '0')}-${sequence}`;
+// Pass a sequence when generating a batch so numbers stay unique within the month
+const generateInvoiceNumber = (apartmentCode, month, year, sequence) => {
+  const suffix = (sequence !== undefined ? sequence : Math.floor(Math.random() * 1000)).toString().padStart(3, '0');
+  return `INV-${apartmentCode}-${year}${month.toString().padStart(2, '0')}-${suffix}`;
+};
+
+// Generate unique payment receipt number
+const generateReceiptNumber = (apartmentCode, date = new Date(), sequence) => {
+  const period = `${date.getFullYear()}${(date.getMonth() + 1).toString().padStart(2, '0')}`;
+  const suffix = (sequence !== undefined ? sequence : Math.floor(Math.random() * 10000)).toString().padStart(4, '0');
+  return `RCT-${apartmentCode}-${period}-${suffix}`;
 };
 
 // Generate random password
@@ -128,6 +136,7 @@ module.exports = {
   generateTicketNumber,
   generateEmployeeId,
   generateInvoiceNumber,
+  generateReceiptNumber,
   generateRandomPassword,
   generateApartmentCode,
   generateSecureToken,
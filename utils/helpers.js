@@ -29,6 +29,9 @@ const calculateSLABreach = (createdAt, expectedResolution, actualResolution) =>
   return actualResolution > expectedResolution;
 };
 
+// Round currency amounts to paise
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
 // Pagination helper
 const getPagination = (page, size) => {
   const limit = size ? +size : 10;
@@ -59,6 +62,7 @@ module.exports = {
   isValidObjectId,
   formatPhoneNumber,
   calculateSLABreach,
+  roundAmount,
   getPagination,
   buildComplaintFilter
 };
\ No newline at end of file
@@ -132,7 +132,7 @@ const isValidPincode = (pincode) => {
 
 // Validate user role
 const isValidUserRole = (role) => {
-  const validRoles = ['resident', 'staff', 'admin'];
+  const validRoles = ['resident', 'staff', 'admin', 'security'];
   return validRoles.includes(role);
 };
 